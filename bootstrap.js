@@ -1,13 +1,161 @@
+import { parseArgs } from "node:util";
 import { P2PServer } from "./server/wss.js";
-import { PeerRepository } from "./server/peers/peerRepository.js";
+import { MemoryPeerRepository } from "./server/peers/memoryPeerRepository.js";
+import { LevelPeerRepository } from "./server/peers/levelPeerRepository.js";
 import { MessageService } from "./server/messages/messageService.js";
+import { RoomRepository } from "./server/rooms/roomRepository.js";
+import { RoomHistory } from "./server/rooms/roomHistory.js";
+import { RateLimiter } from "./server/limits/rateLimiter.js";
+import { SessionStore } from "./server/peers/sessionStore.js";
+import { Mailbox } from "./server/messages/mailbox.js";
+import { SignalingRepository } from "./server/signaling/signalingRepository.js";
+import { Federation } from "./server/federation/federation.js";
+import { DHTNode } from "./dht/core/node.js";
+import { HybridStorage } from "./dht/storage/hybridStorage.js";
+import { toHex } from "./dht/utils/id.js";
 
-export const createWss = (port) => {
-  const peerRepository = new PeerRepository();
-  const messageService = new MessageService();
+export const createWss = (
+  port,
+  {
+    rateLimit = {},
+    delivery = {},
+    mailbox: { dbPath, ...mailboxOptions } = {},
+    history: { dbPath: historyDbPath, ...historyOptions } = {},
+    resumeGracePeriod = 30000,
+    federation: federationOptions = {},
+    peers: { dbPath: peersDbPath, ...peerOptions } = {},
+    ...options
+  } = {},
+) => {
+  // Persisting peer metadata is opt-in
+  const peerRepository = peersDbPath
+    ? new LevelPeerRepository({ dbPath: peersDbPath, ...peerOptions })
+    : new MemoryPeerRepository();
+  // Peers from the last run are not connected, so the server need not wait for them
+  peerRepository.open().catch((error) => console.error("Failed to load peers:", error));
+  const messageService = new MessageService(delivery);
+  const roomRepository = new RoomRepository();
+  const rateLimiter = new RateLimiter(rateLimit);
+  // Without a database, messages to disconnected peers are rejected rather than stored
+  const mailbox = dbPath ? new Mailbox({ storage: new HybridStorage({ dbPath }), ...mailboxOptions }) : null;
+  // Topic history is opt-in
+  const roomHistory = historyDbPath
+    ? new RoomHistory({ storage: new HybridStorage({ dbPath: historyDbPath }), ...historyOptions })
+    : null;
+
+  const sessions = resumeGracePeriod > 0 ? new SessionStore({ gracePeriod: resumeGracePeriod }) : null;
+  const signalingRepository = new SignalingRepository();
+  // Federation is opt-in: only servers given the shared secret link to each other
+  const federation = federationOptions.secret
+    ? new Federation({
+        peerRepository,
+        messageService,
+        roomRepository,
+        roomHistory,
+        signalingRepository,
+        ...federationOptions,
+      })
+    : null;
 
   console.log(`Server running on ${port}...`);
-  return new P2PServer(port, peerRepository, messageService).initialize();
+  return new P2PServer(port, peerRepository, messageService, {
+    roomRepository,
+    rateLimiter,
+    mailbox,
+    roomHistory,
+    sessions,
+    signalingRepository,
+    federation,
+    ...options,
+  }).initialize();
 };
 
-createWss(3000);
+/**
+ * Starts a DHT node with a persistent identity and joins the network through the given seeds
+ * and the contacts it knew before its last shutdown.
+ * @param {Object} options - DHT configuration options
+ * @param {string} [options.host] - Host to listen on and advertise
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.dbPath - Path to the node's LevelDB database
+ * @param {string[]} [options.seeds=[]] - Seed addresses as "host:port"; none for the first node of a network
+ * @returns {Promise<DHTNode>} The running node
+ */
+export const createDht = async ({ host, port, dbPath, seeds = [] }) => {
+  const storage = new HybridStorage({ dbPath });
+  const node = await (await DHTNode.create({ host, port, storage })).listen();
+
+  console.log(`DHT node ${toHex(node.nodeId)} running on ${node.contact.port}...`);
+
+  // Contacts restored from the last run are as good as seeds for rejoining
+  const known = [...seeds, ...node.routingTable.toArray()];
+  if (known.length > 0) {
+    const contacts = await node.join(known);
+    console.log(`Joined DHT with ${contacts} contacts`);
+  }
+  return node;
+};
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", default: process.env.PORT || "3000" },
+    "heartbeat-interval": { type: "string", default: process.env.HEARTBEAT_INTERVAL || "30000" },
+    "idle-timeout": { type: "string", default: process.env.IDLE_TIMEOUT || "0" },
+    "rate-limit": { type: "string", default: process.env.RATE_LIMIT || "20" },
+    "rate-limit-bytes": { type: "string", default: process.env.RATE_LIMIT_BYTES || "65536" },
+    "rate-limit-penalty": { type: "string", default: process.env.RATE_LIMIT_PENALTY || "warn" },
+    "slow-peer-policy": { type: "string", default: process.env.SLOW_PEER_POLICY || "drop-oldest" },
+    "mailbox-db": { type: "string", default: process.env.MAILBOX_DB || "./data/mailbox" },
+    "mailbox-retention": { type: "string", default: process.env.MAILBOX_RETENTION || "604800000" },
+    "resume-grace": { type: "string", default: process.env.RESUME_GRACE || "30000" },
+    "history-db": { type: "string", default: process.env.HISTORY_DB || "" },
+    "history-limit": { type: "string", default: process.env.HISTORY_LIMIT || "1000" },
+    "peers-db": { type: "string", default: process.env.PEERS_DB || "" },
+    "server-id": { type: "string", default: process.env.SERVER_ID },
+    "federation-secret": { type: "string", default: process.env.FEDERATION_SECRET || "" },
+    "federation-links": { type: "string", default: process.env.FEDERATION_LINKS || "" },
+    "dht-host": { type: "string", default: process.env.DHT_HOST },
+    "dht-port": { type: "string", default: process.env.DHT_PORT },
+    "dht-db": { type: "string", default: process.env.DHT_DB || "./data/dht" },
+    seeds: { type: "string", default: process.env.DHT_SEEDS || "" },
+  },
+});
+
+createWss(Number(values.port), {
+  heartbeatInterval: Number(values["heartbeat-interval"]),
+  idleTimeout: Number(values["idle-timeout"]),
+  resumeGracePeriod: Number(values["resume-grace"]),
+  rateLimit: {
+    messagesPerSecond: Number(values["rate-limit"]),
+    bytesPerSecond: Number(values["rate-limit-bytes"]),
+    penalty: values["rate-limit-penalty"],
+  },
+  delivery: {
+    slowPeerPolicy: values["slow-peer-policy"],
+  },
+  mailbox: {
+    dbPath: values["mailbox-db"],
+    retention: Number(values["mailbox-retention"]),
+  },
+  history: {
+    dbPath: values["history-db"],
+    maxMessagesPerTopic: Number(values["history-limit"]),
+  },
+  peers: {
+    dbPath: values["peers-db"],
+  },
+  federation: {
+    secret: values["federation-secret"],
+    serverId: values["server-id"],
+    links: values["federation-links"].split(",").filter(Boolean),
+  },
+});
+
+// The DHT is opt-in: only nodes given a DHT port take part in it
+if (values["dht-port"]) {
+  createDht({
+    host: values["dht-host"],
+    port: Number(values["dht-port"]),
+    dbPath: values["dht-db"],
+    seeds: values.seeds.split(",").filter(Boolean),
+  }).catch((error) => console.error("Failed to start DHT node:", error));
+}
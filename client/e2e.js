@@ -0,0 +1,125 @@
+/**
+ * @fileoverview End-to-end encryption of direct messages: X25519 key agreement, HKDF-SHA256
+ * key derivation and AES-256-GCM. Only primitives available in WebCrypto are used, so browser
+ * clients can implement the same scheme.
+ * @module client/e2e
+ */
+
+import * as crypto from 'node:crypto';
+
+/**
+ * Identifier of the encryption scheme, carried in every envelope.
+ * @type {string}
+ */
+export const E2E_ALGORITHM = 'x25519-hkdf-sha256-aes-256-gcm';
+
+/**
+ * HKDF info string binding derived keys to this scheme.
+ * @type {string}
+ */
+const HKDF_INFO = 'p2punk-e2e-v1';
+
+/**
+ * An encrypted message as relayed by the server in place of the plaintext content.
+ * @typedef {Object} Envelope
+ * @property {string} alg - The encryption scheme, {@link E2E_ALGORITHM}
+ * @property {string} ephemeralKey - Base64-encoded DER (SPKI) X25519 public key generated for this message
+ * @property {string} nonce - Base64-encoded 12 byte AES-GCM nonce
+ * @property {string} ciphertext - Base64-encoded ciphertext of the JSON-serialized content
+ * @property {string} tag - Base64-encoded 16 byte AES-GCM authentication tag
+ */
+
+/**
+ * Generates a long-lived X25519 keypair a peer advertises so others can encrypt to it.
+ * @returns {{publicKey: string, privateKey: string}} Base64-encoded DER public (SPKI) and private (PKCS#8) keys
+ */
+export const createEncryptionKeyPair = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+  };
+};
+
+/**
+ * Derives the AES key shared by an ephemeral and a static key.
+ * Both public keys are mixed into the salt so a key is never reused across recipients.
+ * @param {crypto.KeyObject} privateKey - Our X25519 private key
+ * @param {crypto.KeyObject} publicKey - Their X25519 public key
+ * @param {Buffer} ephemeralKey - DER encoding of the ephemeral public key
+ * @param {Buffer} recipientKey - DER encoding of the recipient's public key
+ * @returns {Buffer} The 32 byte key
+ */
+const deriveKey = (privateKey, publicKey, ephemeralKey, recipientKey) => {
+  const secret = crypto.diffieHellman({ privateKey, publicKey });
+  const salt = Buffer.concat([ephemeralKey, recipientKey]);
+  return Buffer.from(crypto.hkdfSync('sha256', secret, salt, HKDF_INFO, 32));
+};
+
+/**
+ * Decodes a base64-encoded DER (SPKI) X25519 public key.
+ * @param {string} key - The encoded key
+ * @returns {crypto.KeyObject} The key
+ */
+const importPublicKey = (key) => crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+
+/**
+ * Encrypts content for a recipient using a fresh ephemeral key.
+ * @param {string} recipientKey - Base64-encoded DER (SPKI) X25519 public key of the recipient
+ * @param {*} content - JSON-serializable content
+ * @param {string} [associatedData=''] - Data authenticated but not encrypted, e.g. the sender and recipient IDs
+ * @returns {Envelope} The envelope
+ */
+export const encrypt = (recipientKey, content, associatedData = '') => {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralDer = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+  const key = deriveKey(ephemeral.privateKey, importPublicKey(recipientKey), ephemeralDer, Buffer.from(recipientKey, 'base64'));
+
+  const nonce = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(Buffer.from(associatedData));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(content)), cipher.final()]);
+
+  return {
+    alg: E2E_ALGORITHM,
+    ephemeralKey: ephemeralDer.toString('base64'),
+    nonce: nonce.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+  };
+};
+
+/**
+ * Decrypts an envelope addressed to us.
+ * @param {{publicKey: string, privateKey: string}} keyPair - Our X25519 keypair
+ * @param {Envelope} envelope - The envelope
+ * @param {string} [associatedData=''] - The associated data the sender used
+ * @returns {*} The content
+ * @throws {Error} If the envelope uses another scheme or fails authentication
+ */
+export const decrypt = (keyPair, envelope, associatedData = '') => {
+  if (envelope?.alg !== E2E_ALGORITHM) {
+    throw new Error(`Unsupported encryption scheme: ${envelope?.alg}`);
+  }
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(keyPair.privateKey, 'base64'),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  const key = deriveKey(
+    privateKey,
+    importPublicKey(envelope.ephemeralKey),
+    Buffer.from(envelope.ephemeralKey, 'base64'),
+    Buffer.from(keyPair.publicKey, 'base64'),
+  );
+
+  // Pin the tag length so a truncated tag cannot weaken authentication
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.nonce, 'base64'), {
+    authTagLength: 16,
+  });
+  decipher.setAAD(Buffer.from(associatedData));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString());
+};
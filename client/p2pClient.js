@@ -0,0 +1,533 @@
+/**
+ * @fileoverview Reference Node client for the relay server, implementing the handshake,
+ * authentication, signed messages and end-to-end encrypted direct messages.
+ * @module client/p2pClient
+ */
+
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { WebSocket } from 'ws';
+import { CAPABILITIES, ERROR_CODES, PROTOCOL_VERSION } from '../server/messages/protocol.js';
+import { signChallenge, signContent, verifyContent } from '../server/peers/peerIdentity.js';
+import { createEncryptionKeyPair, decrypt, encrypt } from './e2e.js';
+
+/**
+ * A message received from another peer.
+ * @typedef {Object} ReceivedMessage
+ * @property {string} peer - ID of the sending peer
+ * @property {*} content - The content, decrypted if it was end-to-end encrypted
+ * @property {string} [topic] - The topic it was published to
+ * @property {number} [seq] - Its sequence number in the topic's history, if the server keeps one
+ * @property {boolean} direct - Whether it was addressed to us only
+ * @property {boolean} encrypted - Whether it was end-to-end encrypted
+ * @property {boolean} verified - Whether it carries a valid signature by the sender's key
+ * @property {number} [storedAt] - When the server stored it because we were not connected
+ */
+
+/**
+ * Public keys of a peer.
+ * @typedef {Object} PeerKeys
+ * @property {string} [publicKey] - Ed25519 key of an authenticated peer, checked against its signatures
+ * @property {string} [encryptionKey] - X25519 key to encrypt direct messages to the peer with
+ * @property {string} [encryptionKeySignature] - Signature of `{ encryptionKey }` by the peer's Ed25519 key
+ */
+
+/**
+ * Client connection to a relay server.
+ * Keeps track of the connected peers from the server's presence events and decrypts and
+ * verifies incoming messages before emitting them. The server only reports, and broadcasts to,
+ * the peers sharing a topic with the client; the keys of other peers are looked up by ID.
+ *
+ * Calling {@link P2PClient#connect} again after the connection dropped resumes the session if the
+ * server still holds it: the client keeps its ID and subscriptions, and receives the messages sent
+ * to it in the meantime.
+ *
+ * @fires P2PClient#message
+ * @fires P2PClient#peer-joined
+ * @fires P2PClient#peer-left
+ * @fires P2PClient#server-error
+ */
+export class P2PClient extends EventEmitter {
+  /**
+   * Creates a new client.
+   * @param {Object} options - Client configuration options
+   * @param {string} options.url - WebSocket URL of the relay server
+   * @param {{publicKey: string, privateKey: string}} [options.identity] - Ed25519 keypair to authenticate
+   *   and sign messages with; the client stays anonymous without one
+   * @param {{publicKey: string, privateKey: string}} [options.encryption] - X25519 keypair other peers encrypt
+   *   to, generated if omitted
+   * @param {import('../server/peers/peerRepository.js').PeerProfile} [options.profile] - Profile advertised to the
+   *   other peers in the handshake
+   * @param {number} [options.timeout=5000] - Time to wait for the handshake and for key lookups in milliseconds
+   */
+  constructor(options) {
+    super();
+
+    if (typeof options?.url !== 'string') {
+      throw new Error('url is required for P2PClient');
+    }
+
+    this.url = options.url;
+    this.identity = options.identity || null;
+    this.encryption = options.encryption || createEncryptionKeyPair();
+    this.profile = options.profile || null;
+    this.timeout = options.timeout || 5000;
+
+    /**
+     * ID assigned by the server, known once the handshake completed.
+     * @type {string|null}
+     */
+    this.id = null;
+
+    /**
+     * Connected peers, indexed by ID.
+     * @type {Map<string, Omit<import('../server/peers/peerRepository.js').Peer, 'ws'>>}
+     */
+    this.peers = new Map();
+
+    /**
+     * Keys of the peers looked up with {@link P2PClient#lookupKeys}, indexed by ID.
+     * @private
+     * @type {Map<string, PeerKeys>}
+     */
+    this.keys = new Map();
+
+    /**
+     * Pending key lookups, indexed by request ID.
+     * @private
+     * @type {Map<string, {resolve: function(PeerKeys): void, reject: function(Error): void}>}
+     */
+    this.lookups = new Map();
+
+    /**
+     * Last message being received; messages wait for the key lookups of those before them so they
+     * are emitted in order.
+     * @private
+     * @type {Promise<void>}
+     */
+    this.received = Promise.resolve();
+
+    /**
+     * Token to resume the session with, from the server's last welcome.
+     * @type {string|null}
+     */
+    this.resumeToken = null;
+
+    /** @private */
+    this.ws = null;
+  }
+
+  /**
+   * Connects to the server and completes the handshake.
+   * @returns {Promise<{peer: string, version: number, authenticated: boolean, capabilities: string[],
+   *   resumed?: boolean}>} The server's welcome
+   * @throws {Error} If the connection fails, the server rejects the handshake or it times out
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const fail = (error) => {
+        clearTimeout(timer);
+        this.off('welcome', welcomed);
+        this.off('server-error', fail);
+        reject(error);
+      };
+      const welcomed = (welcome) => {
+        clearTimeout(timer);
+        this.off('server-error', fail);
+        resolve(welcome);
+      };
+      const timer = setTimeout(() => {
+        fail(new Error(`Handshake with ${this.url} timed out`));
+        this.ws.terminate();
+      }, this.timeout);
+
+      this.once('welcome', welcomed);
+      this.once('server-error', fail);
+
+      const url = new URL(this.url);
+      if (this.resumeToken) {
+        url.searchParams.set('resume', this.resumeToken);
+      }
+      this.ws = new WebSocket(url);
+      // When resuming, the server either welcomes us right away or asks for a new handshake
+      this.ws.once('open', () => !this.resumeToken && this.hello());
+      this.ws.on('error', fail);
+      this.ws.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+    });
+  }
+
+  /**
+   * Opens the handshake, presenting our keys.
+   * @private
+   */
+  hello() {
+    const hello = {
+      type: 'hello',
+      version: PROTOCOL_VERSION,
+      capabilities: CAPABILITIES,
+      encryptionKey: this.encryption.publicKey,
+      profile: this.profile ?? undefined,
+    };
+    if (this.identity) {
+      hello.publicKey = this.identity.publicKey;
+      hello.encryptionKeySignature = signContent(this.identity.privateKey, { encryptionKey: this.encryption.publicKey });
+    }
+    this.send(hello);
+  }
+
+  /**
+   * Handles a message from the server.
+   * @private
+   * @param {Object} message - The message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'challenge':
+        this.send({ type: 'auth', signature: signChallenge(this.identity.privateKey, message.nonce) });
+        break;
+      case 'welcome':
+        this.id = message.peer;
+        this.resumeToken = message.resumeToken || null;
+        this.emit('welcome', message);
+        break;
+      case 'all-peers':
+        this.peers = new Map(message.peers.map((peer) => [peer.id, peer]));
+        break;
+      case 'peer-joined':
+      case 'peer-updated':
+        this.peers.set(message.peer.id, message.peer);
+        this.keys.delete(message.peer.id);
+        this.emit(message.type, message.peer);
+        break;
+      case 'peer-left':
+        this.peers.delete(message.peer.id);
+        this.emit(message.type, message.peer);
+        break;
+      case 'message':
+        this.receive(message);
+        break;
+      case 'keys': {
+        const { peer, publicKey, encryptionKey, encryptionKeySignature } = message;
+        this.keys.set(peer, { publicKey, encryptionKey, encryptionKeySignature });
+        this.settle(message.id, null, this.keys.get(peer));
+        break;
+      }
+      case 'profile':
+        this.profile = message.profile;
+        if (this.peers.has(this.id)) {
+          this.peers.set(this.id, { ...this.peers.get(this.id), profile: message.profile });
+        }
+        this.emit(message.type, message);
+        break;
+      case 'error': {
+        if (message.code === ERROR_CODES.RESUME_FAILED) {
+          this.resumeToken = null;
+          this.hello();
+          break;
+        }
+        const error = new Error(message.message);
+        error.code = message.code;
+        error.details = message;
+        if (!this.settle(message.id, error)) {
+          this.emit('server-error', error);
+        }
+        break;
+      }
+      default:
+        this.emit(message.type, message);
+    }
+  }
+
+  /**
+   * Settles a pending key lookup with the server's reply.
+   * @private
+   * @param {string} [id] - ID of the request the reply refers to
+   * @param {Error|null} error - The error replied, if any
+   * @param {PeerKeys} [keys] - The keys replied
+   * @returns {boolean} True if the reply was to a key lookup
+   */
+  settle(id, error, keys) {
+    const lookup = this.lookups.get(id);
+    if (!lookup) {
+      return false;
+    }
+    this.lookups.delete(id);
+    if (error) {
+      lookup.reject(error);
+    } else {
+      lookup.resolve(keys);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the keys of a peer, from the peers sharing a topic with the client or those looked up.
+   * @private
+   * @param {string} id - ID of the peer
+   * @returns {PeerKeys|undefined} The keys, if known
+   */
+  keysOf(id) {
+    return this.peers.get(id) ?? this.keys.get(id);
+  }
+
+  /**
+   * Queues a relayed message to be emitted once the keys of its sender are known. The keys of signed
+   * messages from peers outside the client's topics are looked up first.
+   * @private
+   * @param {Object} message - The relayed message
+   */
+  receive(message) {
+    const lookup =
+      message.signature && !this.keysOf(message.peer)?.publicKey
+        ? this.lookupKeys(message.peer).catch(() => {})
+        : undefined;
+    this.received = this.received
+      .then(() => lookup)
+      .then(() => this.accept(message))
+      .catch((error) => console.error(`Failed to handle message from peer ${message.peer}:`, error));
+  }
+
+  /**
+   * Verifies and decrypts a relayed message, then emits it.
+   * @private
+   * @param {Object} message - The relayed message
+   */
+  accept({ peer, content, topic, seq, direct = false, encrypted = false, signature, storedAt }) {
+    const sender = this.keysOf(peer);
+    const verified = Boolean(signature && sender?.publicKey && verifyContent(sender.publicKey, content, signature));
+
+    if (encrypted) {
+      try {
+        content = decrypt(this.encryption, content, `${peer}:${this.id}`);
+      } catch (error) {
+        console.error(`Failed to decrypt message from peer ${peer}:`, error);
+        return;
+      }
+    }
+    this.emit('message', { peer, content, topic, seq, direct, encrypted, verified, storedAt });
+  }
+
+  /**
+   * Sends a raw protocol message.
+   * @private
+   * @param {Object} message - The message
+   */
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Signs content if the client has an identity.
+   * @private
+   * @param {*} content - The content
+   * @returns {string|undefined} The signature
+   */
+  sign(content) {
+    return this.identity ? signContent(this.identity.privateKey, content) : undefined;
+  }
+
+  /**
+   * Sends a message to every peer sharing a topic with the client, or to the given peers only.
+   * @param {*} content - The message content
+   * @param {Object} [options] - Delivery options
+   * @param {string|string[]} [options.to] - ID of the recipient peer, or a list of IDs
+   * @param {string} [options.id] - Reference echoed back in the server's ack and error replies
+   * @returns {void}
+   */
+  sendMessage(content, { to, id } = {}) {
+    this.send({ type: 'message', to, id, content, signature: this.sign(content) });
+  }
+
+  /**
+   * Sends an end-to-end encrypted message to a single peer. Only the recipient can read it;
+   * the envelope is signed when the client has an identity. The keys of a peer that shares no topic
+   * with the client must be looked up first with {@link P2PClient#lookupKeys}.
+   * @param {string} to - ID of the recipient peer
+   * @param {*} content - The message content
+   * @param {Object} [options] - Delivery options
+   * @param {string} [options.id] - Reference echoed back in the server's ack and error replies
+   * @returns {void}
+   * @throws {Error} If the recipient has no encryption key, or an authenticated recipient's key is not
+   *   signed by its identity
+   */
+  sendEncrypted(to, content, { id } = {}) {
+    const recipient = this.keysOf(to);
+    if (!recipient?.encryptionKey) {
+      throw new Error(`Peer ${to} has no encryption key`);
+    }
+    // For authenticated peers, only trust a key signed by their identity, which the server cannot forge
+    if (
+      recipient.publicKey &&
+      !verifyContent(recipient.publicKey, { encryptionKey: recipient.encryptionKey }, recipient.encryptionKeySignature)
+    ) {
+      throw new Error(`Encryption key of peer ${to} is not signed by its identity`);
+    }
+
+    const envelope = encrypt(recipient.encryptionKey, content, `${this.id}:${to}`);
+    this.send({ type: 'message', to, id, encrypted: true, content: envelope, signature: this.sign(envelope) });
+  }
+
+  /**
+   * Subscribes to a topic.
+   * @param {string} topic - Name of the topic
+   * @returns {void}
+   */
+  join(topic) {
+    this.send({ type: 'join', topic });
+  }
+
+  /**
+   * Unsubscribes from a topic.
+   * @param {string} topic - Name of the topic
+   * @returns {void}
+   */
+  leave(topic) {
+    this.send({ type: 'leave', topic });
+  }
+
+  /**
+   * Publishes a message to a topic the client has joined.
+   * @param {string} topic - Name of the topic
+   * @param {*} content - The message content
+   * @returns {void}
+   */
+  publish(topic, content) {
+    this.send({ type: 'publish', topic, content, signature: this.sign(content) });
+  }
+
+  /**
+   * Requests a page of the history of a topic the client has joined. The server answers with a
+   * `history` event carrying `{ topic, messages, hasMore }`, oldest message first.
+   * @param {string} topic - Name of the topic
+   * @param {Object} [options] - Paging options; without a cursor, the latest messages are returned
+   * @param {number} [options.before] - Return the messages preceding this sequence number
+   * @param {number} [options.after] - Return the messages following this sequence number, e.g. the
+   *   last one seen before reconnecting
+   * @param {number} [options.limit] - Maximum number of messages, 50 by default
+   * @param {string} [options.id] - Reference echoed back in the server's reply
+   * @returns {void}
+   */
+  history(topic, { before, after, limit, id } = {}) {
+    this.send({ type: 'history', topic, before, after, limit, id });
+  }
+
+  /**
+   * Updates the profile advertised to the other peers, who receive it in `peer-updated` events. Fields
+   * left out are kept and fields set to null are removed; the server confirms with a `profile` event
+   * carrying `{ profile }`.
+   * @param {import('../server/peers/peerRepository.js').PeerProfile} changes - The fields to change
+   * @param {Object} [options] - Request options
+   * @param {string} [options.id] - Reference echoed back in the server's reply
+   * @returns {void}
+   */
+  setProfile(changes, { id } = {}) {
+    this.send({ type: 'profile', profile: changes, id });
+  }
+
+  /**
+   * Looks for the peers sharing a topic with the client whose profile matches a filter, e.g. those
+   * supporting a feature. The server answers with a `peers` event carrying `{ peers }`.
+   * @param {import('../server/peers/peerRepository.js').PeerFilter} [filter] - The filter; all peers match
+   *   without one
+   * @param {Object} [options] - Request options
+   * @param {number} [options.limit] - Maximum number of peers, 100 by default
+   * @param {string} [options.id] - Reference echoed back in the server's reply
+   * @returns {void}
+   */
+  findPeers(filter, { limit, id } = {}) {
+    this.send({ type: 'find-peers', filter, limit, id });
+  }
+
+  /**
+   * Asks the server for the current keys of a peer, e.g. to encrypt to a peer that shares no topic with
+   * the client. The keys are kept for {@link P2PClient#sendEncrypted} and to verify the peer's messages.
+   * @param {string} peer - ID of the peer
+   * @returns {Promise<PeerKeys>} The keys
+   * @throws {Error} If the peer is unknown to the server, with the `UNKNOWN_PEER` code, or the server
+   *   does not answer in time
+   */
+  lookupKeys(peer) {
+    const id = randomUUID();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.lookups.delete(id);
+        reject(new Error(`Key lookup of peer ${peer} timed out`));
+      }, this.timeout);
+      this.lookups.set(id, {
+        resolve: (keys) => {
+          clearTimeout(timer);
+          resolve(keys);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      this.send({ type: 'keys', peer, id });
+    });
+  }
+
+  /**
+   * Offers a WebRTC session to a peer; the relay forwards the SDP as an `offer` event carrying
+   * `{ peer, session, sdp }`. Offering again within a session renegotiates it, e.g. to restart ICE.
+   * @param {string} to - ID of the peer
+   * @param {string} sdp - The local session description
+   * @param {Object} [options] - Signaling options
+   * @param {string} [options.session] - ID of the session to renegotiate; a new session is opened without one
+   * @returns {string} The session ID, to pass along with the candidates
+   */
+  offer(to, sdp, { session = randomUUID() } = {}) {
+    this.send({ type: 'offer', to, session, sdp });
+    return session;
+  }
+
+  /**
+   * Answers a peer's WebRTC offer; the peer receives an `answer` event carrying `{ peer, session, sdp }`.
+   * @param {string} to - ID of the peer that sent the offer
+   * @param {string} session - ID of the offered session
+   * @param {string} sdp - The local session description
+   * @returns {void}
+   */
+  answer(to, session, sdp) {
+    this.send({ type: 'answer', to, session, sdp });
+  }
+
+  /**
+   * Sends an ICE candidate to the other peer of a WebRTC session; the peer receives an
+   * `ice-candidate` event carrying `{ peer, session, candidate }`.
+   * @param {string} to - ID of the peer
+   * @param {string} session - ID of the session
+   * @param {Object|null} candidate - The candidate, null once all candidates were sent
+   * @returns {void}
+   */
+  candidate(to, session, candidate) {
+    this.send({ type: 'ice-candidate', to, session, candidate });
+  }
+
+  /**
+   * Ends a WebRTC session; the peer receives a `hangup` event carrying `{ peer, session }`, which the
+   * server also sends when the peer of a session disconnects.
+   * @param {string} to - ID of the peer
+   * @param {string} session - ID of the session
+   * @returns {void}
+   */
+  hangup(to, session) {
+    this.send({ type: 'hangup', to, session });
+  }
+
+  /**
+   * Closes the connection and ends the session; connecting again starts a new one.
+   * @returns {Promise<void>} Resolves once the connection is closed
+   */
+  close() {
+    this.resumeToken = null;
+    return new Promise((resolve) => {
+      if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+      this.ws.once('close', () => resolve());
+      this.ws.close();
+    });
+  }
+}
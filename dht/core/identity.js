@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Persistent node identity: an Ed25519 keypair and the node ID derived from it.
+ * @module dht/core/identity
+ */
+
+import * as crypto from 'node:crypto';
+import { hash } from '../utils/hash.js';
+import { fromHex, toHex } from '../utils/id.js';
+
+/**
+ * Storage key under which the node identity is persisted.
+ * @type {string}
+ */
+export const IDENTITY_KEY = 'node:identity';
+
+/**
+ * A node identity as persisted in storage.
+ * @typedef {Object} Identity
+ * @property {string} nodeId - Hex-encoded node ID, the SHA-1 digest of the public key
+ * @property {string} publicKey - Base64-encoded DER (SPKI) Ed25519 public key
+ * @property {string} privateKey - Base64-encoded DER (PKCS#8) Ed25519 private key
+ * @property {number} createdAt - Unix timestamp of when the identity was generated
+ */
+
+/**
+ * Generates a new identity.
+ * @returns {Identity} The identity
+ */
+export const createIdentity = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const publicDer = publicKey.export({ type: 'spki', format: 'der' });
+
+  return {
+    nodeId: toHex(hash(publicDer)),
+    publicKey: publicDer.toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+    createdAt: Date.now(),
+  };
+};
+
+/**
+ * Checks that an identity is well formed and that its node ID matches its public key.
+ * @param {*} identity - The identity to check
+ * @returns {boolean} True if the identity is valid
+ */
+export const isValidIdentity = (identity) => {
+  try {
+    return (
+      typeof identity?.publicKey === 'string' &&
+      typeof identity?.privateKey === 'string' &&
+      fromHex(identity.nodeId) === hash(Buffer.from(identity.publicKey, 'base64'))
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Loads the identity persisted in storage, generating and persisting a new one on first use.
+ * @param {import('../storage/storage.js').Storage} storage - The node's storage
+ * @returns {Promise<Identity>} The identity
+ * @throws {Error} If a stored identity is corrupt
+ */
+export const loadIdentity = async (storage) => {
+  if (await storage.has(IDENTITY_KEY)) {
+    const identity = await storage.get(IDENTITY_KEY);
+    if (!isValidIdentity(identity)) {
+      throw new Error('Stored node identity is corrupt');
+    }
+    return identity;
+  }
+
+  const identity = createIdentity();
+  await storage.put(IDENTITY_KEY, identity);
+  return identity;
+};
@@ -1 +1,228 @@
-export class KBucket {}
+/**
+ * @fileoverview Kademlia k-bucket holding a bounded, LRU-ordered list of contacts.
+ * @module dht/core/kBucket
+ */
+
+/**
+ * A remote node known to the routing table.
+ * @typedef {Object} Contact
+ * @property {bigint} id - Node ID of the contact
+ * @property {string} [host] - Host the contact listens on
+ * @property {number} [port] - Port the contact listens on
+ * @property {number} [lastSeen] - Unix timestamp of the last time the contact was seen
+ * @property {number} [failures] - Number of consecutive requests the contact failed to answer
+ */
+
+/**
+ * A k-bucket covers the half-open ID range [min, max) and holds at most k contacts.
+ * Contacts are kept in least-recently-seen order: the head of the list is the
+ * oldest contact and the tail is the most recently seen one. When the bucket is full,
+ * new contacts are parked in a replacement cache until a live contact goes stale.
+ */
+export class KBucket {
+  /**
+   * Creates a new k-bucket.
+   * @param {bigint} min - Inclusive lower bound of the ID range covered by this bucket
+   * @param {bigint} max - Exclusive upper bound of the ID range covered by this bucket
+   * @param {number} [k=20] - Maximum number of contacts held by the bucket
+   */
+  constructor(min, max, k = 20) {
+    if (min >= max) {
+      throw new RangeError('KBucket range must not be empty');
+    }
+
+    this.min = min;
+    this.max = max;
+    this.k = k;
+
+    /**
+     * Live contacts, least recently seen first.
+     * @type {Contact[]}
+     */
+    this.contacts = [];
+
+    /**
+     * Contacts waiting for a free slot, least recently seen first.
+     * @type {Contact[]}
+     */
+    this.replacements = [];
+
+    this.lastUpdated = Date.now();
+  }
+
+  /**
+   * Number of live contacts in the bucket.
+   * @returns {number}
+   */
+  get size() {
+    return this.contacts.length;
+  }
+
+  /**
+   * Checks whether the bucket holds k contacts.
+   * @returns {boolean} True if no more contacts can be added
+   */
+  isFull() {
+    return this.contacts.length >= this.k;
+  }
+
+  /**
+   * Checks whether an ID falls within the range covered by this bucket.
+   * @param {bigint} id - The ID to check
+   * @returns {boolean} True if min <= id < max
+   */
+  covers(id) {
+    return id >= this.min && id < this.max;
+  }
+
+  /**
+   * Checks whether a contact with the given ID is live in the bucket.
+   * @param {bigint} id - The contact ID
+   * @returns {boolean} True if the contact is present
+   */
+  has(id) {
+    return this.contacts.some((contact) => contact.id === id);
+  }
+
+  /**
+   * Retrieves a live contact by ID.
+   * @param {bigint} id - The contact ID
+   * @returns {Contact|undefined} The contact, if present
+   */
+  get(id) {
+    return this.contacts.find((contact) => contact.id === id);
+  }
+
+  /**
+   * Adds or refreshes a contact.
+   * A known contact is moved to the tail of the list. A new contact is appended if there is room;
+   * otherwise it is parked in the replacement cache and the least recently seen contact is returned
+   * so the caller can ping it and either refresh it with {@link KBucket#add} or evict it with
+   * {@link KBucket#remove}.
+   *
+   * @param {Contact} contact - The contact to add
+   * @returns {Contact|null} The contact to ping when the bucket is full, otherwise null
+   */
+  add(contact) {
+    const entry = { ...contact, lastSeen: Date.now(), failures: 0 };
+    const index = this.contacts.findIndex(({ id }) => id === contact.id);
+
+    if (index > -1) {
+      const [existing] = this.contacts.splice(index, 1);
+      this.contacts.push({ ...existing, ...entry });
+      this.lastUpdated = Date.now();
+      return null;
+    }
+
+    if (!this.isFull()) {
+      this.removeReplacement(contact.id);
+      this.contacts.push(entry);
+      this.lastUpdated = Date.now();
+      return null;
+    }
+
+    this.addReplacement(entry);
+    return this.contacts[0];
+  }
+
+  /**
+   * Removes a live contact, promoting the most recently seen replacement into its slot.
+   * @param {bigint} id - The contact ID
+   * @returns {boolean} True if a contact was removed
+   */
+  remove(id) {
+    const index = this.contacts.findIndex((contact) => contact.id === id);
+    if (index === -1) {
+      return this.removeReplacement(id);
+    }
+
+    this.contacts.splice(index, 1);
+    const replacement = this.replacements.pop();
+    if (replacement) {
+      this.contacts.push(replacement);
+    }
+    this.lastUpdated = Date.now();
+    return true;
+  }
+
+  /**
+   * Records a failed request to a live contact.
+   * The contact is evicted once it has failed `maxFailures` times in a row, or immediately if a
+   * replacement is waiting to take its slot. Until then it is moved to the head of the list so it
+   * is the first candidate pinged when the bucket overflows.
+   *
+   * @param {bigint} id - The contact ID
+   * @param {number} [maxFailures=3] - Consecutive failures tolerated before eviction
+   * @returns {boolean} True if the contact was evicted
+   */
+  markStale(id, maxFailures = 3) {
+    const index = this.contacts.findIndex((contact) => contact.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [contact] = this.contacts.splice(index, 1);
+    const stale = { ...contact, failures: (contact.failures || 0) + 1 };
+    this.contacts.unshift(stale);
+
+    if (this.replacements.length > 0 || stale.failures >= maxFailures) {
+      return this.remove(id);
+    }
+    return false;
+  }
+
+  /**
+   * Adds a contact to the replacement cache, keeping at most k entries.
+   * @private
+   * @param {Contact} contact - The contact to park
+   */
+  addReplacement(contact) {
+    this.removeReplacement(contact.id);
+    this.replacements.push(contact);
+    if (this.replacements.length > this.k) {
+      this.replacements.shift();
+    }
+  }
+
+  /**
+   * Removes a contact from the replacement cache.
+   * @private
+   * @param {bigint} id - The contact ID
+   * @returns {boolean} True if a replacement was removed
+   */
+  removeReplacement(id) {
+    const index = this.replacements.findIndex((contact) => contact.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.replacements.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Splits the bucket into two halves, distributing contacts and replacements by ID.
+   * @returns {[KBucket, KBucket]} The lower and upper halves
+   */
+  split() {
+    const middle = this.min + (this.max - this.min) / 2n;
+    const lower = new KBucket(this.min, middle, this.k);
+    const upper = new KBucket(middle, this.max, this.k);
+
+    for (const contact of this.contacts) {
+      (lower.covers(contact.id) ? lower : upper).contacts.push(contact);
+    }
+    for (const contact of this.replacements) {
+      (lower.covers(contact.id) ? lower : upper).replacements.push(contact);
+    }
+
+    return [lower, upper];
+  }
+
+  /**
+   * Returns a copy of the live contacts, least recently seen first.
+   * @returns {Contact[]} Array of contacts
+   */
+  toArray() {
+    return [...this.contacts];
+  }
+}
@@ -1,9 +1,585 @@
+/**
+ * @fileoverview A Kademlia DHT node: identity, routing table and RPC handlers.
+ * @module dht/core/node
+ */
+
+import { compareDistance, fromHex, randomId, randomIdInRange, toHex } from '../utils/id.js';
 import { hash } from '../utils/hash.js';
 import { RoutingTable } from './routingTable.js';
+import { RPC, RPC_TYPES, decodeContact, encodeContact, parseAddress } from '../network/rpc.js';
+import { RECORD_PREFIX, createRecord, isExpired, recordKey, validateRecord } from './record.js';
+import { loadIdentity } from './identity.js';
+
+/**
+ * Storage key under which the routing table snapshot is persisted.
+ * @type {string}
+ */
+export const CONTACTS_KEY = 'node:contacts';
+
+/**
+ * Statistics gathered during an iterative lookup.
+ * @typedef {Object} LookupStats
+ * @property {number} hops - Length of the longest chain of referrals that led to a response
+ * @property {number} queried - Number of requests sent
+ * @property {number} failed - Number of requests that failed or timed out
+ * @property {number} duration - Time taken by the lookup in milliseconds
+ */
 
+/**
+ * Result of an iterative lookup.
+ * @typedef {Object} LookupResult
+ * @property {import('./kBucket.js').Contact[]} contacts - Up to k responsive contacts closest to the target
+ * @property {LookupStats} stats - Statistics about the lookup
+ */
+
+/**
+ * A node participating in the Kademlia DHT.
+ */
 export class DHTNode {
-  constructor() {
-    this.nodeId = hash(Math.random().toString());
-    this.routingTable = new RoutingTable(); // TODO: This needs to be finger table?
+  /**
+   * Creates a new DHT node. The node does not accept requests until {@link DHTNode#listen} is called.
+   * Use {@link DHTNode.create} to restore a persisted identity and routing table.
+   * @param {Object} [options] - Node configuration options
+   * @param {import('./identity.js').Identity} [options.identity] - Identity to run as; a random node ID is
+   *   used when omitted
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on and advertise
+   * @param {number} [options.port=0] - Port to listen on, 0 for a random free port
+   * @param {number} [options.k=20] - Bucket size and replication factor
+   * @param {number} [options.alpha=3] - Number of concurrent requests during a lookup
+   * @param {number} [options.timeout=5000] - RPC timeout in milliseconds
+   * @param {import('../storage/storage.js').Storage} [options.storage] - Local storage for records this
+   *   node is responsible for, typically a {@link HybridStorage}. Without it the node refuses STORE requests.
+   * @param {number} [options.recordTtl=86400000] - Lifetime of published records in milliseconds (default 24 hours)
+   * @param {number} [options.republishInterval=3600000] - Interval between republishing runs in milliseconds
+   *   (default 1 hour)
+   * @param {number} [options.expiryInterval=600000] - Interval between expiry sweeps in milliseconds
+   *   (default 10 minutes)
+   * @param {number} [options.refreshInterval=3600000] - Buckets without traffic for this long are refreshed,
+   *   in milliseconds (default 1 hour)
+   */
+  constructor(options = {}) {
+    this.identity = options.identity || null;
+    this.nodeId = this.identity ? fromHex(this.identity.nodeId) : randomId();
+    this.k = options.k || 20;
+    this.alpha = options.alpha || 3;
+    this.routingTable = new RoutingTable(this.nodeId, { k: this.k });
+
+    this.storage = options.storage || null;
+    this.recordTtl = options.recordTtl || 86400000;
+    this.republishInterval = options.republishInterval || 3600000;
+    this.expiryInterval = options.expiryInterval || 600000;
+    this.refreshInterval = options.refreshInterval || 3600000;
+
+    /** @private */
+    this.timers = [];
+
+    this.rpc = new RPC({
+      nodeId: this.nodeId,
+      host: options.host,
+      port: options.port,
+      timeout: options.timeout,
+    });
+    this.rpc.on('contact', (contact) => this.addContact(contact));
+    this.registerHandlers();
+  }
+
+  /**
+   * Creates a node that keeps its place in the keyspace across restarts.
+   * The identity is loaded from (or first generated into) the node's storage, and the routing table is
+   * restored from the last snapshot so the node can rejoin through its previous contacts.
+   *
+   * @param {Object} options - Node configuration options, see {@link DHTNode}; `storage` is required
+   * @returns {Promise<DHTNode>} The node, not yet listening
+   * @throws {Error} If no storage is given
+   */
+  static async create(options) {
+    if (!options?.storage) {
+      throw new Error('storage is required to create a persistent DHTNode');
+    }
+
+    const identity = await loadIdentity(options.storage);
+    const node = new DHTNode({ ...options, identity });
+    await node.restoreContacts();
+    return node;
+  }
+
+  /**
+   * The node's own contact as advertised to other nodes.
+   * @returns {import('./kBucket.js').Contact}
+   */
+  get contact() {
+    return this.rpc.contact;
+  }
+
+  /**
+   * Starts accepting RPC requests and schedules record maintenance.
+   * @returns {Promise<DHTNode>} This node, once listening
+   */
+  async listen() {
+    await this.rpc.listen();
+    this.schedule(() => this.republish(), this.republishInterval);
+    this.schedule(() => this.expire(), this.expiryInterval);
+    this.schedule(() => this.refresh(), this.refreshInterval);
+    return this;
+  }
+
+  /**
+   * Stops record maintenance, stops accepting requests and closes all connections.
+   * The storage is owned by the caller and is left open.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+    await this.saveContacts();
+    await this.rpc.close();
+  }
+
+  /**
+   * Persists a snapshot of the routing table's contacts.
+   * @returns {Promise<void>}
+   */
+  async saveContacts() {
+    if (this.storage) {
+      await this.storage.put(CONTACTS_KEY, this.routingTable.toArray().map(encodeContact));
+    }
+  }
+
+  /**
+   * Restores the routing table from the last persisted snapshot.
+   * Restored contacts are not contacted; those that have gone away are evicted as requests to them fail.
+   *
+   * @returns {Promise<number>} The number of contacts restored
+   */
+  async restoreContacts() {
+    if (!this.storage || !(await this.storage.has(CONTACTS_KEY))) {
+      return 0;
+    }
+
+    const contacts = await this.storage.get(CONTACTS_KEY);
+    contacts.map(decodeContact).forEach((contact) => this.routingTable.add(contact));
+    return this.routingTable.size;
+  }
+
+  /**
+   * Runs a maintenance task periodically without keeping the process alive.
+   * @private
+   * @param {function(): Promise<*>} task - The task to run
+   * @param {number} interval - Interval between runs in milliseconds
+   */
+  schedule(task, interval) {
+    const timer = setInterval(() => {
+      task().catch((error) => console.error('DHT maintenance failed:', error));
+    }, interval);
+    timer.unref();
+    this.timers.push(timer);
+  }
+
+  /**
+   * Adds a contact to the routing table. When its bucket is full, the least recently seen
+   * contact is pinged and evicted in favour of the new one only if it fails to respond.
+   *
+   * @param {import('./kBucket.js').Contact} contact - The contact to add
+   * @returns {Promise<void>}
+   */
+  async addContact(contact) {
+    const head = this.routingTable.add(contact);
+    if (!head) {
+      return;
+    }
+
+    try {
+      await this.ping(head);
+    } catch {
+      this.routingTable.remove(head.id);
+      this.routingTable.add(contact);
+    }
+  }
+
+  /**
+   * Registers the handlers answering incoming RPC requests.
+   * @private
+   */
+  registerHandlers() {
+    this.rpc.handle(RPC_TYPES.PING, () => ({}));
+
+    this.rpc.handle(RPC_TYPES.STORE, async ({ key, record }) => {
+      validateRecord(record);
+      if (isExpired(record)) {
+        throw new Error('Record has expired');
+      }
+      await this.storeLocal(fromHex(key), record);
+      return { stored: true };
+    });
+
+    this.rpc.handle(RPC_TYPES.FIND_NODE, ({ target }, sender) => ({
+      contacts: this.closestContacts(fromHex(target), sender.id),
+    }));
+
+    this.rpc.handle(RPC_TYPES.FIND_VALUE, async ({ key }, sender) => {
+      const id = fromHex(key);
+      const record = await this.findLocal(id);
+      if (record) {
+        return { record };
+      }
+      return { contacts: this.closestContacts(id, sender.id) };
+    });
+  }
+
+  /**
+   * Persists a record in local storage, stamping it with the time it was stored.
+   * @private
+   * @param {bigint} key - The key ID
+   * @param {import('./record.js').DHTRecord} record - The record to store
+   * @returns {Promise<void>}
+   * @throws {Error} If the node has no storage
+   */
+  async storeLocal(key, record) {
+    if (!this.storage) {
+      throw new Error('Storage is not configured');
+    }
+    await this.storage.put(recordKey(key), { ...record, storedAt: Date.now() });
+  }
+
+  /**
+   * Looks up an unexpired record in local storage.
+   * @private
+   * @param {bigint} key - The key ID
+   * @returns {Promise<import('./record.js').DHTRecord|null>} The record, or null if this node does not hold it
+   */
+  async findLocal(key) {
+    if (!this.storage || !(await this.storage.has(recordKey(key)))) {
+      return null;
+    }
+    const record = await this.storage.get(recordKey(key));
+    return isExpired(record) ? null : record;
+  }
+
+  /**
+   * Reads all records held in local storage.
+   * @private
+   * @returns {Promise<Array<{key: bigint, record: import('./record.js').DHTRecord}>>} The records
+   */
+  async localRecords() {
+    if (!this.storage) {
+      return [];
+    }
+
+    const records = [];
+    for await (const [storageKey, record] of this.storage.iterate({ prefix: RECORD_PREFIX })) {
+      records.push({ key: fromHex(storageKey.slice(RECORD_PREFIX.length)), record });
+    }
+    return records;
+  }
+
+  /**
+   * Returns the k contacts closest to a target, encoded for the wire.
+   * @private
+   * @param {bigint} targetId - The target ID
+   * @param {bigint} excludeId - ID of the requesting node, which is never returned to itself
+   * @returns {import('../network/rpc.js').WireContact[]} The encoded contacts
+   */
+  closestContacts(targetId, excludeId) {
+    return this.routingTable
+      .closest(targetId, this.k + 1)
+      .filter(({ id }) => id !== excludeId)
+      .slice(0, this.k)
+      .map(encodeContact);
+  }
+
+  /**
+   * Checks whether a remote node is alive.
+   * @param {{host: string, port: number}} contact - The node to ping
+   * @returns {Promise<import('./kBucket.js').Contact>} The responding node's contact
+   */
+  async ping(contact) {
+    const { sender } = await this.rpc.request(contact, RPC_TYPES.PING);
+    return sender;
+  }
+
+  /**
+   * Asks a remote node to store a value.
+   * @param {import('./kBucket.js').Contact} contact - The node to store the value on
+   * @param {bigint} key - The key ID
+   * @param {import('./record.js').DHTRecord} record - The record to store
+   * @returns {Promise<void>}
+   */
+  async store(contact, key, record) {
+    await this.rpc.request(contact, RPC_TYPES.STORE, { key: toHex(key), record });
+  }
+
+  /**
+   * Asks a remote node for the contacts it knows closest to a target.
+   * @param {import('./kBucket.js').Contact} contact - The node to query
+   * @param {bigint} targetId - The target ID
+   * @returns {Promise<import('./kBucket.js').Contact[]>} The returned contacts
+   */
+  async findNode(contact, targetId) {
+    const { payload } = await this.rpc.request(contact, RPC_TYPES.FIND_NODE, {
+      target: toHex(targetId),
+    });
+    return (payload.contacts || []).map(decodeContact);
+  }
+
+  /**
+   * Asks a remote node for a value, or the contacts it knows closest to the key.
+   * @param {import('./kBucket.js').Contact} contact - The node to query
+   * @param {bigint} key - The key ID
+   * @returns {Promise<{value: *, record: import('./record.js').DHTRecord}|{contacts: import('./kBucket.js').Contact[]}>}
+   *   The value and its record if found, otherwise the closest contacts
+   */
+  async findValue(contact, key) {
+    const { payload } = await this.rpc.request(contact, RPC_TYPES.FIND_VALUE, { key: toHex(key) });
+    if (payload.record) {
+      validateRecord(payload.record);
+      return { value: payload.record.value, record: payload.record };
+    }
+    return { contacts: (payload.contacts || []).map(decodeContact) };
+  }
+
+  /**
+   * Performs an iterative Kademlia node lookup.
+   * Queries the alpha closest known contacts concurrently, merges the contacts they return into a
+   * shortlist and keeps querying the closest unqueried ones until the k closest contacts in the
+   * shortlist have all responded. Contacts that fail to respond are marked stale in the routing table.
+   *
+   * @param {bigint} targetId - The ID to look up
+   * @returns {Promise<LookupResult>} The closest contacts and lookup statistics
+   */
+  async lookup(targetId) {
+    const { contacts, stats } = await this.iterativeFind(targetId, async (contact) => ({
+      contacts: await this.findNode(contact, targetId),
+    }));
+    return { contacts, stats };
+  }
+
+  /**
+   * Runs the iterative lookup procedure with the given query.
+   * The query returns either more contacts to visit or, for value lookups, a value that ends the lookup.
+   *
+   * @private
+   * @param {bigint} targetId - The ID to look up
+   * @param {function(import('./kBucket.js').Contact): Promise<Object>} query - Sends the request to a
+   *   single contact and resolves to `{contacts}` or `{value}`
+   * @returns {Promise<LookupResult & {value?: *}>} The lookup result, with the value if one was found
+   */
+  async iterativeFind(targetId, query) {
+    const startedAt = Date.now();
+    const stats = { hops: 0, queried: 0, failed: 0, duration: 0 };
+
+    /**
+     * Shortlist entries indexed by contact ID.
+     * @type {Map<bigint, {contact: import('./kBucket.js').Contact, depth: number, state: string}>}
+     */
+    const shortlist = new Map();
+    const inFlight = new Set();
+    let result = null;
+
+    const enqueue = (contact, depth) => {
+      if (contact.id !== this.nodeId && !shortlist.has(contact.id)) {
+        shortlist.set(contact.id, { contact, depth, state: 'pending' });
+      }
+    };
+
+    // The k closest live entries; the lookup ends once all of them have responded
+    const closest = () =>
+      [...shortlist.values()]
+        .filter(({ state }) => state !== 'failed')
+        .sort((a, b) => compareDistance(targetId, a.contact.id, b.contact.id))
+        .slice(0, this.k);
+
+    const visit = async (entry) => {
+      entry.state = 'querying';
+      stats.queried++;
+      try {
+        const response = await query(entry.contact);
+        entry.state = 'responded';
+        stats.hops = Math.max(stats.hops, entry.depth);
+        if ('value' in response) {
+          result ??= { value: response.value };
+        }
+        (response.contacts || []).forEach((contact) => enqueue(contact, entry.depth + 1));
+      } catch {
+        entry.state = 'failed';
+        stats.failed++;
+        this.routingTable.markStale(entry.contact.id);
+      }
+    };
+
+    this.routingTable.closest(targetId, this.k).forEach((contact) => enqueue(contact, 1));
+
+    while (!result) {
+      const candidates = closest().filter(({ state }) => state === 'pending');
+      candidates.slice(0, this.alpha - inFlight.size).forEach((entry) => {
+        const request = visit(entry).finally(() => inFlight.delete(request));
+        inFlight.add(request);
+      });
+
+      if (inFlight.size === 0) {
+        break;
+      }
+      await Promise.race(inFlight);
+    }
+
+    // Let requests still in flight settle so their contacts are accounted for
+    await Promise.all(inFlight);
+
+    stats.duration = Date.now() - startedAt;
+    const contacts = closest()
+      .filter(({ state }) => state === 'responded')
+      .map(({ contact }) => contact);
+
+    return result ? { ...result, contacts, stats } : { contacts, stats };
+  }
+
+  /**
+   * Stores a value in the DHT.
+   * The key is hashed to an ID and a record published by this node is replicated to the k nodes
+   * closest to it, which includes this node if it is among them.
+   *
+   * @param {string|Buffer} key - The key to store the value under
+   * @param {*} value - The value to store; must be JSON-serializable
+   * @param {Object} [options] - Publication options
+   * @param {number} [options.ttl] - Lifetime of the record in milliseconds, defaults to the node's record TTL
+   * @returns {Promise<number>} The number of nodes that stored the value
+   * @throws {Error} If no node accepted the value
+   */
+  async put(key, value, options = {}) {
+    const record = createRecord(value, this.nodeId, options.ttl || this.recordTtl);
+    const replicas = await this.replicate(hash(key), record);
+    if (replicas === 0) {
+      throw new Error(`Failed to store value: no node accepted key ${key}`);
+    }
+    return replicas;
+  }
+
+  /**
+   * Stores a record on the k nodes currently closest to its key.
+   * @private
+   * @param {bigint} id - The key ID
+   * @param {import('./record.js').DHTRecord} record - The record to store
+   * @returns {Promise<number>} The number of nodes that stored the record
+   */
+  async replicate(id, record) {
+    const { contacts } = await this.lookup(id);
+
+    const targets = [...contacts, this.contact]
+      .sort((a, b) => compareDistance(id, a.id, b.id))
+      .slice(0, this.k);
+
+    const results = await Promise.allSettled(
+      targets.map((contact) =>
+        contact.id === this.nodeId ? this.storeLocal(id, record) : this.store(contact, id, record)
+      )
+    );
+
+    return results.filter(({ status }) => status === 'fulfilled').length;
+  }
+
+  /**
+   * Retrieves a value from the DHT, checking local storage before querying the network.
+   * @param {string|Buffer} key - The key to look up
+   * @returns {Promise<*>} The stored value
+   * @throws {Error} If no node holds an unexpired record for the key
+   */
+  async get(key) {
+    const id = hash(key);
+
+    const local = await this.findLocal(id);
+    if (local) {
+      return local.value;
+    }
+
+    const result = await this.iterativeFind(id, (contact) => this.findValue(contact, id));
+    if ('value' in result) {
+      return result.value;
+    }
+    throw new Error(`Key not found: ${key}`);
+  }
+
+  /**
+   * Re-pushes every unexpired local record to the nodes currently closest to its key, so records
+   * survive churn. Records published by this node get their expiry extended by the record TTL;
+   * records replicated from other nodes keep their original expiry.
+   *
+   * @returns {Promise<number>} The number of records republished
+   */
+  async republish() {
+    const now = Date.now();
+    const publisher = toHex(this.nodeId);
+    let republished = 0;
+
+    for (const { key, record } of await this.localRecords()) {
+      if (isExpired(record, now)) {
+        continue;
+      }
+      const refreshed =
+        record.publisher === publisher ? { ...record, expiresAt: now + this.recordTtl } : record;
+      await this.replicate(key, refreshed);
+      republished++;
+    }
+
+    return republished;
+  }
+
+  /**
+   * Deletes expired records from local storage.
+   * @returns {Promise<number>} The number of records deleted
+   */
+  async expire() {
+    const now = Date.now();
+    const expired = (await this.localRecords()).filter(({ record }) => isExpired(record, now));
+
+    if (expired.length > 0) {
+      await this.storage.batch(expired.map(({ key }) => ({ type: 'delete', key: recordKey(key) })));
+    }
+    return expired.length;
+  }
+
+  /**
+   * Joins the network through a set of seed nodes.
+   * Pings every seed to learn its ID, looks up the node's own ID to populate the routing table
+   * with its neighbours, then refreshes every bucket to learn about the rest of the keyspace.
+   *
+   * @param {Array<string|{host: string, port: number}>} seeds - Seed addresses, as "host:port" strings
+   *   or address objects
+   * @returns {Promise<number>} The number of contacts in the routing table after joining
+   * @throws {Error} If a seed address is malformed, or seeds were given but none of them responded
+   */
+  async join(seeds) {
+    // Parse every seed before pinging any, so a malformed one does not leave pings behind
+    const contacts = seeds.map((seed) => parseAddress(seed));
+    const results = await Promise.allSettled(contacts.map((contact) => this.ping(contact)));
+
+    if (seeds.length > 0 && results.every(({ status }) => status === 'rejected')) {
+      throw new Error('Failed to join network: no seed responded');
+    }
+
+    await this.lookup(this.nodeId);
+    await this.refresh(0);
+    await this.saveContacts();
+    return this.routingTable.size;
+  }
+
+  /**
+   * Refreshes buckets that have not been updated recently by looking up a random ID in their range.
+   * @param {number} [maxAge=refreshInterval] - Buckets last updated longer ago than this are refreshed,
+   *   in milliseconds
+   * @returns {Promise<number>} The number of buckets refreshed
+   */
+  async refresh(maxAge = this.refreshInterval) {
+    const now = Date.now();
+    // Lookups may split buckets, so work on a snapshot of the current ones
+    const stale = this.routingTable.buckets.filter((bucket) => now - bucket.lastUpdated >= maxAge);
+
+    for (const bucket of stale) {
+      await this.lookup(randomIdInRange(bucket.min, bucket.max));
+      bucket.lastUpdated = Date.now();
+    }
+
+    if (stale.length > 0) {
+      await this.saveContacts();
+    }
+    return stale.length;
   }
 }
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview DHT records: stored values together with their publication metadata.
+ * @module dht/core/record
+ */
+
+import { toHex } from '../utils/id.js';
+
+/**
+ * Prefix of the storage keys under which records are persisted.
+ * @type {string}
+ */
+export const RECORD_PREFIX = 'record:';
+
+/**
+ * A value stored in the DHT together with its metadata.
+ * @typedef {Object} DHTRecord
+ * @property {*} value - The stored value
+ * @property {string} publisher - Hex-encoded ID of the node that originally published the value
+ * @property {number} storedAt - Unix timestamp of when the holding node last stored the record
+ * @property {number} expiresAt - Unix timestamp after which the record must be discarded
+ */
+
+/**
+ * Returns the storage key under which a record is persisted.
+ * @param {bigint} key - The key ID
+ * @returns {string} The storage key
+ */
+export const recordKey = (key) => `${RECORD_PREFIX}${toHex(key)}`;
+
+/**
+ * Creates a new record for a value published by the given node.
+ * @param {*} value - The value to store
+ * @param {bigint} publisher - ID of the publishing node
+ * @param {number} ttl - Lifetime of the record in milliseconds
+ * @returns {DHTRecord} The record
+ */
+export const createRecord = (value, publisher, ttl) => {
+  const now = Date.now();
+  return { value, publisher: toHex(publisher), storedAt: now, expiresAt: now + ttl };
+};
+
+/**
+ * Checks whether a record has expired.
+ * @param {DHTRecord} record - The record to check
+ * @param {number} [now=Date.now()] - The reference time
+ * @returns {boolean} True if the record must be discarded
+ */
+export const isExpired = (record, now = Date.now()) => record.expiresAt <= now;
+
+/**
+ * Validates a record received from another node.
+ * @param {*} record - The record to validate
+ * @throws {TypeError} If the record is malformed
+ */
+export const validateRecord = (record) => {
+  if (
+    typeof record !== 'object' ||
+    record === null ||
+    !('value' in record) ||
+    typeof record.publisher !== 'string' ||
+    !Number.isFinite(record.expiresAt)
+  ) {
+    throw new TypeError('Record must have a value, a publisher and an expiry time');
+  }
+};
@@ -1 +1,145 @@
-export class RoutingTable {}
+/**
+ * @fileoverview Kademlia routing table organising contacts into k-buckets by XOR distance.
+ * @module dht/core/routingTable
+ */
+
+import { KBucket } from './kBucket.js';
+import { ID_SPACE, compareDistance, isId } from '../utils/id.js';
+
+/**
+ * Routing table of a DHT node.
+ * Starts with a single bucket covering the whole ID space. Only the bucket containing the
+ * local node ID is ever split, so the table keeps many contacts close to the local node
+ * and progressively fewer contacts further away.
+ */
+export class RoutingTable {
+  /**
+   * Creates a new routing table.
+   * @param {bigint} localId - ID of the node owning this table
+   * @param {Object} [options] - Routing table configuration options
+   * @param {number} [options.k=20] - Maximum number of contacts per bucket
+   * @param {number} [options.maxFailures=3] - Consecutive failures tolerated before a contact is evicted
+   */
+  constructor(localId, options = {}) {
+    if (!isId(localId)) {
+      throw new TypeError('localId must be a valid ID');
+    }
+
+    this.localId = localId;
+    this.k = options.k || 20;
+    this.maxFailures = options.maxFailures || 3;
+
+    /**
+     * Buckets ordered by ID range, together covering the whole ID space.
+     * @type {KBucket[]}
+     */
+    this.buckets = [new KBucket(0n, ID_SPACE, this.k)];
+  }
+
+  /**
+   * Total number of live contacts in the table.
+   * @returns {number}
+   */
+  get size() {
+    return this.buckets.reduce((total, bucket) => total + bucket.size, 0);
+  }
+
+  /**
+   * Finds the index of the bucket covering the given ID.
+   * @private
+   * @param {bigint} id - The ID to locate
+   * @returns {number} Index into {@link RoutingTable#buckets}
+   */
+  indexOf(id) {
+    return this.buckets.findIndex((bucket) => bucket.covers(id));
+  }
+
+  /**
+   * Returns the bucket covering the given ID.
+   * @param {bigint} id - The ID to locate
+   * @returns {KBucket} The covering bucket
+   */
+  bucketFor(id) {
+    return this.buckets[this.indexOf(id)];
+  }
+
+  /**
+   * Adds or refreshes a contact, splitting the local node's bucket when it is full.
+   * Contacts carrying the local node ID are ignored.
+   *
+   * @param {import('./kBucket.js').Contact} contact - The contact to add
+   * @returns {import('./kBucket.js').Contact|null} The least recently seen contact of a full bucket,
+   *   which should be pinged before evicting it, otherwise null
+   */
+  add(contact) {
+    if (contact.id === this.localId) {
+      return null;
+    }
+
+    const index = this.indexOf(contact.id);
+    const bucket = this.buckets[index];
+
+    if (bucket.isFull() && !bucket.has(contact.id) && bucket.covers(this.localId)) {
+      this.buckets.splice(index, 1, ...bucket.split());
+      return this.add(contact);
+    }
+
+    return bucket.add(contact);
+  }
+
+  /**
+   * Removes a contact, letting its bucket promote a replacement.
+   * @param {bigint} id - The contact ID
+   * @returns {boolean} True if a contact was removed
+   */
+  remove(id) {
+    return this.bucketFor(id).remove(id);
+  }
+
+  /**
+   * Records a failed request to a contact, evicting it once it is considered dead.
+   * @param {bigint} id - The contact ID
+   * @returns {boolean} True if the contact was evicted
+   */
+  markStale(id) {
+    return this.bucketFor(id).markStale(id, this.maxFailures);
+  }
+
+  /**
+   * Checks whether a contact is live in the table.
+   * @param {bigint} id - The contact ID
+   * @returns {boolean} True if the contact is present
+   */
+  has(id) {
+    return this.bucketFor(id).has(id);
+  }
+
+  /**
+   * Retrieves a live contact by ID.
+   * @param {bigint} id - The contact ID
+   * @returns {import('./kBucket.js').Contact|undefined} The contact, if present
+   */
+  get(id) {
+    return this.bucketFor(id).get(id);
+  }
+
+  /**
+   * Returns the contacts closest to a target by XOR distance.
+   * @param {bigint} targetId - The ID to measure distance from
+   * @param {number} [n=k] - Maximum number of contacts to return
+   * @returns {import('./kBucket.js').Contact[]} Contacts ordered from closest to furthest
+   */
+  closest(targetId, n = this.k) {
+    return this.toArray()
+      .sort((a, b) => compareDistance(targetId, a.id, b.id))
+      .slice(0, n);
+  }
+
+  /**
+   * Returns all live contacts in the table.
+   * @returns {import('./kBucket.js').Contact[]} Array of contacts
+   */
+  toArray() {
+    return this.buckets.flatMap((bucket) => bucket.toArray());
+  }
+}
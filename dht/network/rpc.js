@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Request/response RPC transport between DHT nodes over WebSockets.
+ * @module dht/network/rpc
+ */
+
+import { EventEmitter } from 'node:events';
+import * as crypto from 'node:crypto';
+import { WebSocket, WebSocketServer } from 'ws';
+import { fromHex, toHex } from '../utils/id.js';
+
+/**
+ * RPC types understood by DHT nodes.
+ * @readonly
+ * @enum {string}
+ */
+export const RPC_TYPES = Object.freeze({
+  PING: 'PING',
+  STORE: 'STORE',
+  FIND_NODE: 'FIND_NODE',
+  FIND_VALUE: 'FIND_VALUE',
+});
+
+/**
+ * A contact as it travels over the wire, with its ID hex-encoded.
+ * @typedef {Object} WireContact
+ * @property {string} id - Hex-encoded node ID
+ * @property {string} host - Host the node listens on
+ * @property {number} port - Port the node listens on
+ */
+
+/**
+ * A response received for an RPC request.
+ * @typedef {Object} RPCResponse
+ * @property {import('../core/kBucket.js').Contact} sender - The responding node
+ * @property {Object} payload - The response payload
+ */
+
+/**
+ * Encodes a contact for the wire.
+ * @param {import('../core/kBucket.js').Contact} contact - The contact to encode
+ * @returns {WireContact} The encoded contact
+ */
+export const encodeContact = ({ id, host, port }) => ({ id: toHex(id), host, port });
+
+/**
+ * Decodes a contact received from the wire.
+ * @param {WireContact} contact - The encoded contact
+ * @returns {import('../core/kBucket.js').Contact} The decoded contact
+ * @throws {TypeError} If the contact is malformed
+ */
+export const decodeContact = (contact) => {
+  if (typeof contact?.host !== 'string' || !Number.isInteger(contact?.port)) {
+    throw new TypeError('Contact must have a host and an integer port');
+  }
+  return { id: fromHex(contact.id), host: contact.host, port: contact.port };
+};
+
+/**
+ * Parses a "host:port" address, e.g. a seed given on the command line.
+ * @param {string|{host: string, port: number}} address - The address to parse
+ * @returns {{host: string, port: number}} The parsed address
+ * @throws {TypeError} If the address is malformed
+ */
+export const parseAddress = (address) => {
+  if (typeof address === 'object' && address !== null) {
+    return { host: address.host, port: address.port };
+  }
+
+  const separator = String(address).lastIndexOf(':');
+  const host = String(address).slice(0, separator);
+  const port = Number(String(address).slice(separator + 1));
+  if (separator < 1 || !Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new TypeError(`Invalid address: ${address}`);
+  }
+  return { host, port };
+};
+
+/**
+ * RPC endpoint of a DHT node.
+ * Listens for requests on a WebSocket server and sends requests over outbound WebSocket
+ * connections, which are cached per address. Every message carries the sender's contact so
+ * the receiving node can keep its routing table up to date; a `contact` event is emitted for
+ * each sender seen.
+ *
+ * @fires RPC#contact
+ */
+export class RPC extends EventEmitter {
+  /**
+   * Creates a new RPC endpoint.
+   * @param {Object} options - RPC configuration options
+   * @param {bigint} options.nodeId - ID of the local node
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on and advertise
+   * @param {number} [options.port=0] - Port to listen on, 0 for a random free port
+   * @param {number} [options.timeout=5000] - Time to wait for a response in milliseconds
+   */
+  constructor(options) {
+    super();
+
+    if (typeof options?.nodeId !== 'bigint') {
+      throw new Error('nodeId is required for RPC');
+    }
+
+    this.nodeId = options.nodeId;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.timeout = options.timeout || 5000;
+
+    /**
+     * Request handlers, indexed by RPC type.
+     * @private
+     * @type {Map<string, Function>}
+     */
+    this.handlers = new Map();
+
+    /**
+     * Requests awaiting a response, indexed by request ID.
+     * @private
+     * @type {Map<string, {resolve: Function, reject: Function, timer: NodeJS.Timeout, ws: WebSocket}>}
+     */
+    this.pending = new Map();
+
+    /**
+     * Outbound connections, indexed by "host:port".
+     * @private
+     * @type {Map<string, Promise<WebSocket>>}
+     */
+    this.sockets = new Map();
+
+    /** @private */
+    this.server = null;
+  }
+
+  /**
+   * The local node's contact as advertised to other nodes.
+   * @returns {import('../core/kBucket.js').Contact}
+   */
+  get contact() {
+    return { id: this.nodeId, host: this.host, port: this.port };
+  }
+
+  /**
+   * Starts listening for incoming requests.
+   * @returns {Promise<void>} Resolves once the server is listening
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocketServer({ host: this.host, port: this.port });
+      this.server.once('error', reject);
+      this.server.once('listening', () => {
+        this.port = this.server.address().port;
+        resolve();
+      });
+      this.server.on('connection', (ws) => this.attach(ws));
+    });
+  }
+
+  /**
+   * Registers the handler for an RPC type.
+   * The handler receives the request payload and the sender's contact and returns the response payload.
+   *
+   * @param {string} type - The RPC type
+   * @param {function(Object, import('../core/kBucket.js').Contact): (Object|Promise<Object>)} handler - The handler
+   * @returns {void}
+   */
+  handle(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Sends a request to a remote node and waits for its response.
+   * @param {{host: string, port: number}} contact - The node to send the request to
+   * @param {string} type - The RPC type
+   * @param {Object} [payload={}] - The request payload
+   * @returns {Promise<RPCResponse>} The response
+   * @throws {Error} If the connection fails, the request cannot be sent, times out (code `RPC_TIMEOUT`)
+   *   or the remote handler fails (code `RPC_REMOTE_ERROR`)
+   */
+  async request(contact, type, payload = {}) {
+    const ws = await this.connect(contact);
+    const id = crypto.randomBytes(8).toString('hex');
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        const error = new Error(`RPC ${type} to ${contact.host}:${contact.port} timed out`);
+        error.code = 'RPC_TIMEOUT';
+        reject(error);
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer, ws });
+      try {
+        ws.send(JSON.stringify({ rpc: 'request', id, type, sender: encodeContact(this.contact), payload }));
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Returns a cached or new outbound connection to a remote node.
+   * @private
+   * @param {{host: string, port: number}} contact - The node to connect to
+   * @returns {Promise<WebSocket>} The open connection
+   */
+  connect({ host, port }) {
+    const address = `${host}:${port}`;
+    if (!this.sockets.has(address)) {
+      const connection = new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://${address}`);
+        ws.once('open', () => resolve(ws));
+        ws.once('error', reject);
+        ws.once('close', () => {
+          this.sockets.delete(address);
+          this.rejectPending(ws, new Error(`Connection to ${address} closed`));
+        });
+        this.attach(ws);
+      });
+      // Forget failed connections so the next request retries
+      connection.catch(() => this.sockets.delete(address));
+      this.sockets.set(address, connection);
+    }
+    return this.sockets.get(address);
+  }
+
+  /**
+   * Routes messages received on a connection.
+   * @private
+   * @param {WebSocket} ws - The connection
+   */
+  attach(ws) {
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+        const sender = decodeContact(message.sender);
+
+        if (message.rpc === 'request') {
+          this.emit('contact', sender);
+          this.handleRequest(ws, message, sender);
+        } else if (message.rpc === 'response') {
+          this.handleResponse(message, sender);
+        }
+      } catch (error) {
+        console.error('Invalid RPC message:', error);
+      }
+    });
+    // Errors surface through 'close' and pending request rejection
+    ws.on('error', () => {});
+  }
+
+  /**
+   * Runs the handler for an incoming request and replies with its result.
+   * @private
+   * @param {WebSocket} ws - The connection the request arrived on
+   * @param {Object} message - The request message
+   * @param {import('../core/kBucket.js').Contact} sender - The requesting node
+   * @returns {Promise<void>}
+   */
+  async handleRequest(ws, message, sender) {
+    const reply = { rpc: 'response', id: message.id, sender: encodeContact(this.contact) };
+
+    try {
+      const handler = this.handlers.get(message.type);
+      if (!handler) {
+        throw new Error(`Unknown RPC type: ${message.type}`);
+      }
+      reply.payload = (await handler(message.payload ?? {}, sender)) ?? {};
+    } catch (error) {
+      reply.error = error.message;
+    }
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(reply));
+    }
+  }
+
+  /**
+   * Settles the pending request matching an incoming response.
+   * @private
+   * @param {Object} message - The response message
+   * @param {import('../core/kBucket.js').Contact} sender - The responding node
+   */
+  handleResponse(message, sender) {
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      // Late response to a request that already timed out
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending.delete(message.id);
+    this.emit('contact', sender);
+
+    if (message.error) {
+      const error = new Error(message.error);
+      error.code = 'RPC_REMOTE_ERROR';
+      pending.reject(error);
+    } else {
+      pending.resolve({ sender, payload: message.payload ?? {} });
+    }
+  }
+
+  /**
+   * Rejects all pending requests sent over a connection.
+   * @private
+   * @param {WebSocket|null} ws - The connection, or null for all connections
+   * @param {Error} error - The rejection reason
+   */
+  rejectPending(ws, error) {
+    for (const [id, pending] of this.pending) {
+      if (ws === null || pending.ws === ws) {
+        clearTimeout(pending.timer);
+        this.pending.delete(id);
+        pending.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Closes all connections and stops listening.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.rejectPending(null, new Error('RPC closed'));
+
+    const sockets = await Promise.allSettled(this.sockets.values());
+    this.sockets.clear();
+    sockets.forEach(({ status, value }) => status === 'fulfilled' && value.terminate());
+
+    if (this.server) {
+      this.server.clients.forEach((ws) => ws.terminate());
+      await new Promise((resolve) => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+}
@@ -6,6 +6,42 @@
 import { Level } from 'level';
 import { Storage } from './storage.js';
 
+/**
+ * Translates a key range into LevelDB iterator options. LevelDB orders keys by their UTF-8 bytes,
+ * so bounds are given as buffers: a prefix becomes a lower bound on the prefix itself and an upper
+ * bound on the prefix with its last byte incremented, which sorts after every key starting with it.
+ * The iterator yields keys as buffers too; see {@link decodeKey}.
+ * @param {import('./storage.js').StorageRange} range - The range
+ * @returns {Object} The iterator options
+ */
+const toIteratorOptions = ({ prefix, gt, gte, lt, lte, limit, reverse = false }) => {
+  const options = { reverse, keyEncoding: 'buffer' };
+  if (gt !== undefined || gte !== undefined) {
+    Object.assign(options, gt !== undefined ? { gt: Buffer.from(gt) } : { gte: Buffer.from(gte) });
+  } else if (prefix) {
+    options.gte = Buffer.from(prefix);
+  }
+  if (lt !== undefined || lte !== undefined) {
+    Object.assign(options, lt !== undefined ? { lt: Buffer.from(lt) } : { lte: Buffer.from(lte) });
+  } else if (prefix) {
+    // UTF-8 never contains a 0xff byte, so the last byte can always be incremented
+    const bound = Buffer.from(prefix);
+    bound[bound.length - 1] += 1;
+    options.lt = bound;
+  }
+  if (limit !== undefined) {
+    options.limit = limit;
+  }
+  return options;
+};
+
+/**
+ * Decodes a key read with the options of {@link toIteratorOptions}.
+ * @param {Buffer} key - The UTF-8 encoded key
+ * @returns {string} The key
+ */
+const decodeKey = (key) => key.toString('utf8');
+
 /**
  * Hybrid storage implementation that combines fast in-memory access with persistent LevelDB storage.
  * Uses an LRU cache for frequently accessed items while ensuring data persistence.
@@ -85,6 +121,20 @@ export class HybridStorage extends Storage {
     this.lruList.push(key);
   }
 
+  /**
+   * Removes a key from the cache.
+   * @private
+   * @param {string} key - The key to remove
+   */
+  removeFromCache(key) {
+    this.cache.delete(key);
+    this.cacheTimestamps.delete(key);
+    const index = this.lruList.indexOf(key);
+    if (index > -1) {
+      this.lruList.splice(index, 1);
+    }
+  }
+
   /**
    * Stores a value in both cache and persistent storage.
    * @param {string} key - The key to store the value under
@@ -169,13 +219,7 @@ export class HybridStorage extends Storage {
     try {
       this.verifyDbOpen();
 
-      // Remove from cache
-      this.cache.delete(key);
-      this.cacheTimestamps.delete(key);
-      const index = this.lruList.indexOf(key);
-      if (index > -1) {
-        this.lruList.splice(index, 1);
-      }
+      this.removeFromCache(key);
 
       // Remove from LevelDB
       await this.db.del(key);
@@ -219,6 +263,99 @@ export class HybridStorage extends Storage {
     }
   }
 
+  /**
+   * Retrieves the values of several keys at once, reading the ones missing from the cache in a
+   * single LevelDB lookup.
+   * @param {string[]} keys - The keys to look up
+   * @returns {Promise<Array<*>>} The values, in the order of the keys; undefined for missing keys
+   */
+  async getMany(keys) {
+    try {
+      this.verifyDbOpen();
+
+      const now = Date.now();
+      const values = keys.map((key) =>
+        this.cache.has(key) && now - this.cacheTimestamps.get(key) <= this.ttl ? this.cache.get(key) : undefined,
+      );
+      const missing = keys.map((key, index) => index).filter((index) => values[index] === undefined);
+      if (missing.length === 0) {
+        return values;
+      }
+
+      const found = await this.db.getMany(missing.map((index) => keys[index]));
+      found.forEach((value, i) => {
+        if (value !== undefined) {
+          values[missing[i]] = value;
+          this.addToCache(keys[missing[i]], value);
+        }
+      });
+      return values;
+    } catch (error) {
+      throw new Error(`Failed to retrieve values: ${error.message}`);
+    }
+  }
+
+  /**
+   * Applies several writes atomically with a LevelDB batch. The cache is only updated once the
+   * batch is stored, so it never holds values that were not written.
+   * @param {import('./storage.js').BatchOperation[]} operations - The writes, applied in order
+   * @returns {Promise<void>}
+   */
+  async batch(operations) {
+    try {
+      this.verifyDbOpen();
+
+      await this.db.batch(
+        operations.map(({ type, key, value }) => {
+          if (type === 'put') {
+            return { type, key, value };
+          }
+          if (type === 'delete') {
+            return { type: 'del', key };
+          }
+          throw new Error(`Unknown batch operation: ${type}`);
+        }),
+      );
+      operations.forEach(({ type, key, value }) =>
+        type === 'put' ? this.addToCache(key, value) : this.removeFromCache(key),
+      );
+    } catch (error) {
+      throw new Error(`Failed to apply batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Iterates over the entries of a key range, straight from a LevelDB iterator.
+   * @param {import('./storage.js').StorageRange} [range={}] - The range; all entries if omitted
+   * @returns {AsyncIterableIterator<[string, *]>} The key and value of each entry, in key order
+   */
+  async *iterate(range = {}) {
+    try {
+      this.verifyDbOpen();
+      for await (const [key, value] of this.db.iterator(toIteratorOptions(range))) {
+        yield [decodeKey(key), value];
+      }
+    } catch (error) {
+      throw new Error(`Failed to iterate over entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Iterates over the keys of a key range, straight from a LevelDB iterator.
+   * @param {import('./storage.js').StorageRange} [range={}] - The range; all keys if omitted
+   * @returns {AsyncIterableIterator<string>} The keys, in order
+   */
+  async *iterateKeys(range = {}) {
+    try {
+      this.verifyDbOpen();
+      for await (const key of this.db.keys(toIteratorOptions(range))) {
+        yield decodeKey(key);
+      }
+    } catch (error) {
+      throw new Error(`Failed to iterate over keys: ${error.message}`);
+    }
+  }
+
   /**
    * Returns all keys in storage.
    * @returns {Promise<string[]>} Array of keys
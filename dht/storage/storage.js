@@ -3,6 +3,24 @@
  * @module storage/storage
  */
 
+/**
+ * Range of keys to iterate over, in lexicographic order. Bounds on the same side as a prefix
+ * replace the prefix's own bound there, e.g. to start after a given key within the prefix.
+ * @typedef {Object} StorageRange
+ * @property {string} [prefix] - Only include keys starting with this prefix
+ * @property {string} [gt] - Only include keys greater than this key
+ * @property {string} [gte] - Only include keys greater than or equal to this key
+ * @property {string} [lt] - Only include keys less than this key
+ * @property {string} [lte] - Only include keys less than or equal to this key
+ * @property {number} [limit] - Maximum number of entries, all of them if omitted
+ * @property {boolean} [reverse=false] - Iterate from the last key to the first
+ */
+
+/**
+ * An operation of an atomic batch of writes.
+ * @typedef {{type: 'put', key: string, value: *}|{type: 'delete', key: string}} BatchOperation
+ */
+
 /**
  * Abstract class representing a storage implementation for the DHT.
  */
@@ -62,7 +80,51 @@ export class Storage {
   }
 
   /**
-   * Returns all keys in storage.
+   * Retrieves the values of several keys at once.
+   * @param {string[]} keys - The keys to look up
+   * @returns {Promise<Array<*>>} The values, in the order of the keys; undefined for missing keys
+   * @throws {Error} If the operation fails or is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  async getMany(keys) {
+    throw new Error(`${this.getMany.name} not implemented`);
+  }
+
+  /**
+   * Applies several writes atomically: either all of them are stored or none is.
+   * @param {BatchOperation[]} operations - The writes, applied in order
+   * @returns {Promise<void>}
+   * @throws {Error} If the operation fails or is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  async batch(operations) {
+    throw new Error(`${this.batch.name} not implemented`);
+  }
+
+  /**
+   * Iterates over the entries of a key range without loading them all in memory.
+   * @param {StorageRange} [range={}] - The range; all entries if omitted
+   * @returns {AsyncIterableIterator<[string, *]>} The key and value of each entry, in key order
+   * @throws {Error} If the operation fails or is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars, require-yield
+  async *iterate(range) {
+    throw new Error(`${this.iterate.name} not implemented`);
+  }
+
+  /**
+   * Iterates over the keys of a key range without loading them all in memory.
+   * @param {StorageRange} [range={}] - The range; all keys if omitted
+   * @returns {AsyncIterableIterator<string>} The keys, in order
+   * @throws {Error} If the operation fails or is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars, require-yield
+  async *iterateKeys(range) {
+    throw new Error(`${this.iterateKeys.name} not implemented`);
+  }
+
+  /**
+   * Returns all keys in storage, loading them all in memory; {@link Storage#iterateKeys} scans a range instead.
    * @returns {Promise<string[]>} Array of keys
    * @throws {Error} If the operation fails or is not implemented
    */
@@ -1,3 +1,4 @@
 import * as crypto from 'node:crypto';
+import { fromBuffer } from './id.js';
 
-export const hash = (key) => parseInt(crypto.createHash('sha1').update(key).digest('hex'), 16);
+export const hash = (key) => fromBuffer(crypto.createHash('sha1').update(key).digest());
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Helpers for 160-bit DHT identifiers.
+ * IDs are represented as non-negative bigints so that XOR distance and ordering can be computed
+ * with native operators and IDs can be used directly as Map keys.
+ * @module dht/utils/id
+ */
+
+import * as crypto from 'node:crypto';
+
+/**
+ * Number of bits in an ID.
+ * @type {number}
+ */
+export const ID_BITS = 160;
+
+/**
+ * Number of bytes in an ID.
+ * @type {number}
+ */
+export const ID_BYTES = ID_BITS / 8;
+
+/**
+ * Size of the ID space, i.e. one past the largest ID.
+ * @type {bigint}
+ */
+export const ID_SPACE = 1n << BigInt(ID_BITS);
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Checks whether a value is a valid ID.
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a bigint within the ID space
+ */
+export const isId = (value) => typeof value === 'bigint' && value >= 0n && value < ID_SPACE;
+
+/**
+ * Throws if a value is not a valid ID.
+ * @private
+ * @param {*} value - The value to check
+ * @throws {TypeError} If the value is not a valid ID
+ */
+const assertId = (value) => {
+  if (!isId(value)) {
+    throw new TypeError(`Invalid ID: ${value}`);
+  }
+};
+
+/**
+ * Converts a big-endian buffer of {@link ID_BYTES} bytes into an ID.
+ * @param {Buffer} buffer - The buffer to convert
+ * @returns {bigint} The ID
+ * @throws {TypeError} If the buffer has the wrong length
+ */
+export const fromBuffer = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length !== ID_BYTES) {
+    throw new TypeError(`ID buffer must be ${ID_BYTES} bytes`);
+  }
+  return BigInt(`0x${buffer.toString('hex')}`);
+};
+
+/**
+ * Converts an ID into a big-endian buffer of {@link ID_BYTES} bytes.
+ * @param {bigint} id - The ID to convert
+ * @returns {Buffer} The buffer
+ */
+export const toBuffer = (id) => Buffer.from(toHex(id), 'hex');
+
+/**
+ * Encodes an ID as a zero-padded, lowercase hex string.
+ * @param {bigint} id - The ID to encode
+ * @returns {string} 40-character hex string
+ */
+export const toHex = (id) => {
+  assertId(id);
+  return id.toString(16).padStart(ID_BYTES * 2, '0');
+};
+
+/**
+ * Decodes an ID from a hex string.
+ * @param {string} hex - 40-character hex string
+ * @returns {bigint} The ID
+ * @throws {TypeError} If the string is not a valid hex ID
+ */
+export const fromHex = (hex) => {
+  if (typeof hex !== 'string' || !/^[0-9a-f]+$/i.test(hex) || hex.length !== ID_BYTES * 2) {
+    throw new TypeError(`Invalid hex ID: ${hex}`);
+  }
+  return BigInt(`0x${hex}`);
+};
+
+/**
+ * Encodes an ID as an unpadded, lowercase RFC 4648 base32 string.
+ * @param {bigint} id - The ID to encode
+ * @returns {string} 32-character base32 string
+ */
+export const toBase32 = (id) => {
+  assertId(id);
+  let result = '';
+  for (let shift = ID_BITS - 5; shift >= 0; shift -= 5) {
+    result += BASE32_ALPHABET[Number((id >> BigInt(shift)) & 31n)];
+  }
+  return result;
+};
+
+/**
+ * Decodes an ID from an RFC 4648 base32 string.
+ * @param {string} encoded - 32-character base32 string
+ * @returns {bigint} The ID
+ * @throws {TypeError} If the string is not a valid base32 ID
+ */
+export const fromBase32 = (encoded) => {
+  if (typeof encoded !== 'string' || encoded.length !== ID_BITS / 5) {
+    throw new TypeError(`Invalid base32 ID: ${encoded}`);
+  }
+  let id = 0n;
+  for (const char of encoded.toLowerCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new TypeError(`Invalid base32 ID: ${encoded}`);
+    }
+    id = (id << 5n) | BigInt(value);
+  }
+  return id;
+};
+
+/**
+ * Generates a random ID.
+ * @returns {bigint} A uniformly random ID
+ */
+export const randomId = () => fromBuffer(crypto.randomBytes(ID_BYTES));
+
+/**
+ * Generates a random ID within the half-open range [min, max).
+ * @param {bigint} min - Inclusive lower bound
+ * @param {bigint} max - Exclusive upper bound
+ * @returns {bigint} A random ID in the range
+ */
+export const randomIdInRange = (min, max) => min + (randomId() % (max - min));
+
+/**
+ * Computes the XOR distance between two IDs.
+ * @param {bigint} a - First ID
+ * @param {bigint} b - Second ID
+ * @returns {bigint} The distance
+ */
+export const distance = (a, b) => a ^ b;
+
+/**
+ * Compares two IDs numerically.
+ * @param {bigint} a - First ID
+ * @param {bigint} b - Second ID
+ * @returns {number} -1 if a < b, 1 if a > b, 0 if equal
+ */
+export const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Compares two IDs by their XOR distance to a target.
+ * @param {bigint} target - The reference ID
+ * @param {bigint} a - First ID
+ * @param {bigint} b - Second ID
+ * @returns {number} -1 if a is closer to target, 1 if b is closer, 0 if equidistant
+ */
+export const compareDistance = (target, a, b) => compare(distance(a, target), distance(b, target));
+
+/**
+ * Returns the number of leading bits two IDs have in common.
+ * @param {bigint} a - First ID
+ * @param {bigint} b - Second ID
+ * @returns {number} Common prefix length between 0 and {@link ID_BITS}
+ */
+export const commonPrefixLength = (a, b) => {
+  const xor = distance(a, b);
+  return xor === 0n ? ID_BITS : ID_BITS - xor.toString(2).length;
+};
+
+/**
+ * Reads a single bit of an ID.
+ * @param {bigint} id - The ID to read
+ * @param {number} index - Bit index, where 0 is the most significant bit
+ * @returns {number} 0 or 1
+ * @throws {RangeError} If the index is outside the ID
+ */
+export const bitAt = (id, index) => {
+  if (!Number.isInteger(index) || index < 0 || index >= ID_BITS) {
+    throw new RangeError(`Bit index out of range: ${index}`);
+  }
+  return Number((id >> BigInt(ID_BITS - 1 - index)) & 1n);
+};
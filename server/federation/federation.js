@@ -0,0 +1,704 @@
+/**
+ * @fileoverview Federation of relay servers: trusted links between servers that share the presence
+ * of their peers and forward direct and topic messages to the server holding the recipients.
+ * @module federation/federation
+ */
+
+import * as crypto from 'node:crypto';
+import { WebSocket } from 'ws';
+import { MAX_TOPIC_LENGTH } from '../messages/protocol.js';
+
+/**
+ * Path of the WebSocket endpoint other servers link to.
+ * @type {string}
+ */
+export const FEDERATION_PATH = '/federation';
+
+/**
+ * Close code of links refused during the handshake.
+ * @type {number}
+ */
+const POLICY_VIOLATION = 1008;
+
+/**
+ * A link to another relay server.
+ * @typedef {Object} Link
+ * @property {string} server - ID of the server at the other end
+ * @property {import('ws').WebSocket} ws - The link's connection
+ */
+
+/**
+ * Returns a new ID for a forwarded frame.
+ * @returns {string} The ID
+ */
+const frameId = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Compares two secrets in constant time.
+ * @param {*} presented - The secret presented by the other server
+ * @param {string} secret - The federation secret
+ * @returns {boolean} True if they match
+ */
+const matchesSecret = (presented, secret) =>
+  typeof presented === 'string' &&
+  crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(presented).digest(),
+    crypto.createHash('sha256').update(secret).digest(),
+  );
+
+/**
+ * Checks whether a value is a plain JSON object.
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an object and not an array
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks whether a value is a list of topic names.
+ * @param {*} topics - The value to check
+ * @returns {boolean} True if the value is a list of strings of 1 to {@link MAX_TOPIC_LENGTH} characters
+ */
+const isTopicList = (topics) =>
+  Array.isArray(topics) &&
+  topics.every((topic) => typeof topic === 'string' && topic.length > 0 && topic.length <= MAX_TOPIC_LENGTH);
+
+/**
+ * Checks the fields of the frames exchanged on established links, by frame type. Linked servers are
+ * trusted, but a frame that does not have the shape its handler relies on is dropped.
+ * @type {Object<string, function(Object): boolean>}
+ */
+const FRAME_VALIDATORS = {
+  sync: ({ peers, topics }) => (peers === undefined || Array.isArray(peers)) && (topics === undefined || isObject(topics)),
+  presence: ({ event, peer }) =>
+    ['peer-joined', 'peer-left', 'peer-updated'].includes(event) && isObject(peer) && typeof peer.id === 'string',
+  topics: ({ peer, topics }) => typeof peer === 'string' && isTopicList(topics),
+  deliver: ({ to, data }) => typeof to === 'string' && typeof data === 'string',
+  publish: ({ topic, message }) =>
+    typeof topic === 'string' &&
+    topic.length > 0 &&
+    topic.length <= MAX_TOPIC_LENGTH &&
+    isObject(message) &&
+    typeof message.peer === 'string' &&
+    (message.signature === undefined || typeof message.signature === 'string'),
+};
+
+/**
+ * Stand-in for the WebSocket of a peer connected to another server. It takes the socket's place in
+ * the peer repository, so messages sent to the peer by the local connections and services are
+ * forwarded over the link the peer was learned from.
+ */
+export class RemoteSocket {
+  /**
+   * Creates a new remote socket.
+   * @param {Link} link - The link leading to the peer's server
+   * @param {string} peerId - ID of the peer
+   */
+  constructor(link, peerId) {
+    this.link = link;
+    this.peerId = peerId;
+  }
+
+  /**
+   * Data waiting to go out on the link, so the message service holds messages back when the
+   * link is not keeping up.
+   * @type {number}
+   */
+  get bufferedAmount() {
+    return this.link.ws.bufferedAmount;
+  }
+
+  /**
+   * Forwards a message to the peer.
+   * @param {string} data - The serialized message
+   * @param {function(Error=): void} [callback] - Called once the frame is written to the link
+   * @returns {void}
+   */
+  send(data, callback) {
+    const frame = { type: 'deliver', id: frameId(), hops: 0, to: this.peerId, data };
+    this.link.ws.send(JSON.stringify(frame), callback);
+  }
+
+  /**
+   * Does nothing: the peer's connection belongs to the other server.
+   * @returns {void}
+   */
+  terminate() {}
+}
+
+/**
+ * Links this relay server to other trusted servers so peers connected to any of them can reach
+ * each other.
+ *
+ * Servers exchange their peer lists when a link comes up and the presence events of their peers
+ * afterwards. Peers of other servers are kept in the local peer repository, tagged with the `relay`
+ * they are connected to and with a {@link RemoteSocket} in place of their WebSocket, so direct
+ * messages and broadcasts reach them like local peers. Their topics are kept in the local room
+ * repository, so local peers see the remote peers sharing a topic with them, but topic messages are
+ * flooded to every server, which relays them to its own subscribers.
+ *
+ * Frames reaching a server through more than one path are recognized by their ID and dropped, and
+ * frames are not forwarded past `maxHops` servers, so links may form loops. Each remote peer is
+ * reached through the link it was first learned from, and forgotten when that link goes down.
+ */
+export class Federation {
+  /**
+   * Creates a new federation.
+   * @param {Object} options - Federation configuration options
+   * @param {string} options.secret - Secret shared by the servers of the federation; links presenting
+   *   another one are refused
+   * @param {import('../peers/peerRepository.js').PeerRepository} options.peerRepository - Repository of the
+   *   server's peers
+   * @param {import('../messages/messageService.js').MessageService} options.messageService - Service delivering
+   *   messages to the local peers
+   * @param {import('../rooms/roomRepository.js').RoomRepository} options.roomRepository - Topic membership of
+   *   the local peers
+   * @param {import('../rooms/roomHistory.js').RoomHistory} [options.roomHistory] - History the topic messages
+   *   of other servers are recorded to
+   * @param {import('../signaling/signalingRepository.js').SignalingRepository} [options.signalingRepository] -
+   *   Signaling sessions, kept in step with the signals exchanged with peers of other servers
+   * @param {string} [options.serverId] - ID of this server, random by default
+   * @param {string[]} [options.links=[]] - WebSocket URLs of the servers to link to
+   * @param {number} [options.maxHops=8] - Maximum number of servers a frame is forwarded through
+   * @param {number} [options.reconnectInterval=5000] - Time to wait before linking again to a server whose
+   *   link went down, in milliseconds
+   * @param {number} [options.maxSeenFrames=10000] - Number of frame IDs remembered to drop duplicates
+   */
+  constructor(options) {
+    if (!options?.secret) {
+      throw new Error('secret is required for Federation');
+    }
+
+    this.secret = options.secret;
+    this.peerRepository = options.peerRepository;
+    this.messageService = options.messageService;
+    this.roomRepository = options.roomRepository;
+    this.roomHistory = options.roomHistory || null;
+    this.signalingRepository = options.signalingRepository || null;
+    this.serverId = options.serverId || crypto.randomBytes(8).toString('hex');
+    this.urls = options.links || [];
+    this.maxHops = options.maxHops || 8;
+    this.reconnectInterval = options.reconnectInterval || 5000;
+    this.maxSeenFrames = options.maxSeenFrames || 10000;
+
+    /**
+     * Established links, indexed by the ID of the server at the other end.
+     * @private
+     * @type {Map<string, Link>}
+     */
+    this.links = new Map();
+
+    /**
+     * IDs of the frames already handled, oldest first.
+     * @private
+     * @type {Set<string>}
+     */
+    this.seen = new Set();
+
+    /**
+     * Pending reconnection timers.
+     * @private
+     * @type {Set<NodeJS.Timeout>}
+     */
+    this.timers = new Set();
+
+    /**
+     * Whether the federation was closed; links are no longer accepted or reconnected.
+     * @private
+     * @type {boolean}
+     */
+    this.closed = false;
+  }
+
+  /**
+   * Links to the configured servers.
+   * @returns {void}
+   */
+  start() {
+    this.urls.forEach((url) => this.connect(url));
+  }
+
+  /**
+   * Checks whether a connection request comes from another server linking to this one.
+   * @param {import('node:http').IncomingMessage} [request] - The upgrade request
+   * @returns {boolean} True if the request targets the federation endpoint, false if its URL cannot be parsed
+   */
+  isLink(request) {
+    if (!request?.url) {
+      return false;
+    }
+    try {
+      return new URL(request.url, 'ws://localhost').pathname === FEDERATION_PATH;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Links to another server, linking again whenever the link goes down until the federation is closed.
+   * @param {string} url - WebSocket URL of the server
+   * @returns {void}
+   */
+  connect(url) {
+    const ws = new WebSocket(new URL(FEDERATION_PATH, url));
+    let link = null;
+
+    ws.on('open', () => this.sendFrame(ws, { type: 'hello', server: this.serverId, secret: this.secret }));
+    ws.on('message', (data) => {
+      const frame = this.parseFrame(data);
+      if (!frame) {
+        return;
+      }
+      if (link) {
+        this.handleFrame(link, frame);
+      } else if (frame.type === 'welcome') {
+        link = this.register(ws, frame.server);
+      }
+    });
+    ws.on('error', (error) => console.error(`Federation link to ${url} failed:`, error.message));
+    ws.on('close', () => {
+      if (link) {
+        this.unregister(link);
+      }
+      if (!this.closed) {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          this.connect(url);
+        }, this.reconnectInterval);
+        timer.unref();
+        this.timers.add(timer);
+      }
+    });
+  }
+
+  /**
+   * Takes an incoming link from another server, once it presents the federation secret.
+   * @param {import('ws').WebSocket} ws - The link's connection
+   * @returns {void}
+   */
+  accept(ws) {
+    let link = null;
+
+    ws.on('message', (data) => {
+      const frame = this.parseFrame(data);
+      if (!frame) {
+        return;
+      }
+      if (link) {
+        this.handleFrame(link, frame);
+        return;
+      }
+      if (this.closed || frame.type !== 'hello' || !matchesSecret(frame.secret, this.secret)) {
+        ws.close(POLICY_VIOLATION, 'Invalid federation handshake');
+        return;
+      }
+      this.sendFrame(ws, { type: 'welcome', server: this.serverId });
+      link = this.register(ws, frame.server);
+    });
+    ws.on('error', (error) => console.error('Federation link failed:', error.message));
+    ws.on('close', () => link && this.unregister(link));
+  }
+
+  /**
+   * Records an established link and sends the other server the peers it can reach through this one.
+   * A new link to a server replaces the previous one, which may be half-open.
+   * @private
+   * @param {import('ws').WebSocket} ws - The link's connection
+   * @param {string} server - ID of the server at the other end
+   * @returns {Link|null} The link, or null if it leads back to this server
+   */
+  register(ws, server) {
+    if (typeof server !== 'string' || server === this.serverId) {
+      ws.close(POLICY_VIOLATION, 'Invalid federation handshake');
+      return null;
+    }
+
+    const previous = this.links.get(server);
+    if (previous) {
+      this.unregister(previous);
+      previous.ws.close();
+    }
+    const link = { server, ws };
+    this.links.set(server, link);
+
+    const peers = this.peerRepository
+      .getAllSerializable()
+      .map((peer) => ({ ...peer, relay: peer.relay ?? this.serverId }));
+    const topics = Object.fromEntries(
+      peers.map(({ id }) => [id, this.roomRepository.getTopics(id)]).filter(([, list]) => list.length > 0),
+    );
+    this.sendFrame(ws, { type: 'sync', peers, topics });
+    return link;
+  }
+
+  /**
+   * Forgets a link that went down, along with the peers reached through it.
+   * @private
+   * @param {Link} link - The link
+   * @returns {void}
+   */
+  unregister(link) {
+    if (this.links.get(link.server) !== link) {
+      return;
+    }
+    this.links.delete(link.server);
+    this.peerRepository
+      .getAll()
+      .filter(({ ws }) => ws instanceof RemoteSocket && ws.link === link)
+      .forEach(({ id }) => this.forget(id, link));
+  }
+
+  /**
+   * Parses a frame received on a link.
+   * @private
+   * @param {Buffer|string} data - The raw frame
+   * @returns {Object|null} The frame, or null if it is not valid JSON
+   */
+  parseFrame(data) {
+    try {
+      const frame = JSON.parse(data);
+      return frame && typeof frame === 'object' ? frame : null;
+    } catch (error) {
+      console.error('Invalid federation frame:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sends a frame on a link.
+   * @private
+   * @param {import('ws').WebSocket} ws - The link's connection
+   * @param {Object} frame - The frame
+   * @returns {void}
+   */
+  sendFrame(ws, frame) {
+    try {
+      ws.send(JSON.stringify(frame));
+    } catch (error) {
+      console.error('Failed to send federation frame:', error);
+    }
+  }
+
+  /**
+   * Sends a new frame on every link but the one it came from, remembering its ID so copies that
+   * come back around a loop are dropped.
+   * @private
+   * @param {Object} frame - The frame, without ID and hop count
+   * @param {Link} [from] - The link the frame's cause came from
+   * @returns {void}
+   */
+  originate(frame, from) {
+    const id = frameId();
+    this.admit({ id, hops: 0 });
+    this.flood({ ...frame, id, hops: 0 }, from);
+  }
+
+  /**
+   * Sends a frame on every link but the one it came from.
+   * @private
+   * @param {Object} frame - The frame
+   * @param {Link} [from] - The link the frame came from
+   * @returns {void}
+   */
+  flood(frame, from) {
+    this.links.forEach((link) => link !== from && this.sendFrame(link.ws, frame));
+  }
+
+  /**
+   * Records a forwarded frame's ID, telling whether it should be handled.
+   * @private
+   * @param {{id: string, hops: number}} frame - The frame
+   * @returns {boolean} False if the frame was already handled or has gone through too many servers
+   */
+  admit({ id, hops }) {
+    if (typeof id !== 'string' || !Number.isInteger(hops) || hops >= this.maxHops || this.seen.has(id)) {
+      return false;
+    }
+    if (this.seen.size >= this.maxSeenFrames) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+    this.seen.add(id);
+    return true;
+  }
+
+  /**
+   * Dispatches a frame received on an established link.
+   * @private
+   * @param {Link} link - The link
+   * @param {Object} frame - The frame
+   * @returns {void}
+   */
+  handleFrame(link, frame) {
+    const validate = FRAME_VALIDATORS[frame.type];
+    if (validate && !validate(frame)) {
+      console.error(`Invalid ${frame.type} frame from server ${link.server}`);
+      return;
+    }
+
+    switch (frame.type) {
+      case 'sync':
+        (Array.isArray(frame.peers) ? frame.peers : []).forEach((peer) => this.handleJoined(link, peer));
+        Object.entries(frame.topics ?? {}).forEach(([id, topics]) => {
+          if (isTopicList(topics) && this.setTopics(id, topics)) {
+            this.originate({ type: 'topics', peer: id, topics }, link);
+          }
+        });
+        break;
+      case 'presence':
+        if (this.admit(frame)) {
+          this.handlePresence(link, frame);
+        }
+        break;
+      case 'topics':
+        if (this.admit(frame) && this.setTopics(frame.peer, frame.topics)) {
+          this.flood({ ...frame, hops: frame.hops + 1 }, link);
+        }
+        break;
+      case 'deliver':
+        if (this.admit(frame)) {
+          this.handleDeliver(link, frame);
+        }
+        break;
+      case 'publish':
+        if (this.admit(frame)) {
+          this.handlePublish(link, frame).catch((error) =>
+            console.error(`Failed to relay message to topic ${frame.topic}:`, error),
+          );
+        }
+        break;
+      default:
+        console.error(`Unknown federation frame from server ${link.server}: ${frame.type}`);
+    }
+  }
+
+  /**
+   * Announces the presence event of a local peer to the other servers.
+   * @param {'peer-joined'|'peer-left'|'peer-updated'} event - The presence event type
+   * @param {Omit<import('../peers/peerRepository.js').Peer, 'ws'>} peer - The peer's serializable data
+   * @returns {void}
+   */
+  announce(event, peer) {
+    this.originate({ type: 'presence', event, peer: { ...peer, relay: this.serverId } });
+  }
+
+  /**
+   * Tells the other servers which topics a local peer is subscribed to, after they changed.
+   * @param {string} id - ID of the peer
+   * @returns {void}
+   */
+  announceTopics(id) {
+    this.originate({ type: 'topics', peer: id, topics: this.roomRepository.getTopics(id) });
+  }
+
+  /**
+   * Forwards a message published by a local peer to the other servers' subscribers.
+   * @param {string} topic - Name of the topic
+   * @param {{peer: string, content: *, signature: string}} message - The published message
+   * @returns {void}
+   */
+  publish(topic, message) {
+    this.originate({ type: 'publish', topic, message });
+  }
+
+  /**
+   * Applies a presence event of a remote peer and passes it on to the other links.
+   * @private
+   * @param {Link} link - The link the event came from
+   * @param {Object} frame - The presence frame
+   * @returns {void}
+   */
+  handlePresence(link, frame) {
+    const { event, peer } = frame;
+    if (event === 'peer-left') {
+      if (!this.forget(peer.id)) {
+        return;
+      }
+    } else if (!this.handleJoined(link, peer, false)) {
+      return;
+    }
+    this.flood({ ...frame, hops: frame.hops + 1 }, link);
+  }
+
+  /**
+   * Adds or updates a remote peer and announces it to the local peers.
+   * @private
+   * @param {Link} link - The link the peer was learned from
+   * @param {Omit<import('../peers/peerRepository.js').Peer, 'ws'>} peer - The peer's serializable data
+   * @param {boolean} [propagate=true] - Whether to announce a new peer to the other links
+   * @returns {boolean} False if the peer is local and the event was ignored
+   */
+  handleJoined(link, peer, propagate = true) {
+    if (typeof peer?.id !== 'string' || typeof peer.relay !== 'string') {
+      return false;
+    }
+    const known = this.peerRepository.get(peer.id);
+    if (known && !(known.ws instanceof RemoteSocket)) {
+      // A peer connected here wins over one with the same ID elsewhere
+      return false;
+    }
+
+    if (known) {
+      this.announceLocally('peer-updated', this.peerRepository.update(peer.id, peer));
+      return true;
+    }
+    this.peerRepository.add(peer.id, { ...peer, ws: new RemoteSocket(link, peer.id) });
+    this.announceLocally('peer-joined', peer);
+    if (propagate) {
+      this.originate({ type: 'presence', event: 'peer-joined', peer }, link);
+    }
+    return true;
+  }
+
+  /**
+   * Replaces the topics of a remote peer, announcing it with `peer-joined` to the local peers it now
+   * shares a topic with, and with `peer-left` to those it no longer shares one with.
+   * @private
+   * @param {string} id - ID of the peer
+   * @param {string[]} topics - The peer's topics
+   * @returns {boolean} False if the peer is not a known remote peer and its topics were ignored
+   */
+  setTopics(id, topics) {
+    if (!(this.peerRepository.get(id)?.ws instanceof RemoteSocket)) {
+      return false;
+    }
+
+    const before = this.roomRepository.getNeighbours(id);
+    this.roomRepository
+      .getTopics(id)
+      .filter((topic) => !topics.includes(topic))
+      .forEach((topic) => this.roomRepository.leave(topic, id));
+    topics.forEach((topic) => this.roomRepository.join(topic, id));
+    const after = this.roomRepository.getNeighbours(id);
+
+    const peer = this.peerRepository.getSerializable(id);
+    const changes = [
+      ['peer-joined', after.filter((other) => !before.includes(other))],
+      ['peer-left', before.filter((other) => !after.includes(other))],
+    ];
+    changes.forEach(([type, ids]) => {
+      const local = ids.map((other) => this.peerRepository.get(other)).filter((other) => other && !other.relay);
+      this.messageService.broadcast(local, { type, peer });
+    });
+    return true;
+  }
+
+  /**
+   * Removes a remote peer, hangs up its signaling sessions with local peers and announces its departure.
+   * @private
+   * @param {string} id - ID of the peer
+   * @param {Link} [from] - The link that went down, to tell the other links the peer is gone
+   * @returns {boolean} True if the peer was a known remote peer
+   */
+  forget(id, from) {
+    const peer = this.peerRepository.get(id);
+    if (!(peer?.ws instanceof RemoteSocket)) {
+      return false;
+    }
+
+    const left = this.peerRepository.getSerializable(id);
+    this.peerRepository.remove(id);
+    this.signalingRepository?.closeAll(id).forEach(({ id: session, peers }) => {
+      const other = this.peerRepository.get(peers.find((peerId) => peerId !== id));
+      if (other?.ws) {
+        this.messageService.send(other.ws, { type: 'hangup', peer: id, session });
+      }
+    });
+    // Leave the topics last, as they tell which local peers to announce the departure to
+    this.announceLocally('peer-left', left);
+    this.roomRepository.leaveAll(id);
+    if (from) {
+      this.originate({ type: 'presence', event: 'peer-left', peer: left }, from);
+    }
+    return true;
+  }
+
+  /**
+   * Sends a presence event about a remote peer to the local peers sharing a topic with it.
+   * @private
+   * @param {'peer-joined'|'peer-left'|'peer-updated'} type - The presence event type
+   * @param {Omit<import('../peers/peerRepository.js').Peer, 'ws'>} peer - The peer's serializable data
+   * @returns {void}
+   */
+  announceLocally(type, peer) {
+    const local = this.roomRepository
+      .getNeighbours(peer.id)
+      .map((id) => this.peerRepository.get(id))
+      .filter((other) => other && !other.relay);
+    this.messageService.broadcast(local, { type, peer });
+  }
+
+  /**
+   * Delivers a message to a local peer, or forwards it towards the server the peer is connected to.
+   * @private
+   * @param {Link} link - The link the frame came from
+   * @param {{id: string, hops: number, to: string, data: string}} frame - The deliver frame
+   * @returns {void}
+   */
+  handleDeliver(link, frame) {
+    const recipient = this.peerRepository.get(frame.to);
+    if (!recipient?.ws) {
+      return;
+    }
+    if (recipient.ws instanceof RemoteSocket) {
+      if (recipient.ws.link !== link) {
+        this.sendFrame(recipient.ws.link.ws, { ...frame, hops: frame.hops + 1 });
+      }
+      return;
+    }
+
+    const message = this.parseFrame(frame.data);
+    if (!message) {
+      return;
+    }
+    // Keep the recipient's side of signaling sessions in step, so it may answer
+    this.signalingRepository?.track(message.type, message.session, message.peer, frame.to);
+    this.messageService.send(recipient.ws, message);
+  }
+
+  /**
+   * Relays a message published on another server to the local subscribers of its topic, recording
+   * it to the topic's history, and passes it on to the other links.
+   * @private
+   * @param {Link} link - The link the frame came from
+   * @param {{id: string, hops: number, topic: string, message: Object}} frame - The publish frame
+   * @returns {Promise<void>}
+   */
+  async handlePublish(link, frame) {
+    this.flood({ ...frame, hops: frame.hops + 1 }, link);
+
+    const { topic, message } = frame;
+    let seq;
+    if (this.roomHistory) {
+      try {
+        ({ seq } = await this.roomHistory.append(topic, message));
+      } catch (error) {
+        console.error(`Failed to record message to topic ${topic}:`, error);
+      }
+    }
+    const subscribers = this.roomRepository
+      .getMembers(topic)
+      .map((id) => this.peerRepository.get(id))
+      .filter((peer) => peer && !peer.relay);
+    this.messageService.broadcast(subscribers, {
+      type: 'message',
+      peer: message.peer,
+      topic,
+      seq,
+      content: message.content,
+      signature: message.signature,
+    });
+  }
+
+  /**
+   * Closes every link and stops linking again.
+   * @returns {void}
+   */
+  close() {
+    this.closed = true;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    [...this.links.values()].forEach((link) => {
+      this.unregister(link);
+      link.ws.close();
+    });
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Per-peer rate limiting, penalties for peers exceeding their limits and
+ * temporary bans by IP address.
+ * @module limits/rateLimiter
+ */
+
+import { TokenBucket } from './tokenBucket.js';
+
+/**
+ * What happens to a peer exceeding its rate limit.
+ * - `drop`: the message is silently dropped
+ * - `warn`: the message is dropped and the peer receives a `RATE_LIMITED` error
+ * - `disconnect`: the peer is warned and disconnected
+ * - `ban`: the peer is warned, disconnected and its IP address is refused for a while
+ * @readonly
+ * @enum {string}
+ */
+export const PENALTIES = Object.freeze({
+  DROP: 'drop',
+  WARN: 'warn',
+  DISCONNECT: 'disconnect',
+  BAN: 'ban',
+});
+
+/**
+ * Counters of throttled traffic since the limiter was created.
+ * @typedef {Object} RateLimitMetrics
+ * @property {number} allowedMessages - Messages within the limits
+ * @property {number} throttledMessages - Messages over the limits
+ * @property {number} throttledBytes - Total size of the messages over the limits
+ * @property {number} disconnects - Peers disconnected for exceeding their limits, including bans
+ * @property {number} bans - IP addresses banned
+ * @property {number} rejectedConnections - Connections refused because their IP address was banned
+ */
+
+/**
+ * How often buckets that filled up again are forgotten, in milliseconds.
+ * @type {number}
+ */
+const PRUNE_INTERVAL = 60000;
+
+/**
+ * Rate limiter shared by all connections of a server.
+ * Each IP address gets a message bucket and a byte bucket; a message is allowed only if both
+ * have enough tokens left. Since the buckets outlive the connections, a peer cannot reset its
+ * limits by reconnecting, and connections from the same address share them. Connections whose
+ * address is unknown are keyed by their connection object instead, so they go away with it.
+ */
+export class RateLimiter {
+  /**
+   * Creates a new rate limiter.
+   * @param {Object} [options] - Rate limit configuration options
+   * @param {number} [options.messagesPerSecond=20] - Sustained message rate allowed per peer
+   * @param {number} [options.messageBurst] - Number of messages a peer may send at once, twice the
+   *   sustained rate by default
+   * @param {number} [options.bytesPerSecond=65536] - Sustained byte rate allowed per peer
+   * @param {number} [options.byteBurst] - Number of bytes a peer may send at once, four times the sustained
+   *   rate by default; should not be below the maximum message size
+   * @param {PENALTIES} [options.penalty='warn'] - What happens to peers exceeding their limits
+   * @param {number} [options.banDuration=600000] - How long a banned IP address is refused in milliseconds
+   */
+  constructor(options = {}) {
+    this.messagesPerSecond = options.messagesPerSecond || 20;
+    this.messageBurst = options.messageBurst || 2 * this.messagesPerSecond;
+    this.bytesPerSecond = options.bytesPerSecond || 64 * 1024;
+    this.byteBurst = options.byteBurst || 4 * this.bytesPerSecond;
+    this.penalty = options.penalty || PENALTIES.WARN;
+    this.banDuration = options.banDuration || 600000;
+
+    if (!Object.values(PENALTIES).includes(this.penalty)) {
+      throw new TypeError(`Unknown rate limit penalty: ${this.penalty}`);
+    }
+
+    /**
+     * Buckets of each IP address. Full buckets are dropped, as they are no different from new ones.
+     * @private
+     * @type {Map<string, {messages: TokenBucket, bytes: TokenBucket}>}
+     */
+    this.addressBuckets = new Map();
+
+    /**
+     * Buckets of each connection whose address is unknown.
+     * @private
+     * @type {WeakMap<object, {messages: TokenBucket, bytes: TokenBucket}>}
+     */
+    this.connectionBuckets = new WeakMap();
+
+    /**
+     * Time of the last pass forgetting full buckets.
+     * @private
+     * @type {number}
+     */
+    this.prunedAt = 0;
+
+    /**
+     * Expiry time of each banned IP address.
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.bans = new Map();
+
+    /**
+     * @private
+     * @type {RateLimitMetrics}
+     */
+    this.metrics = {
+      allowedMessages: 0,
+      throttledMessages: 0,
+      throttledBytes: 0,
+      disconnects: 0,
+      bans: 0,
+      rejectedConnections: 0,
+    };
+  }
+
+  /**
+   * Accounts for a message received on a connection.
+   * @param {string|object} key - IP address of the connection, or the connection itself if its
+   *   address is unknown
+   * @param {number} size - Size of the message in bytes
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {boolean} True if the message is within the limits; false if it must be throttled
+   */
+  consume(key, size, now = Date.now()) {
+    this.prune(now);
+    const buckets = typeof key === 'string' ? this.addressBuckets : this.connectionBuckets;
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        messages: new TokenBucket(this.messageBurst, this.messagesPerSecond, now),
+        bytes: new TokenBucket(this.byteBurst, this.bytesPerSecond, now),
+      });
+    }
+
+    const { messages, bytes } = buckets.get(key);
+    if (!messages.canTake(1, now) || !bytes.canTake(size, now)) {
+      this.metrics.throttledMessages += 1;
+      this.metrics.throttledBytes += size;
+      return false;
+    }
+
+    messages.take(1, now);
+    bytes.take(size, now);
+    this.metrics.allowedMessages += 1;
+    return true;
+  }
+
+  /**
+   * Forgets the address buckets that filled up again, at most once per {@link PRUNE_INTERVAL}.
+   * @private
+   * @param {number} now - The reference time
+   * @returns {void}
+   */
+  prune(now) {
+    if (now - this.prunedAt < PRUNE_INTERVAL) {
+      return;
+    }
+    this.prunedAt = now;
+    this.addressBuckets.forEach(({ messages, bytes }, address) => {
+      if (messages.available(now) >= messages.capacity && bytes.available(now) >= bytes.capacity) {
+        this.addressBuckets.delete(address);
+      }
+    });
+  }
+
+  /**
+   * Records that a peer was disconnected for exceeding its limits.
+   * @returns {void}
+   */
+  recordDisconnect() {
+    this.metrics.disconnects += 1;
+  }
+
+  /**
+   * Bans an IP address for the configured duration.
+   * @param {string} address - The IP address
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {void}
+   */
+  ban(address, now = Date.now()) {
+    this.bans.set(address, now + this.banDuration);
+    this.metrics.bans += 1;
+  }
+
+  /**
+   * Checks whether an IP address is banned, forgetting expired bans.
+   * @param {string} address - The IP address
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {boolean} True if connections from the address must be refused
+   */
+  isBanned(address, now = Date.now()) {
+    const expiresAt = this.bans.get(address);
+    if (expiresAt === undefined) {
+      return false;
+    }
+    if (expiresAt <= now) {
+      this.bans.delete(address);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Records a connection refused because its IP address is banned.
+   * @returns {void}
+   */
+  recordRejectedConnection() {
+    this.metrics.rejectedConnections += 1;
+  }
+
+  /**
+   * Returns the throttling metrics.
+   * @returns {RateLimitMetrics} A copy of the counters
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Token bucket used to rate limit peers.
+ * @module limits/tokenBucket
+ */
+
+/**
+ * A bucket holding up to `capacity` tokens and refilled continuously at `rate` tokens per second.
+ * Taking tokens succeeds only if enough are left, which allows bursts of up to `capacity`
+ * while capping the sustained rate.
+ */
+export class TokenBucket {
+  /**
+   * Creates a new, full token bucket.
+   * @param {number} capacity - Maximum number of tokens, i.e. the largest burst allowed
+   * @param {number} rate - Tokens added per second
+   * @param {number} [now=Date.now()] - The creation time
+   */
+  constructor(capacity, rate, now = Date.now()) {
+    if (!(capacity > 0) || !(rate > 0)) {
+      throw new RangeError('Token bucket capacity and rate must be positive');
+    }
+
+    this.capacity = capacity;
+    this.rate = rate;
+
+    /** @private */
+    this.tokens = capacity;
+    /** @private */
+    this.updatedAt = now;
+  }
+
+  /**
+   * Returns the number of tokens available at the given time.
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {number} The available tokens
+   */
+  available(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.rate) / 1000);
+    this.updatedAt = Math.max(now, this.updatedAt);
+    return this.tokens;
+  }
+
+  /**
+   * Checks whether tokens could be taken without taking them.
+   * @param {number} [amount=1] - Number of tokens
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {boolean} True if enough tokens are available
+   */
+  canTake(amount = 1, now = Date.now()) {
+    return this.available(now) >= amount;
+  }
+
+  /**
+   * Takes tokens from the bucket if enough are available.
+   * @param {number} [amount=1] - Number of tokens
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {boolean} True if the tokens were taken
+   */
+  take(amount = 1, now = Date.now()) {
+    if (!this.canTake(amount, now)) {
+      return false;
+    }
+    this.tokens -= amount;
+    return true;
+  }
+}
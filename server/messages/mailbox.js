@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Store-and-forward of direct messages addressed to peers that are not connected.
+ * @module message/mailbox
+ */
+
+/**
+ * Prefix of the storage keys of stored messages.
+ * @type {string}
+ */
+export const MAILBOX_PREFIX = 'mailbox:';
+
+/**
+ * Prefix of the storage keys recording the peers that messages may be stored for.
+ * @type {string}
+ */
+const RECIPIENT_PREFIX = 'mailbox-recipient:';
+
+/**
+ * Prefix of the storage keys indexing stored messages by sender.
+ * @type {string}
+ */
+const SENDER_PREFIX = 'mailbox-sender:';
+
+/**
+ * A direct message waiting for its recipient to connect.
+ * @typedef {Object} StoredMessage
+ * @property {string} key - Storage key of the message
+ * @property {string} peer - ID of the sending peer
+ * @property {*} content - The message content
+ * @property {string} [signature] - Signature of the content by the sender
+ * @property {boolean} [encrypted] - Whether the content is an end-to-end encrypted envelope
+ * @property {number} storedAt - When the message was stored
+ * @property {number} expiresAt - When the message is discarded if still undelivered
+ */
+
+/**
+ * Returns the key prefix of a recipient's messages. The ID is escaped so that no recipient's
+ * prefix is the start of another's.
+ * @param {string} recipient - ID of the recipient peer
+ * @returns {string} The key prefix
+ */
+const recipientPrefix = (recipient) => `${MAILBOX_PREFIX}${encodeURIComponent(recipient)}:`;
+
+/**
+ * Returns the key prefix of the index entries of a sender's messages, escaped like {@link recipientPrefix}.
+ * @param {string} sender - ID of the sending peer
+ * @returns {string} The key prefix
+ */
+const senderPrefix = (sender) => `${SENDER_PREFIX}${encodeURIComponent(sender)}:`;
+
+/**
+ * Persists undelivered direct messages per recipient until the recipient connects and proves its
+ * identity, or until they expire.
+ * Keys are made of the recipient ID, the storage time and a sequence number, all zero-padded,
+ * so a prefix scan of a recipient's keys gives its messages in the order they were sent.
+ *
+ * Messages are only stored for peers that have proven their identity before, since other IDs may
+ * never connect, and each sender may only have so many messages waiting. Every message has an
+ * entry in its sender's index, which is kept in step with it.
+ */
+export class Mailbox {
+  /**
+   * Creates a new mailbox.
+   * @param {Object} options - Mailbox configuration options
+   * @param {import('../../dht/storage/storage.js').Storage} options.storage - Storage for the messages, owned
+   *   by the caller
+   * @param {number} [options.retention=604800000] - How long undelivered messages are kept in milliseconds
+   *   (default 7 days)
+   * @param {number} [options.maxMessagesPerPeer=100] - Maximum number of messages stored for a recipient
+   * @param {number} [options.maxMessagesPerSender=1000] - Maximum number of messages stored from a sender, for
+   *   all recipients
+   */
+  constructor(options) {
+    if (!options?.storage) {
+      throw new Error('storage is required for Mailbox');
+    }
+
+    this.storage = options.storage;
+    this.retention = options.retention || 7 * 24 * 60 * 60 * 1000;
+    this.maxMessagesPerPeer = options.maxMessagesPerPeer || 100;
+    this.maxMessagesPerSender = options.maxMessagesPerSender || 1000;
+
+    /**
+     * Orders messages stored within the same millisecond.
+     * @private
+     * @type {number}
+     */
+    this.sequence = 0;
+
+    /**
+     * Last pending store; stores are chained so that the checks of the quotas and the write
+     * happen together.
+     * @private
+     * @type {Promise<*>}
+     */
+    this.stores = Promise.resolve();
+  }
+
+  /**
+   * Counts the keys starting with a prefix, up to a limit.
+   * @private
+   * @param {string} prefix - The key prefix
+   * @param {number} limit - Maximum number of keys to count
+   * @returns {Promise<number>} The number of keys
+   */
+  async count(prefix, limit) {
+    const keys = [];
+    for await (const key of this.storage.iterateKeys({ prefix, limit })) {
+      keys.push(key);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Records that a peer has proven its identity, so that messages may be stored for it from now on.
+   * @param {string} recipient - ID of the peer
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {Promise<void>}
+   */
+  async register(recipient, now = Date.now()) {
+    await this.storage.put(`${RECIPIENT_PREFIX}${recipient}`, { registeredAt: now });
+  }
+
+  /**
+   * Stores a message for a recipient that is not connected.
+   * @param {string} recipient - ID of the recipient peer
+   * @param {Object} message - The message
+   * @param {string} message.peer - ID of the sending peer
+   * @param {*} message.content - The message content
+   * @param {string} [message.signature] - Signature of the content by the sender
+   * @param {boolean} [message.encrypted] - Whether the content is an end-to-end encrypted envelope
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {Promise<boolean>} False if the message was not stored, because the recipient never
+   *   registered, its mailbox is full or the sender has too many messages waiting
+   */
+  async store(recipient, { peer, content, signature, encrypted }, now = Date.now()) {
+    // Reserve the sequence number before any await so concurrent calls keep their order
+    const key = `${recipientPrefix(recipient)}${String(now).padStart(15, '0')}:${String(this.sequence++).padStart(10, '0')}`;
+
+    const stored = this.stores.then(async () => {
+      if (
+        !(await this.storage.has(`${RECIPIENT_PREFIX}${recipient}`)) ||
+        (await this.count(recipientPrefix(recipient), this.maxMessagesPerPeer)) >= this.maxMessagesPerPeer ||
+        (await this.count(senderPrefix(peer), this.maxMessagesPerSender)) >= this.maxMessagesPerSender
+      ) {
+        return false;
+      }
+      await this.storage.batch([
+        {
+          type: 'put',
+          key,
+          value: { peer, content, signature, encrypted, storedAt: now, expiresAt: now + this.retention },
+        },
+        { type: 'put', key: `${senderPrefix(peer)}${key}`, value: true },
+      ]);
+      return true;
+    });
+
+    // A failed store does not hold up the next ones
+    this.stores = stored.catch(() => {});
+    return stored;
+  }
+
+  /**
+   * Lists the unexpired messages stored for a recipient, oldest first, once the pending stores are
+   * done. Messages stay stored until they are deleted, so they are not lost if the recipient
+   * disconnects before receiving them.
+   * @param {string} recipient - ID of the recipient peer
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {Promise<StoredMessage[]>} The messages
+   */
+  async list(recipient, now = Date.now()) {
+    await this.stores;
+    const messages = [];
+    for await (const [key, message] of this.storage.iterate({ prefix: recipientPrefix(recipient) })) {
+      if (message.expiresAt > now) {
+        messages.push({ key, ...message });
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Deletes delivered messages, all at once.
+   * @param {Array<Pick<StoredMessage, 'key' | 'peer'>>} messages - The messages, as returned by {@link Mailbox#list}
+   * @returns {Promise<void>}
+   */
+  async delete(messages) {
+    await this.storage.batch(
+      messages.flatMap(({ key, peer }) => [
+        { type: 'delete', key },
+        { type: 'delete', key: `${senderPrefix(peer)}${key}` },
+      ]),
+    );
+  }
+
+  /**
+   * Deletes the messages whose retention window has passed.
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {Promise<number>} The number of messages deleted
+   */
+  async expire(now = Date.now()) {
+    const expired = [];
+    for await (const [key, { peer, expiresAt }] of this.storage.iterate({ prefix: MAILBOX_PREFIX })) {
+      if (expiresAt <= now) {
+        expired.push({ key, peer });
+      }
+    }
+
+    await this.delete(expired);
+    return expired.length;
+  }
+}
@@ -3,11 +3,83 @@
  * @module message/messageService
  */
 
+/**
+ * What happens when a slow peer's outbound queue is full.
+ * - `drop-oldest`: the oldest queued message is discarded to make room
+ * - `drop-new`: the new message is discarded
+ * - `disconnect`: the peer is disconnected
+ * @readonly
+ * @enum {string}
+ */
+export const SLOW_PEER_POLICIES = Object.freeze({
+  DROP_OLDEST: 'drop-oldest',
+  DROP_NEW: 'drop-new',
+  DISCONNECT: 'disconnect',
+});
+
+/**
+ * `readyState` of an open WebSocket, as `WebSocket.OPEN` of the ws package.
+ * @type {number}
+ */
+const OPEN = 1;
+
+/**
+ * Counters of outbound traffic since the service was created.
+ * @typedef {Object} DeliveryMetrics
+ * @property {number} sent - Messages handed to a socket
+ * @property {number} failed - Messages the socket failed to send
+ * @property {number} queued - Messages held back because their peer was not keeping up
+ * @property {number} dropped - Queued or new messages discarded because a queue was full or the connection
+ *   was closing
+ * @property {number} disconnected - Slow peers disconnected
+ */
+
 /**
  * Service class for managing message communication between peers.
  * Handles both direct messaging and broadcasting to multiple peers.
+ *
+ * Messages go straight to the socket while its `bufferedAmount` stays under the high-water mark.
+ * Past it, they wait in a per-connection queue that is flushed as the socket's send callbacks
+ * report progress, so a slow peer costs at most `maxQueueBytes` of server memory.
  */
 export class MessageService {
+  /**
+   * Creates a new MessageService instance.
+   * @param {Object} [options] - Delivery configuration options
+   * @param {number} [options.highWaterMark=1048576] - Bytes buffered by a socket above which messages are queued
+   * @param {number} [options.maxQueueBytes=4194304] - Maximum size of a connection's queue in bytes
+   * @param {SLOW_PEER_POLICIES} [options.slowPeerPolicy='drop-oldest'] - What happens when a queue is full
+   */
+  constructor(options = {}) {
+    this.highWaterMark = options.highWaterMark || 1024 * 1024;
+    this.maxQueueBytes = options.maxQueueBytes || 4 * 1024 * 1024;
+    this.slowPeerPolicy = options.slowPeerPolicy || SLOW_PEER_POLICIES.DROP_OLDEST;
+
+    if (!Object.values(SLOW_PEER_POLICIES).includes(this.slowPeerPolicy)) {
+      throw new TypeError(`Unknown slow peer policy: ${this.slowPeerPolicy}`);
+    }
+
+    /**
+     * Outbound queues of the connections that are not keeping up.
+     * @private
+     * @type {WeakMap<import('ws').WebSocket, {messages: Array<{data: string, size: number, label: string}>, bytes: number}>}
+     */
+    this.queues = new WeakMap();
+
+    /**
+     * Connections disconnected for being too slow, whose peers may not be removed yet.
+     * @private
+     * @type {WeakSet<import('ws').WebSocket>}
+     */
+    this.disconnected = new WeakSet();
+
+    /**
+     * @private
+     * @type {DeliveryMetrics}
+     */
+    this.metrics = { sent: 0, failed: 0, queued: 0, dropped: 0, disconnected: 0 };
+  }
+
   /**
    * Sends a message to a specific peer through their WebSocket connection.
    * The message is automatically stringified before sending.
@@ -21,12 +93,8 @@ export class MessageService {
    * @returns {void}
    */
   send(ws, message) {
-    try {
-      ws.send(JSON.stringify(message));
-    } catch (error) {
-      console.error('Failed to send message:', error);
-      // Don't throw, just log the error to prevent connection termination
-    }
+    // Don't throw, just log and count errors to prevent connection termination
+    this.deliver(ws, JSON.stringify(message), 'Failed to send message:');
   }
 
   /**
@@ -44,15 +112,153 @@ export class MessageService {
     // Stringify once for efficiency
     const messageString = JSON.stringify(message);
     peers.forEach((peer) => {
-      try {
-        if (!peer.ws) {
-          throw new Error(`Peer ${peer.id} has no active WebSocket connection`);
-        }
-        peer.ws.send(messageString);
-      } catch (error) {
-        console.error(`Failed to send message to peer ${peer.id}:`, error);
+      const label = `Failed to send message to peer ${peer.id}:`;
+      if (!peer.ws) {
         // Don't throw, just log the error to prevent broadcast interruption
+        this.fail(label, new Error(`Peer ${peer.id} has no active WebSocket connection`));
+        return;
       }
+      this.deliver(peer.ws, messageString, label);
     });
   }
+
+  /**
+   * Sends serialized data right away, or queues it if the connection is not keeping up. Data for a
+   * connection that is closing is dropped. Sockets without a `readyState`, such as the stand-ins
+   * of suspended or remote peers, are always open.
+   * @private
+   * @param {import('ws').WebSocket} ws - The connection
+   * @param {string} data - The serialized message
+   * @param {string} label - Log message prefix for failures
+   */
+  deliver(ws, data, label) {
+    if (this.disconnected.has(ws) || (ws.readyState !== undefined && ws.readyState !== OPEN)) {
+      this.metrics.dropped += 1;
+      return;
+    }
+    const queue = this.queues.get(ws);
+    if (!queue && (ws.bufferedAmount ?? 0) < this.highWaterMark) {
+      this.write(ws, data, label);
+      return;
+    }
+    this.enqueue(ws, { data, size: Buffer.byteLength(data), label });
+  }
+
+  /**
+   * Hands data to the socket. The send callback counts failures and flushes the queue.
+   * @private
+   * @param {import('ws').WebSocket} ws - The connection
+   * @param {string} data - The serialized message
+   * @param {string} label - Log message prefix for failures
+   */
+  write(ws, data, label) {
+    try {
+      ws.send(data, (error) => {
+        if (error) {
+          this.fail(label, error);
+        }
+        this.flush(ws);
+      });
+      this.metrics.sent += 1;
+    } catch (error) {
+      this.fail(label, error);
+    }
+  }
+
+  /**
+   * Adds a message to a connection's queue, applying the slow peer policy if it is full.
+   * @private
+   * @param {import('ws').WebSocket} ws - The connection
+   * @param {{data: string, size: number, label: string}} message - The message
+   */
+  enqueue(ws, message) {
+    if (!this.queues.has(ws)) {
+      this.queues.set(ws, { messages: [], bytes: 0 });
+    }
+    const queue = this.queues.get(ws);
+
+    if (queue.bytes + message.size > this.maxQueueBytes) {
+      if (this.slowPeerPolicy === SLOW_PEER_POLICIES.DROP_NEW) {
+        this.metrics.dropped += 1;
+        return;
+      }
+      if (this.slowPeerPolicy === SLOW_PEER_POLICIES.DISCONNECT) {
+        this.metrics.dropped += queue.messages.length + 1;
+        this.metrics.disconnected += 1;
+        this.queues.delete(ws);
+        this.disconnected.add(ws);
+        ws.terminate();
+        return;
+      }
+      while (queue.messages.length > 0 && queue.bytes + message.size > this.maxQueueBytes) {
+        queue.bytes -= queue.messages.shift().size;
+        this.metrics.dropped += 1;
+      }
+      if (message.size > this.maxQueueBytes) {
+        this.metrics.dropped += 1;
+        return;
+      }
+    }
+
+    queue.messages.push(message);
+    queue.bytes += message.size;
+    this.metrics.queued += 1;
+  }
+
+  /**
+   * Sends queued messages while the connection's buffer is under the high-water mark.
+   * @private
+   * @param {import('ws').WebSocket} ws - The connection
+   */
+  flush(ws) {
+    const queue = this.queues.get(ws);
+    while (queue?.messages.length > 0 && (ws.bufferedAmount ?? 0) < this.highWaterMark) {
+      const { data, size, label } = queue.messages.shift();
+      queue.bytes -= size;
+      this.write(ws, data, label);
+    }
+    if (queue?.messages.length === 0) {
+      this.queues.delete(ws);
+    }
+  }
+
+  /**
+   * Counts and logs a failed send.
+   * @private
+   * @param {string} label - Log message prefix
+   * @param {Error} error - The failure
+   */
+  fail(label, error) {
+    this.metrics.failed += 1;
+    console.error(label, error);
+  }
+
+  /**
+   * Removes and returns the messages waiting in a connection's queue, e.g. to hand them over to
+   * the connection that resumes its session.
+   * @param {import('ws').WebSocket} ws - The connection
+   * @returns {string[]} The serialized messages, oldest first
+   */
+  takeQueued(ws) {
+    const queue = this.queues.get(ws);
+    this.queues.delete(ws);
+    return queue ? queue.messages.map(({ data }) => data) : [];
+  }
+
+  /**
+   * Returns the number of bytes waiting in a connection's queue.
+   * @param {import('ws').WebSocket} ws - The connection
+   * @returns {number} The queued bytes
+   */
+  getQueuedBytes(ws) {
+    return this.queues.get(ws)?.bytes ?? 0;
+  }
+
+  /**
+   * Returns the delivery metrics.
+   * @returns {DeliveryMetrics} A copy of the counters
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
 }
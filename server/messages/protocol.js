@@ -0,0 +1,479 @@
+/**
+ * @fileoverview Wire protocol spoken between clients and the relay server: versions,
+ * message validation and error codes.
+ * @module message/protocol
+ */
+
+/**
+ * Current protocol version, announced in the `welcome` reply.
+ * @type {number}
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Protocol versions the server can speak.
+ * @type {number[]}
+ */
+export const SUPPORTED_VERSIONS = Object.freeze([1]);
+
+/**
+ * Optional features offered by the server, announced in the `welcome` reply.
+ * @type {string[]}
+ */
+export const CAPABILITIES = Object.freeze([
+  'direct',
+  'topics',
+  'presence',
+  'auth',
+  'e2e',
+  'history',
+  'resume',
+  'signaling',
+  'profiles',
+]);
+
+/**
+ * Default maximum size of an incoming message in bytes.
+ * @type {number}
+ */
+export const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Maximum length of a topic name.
+ * @type {number}
+ */
+export const MAX_TOPIC_LENGTH = 128;
+
+/**
+ * Maximum number of recipients of a direct message.
+ * @type {number}
+ */
+export const MAX_RECIPIENTS = 100;
+
+/**
+ * Maximum number of messages in a page of topic history.
+ * @type {number}
+ */
+export const MAX_HISTORY_PAGE = 100;
+
+/**
+ * Maximum length of a signaling session ID.
+ * @type {number}
+ */
+export const MAX_SESSION_ID_LENGTH = 64;
+
+/**
+ * Maximum size of a peer's profile in bytes, once serialized.
+ * @type {number}
+ */
+export const MAX_PROFILE_SIZE = 4 * 1024;
+
+/**
+ * Maximum length of a profile's name, client and each of its features.
+ * @type {number}
+ */
+export const MAX_PROFILE_FIELD_LENGTH = 128;
+
+/**
+ * Maximum number of features a peer may advertise in its profile.
+ * @type {number}
+ */
+export const MAX_FEATURES = 32;
+
+/**
+ * Maximum number of peers in a `find-peers` reply.
+ * @type {number}
+ */
+export const MAX_FIND_RESULTS = 100;
+
+/**
+ * Fields of a peer's profile.
+ * @type {string[]}
+ */
+const PROFILE_FIELDS = ['name', 'client', 'features', 'data'];
+
+/**
+ * Codes of the `error` replies sent to clients.
+ * @readonly
+ * @enum {string}
+ */
+export const ERROR_CODES = Object.freeze({
+  MALFORMED_MESSAGE: 'MALFORMED_MESSAGE',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  HANDSHAKE_COMPLETED: 'HANDSHAKE_COMPLETED',
+  INVALID_PUBLIC_KEY: 'INVALID_PUBLIC_KEY',
+  INVALID_ENCRYPTION_KEY: 'INVALID_ENCRYPTION_KEY',
+  NO_CHALLENGE: 'NO_CHALLENGE',
+  AUTH_FAILED: 'AUTH_FAILED',
+  IDENTITY_IN_USE: 'IDENTITY_IN_USE',
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  INVALID_RECIPIENT: 'INVALID_RECIPIENT',
+  UNKNOWN_PEER: 'UNKNOWN_PEER',
+  UNDELIVERED: 'UNDELIVERED',
+  INVALID_TOPIC: 'INVALID_TOPIC',
+  NOT_SUBSCRIBED: 'NOT_SUBSCRIBED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  HISTORY_UNAVAILABLE: 'HISTORY_UNAVAILABLE',
+  RESUME_FAILED: 'RESUME_FAILED',
+  UNKNOWN_SESSION: 'UNKNOWN_SESSION',
+  SESSION_IN_USE: 'SESSION_IN_USE',
+  TOO_MANY_SESSIONS: 'TOO_MANY_SESSIONS',
+  PROFILE_TOO_LARGE: 'PROFILE_TOO_LARGE',
+});
+
+/**
+ * Creates an error carrying a protocol error code and the extra fields of the `error` reply.
+ * @param {string} code - One of {@link ERROR_CODES}
+ * @param {string} message - Human-readable description
+ * @param {Object} [details={}] - Extra fields for the `error` reply, e.g. the offending topic
+ * @returns {Error} The error
+ */
+export const createProtocolError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Throws an `INVALID_MESSAGE` error unless the condition holds.
+ * @param {boolean} condition - The condition to check
+ * @param {string} message - Description of the violated rule
+ * @throws {Error} If the condition does not hold
+ */
+const check = (condition, message) => {
+  if (!condition) {
+    throw createProtocolError(ERROR_CODES.INVALID_MESSAGE, message);
+  }
+};
+
+/**
+ * Validates the optional client reference echoed back in replies.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the reference is not a string
+ */
+const validateId = ({ id }) => check(id === undefined || typeof id === 'string', '"id" must be a string');
+
+/**
+ * Validates the optional signature of a message's content.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the signature is not a string
+ */
+const validateSignature = ({ signature }) =>
+  check(signature === undefined || typeof signature === 'string', '"signature" must be a base64 string');
+
+/**
+ * Validates an end-to-end encrypted envelope. The server cannot read it, so only its shape is checked.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the content is not an envelope
+ */
+const validateEnvelope = ({ content }) => {
+  const fields = ['alg', 'ephemeralKey', 'nonce', 'ciphertext', 'tag'];
+  check(
+    content !== null && typeof content === 'object' && fields.every((field) => typeof content[field] === 'string'),
+    `Encrypted content must be an envelope with string fields ${fields.join(', ')}`,
+  );
+};
+
+/**
+ * Validates the topic of a topic message.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the topic is missing or too long
+ */
+const validateTopic = ({ topic }) => {
+  if (typeof topic !== 'string' || topic.length === 0 || topic.length > MAX_TOPIC_LENGTH) {
+    throw createProtocolError(
+      ERROR_CODES.INVALID_TOPIC,
+      `Topic must be a string of 1 to ${MAX_TOPIC_LENGTH} characters`,
+      { topic },
+    );
+  }
+};
+
+/**
+ * Validates the recipients of a direct message.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the recipients are not a peer ID or a list of peer IDs
+ */
+const validateRecipients = ({ to }) => {
+  const recipients = Array.isArray(to) ? to : [to];
+  if (
+    recipients.length === 0 ||
+    recipients.length > MAX_RECIPIENTS ||
+    recipients.some((recipient) => typeof recipient !== 'string')
+  ) {
+    throw createProtocolError(
+      ERROR_CODES.INVALID_RECIPIENT,
+      `"to" must be a peer ID or a list of 1 to ${MAX_RECIPIENTS} peer IDs`,
+    );
+  }
+};
+
+/**
+ * Validates a sequence number used as a history cursor.
+ * @param {Object} message - The message to validate
+ * @param {string} field - Name of the cursor field
+ * @throws {Error} If the cursor is set and not a non-negative integer
+ */
+const validateCursor = (message, field) =>
+  check(
+    message[field] === undefined || (Number.isInteger(message[field]) && message[field] >= 0),
+    `"${field}" must be a sequence number`,
+  );
+
+/**
+ * Validates the addressing common to all signaling messages: a single recipient and a session ID.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the recipient or the session ID is invalid
+ */
+const validateSignal = (message) => {
+  if (typeof message.to !== 'string') {
+    throw createProtocolError(ERROR_CODES.INVALID_RECIPIENT, 'Signaling messages must be addressed to a single peer');
+  }
+  check(
+    typeof message.session === 'string' &&
+      message.session.length > 0 &&
+      message.session.length <= MAX_SESSION_ID_LENGTH,
+    `"session" must be a string of 1 to ${MAX_SESSION_ID_LENGTH} characters`,
+  );
+};
+
+/**
+ * Checks whether a value is a plain JSON object.
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an object and not an array
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks whether a value is a list of up to {@link MAX_FEATURES} feature names.
+ * @param {*} features - The value to check
+ * @returns {boolean} True if the value is a list of non-empty strings short enough for a profile
+ */
+const isFeatureList = (features) =>
+  Array.isArray(features) &&
+  features.length <= MAX_FEATURES &&
+  features.every(
+    (feature) => typeof feature === 'string' && feature.length > 0 && feature.length <= MAX_PROFILE_FIELD_LENGTH,
+  );
+
+/**
+ * Checks whether a value is a map of custom profile fields, whose values are strings, numbers or booleans.
+ * @param {*} data - The value to check
+ * @returns {boolean} True if the value is such a map
+ */
+const isProfileData = (data) =>
+  isObject(data) && Object.values(data).every((value) => ['string', 'number', 'boolean'].includes(typeof value));
+
+/**
+ * Validates the profile a peer advertises to the others. Fields set to null are cleared by profile updates.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the profile has unknown or invalid fields, or is too large
+ */
+const validateProfile = ({ profile }) => {
+  check(isObject(profile), '"profile" must be an object');
+  check(
+    Object.keys(profile).every((field) => PROFILE_FIELDS.includes(field)),
+    `"profile" may only have the fields ${PROFILE_FIELDS.join(', ')}`,
+  );
+  ['name', 'client'].forEach((field) =>
+    check(
+      profile[field] == null || (typeof profile[field] === 'string' && profile[field].length <= MAX_PROFILE_FIELD_LENGTH),
+      `"profile.${field}" must be a string of up to ${MAX_PROFILE_FIELD_LENGTH} characters`,
+    ),
+  );
+  check(
+    profile.features == null || isFeatureList(profile.features),
+    `"profile.features" must be a list of up to ${MAX_FEATURES} feature names`,
+  );
+  check(
+    profile.data == null || isProfileData(profile.data),
+    '"profile.data" must be an object of strings, numbers and booleans',
+  );
+  if (Buffer.byteLength(JSON.stringify(profile)) > MAX_PROFILE_SIZE) {
+    throw createProtocolError(ERROR_CODES.PROFILE_TOO_LARGE, `Profile exceeds ${MAX_PROFILE_SIZE} bytes`);
+  }
+};
+
+/**
+ * Validates the filter of a `find-peers` request, which matches the profiles of the peers.
+ * @param {Object} message - The message to validate
+ * @throws {Error} If the filter has invalid fields
+ */
+const validateFilter = ({ filter }) => {
+  if (filter === undefined) {
+    return;
+  }
+  check(isObject(filter), '"filter" must be an object');
+  ['name', 'client'].forEach((field) =>
+    check(filter[field] === undefined || typeof filter[field] === 'string', `"filter.${field}" must be a string`),
+  );
+  check(
+    filter.features === undefined || isFeatureList(filter.features),
+    `"filter.features" must be a list of up to ${MAX_FEATURES} feature names`,
+  );
+  check(
+    filter.data === undefined || isProfileData(filter.data),
+    '"filter.data" must be an object of strings, numbers and booleans',
+  );
+};
+
+/**
+ * Validators for the messages clients may send, indexed by message type.
+ * Each validator throws a protocol error describing the first problem it finds.
+ * @type {Object.<string, function(Object): void>}
+ */
+const validators = {
+  hello: (message) => {
+    check(Number.isInteger(message.version), '"version" must be an integer');
+    check(
+      message.capabilities === undefined ||
+        (Array.isArray(message.capabilities) && message.capabilities.every((item) => typeof item === 'string')),
+      '"capabilities" must be a list of strings',
+    );
+    check(
+      message.publicKey === undefined || typeof message.publicKey === 'string',
+      '"publicKey" must be a base64 string',
+    );
+    check(
+      message.encryptionKey === undefined || typeof message.encryptionKey === 'string',
+      '"encryptionKey" must be a base64 string',
+    );
+    check(
+      message.encryptionKeySignature === undefined ||
+        (typeof message.encryptionKeySignature === 'string' && message.encryptionKey !== undefined),
+      '"encryptionKeySignature" must be a base64 string sent along with "encryptionKey"',
+    );
+    if (message.profile !== undefined) {
+      validateProfile(message);
+    }
+  },
+  auth: (message) => {
+    check(typeof message.signature === 'string', '"signature" must be a base64 string');
+  },
+  message: (message) => {
+    validateId(message);
+    validateSignature(message);
+    check('content' in message, '"content" is required');
+    check(message.encrypted === undefined || typeof message.encrypted === 'boolean', '"encrypted" must be a boolean');
+    if (message.encrypted) {
+      // Envelopes are encrypted for a single recipient's key
+      check(typeof message.to === 'string', 'Encrypted messages must be addressed to a single peer');
+      validateEnvelope(message);
+    }
+    if ('to' in message) {
+      validateRecipients(message);
+    }
+  },
+  join: validateTopic,
+  leave: validateTopic,
+  publish: (message) => {
+    validateTopic(message);
+    validateSignature(message);
+    check('content' in message, '"content" is required');
+  },
+  history: (message) => {
+    validateTopic(message);
+    validateId(message);
+    validateCursor(message, 'before');
+    validateCursor(message, 'after');
+    check(message.before === undefined || message.after === undefined, 'Use either "before" or "after"');
+    check(
+      message.limit === undefined ||
+        (Number.isInteger(message.limit) && message.limit >= 1 && message.limit <= MAX_HISTORY_PAGE),
+      `"limit" must be an integer from 1 to ${MAX_HISTORY_PAGE}`,
+    );
+  },
+  offer: (message) => {
+    validateSignal(message);
+    check(typeof message.sdp === 'string', '"sdp" must be a string');
+  },
+  answer: (message) => {
+    validateSignal(message);
+    check(typeof message.sdp === 'string', '"sdp" must be a string');
+  },
+  'ice-candidate': (message) => {
+    validateSignal(message);
+    // null signals the end of candidates
+    check(
+      message.candidate === null || (typeof message.candidate === 'object' && !Array.isArray(message.candidate)),
+      '"candidate" must be an object or null',
+    );
+  },
+  hangup: validateSignal,
+  profile: (message) => {
+    validateId(message);
+    validateProfile(message);
+  },
+  'find-peers': (message) => {
+    validateId(message);
+    validateFilter(message);
+    check(
+      message.limit === undefined ||
+        (Number.isInteger(message.limit) && message.limit >= 1 && message.limit <= MAX_FIND_RESULTS),
+      `"limit" must be an integer from 1 to ${MAX_FIND_RESULTS}`,
+    );
+  },
+  keys: (message) => {
+    validateId(message);
+    check(typeof message.peer === 'string', '"peer" must be a peer ID');
+  },
+};
+
+/**
+ * Message types clients may send.
+ * @type {string[]}
+ */
+export const MESSAGE_TYPES = Object.freeze(Object.keys(validators));
+
+/**
+ * Checks whether the server can speak a protocol version.
+ * @param {number} version - The version requested by a client
+ * @returns {boolean} True if the version is supported
+ */
+export const isSupportedVersion = (version) => SUPPORTED_VERSIONS.includes(version);
+
+/**
+ * Parses and validates a raw message received from a client.
+ * @param {Buffer|string} data - The raw message
+ * @param {number} [maxSize=MAX_MESSAGE_SIZE] - Maximum message size in bytes
+ * @returns {Object} The validated message, guaranteed to have a known `type`
+ * @throws {Error} A protocol error (see {@link createProtocolError}) if the message is too large,
+ *   not a JSON object, of an unknown type or fails validation
+ */
+export const parseMessage = (data, maxSize = MAX_MESSAGE_SIZE) => {
+  const size = typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+  if (size > maxSize) {
+    throw createProtocolError(ERROR_CODES.MESSAGE_TOO_LARGE, `Message exceeds ${maxSize} bytes`);
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch {
+    throw createProtocolError(ERROR_CODES.MALFORMED_MESSAGE, 'Message must be valid JSON');
+  }
+  if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+    throw createProtocolError(ERROR_CODES.MALFORMED_MESSAGE, 'Message must be a JSON object');
+  }
+
+  // Own-property lookup so types like "constructor" are rejected as unknown
+  if (!Object.hasOwn(validators, message.type)) {
+    throw createProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`, {
+      id: typeof message.id === 'string' ? message.id : undefined,
+    });
+  }
+
+  try {
+    validators[message.type](message);
+  } catch (error) {
+    // Echo the client's reference so it can match the error to its request
+    error.details = { id: typeof message.id === 'string' ? message.id : undefined, ...error.details };
+    throw error;
+  }
+  return message;
+};
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Peer repository persisting peer metadata to LevelDB.
+ * @module peer/levelPeerRepository
+ */
+
+import { Level } from "level";
+import { MemoryPeerRepository } from "./memoryPeerRepository.js";
+
+/** @typedef {import('./peerRepository.js').Peer} Peer */
+/** @typedef {import('./peerRepository.js').KnownPeer} KnownPeer */
+
+/**
+ * Peer repository that tracks connected peers in memory, like {@link MemoryPeerRepository}, and
+ * writes the metadata and topics of authenticated peers through to a LevelDB database so they
+ * survive a restart. Anonymous peers are not persisted, since their IDs are never used again.
+ *
+ * Persisted metadata is kept apart from presence: peers from a previous run are not connected, so
+ * they are only returned by {@link LevelPeerRepository#getKnown} until they connect again, when
+ * they join their topics again. Writes are applied in order in the background; a failed write is
+ * logged and does not affect the in-memory state. Activity is persisted at most once per
+ * `persistInterval` for each peer.
+ *
+ * The database belongs to a single process. Servers share their peers and topics by linking to
+ * each other in a federation, see {@link module:federation/federation}.
+ */
+export class LevelPeerRepository extends MemoryPeerRepository {
+  /**
+   * Creates a new LevelDB-backed repository.
+   * @param {Object} options - Repository configuration options
+   * @param {string} options.dbPath - Path to the LevelDB database
+   * @param {number} [options.persistInterval=60000] - Minimum time between writes of a peer's lastActive
+   *   timestamp, in milliseconds
+   */
+  constructor(options) {
+    super();
+
+    if (!options?.dbPath) {
+      throw new Error("dbPath is required for LevelPeerRepository");
+    }
+
+    this.dbPath = options.dbPath;
+    this.persistInterval = options.persistInterval ?? 60000;
+    /** @private */
+    this.db = new Level(this.dbPath, { valueEncoding: "json" });
+
+    /**
+     * Last persisted metadata of every authenticated peer seen, connected or not, indexed by ID.
+     * @private
+     * @type {Map<string, KnownPeer>}
+     */
+    this.known = new Map();
+
+    /**
+     * lastActive timestamp of each connected peer when its metadata was last persisted.
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.persistedAt = new Map();
+
+    /**
+     * Last pending write; writes are chained so they reach the database in order.
+     * @private
+     * @type {Promise<void>}
+     */
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Loads the metadata persisted by previous runs. The peers are not connected until they are added again.
+   * @returns {Promise<void>}
+   */
+  async open() {
+    try {
+      for await (const [id, peer] of this.db.iterator()) {
+        // Peers that connected while loading are more recent
+        if (!this.known.has(id)) {
+          this.known.set(id, peer);
+        }
+      }
+    } catch (error) {
+      throw new Error(`Failed to load peers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the last persisted metadata of an authenticated peer, whether it is connected or not.
+   * @param {string} id - Unique identifier of the peer
+   * @returns {KnownPeer|undefined} The peer's metadata, or undefined if it never authenticated
+   */
+  getKnown(id) {
+    const peer = this.known.get(id);
+    return peer && { ...peer };
+  }
+
+  /**
+   * Persists the topics of an authenticated peer, kept until they change again.
+   * @param {string} id - Unique identifier of the peer
+   * @param {string[]} topics - The peer's topics
+   * @returns {void}
+   */
+  setTopics(id, topics) {
+    const known = this.known.get(id);
+    if (known) {
+      this.write(id, { ...known, topics: [...topics] });
+    }
+  }
+
+  /**
+   * Queues a write of a connected peer's current metadata, with its last persisted topics, if it is
+   * authenticated.
+   * @private
+   * @param {string} id - Unique identifier of the peer
+   * @returns {void}
+   */
+  persist(id) {
+    const peer = this.getSerializable(id);
+    if (peer?.publicKey === undefined) {
+      return;
+    }
+    const topics = this.known.get(id)?.topics;
+    this.persistedAt.set(id, peer.lastActive);
+    this.write(id, topics ? { ...peer, topics } : peer);
+  }
+
+  /**
+   * Queues a write of a peer's metadata, after the pending ones.
+   * @private
+   * @param {string} id - Unique identifier of the peer
+   * @param {KnownPeer} peer - The metadata
+   * @returns {void}
+   */
+  write(id, peer) {
+    this.known.set(id, peer);
+    this.writes = this.writes
+      .then(() => this.db.put(id, peer))
+      .catch((error) => console.error(`Failed to persist peer ${id}:`, error));
+  }
+
+  /**
+   * Adds a peer to the repository and persists it.
+   * @param {string} id - Unique identifier for the peer
+   * @param {Peer} peer - Complete peer object to add to the repository
+   * @returns {void}
+   */
+  add(id, peer) {
+    super.add(id, peer);
+    this.persist(id);
+  }
+
+  /**
+   * Records activity for a peer, persisting it if the last write is older than the persist interval.
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Omit<Peer, 'ws'>|undefined} The updated peer, or undefined if unknown
+   */
+  touch(id) {
+    const peer = super.touch(id);
+    if (peer && peer.lastActive - (this.persistedAt.get(id) ?? 0) >= this.persistInterval) {
+      this.persist(id);
+    }
+    return peer;
+  }
+
+  /**
+   * Updates fields of a peer and persists them.
+   * @param {string} id - Unique identifier of the peer
+   * @param {Partial<Omit<Peer, 'id' | 'ws'>>} changes - The fields to update
+   * @returns {Omit<Peer, 'ws'>|undefined} The updated peer, or undefined if unknown
+   */
+  update(id, changes) {
+    const peer = super.update(id, changes);
+    if (peer) {
+      this.persist(id);
+    }
+    return peer;
+  }
+
+  /**
+   * Removes a peer from the connected peers. Its metadata is kept, with its last activity, for
+   * when it comes back.
+   * @param {string} id - Unique identifier of the peer to remove
+   * @returns {void}
+   */
+  remove(id) {
+    if (!this.has(id)) {
+      return;
+    }
+    this.persist(id);
+    this.persistedAt.delete(id);
+    super.remove(id);
+  }
+
+  /**
+   * Waits for the pending writes to reach the database.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Writes the pending changes and closes the database.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+    try {
+      await this.db.close();
+    } catch (error) {
+      throw new Error(`Failed to close database: ${error.message}`);
+    }
+  }
+}
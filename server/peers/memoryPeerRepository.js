@@ -0,0 +1,143 @@
+/**
+ * @fileoverview In-memory peer repository, the default backend.
+ * @module peer/memoryPeerRepository
+ */
+
+import { PeerRepository } from "./peerRepository.js";
+
+/** @typedef {import('./peerRepository.js').Peer} Peer */
+
+/**
+ * Peer repository keeping peers in memory only: they are gone when the process exits.
+ */
+export class MemoryPeerRepository extends PeerRepository {
+  /**
+   * Creates a new MemoryPeerRepository instance.
+   */
+  constructor() {
+    super();
+
+    /**
+     * Storage for all active peers, indexed by their unique IDs.
+     * @private
+     * @type {Object.<string, Peer>}
+     */
+    this.peers = {};
+  }
+
+  /**
+   * Adds a peer to the repository.
+   * If a peer with the same ID already exists, it will be overwritten.
+   *
+   * @param {string} id - Unique identifier for the peer
+   * @param {Peer} peer - Complete peer object to add to the repository
+   * @returns {void}
+   */
+  add(id, peer) {
+    this.peers[id] = { ...peer };
+  }
+
+  /**
+   * Retrieves a single peer with its complete data, including the WebSocket instance.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Peer|undefined} A copy of the peer, or undefined if no such peer is connected
+   */
+  get(id) {
+    if (!this.has(id)) {
+      return undefined;
+    }
+    const peer = this.peers[id];
+    return { ...peer, ws: peer.ws };
+  }
+
+  /**
+   * Checks whether a peer is in the repository.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {boolean} True if the peer is connected
+   */
+  has(id) {
+    return Object.hasOwn(this.peers, id);
+  }
+
+  /**
+   * Retrieves a single peer in a format safe for serialization.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Omit<Peer, 'ws'>|undefined} The peer without its WebSocket connection, or undefined if unknown
+   */
+  getSerializable(id) {
+    if (!this.has(id)) {
+      return undefined;
+    }
+    const { ws, ...rest } = this.peers[id];
+    return { ...rest };
+  }
+
+  /**
+   * Records activity for a peer by setting its lastActive timestamp to now.
+   * If the peer doesn't exist, this operation has no effect.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Omit<Peer, 'ws'>|undefined} The updated peer without its WebSocket connection, or undefined if unknown
+   */
+  touch(id) {
+    if (!this.has(id)) {
+      return undefined;
+    }
+    this.peers[id].lastActive = Date.now();
+    return this.getSerializable(id);
+  }
+
+  /**
+   * Updates fields of a peer, e.g. keys it advertised after connecting.
+   * If the peer doesn't exist, this operation has no effect.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @param {Partial<Omit<Peer, 'id' | 'ws'>>} changes - The fields to update
+   * @returns {Omit<Peer, 'ws'>|undefined} The updated peer without its WebSocket connection, or undefined if unknown
+   */
+  update(id, changes) {
+    if (!this.has(id)) {
+      return undefined;
+    }
+    this.peers[id] = { ...this.peers[id], ...changes, id };
+    return this.getSerializable(id);
+  }
+
+  /**
+   * Removes a peer from the repository by its ID.
+   * If the peer doesn't exist, this operation has no effect.
+   *
+   * @param {string} id - Unique identifier of the peer to remove
+   * @returns {void}
+   */
+  remove(id) {
+    delete this.peers[id];
+  }
+
+  /**
+   * Retrieves all peers with their complete data, including WebSocket instances.
+   * Returns a deep copy of the peers to prevent external modifications.
+   *
+   * @returns {Array<Peer>} Array of complete peer objects including WebSocket connections
+   */
+  getAll() {
+    return Object.values(this.peers).map((peer) => ({
+      ...peer,
+      // Don't deep clone the WebSocket instance
+      ws: peer.ws,
+    }));
+  }
+
+  /**
+   * Retrieves all peers in a format safe for serialization by removing WebSocket instances.
+   * Returns a deep copy of the peers without their WebSocket connections.
+   *
+   * @returns {Array<Omit<Peer, 'ws'>>} Array of peers without their WebSocket connections
+   */
+  getAllSerializable() {
+    return Object.values(this.peers).map(({ ws, ...rest }) => ({ ...rest }));
+  }
+}
@@ -3,6 +3,45 @@
  * @module peer/peerConnection
  */
 
+import { RoomRepository } from '../rooms/roomRepository.js';
+import { SignalingRepository } from '../signaling/signalingRepository.js';
+import { PENALTIES, RateLimiter } from '../limits/rateLimiter.js';
+import { BufferedSocket } from './sessionStore.js';
+import {
+  CAPABILITIES,
+  ERROR_CODES,
+  MAX_FIND_RESULTS,
+  MAX_MESSAGE_SIZE,
+  MAX_PROFILE_SIZE,
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  createProtocolError,
+  isSupportedVersion,
+  parseMessage,
+} from '../messages/protocol.js';
+import {
+  createChallenge,
+  parseEncryptionKey,
+  peerIdFromPublicKey,
+  verifyChallenge,
+  verifyContent,
+} from './peerIdentity.js';
+
+/**
+ * Close codes of connections the peer closed on purpose, which end its session right away.
+ * @type {number[]}
+ */
+const CLEAN_CLOSE_CODES = [1000, 1001];
+
+/**
+ * Applies changes to a profile; fields set to null are removed.
+ * @param {import('./peerRepository.js').PeerProfile} [profile={}] - The current profile
+ * @param {Object} changes - The fields to change
+ * @returns {import('./peerRepository.js').PeerProfile} The new profile
+ */
+const mergeProfile = (profile = {}, changes) =>
+  Object.fromEntries(Object.entries({ ...profile, ...changes }).filter(([, value]) => value !== null));
+
 /**
  * Manages a single peer's connection, message handling, and lifecycle.
  */
@@ -12,23 +51,137 @@ export class PeerConnection {
    * @param {import('ws').WebSocket} ws - The WebSocket connection instance for this peer
    * @param {import('./peerRepository.js').PeerRepository} peerRepository - Repository for managing peer data
    * @param {import('../messages/messageService.js').MessageService} messageService - Service for handling message broadcasting
+   * @param {Object} [options] - Shared server state
+   * @param {RoomRepository} [options.roomRepository] - Repository for topic membership, shared by all connections
+   * @param {number} [options.presenceInterval=30000] - Minimum time between `peer-updated` announcements of
+   *   a peer's activity, in milliseconds
+   * @param {number} [options.maxMessageSize] - Maximum size of an incoming message in bytes
+   * @param {RateLimiter} [options.rateLimiter] - Rate limiter, shared by all connections
+   * @param {string} [options.remoteAddress] - IP address of the peer, which its rate limits are kept for, banned
+   *   if the rate limit penalty is `ban`
+   * @param {import('../messages/mailbox.js').Mailbox} [options.mailbox] - Store for direct messages to peers that
+   *   are not connected; such messages are rejected without one
+   * @param {import('../rooms/roomHistory.js').RoomHistory} [options.roomHistory] - History of the messages published
+   *   to topics, shared by all connections; topic messages are not kept without one
+   * @param {import('./sessionStore.js').SessionStore} [options.sessions] - Resumable sessions, shared by all
+   *   connections; peers are removed as soon as their connection closes without one
+   * @param {string} [options.resumeToken] - Token the client presented to resume its previous session
+   * @param {SignalingRepository} [options.signalingRepository] - WebRTC signaling sessions, shared by all connections
+   * @param {import('../federation/federation.js').Federation} [options.federation] - Links to the other servers of
+   *   the federation, told about the peer's presence and topic messages
    */
-  constructor(ws, peerRepository, messageService) {
+  constructor(ws, peerRepository, messageService, options = {}) {
     /** @private */
     this.ws = ws;
     /** @private */
     this.peerRepository = peerRepository;
     /** @private */
     this.messageService = messageService;
+    /** @private */
+    this.roomRepository = options.roomRepository || new RoomRepository();
+    /** @private */
+    this.presenceInterval = options.presenceInterval ?? 30000;
+    /** @private */
+    this.maxMessageSize = options.maxMessageSize ?? MAX_MESSAGE_SIZE;
+    /** @private */
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    /** @private */
+    this.remoteAddress = options.remoteAddress;
+    /** @private */
+    this.mailbox = options.mailbox || null;
+    /** @private */
+    this.roomHistory = options.roomHistory || null;
+    /** @private */
+    this.sessions = options.sessions || null;
+    /** @private */
+    this.signalingRepository = options.signalingRepository || new SignalingRepository();
+    /** @private */
+    this.federation = options.federation || null;
+
+    /**
+     * Token the peer may present to resume this session, issued when it is welcomed.
+     * @private
+     * @type {string|null}
+     */
+    this.resumeToken = null;
+
+    /**
+     * Protocol version and capabilities agreed in the `hello` handshake. Clients that skip the
+     * handshake are assumed to speak the current version without optional capabilities.
+     * @private
+     * @type {{version: number, capabilities: string[], greeted: boolean}}
+     */
+    this.session = { version: PROTOCOL_VERSION, capabilities: [], greeted: false };
+
+    /**
+     * Handshake awaiting the answer to an authentication challenge.
+     * @private
+     * @type {{version: number, capabilities: string[], fields: Object, publicKey: string, id: string, nonce: string}|null}
+     */
+    this.challenge = null;
+
+    /**
+     * Handlers for the protocol's message types, indexed by message type.
+     * @private
+     * @type {Object.<string, function(Object): void>}
+     */
+    this.handlers = {
+      hello: (message) => this.handleHello(message),
+      auth: (message) => this.handleAuth(message),
+      message: (message) => this.handleChat(message),
+      join: (message) => this.handleJoin(message),
+      leave: (message) => this.handleLeave(message),
+      publish: (message) => this.handlePublish(message),
+      history: (message) => this.handleHistory(message),
+      offer: (message) => this.handleSignal(message),
+      answer: (message) => this.handleSignal(message),
+      'ice-candidate': (message) => this.handleSignal(message),
+      hangup: (message) => this.handleSignal(message),
+      profile: (message) => this.handleProfile(message),
+      'find-peers': (message) => this.handleFindPeers(message),
+      keys: (message) => this.handleKeys(message),
+    };
+
+    /**
+     * Whether the peer has answered the last heartbeat ping.
+     * @private
+     * @type {boolean}
+     */
+    this.alive = true;
+
+    /**
+     * Whether the connection is being closed by the server; later messages are ignored.
+     * @private
+     * @type {boolean}
+     */
+    this.closing = false;
+
+    /**
+     * Whether the connection has been closed and the peer removed or suspended.
+     * @private
+     * @type {boolean}
+     */
+    this.closed = false;
 
-    // Create a new peer when connection is established
-    this.peer = this.peerRepository.createPeer();
+    // Create a new peer when connection is established, unless it resumes a suspended session
+    const resumed = options.resumeToken && this.sessions ? this.sessions.resume(options.resumeToken) : null;
+    this.peer = resumed ? { ...resumed.peer } : this.peerRepository.createPeer();
+    /** @private */
+    this.lastPresenceUpdate = this.peer.connectionCreated;
+
+    if (resumed) {
+      this.resumeSession(resumed);
+      return;
+    }
     this.initialize();
+    if (options.resumeToken) {
+      this.sendError(createProtocolError(ERROR_CODES.RESUME_FAILED, 'Session expired, start a new handshake'));
+    }
   }
 
   /**
    * Initializes the peer connection by adding it to the repository,
-   * sending initial peer list, and setting up event listeners.
+   * sending initial peer list, announcing the peer to the others and setting up event listeners.
    * @private
    */
   initialize() {
@@ -37,41 +190,978 @@ export class PeerConnection {
       ...this.peer,
     });
     this.sendInitialPeers();
+    this.announce('peer-joined', this.peerRepository.getSerializable(this.peer.id));
+    this.setupEventListeners();
+  }
+
+  /**
+   * Takes over a suspended session: the peer keeps its ID and subscriptions, which the other peers
+   * never saw go away, and receives the messages sent to it while it was disconnected.
+   * @param {import('./sessionStore.js').SuspendedSession} suspended - The session
+   * @private
+   */
+  resumeSession({ session, socket }) {
+    this.peerRepository.update(this.peer.id, { ws: this.ws });
+    this.sendInitialPeers();
     this.setupEventListeners();
+    this.welcome(session, true);
+    socket.messages.forEach((data) => this.messageService.send(this.ws, JSON.parse(data)));
+  }
+
+  /**
+   * Returns the other peers sharing a topic with this peer, including those of the other servers of
+   * the federation. Peers only see, and reach with broadcasts, the peers they share a topic with, so
+   * that apps using different topics on the same server stay apart.
+   * @returns {import('./peerRepository.js').Peer[]} The peers
+   * @private
+   */
+  neighbours() {
+    return this.roomRepository
+      .getNeighbours(this.peer.id)
+      .map((id) => this.peerRepository.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Broadcasts a presence event about this peer to the peers of this server sharing a topic with it,
+   * and to the other servers of the federation, which announce it to their own peers sharing one.
+   * @param {'peer-joined'|'peer-left'|'peer-updated'} type - The presence event type
+   * @param {Omit<import('./peerRepository.js').Peer, 'ws'>} peer - The peer's current serializable data
+   * @private
+   */
+  announce(type, peer) {
+    const others = this.neighbours().filter(({ relay }) => !relay);
+    this.messageService.broadcast(others, { type, peer });
+    this.federation?.announce(type, peer);
+  }
+
+  /**
+   * After the peer's topics changed, introduces it to the peers it now shares a topic with and them
+   * to it with `peer-joined` events, and likewise with `peer-left` for the peers it no longer shares
+   * one with. Peers of other servers are told by their own server once it learns the new topics.
+   * @param {string[]} before - IDs of the peers sharing a topic with the peer before the change
+   * @private
+   */
+  exchangePresence(before) {
+    const after = this.roomRepository.getNeighbours(this.peer.id);
+    const peer = this.peerRepository.getSerializable(this.peer.id);
+    const changes = [
+      ['peer-joined', after.filter((id) => !before.includes(id))],
+      ['peer-left', before.filter((id) => !after.includes(id))],
+    ];
+    changes.forEach(([type, ids]) =>
+      ids.forEach((id) => {
+        const other = this.peerRepository.get(id);
+        if (!other) {
+          return;
+        }
+        if (!other.relay) {
+          this.messageService.send(other.ws, { type, peer });
+        }
+        this.messageService.send(this.ws, { type, peer: this.peerRepository.getSerializable(id) });
+      }),
+    );
   }
 
   /**
-   * Sends the current list of peers (in serializable format) to the newly connected peer.
+   * Records activity for the peer, announcing it with a `peer-updated` event
+   * at most once per presence interval.
+   * @private
+   */
+  recordActivity() {
+    const peer = this.peerRepository.touch(this.peer.id);
+    if (!peer) {
+      return;
+    }
+    this.peer.lastActive = peer.lastActive;
+
+    if (peer.lastActive - this.lastPresenceUpdate >= this.presenceInterval) {
+      this.lastPresenceUpdate = peer.lastActive;
+      this.announce('peer-updated', peer);
+    }
+  }
+
+  /**
+   * Sends the peer itself and the peers sharing a topic with it (in serializable format) to the newly
+   * connected peer.
    * @private
    */
   sendInitialPeers() {
-    const allPeers = this.peerRepository.getAllSerializable();
+    const peers = [this.peer.id, ...this.roomRepository.getNeighbours(this.peer.id)]
+      .map((id) => this.peerRepository.getSerializable(id))
+      .filter(Boolean);
     this.messageService.send(this.ws, {
       type: 'all-peers',
-      peers: allPeers,
+      peers,
+    });
+  }
+
+  /**
+   * Handles a raw message received from the peer.
+   * The message is validated against the protocol and dispatched to the handler for its type;
+   * invalid messages are answered with an `error` reply and otherwise ignored.
+   * @param {Buffer|string} data - The raw message
+   * @private
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = parseMessage(data, this.maxMessageSize);
+    } catch (error) {
+      this.sendError(error);
+      return;
+    }
+    this.handlers[message.type](message);
+  }
+
+  /**
+   * Replies to the peer with a structured `error` message.
+   * @param {Error} error - A protocol error (see {@link createProtocolError})
+   * @private
+   */
+  sendError({ code, message, details }) {
+    this.messageService.send(this.ws, { type: 'error', code, ...details, message });
+  }
+
+  /**
+   * Negotiates the protocol version and capabilities with the peer.
+   * Peers presenting a public key are sent a `challenge` to sign and welcomed once they answer
+   * it (see {@link PeerConnection#handleAuth}); others are welcomed right away. The handshake
+   * may only complete once per connection.
+   * @param {Object} message - The hello message
+   * @param {number} message.version - Protocol version the peer speaks
+   * @param {string[]} [message.capabilities] - Optional features the peer supports
+   * @param {string} [message.publicKey] - Base64-encoded DER (SPKI) Ed25519 public key of the peer
+   * @param {string} [message.encryptionKey] - Base64-encoded DER (SPKI) X25519 key for end-to-end encryption,
+   *   advertised to the other peers
+   * @param {string} [message.encryptionKeySignature] - Signature of `{ encryptionKey }` by the Ed25519 key
+   * @param {import('./peerRepository.js').PeerProfile} [message.profile] - Profile advertised to the other peers
+   * @private
+   */
+  handleHello({ version, capabilities = [], publicKey, encryptionKey, encryptionKeySignature, profile }) {
+    if (this.session.greeted) {
+      this.sendError(createProtocolError(ERROR_CODES.HANDSHAKE_COMPLETED, 'Handshake already completed'));
+      return;
+    }
+    if (!isSupportedVersion(version)) {
+      this.sendError(
+        createProtocolError(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported protocol version: ${version}`, {
+          versions: SUPPORTED_VERSIONS,
+        }),
+      );
+      return;
+    }
+
+    const fields = {};
+    if (encryptionKey !== undefined) {
+      try {
+        parseEncryptionKey(encryptionKey);
+      } catch (error) {
+        this.sendError(createProtocolError(ERROR_CODES.INVALID_ENCRYPTION_KEY, error.message));
+        return;
+      }
+      Object.assign(fields, { encryptionKey, encryptionKeySignature });
+    }
+    if (profile !== undefined) {
+      fields.profile = mergeProfile({}, profile);
+    }
+
+    const agreed = {
+      version,
+      capabilities: CAPABILITIES.filter((capability) => capabilities.includes(capability)),
+    };
+    if (publicKey === undefined) {
+      this.updatePeer(fields);
+      this.welcome(agreed);
+      return;
+    }
+
+    let id;
+    try {
+      id = peerIdFromPublicKey(publicKey);
+    } catch (error) {
+      this.sendError(createProtocolError(ERROR_CODES.INVALID_PUBLIC_KEY, error.message));
+      return;
+    }
+    // A new hello replaces any challenge left unanswered
+    this.challenge = { ...agreed, fields, publicKey, id, nonce: createChallenge() };
+    this.messageService.send(this.ws, { type: 'challenge', nonce: this.challenge.nonce });
+  }
+
+  /**
+   * Checks the peer's answer to its authentication challenge. On success the peer takes the ID
+   * derived from its public key, which the other peers see as the old ID leaving and the new
+   * one joining, and is welcomed.
+   * @param {Object} message - The auth message
+   * @param {string} message.signature - Base64-encoded signature of the challenge
+   * @private
+   */
+  handleAuth({ signature }) {
+    const challenge = this.challenge;
+    this.challenge = null;
+
+    if (!challenge) {
+      this.sendError(createProtocolError(ERROR_CODES.NO_CHALLENGE, 'Send a hello with a public key first'));
+      return;
+    }
+    if (!verifyChallenge(challenge.publicKey, challenge.nonce, signature)) {
+      this.sendError(createProtocolError(ERROR_CODES.AUTH_FAILED, 'Challenge signature is invalid'));
+      return;
+    }
+    // A suspended session of the same identity is ended rather than left to block it
+    if (this.peerRepository.has(challenge.id) && !this.sessions?.end(challenge.id)) {
+      this.sendError(
+        createProtocolError(ERROR_CODES.IDENTITY_IN_USE, 'Another connection is authenticated with this key'),
+      );
+      return;
+    }
+
+    this.rekey(challenge.id, { publicKey: challenge.publicKey, ...challenge.fields });
+    this.welcome(challenge);
+    this.restoreTopics();
+    this.deliverStored();
+  }
+
+  /**
+   * Joins the topics an authenticated peer was subscribed to when it was last connected, as kept by
+   * the peer repository, confirming each with a `joined` reply.
+   * @private
+   */
+  restoreTopics() {
+    const joined = this.roomRepository.getTopics(this.peer.id);
+    (this.peerRepository.getKnown(this.peer.id)?.topics ?? [])
+      .filter((topic) => !joined.includes(topic))
+      .forEach((topic) => this.handleJoin({ topic }));
+    this.saveTopics();
+  }
+
+  /**
+   * Has the peer repository keep the topics of an authenticated peer for its next connection.
+   * @private
+   */
+  saveTopics() {
+    if (this.peer.publicKey) {
+      this.peerRepository.setTopics(this.peer.id, this.roomRepository.getTopics(this.peer.id));
+    }
+  }
+
+  /**
+   * Registers the peer with the mailbox, so messages may be stored for it from now on, then delivers
+   * the direct messages stored while it was not connected, in the order they were sent, and deletes
+   * them. Only authenticated peers get them, since other peers cannot prove they own an ID.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async deliverStored() {
+    if (!this.mailbox) {
+      return;
+    }
+
+    const { id } = this.peer;
+    try {
+      await this.mailbox.register(id);
+    } catch (error) {
+      console.error(`Failed to register peer ${id} with the mailbox:`, error);
+    }
+    try {
+      const messages = await this.mailbox.list(id);
+      // Keep the messages for next time if the peer left in the meantime
+      if (messages.length === 0 || this.peerRepository.get(id)?.ws !== this.ws) {
+        return;
+      }
+      messages.forEach(({ peer, content, signature, encrypted, storedAt }) => {
+        this.messageService.send(this.ws, {
+          type: 'message',
+          peer,
+          direct: true,
+          content,
+          signature,
+          encrypted,
+          storedAt,
+        });
+      });
+      await this.mailbox.delete(messages);
+    } catch (error) {
+      console.error(`Failed to deliver stored messages to peer ${id}:`, error);
+    }
+  }
+
+  /**
+   * Completes the handshake and confirms it with a `welcome` reply, carrying a new resume token if
+   * the server keeps sessions.
+   * @param {{version: number, capabilities: string[]}} agreed - The negotiated version and capabilities
+   * @param {boolean} [resumed=false] - Whether the connection resumed a suspended session
+   * @private
+   */
+  welcome({ version, capabilities }, resumed = false) {
+    this.session = { version, capabilities, greeted: true };
+    if (this.sessions) {
+      this.sessions.release(this.resumeToken);
+      this.resumeToken = this.sessions.issue(() => this.terminate());
+    }
+
+    // Only advertise the optional features this server was set up with
+    const unavailable = [!this.roomHistory && 'history', !this.sessions && 'resume'];
+    this.messageService.send(this.ws, {
+      type: 'welcome',
+      version,
+      peer: this.peer.id,
+      authenticated: this.peer.publicKey !== undefined,
+      capabilities: CAPABILITIES.filter((capability) => !unavailable.includes(capability)),
+      resumeToken: this.resumeToken ?? undefined,
+      resumed: resumed || undefined,
+    });
+  }
+
+  /**
+   * Updates the peer's advertised fields and announces them with a `peer-updated` event.
+   * @param {Object} changes - The fields to update
+   * @private
+   */
+  updatePeer(changes) {
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+    Object.assign(this.peer, changes);
+    this.announce('peer-updated', this.peerRepository.update(this.peer.id, changes));
+  }
+
+  /**
+   * Updates the peer's profile and confirms with a `profile` reply carrying the new profile.
+   * Fields missing from the message are kept and fields set to null are removed.
+   * @param {Object} message - The profile message
+   * @param {import('./peerRepository.js').PeerProfile} message.profile - The fields to change
+   * @param {string} [message.id] - Client-chosen reference echoed back in the reply
+   * @private
+   */
+  handleProfile({ profile: changes, id }) {
+    const profile = mergeProfile(this.peer.profile, changes);
+    // Each update is checked on its own, but together they may outgrow the limit
+    if (Buffer.byteLength(JSON.stringify(profile)) > MAX_PROFILE_SIZE) {
+      this.sendError(
+        createProtocolError(ERROR_CODES.PROFILE_TOO_LARGE, `Profile exceeds ${MAX_PROFILE_SIZE} bytes`, { id }),
+      );
+      return;
+    }
+    this.updatePeer({ profile });
+    this.messageService.send(this.ws, { type: 'profile', id, profile });
+  }
+
+  /**
+   * Replies with a `peers` message listing the peers sharing a topic with this peer whose profile
+   * matches a filter, see {@link PeerRepository#find}. Peers of the other servers of the federation
+   * are included.
+   * @param {Object} message - The find-peers request
+   * @param {import('./peerRepository.js').PeerFilter} [message.filter] - The filter; all peers match without one
+   * @param {number} [message.limit=MAX_FIND_RESULTS] - Maximum number of peers
+   * @param {string} [message.id] - Client-chosen reference echoed back in the reply
+   * @private
+   */
+  handleFindPeers({ filter, limit = MAX_FIND_RESULTS, id }) {
+    const neighbours = new Set(this.roomRepository.getNeighbours(this.peer.id));
+    const peers = this.peerRepository
+      .find(filter)
+      .filter((peer) => neighbours.has(peer.id))
+      .slice(0, limit);
+    this.messageService.send(this.ws, { type: 'peers', id, peers });
+  }
+
+  /**
+   * Replies with a `keys` message carrying the public keys of a single peer, whether it shares a
+   * topic with this peer or not, so that direct messages can be verified and encrypted. Only the
+   * keys are given out, never the rest of the peer's metadata. Authenticated peers that are not
+   * connected are looked up among the known peers, since messages may have been stored from them.
+   * @param {Object} message - The keys request
+   * @param {string} message.peer - ID of the peer
+   * @param {string} [message.id] - Client-chosen reference echoed back in the reply
+   * @private
+   */
+  handleKeys({ peer: peerId, id }) {
+    const peer = this.peerRepository.getSerializable(peerId) ?? this.peerRepository.getKnown(peerId);
+    if (!peer) {
+      this.sendError(createProtocolError(ERROR_CODES.UNKNOWN_PEER, 'Peer is unknown', { id, peers: [peerId] }));
+      return;
+    }
+    const { publicKey, encryptionKey, encryptionKeySignature } = peer;
+    this.messageService.send(this.ws, {
+      type: 'keys',
+      id,
+      peer: peerId,
+      publicKey,
+      encryptionKey,
+      encryptionKeySignature,
+    });
+  }
+
+  /**
+   * Moves the peer to a new ID, keeping its topic subscriptions.
+   * @param {string} id - The new peer ID
+   * @param {Object} changes - Fields to set along with the new ID, e.g. the public key it was derived from
+   * @private
+   */
+  rekey(id, changes) {
+    const previous = this.peerRepository.getSerializable(this.peer.id);
+    this.hangUpAll();
+    this.peerRepository.remove(this.peer.id);
+    this.announce('peer-left', previous);
+    const topics = this.roomRepository.leaveAll(this.peer.id);
+
+    this.peer = { ...this.peer, ...changes, id };
+    this.peerRepository.add(id, { ws: this.ws, ...this.peer });
+    topics.forEach((topic) => this.roomRepository.join(topic, id));
+    this.announce('peer-joined', this.peerRepository.getSerializable(id));
+    this.federation?.announceTopics(id);
+  }
+
+  /**
+   * Checks the optional signature of a message's content, replying with an error if it cannot be
+   * verified. Only authenticated peers can sign, since others have no key to check against.
+   * @param {Object} message - The message
+   * @param {*} message.content - The message content
+   * @param {string} [message.signature] - Base64-encoded signature of the content
+   * @param {string} [message.id] - Client-chosen reference echoed back in the error reply
+   * @returns {boolean} True if the message is unsigned or correctly signed
+   * @private
+   */
+  checkSignature({ content, signature, id }) {
+    if (signature === undefined) {
+      return true;
+    }
+    if (this.peer.publicKey === undefined) {
+      this.sendError(
+        createProtocolError(ERROR_CODES.NOT_AUTHENTICATED, 'Authenticate before signing messages', { id }),
+      );
+      return false;
+    }
+    if (!verifyContent(this.peer.publicKey, content, signature)) {
+      this.sendError(createProtocolError(ERROR_CODES.INVALID_SIGNATURE, 'Content signature is invalid', { id }));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Handles a chat message: messages carrying a `to` field are delivered only to the addressed
+   * peers, everything else is broadcast to the peer itself and the peers sharing a topic with it.
+   * @param {Object} message - The chat message
+   * @param {*} message.content - The message content
+   * @param {string|string[]} [message.to] - ID of the recipient peer, or a list of IDs
+   * @param {string} [message.signature] - Signature of the content, relayed for recipients to verify
+   * @private
+   */
+  handleChat(message) {
+    if (!this.checkSignature(message)) {
+      return;
+    }
+    if ('to' in message) {
+      this.handleDirectMessage(message);
+      return;
+    }
+
+    this.messageService.broadcast([this.peerRepository.get(this.peer.id), ...this.neighbours()], {
+      type: 'message',
+      peer: this.peer.id,
+      content: message.content,
+      signature: message.signature,
+    });
+  }
+
+  /**
+   * Delivers a message to the peers listed in its `to` field.
+   * The sender receives an `ack` listing the peers the message was delivered to and an
+   * `error` listing the recipients that are not connected. With a mailbox, messages to recipients
+   * that are not connected are stored for them instead and listed in the ack as `stored`; only
+   * those the mailbox refuses, such as peers that never authenticated, are reported in the error.
+   * Recipients whose session is suspended are listed as `buffered`: the message reaches them if
+   * they resume, and is stored or reported undelivered otherwise, see {@link PeerConnection#suspend}.
+   *
+   * @param {Object} message - The direct message envelope
+   * @param {string|string[]} message.to - ID of the recipient peer, or a list of IDs
+   * @param {*} message.content - The message content
+   * @param {string} [message.signature] - Signature of the content, relayed for recipients to verify
+   * @param {boolean} [message.encrypted] - Whether the content is an end-to-end encrypted envelope, relayed as is
+   * @param {string} [message.id] - Client-chosen reference echoed back in the ack and error replies
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleDirectMessage({ to, content, signature, encrypted, id }) {
+    const recipients = Array.isArray(to) ? [...new Set(to)] : [to];
+
+    const delivered = [];
+    const buffered = [];
+    const offline = [];
+    recipients.forEach((recipientId) => {
+      const recipient = this.peerRepository.get(recipientId);
+      if (!recipient?.ws) {
+        offline.push(recipientId);
+        return;
+      }
+      this.messageService.send(recipient.ws, {
+        type: 'message',
+        peer: this.peer.id,
+        direct: true,
+        content,
+        signature,
+        encrypted,
+      });
+      (recipient.ws instanceof BufferedSocket ? buffered : delivered).push(recipientId);
+    });
+
+    const stored =
+      this.mailbox && offline.length > 0
+        ? await this.storeOffline(offline, { peer: this.peer.id, content, signature, encrypted })
+        : [];
+    const unknown = offline.filter((recipientId) => !stored.includes(recipientId));
+
+    if (delivered.length > 0 || buffered.length > 0 || stored.length > 0) {
+      this.messageService.send(this.ws, {
+        type: 'ack',
+        id,
+        delivered,
+        buffered: buffered.length > 0 ? buffered : undefined,
+        stored: stored.length > 0 ? stored : undefined,
+      });
+    }
+    if (unknown.length > 0) {
+      this.messageService.send(this.ws, {
+        type: 'error',
+        code: ERROR_CODES.UNKNOWN_PEER,
+        id,
+        peers: unknown,
+        message: 'Recipient is not connected',
+      });
+    }
+  }
+
+  /**
+   * Stores a direct message for each recipient that is not connected.
+   * @param {string[]} recipients - IDs of the recipient peers
+   * @param {Object} message - The message to store, see {@link Mailbox#store}
+   * @returns {Promise<string[]>} IDs of the recipients the message was stored for
+   * @private
+   */
+  async storeOffline(recipients, message) {
+    // Store for all recipients at once so each message is numbered before the next one arrives
+    const results = await Promise.all(
+      recipients.map((recipientId) =>
+        this.mailbox.store(recipientId, message).catch((error) => {
+          console.error(`Failed to store message for peer ${recipientId}:`, error);
+          return false;
+        }),
+      ),
+    );
+    return recipients.filter((recipientId, index) => results[index]);
+  }
+
+  /**
+   * Subscribes the peer to a topic and confirms with a `joined` reply listing the members, after
+   * introducing the peer and the members it did not share a topic with yet to each other.
+   * @param {Object} message - The join message
+   * @param {string} message.topic - Name of the topic to join
+   * @private
+   */
+  handleJoin(message) {
+    const before = this.roomRepository.getNeighbours(this.peer.id);
+    this.roomRepository.join(message.topic, this.peer.id);
+    this.exchangePresence(before);
+    this.federation?.announceTopics(this.peer.id);
+    this.saveTopics();
+    this.messageService.send(this.ws, {
+      type: 'joined',
+      topic: message.topic,
+      members: this.roomRepository.getMembers(message.topic),
+    });
+  }
+
+  /**
+   * Unsubscribes the peer from a topic and confirms with a `left` reply, after telling the peer and
+   * the members it no longer shares a topic with that they left each other.
+   * @param {Object} message - The leave message
+   * @param {string} message.topic - Name of the topic to leave
+   * @private
+   */
+  handleLeave(message) {
+    const before = this.roomRepository.getNeighbours(this.peer.id);
+    this.roomRepository.leave(message.topic, this.peer.id);
+    this.exchangePresence(before);
+    this.federation?.announceTopics(this.peer.id);
+    this.saveTopics();
+    this.messageService.send(this.ws, { type: 'left', topic: message.topic });
+  }
+
+  /**
+   * Replies with a `NOT_SUBSCRIBED` error unless the peer has joined a topic.
+   * @param {string} topic - Name of the topic
+   * @param {string} action - What the peer must join the topic before doing, for the error message
+   * @param {string} [id] - Client-chosen reference echoed back in the error reply
+   * @returns {boolean} True if the peer is subscribed
+   * @private
+   */
+  checkMembership(topic, action, id) {
+    if (this.roomRepository.isMember(topic, this.peer.id)) {
+      return true;
+    }
+    this.messageService.send(this.ws, {
+      type: 'error',
+      code: ERROR_CODES.NOT_SUBSCRIBED,
+      id,
+      topic,
+      message: `Join the topic before ${action}`,
     });
+    return false;
   }
 
   /**
-   * Handles incoming messages from the peer by broadcasting them to all connected peers.
-   * @param {string|Object} message - The message received from the peer
+   * Broadcasts a message to the subscribers of a topic the peer has joined, including those of the
+   * other servers of the federation.
+   * With a room history, the message is recorded first and relayed with its sequence number.
+   * @param {Object} message - The publish message
+   * @param {string} message.topic - Name of the topic to publish to
+   * @param {*} message.content - The message content
+   * @param {string} [message.signature] - Signature of the content, relayed for subscribers to verify
+   * @returns {Promise<void>}
    * @private
    */
-  handleMessage(message) {
-    const allPeers = this.peerRepository.getAll();
-    this.messageService.broadcast(allPeers, {
+  async handlePublish(message) {
+    if (!this.checkSignature(message)) {
+      return;
+    }
+    if (!this.checkMembership(message.topic, 'publishing to it')) {
+      return;
+    }
+
+    const seq = this.roomHistory ? await this.recordHistory(message) : undefined;
+    // Subscribers of the other servers get the message from their own server
+    const subscribers = this.roomRepository
+      .getMembers(message.topic)
+      .map((id) => this.peerRepository.get(id))
+      .filter((peer) => peer && !peer.relay);
+    this.messageService.broadcast(subscribers, {
       type: 'message',
       peer: this.peer.id,
-      content: message,
+      topic: message.topic,
+      seq,
+      content: message.content,
+      signature: message.signature,
+    });
+    this.federation?.publish(message.topic, {
+      peer: this.peer.id,
+      content: message.content,
+      signature: message.signature,
+    });
+  }
+
+  /**
+   * Appends a published message to its topic's history. A message that cannot be recorded is
+   * still relayed, without a sequence number.
+   * @param {Object} message - The publish message
+   * @returns {Promise<number|undefined>} The sequence number of the message
+   * @private
+   */
+  async recordHistory({ topic, content, signature }) {
+    try {
+      const { seq } = await this.roomHistory.append(topic, { peer: this.peer.id, content, signature });
+      return seq;
+    } catch (error) {
+      console.error(`Failed to record message to topic ${topic}:`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Replies with a page of the history of a topic the peer has joined, see {@link RoomHistory#page}.
+   * @param {Object} message - The history request
+   * @param {string} message.topic - Name of the topic
+   * @param {number} [message.before] - Return the messages preceding this sequence number
+   * @param {number} [message.after] - Return the messages following this sequence number
+   * @param {number} [message.limit] - Maximum number of messages
+   * @param {string} [message.id] - Client-chosen reference echoed back in the reply
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleHistory({ topic, before, after, limit, id }) {
+    if (!this.roomHistory) {
+      this.sendError(
+        createProtocolError(ERROR_CODES.HISTORY_UNAVAILABLE, 'This server does not keep topic history', { id }),
+      );
+      return;
+    }
+    if (!this.checkMembership(topic, 'reading its history', id)) {
+      return;
+    }
+
+    try {
+      const { messages, hasMore } = await this.roomHistory.page(topic, { before, after, limit });
+      this.messageService.send(this.ws, { type: 'history', id, topic, messages, hasMore });
+    } catch (error) {
+      console.error(`Failed to read history of topic ${topic}:`, error);
+      this.sendError(createProtocolError(ERROR_CODES.HISTORY_UNAVAILABLE, 'Failed to read topic history', { id }));
+    }
+  }
+
+  /**
+   * Relays a WebRTC signaling message to the single peer it is addressed to, so the two peers can
+   * open a direct connection; the relay never looks into the SDP or ICE payloads. Signals are only
+   * relayed within a session between the two peers: the first offer opens it, an answer must
+   * follow an offer from the other peer, and a hangup closes it. A session whose peers are
+   * connected may be offered again, e.g. to restart ICE. Peers may open, and accept by answering,
+   * a limited number of sessions; offers they receive do not count until they answer them.
+   * @param {Object} message - The signaling message
+   * @param {'offer'|'answer'|'ice-candidate'|'hangup'} message.type - The signal
+   * @param {string} message.to - ID of the recipient peer
+   * @param {string} message.session - Session ID, chosen by the peer sending the first offer
+   * @param {string} [message.sdp] - Session description of an offer or answer
+   * @param {Object|null} [message.candidate] - ICE candidate, null once all candidates were sent
+   * @private
+   */
+  handleSignal({ type, to, session: id, sdp, candidate }) {
+    if (to === this.peer.id) {
+      this.sendError(createProtocolError(ERROR_CODES.INVALID_RECIPIENT, 'Cannot signal yourself', { session: id }));
+      return;
+    }
+    const recipient = this.peerRepository.get(to);
+    if (!recipient?.ws) {
+      this.messageService.send(this.ws, {
+        type: 'error',
+        code: ERROR_CODES.UNKNOWN_PEER,
+        session: id,
+        peers: [to],
+        message: 'Recipient is not connected',
+      });
+      return;
+    }
+
+    const session = this.signalingRepository.get(id);
+    const between = session !== undefined && this.signalingRepository.connects(session, this.peer.id, to);
+    let error = null;
+    switch (type) {
+      case 'offer':
+        if (!session) {
+          if (this.signalingRepository.hasRoomFor(this.peer.id)) {
+            this.signalingRepository.open(id, this.peer.id, to);
+          } else {
+            error = createProtocolError(ERROR_CODES.TOO_MANY_SESSIONS, 'Too many signaling sessions', { session: id });
+          }
+        } else if (between) {
+          this.signalingRepository.offer(id, this.peer.id);
+        } else {
+          error = createProtocolError(ERROR_CODES.SESSION_IN_USE, 'Session ID is taken, pick another one', {
+            session: id,
+          });
+        }
+        break;
+      case 'answer':
+        if (!between || session.state !== 'offered' || session.offerer !== to) {
+          error = createProtocolError(ERROR_CODES.UNKNOWN_SESSION, 'No pending offer from this peer', { session: id });
+        } else if (!session.accepted && !this.signalingRepository.hasRoomFor(this.peer.id)) {
+          error = createProtocolError(ERROR_CODES.TOO_MANY_SESSIONS, 'Too many signaling sessions', { session: id });
+        } else {
+          this.signalingRepository.answer(id);
+        }
+        break;
+      case 'hangup':
+        // Both peers may hang up at once; the second hangup has nothing left to close
+        if (!between) {
+          return;
+        }
+        this.signalingRepository.close(id);
+        break;
+      default:
+        if (!between) {
+          error = createProtocolError(ERROR_CODES.UNKNOWN_SESSION, 'No signaling session with this peer', {
+            session: id,
+          });
+        }
+    }
+    if (error) {
+      this.sendError(error);
+      return;
+    }
+
+    this.messageService.send(recipient.ws, { type, peer: this.peer.id, session: id, sdp, candidate });
+  }
+
+  /**
+   * Closes the peer's signaling sessions and tells the other side of each with a `hangup`.
+   * @private
+   */
+  hangUpAll() {
+    this.signalingRepository.closeAll(this.peer.id).forEach(({ id, peers }) => {
+      const other = this.peerRepository.get(peers.find((peerId) => peerId !== this.peer.id));
+      if (other?.ws) {
+        this.messageService.send(other.ws, { type: 'hangup', peer: this.peer.id, session: id });
+      }
     });
   }
 
   /**
-   * Handles the peer disconnection by removing them from the repository.
+   * Applies the rate limit penalty to a peer whose message was throttled.
+   * @private
+   */
+  throttle() {
+    const { penalty } = this.rateLimiter;
+    if (penalty === PENALTIES.DROP) {
+      return;
+    }
+
+    this.sendError(createProtocolError(ERROR_CODES.RATE_LIMITED, 'Rate limit exceeded, message dropped'));
+    if (penalty === PENALTIES.WARN) {
+      return;
+    }
+
+    if (penalty === PENALTIES.BAN && this.remoteAddress) {
+      this.rateLimiter.ban(this.remoteAddress);
+    }
+    this.rateLimiter.recordDisconnect();
+    this.closing = true;
+    // Policy violation
+    this.ws.close(1008, 'Rate limit exceeded');
+  }
+
+  /**
+   * Runs one heartbeat round for the connection: terminates it if the previous ping went
+   * unanswered or the peer has been idle for too long, and pings it otherwise.
+   * @param {number} [now=Date.now()] - The reference time
+   * @param {number} [idleTimeout=0] - Time in milliseconds after which a peer that has sent no
+   *   message is disconnected, 0 to disable
+   * @returns {boolean} False if the connection was terminated
+   */
+  heartbeat(now = Date.now(), idleTimeout = 0) {
+    if (!this.alive) {
+      this.terminate();
+      return false;
+    }
+    if (idleTimeout > 0 && now - this.peer.lastActive >= idleTimeout) {
+      this.terminate();
+      return false;
+    }
+
+    this.alive = false;
+    try {
+      this.ws.ping();
+    } catch (error) {
+      console.error(`Failed to ping peer ${this.peer.id}:`, error);
+    }
+    return true;
+  }
+
+  /**
+   * Forcibly closes the connection and removes the peer right away, since a dead socket may
+   * take a long time to emit 'close'.
+   * @private
+   */
+  terminate() {
+    this.ws.terminate();
+    this.handleClose();
+  }
+
+  /**
+   * Handles the peer disconnection. With resumable sessions, the session is suspended unless the
+   * peer or the server closed the connection on purpose; otherwise the peer is removed right away.
+   * Safe to call more than once.
+   * @param {number} [code] - The close code, none if the server terminated the connection
+   * @private
+   */
+  handleClose(code) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    const lost = !this.closing && !CLEAN_CLOSE_CODES.includes(code);
+    if (this.resumeToken && lost && this.peerRepository.get(this.peer.id)?.ws === this.ws) {
+      this.suspend();
+      return;
+    }
+    this.sessions?.release(this.resumeToken);
+    this.leave(this.ws);
+  }
+
+  /**
+   * Keeps the peer in the repository and its topics until the session is resumed or its grace
+   * period runs out, buffering the messages sent to it, including those that were still queued
+   * for the lost connection. Direct messages the buffer cannot hold, and those still buffered when
+   * the grace period runs out, are moved to the mailbox, or reported to their senders if it does
+   * not take them.
+   * @private
+   */
+  suspend() {
+    const socket = this.sessions.createSocket((data) => this.salvage([data]));
+    this.messageService.takeQueued(this.ws).forEach((data) => socket.send(data));
+    this.peerRepository.update(this.peer.id, { ws: socket });
+    this.sessions.suspend(
+      this.resumeToken,
+      { peer: this.peerRepository.getSerializable(this.peer.id), session: this.session, socket },
+      () => {
+        if (this.leave(socket)) {
+          this.salvage(socket.directMessages);
+        }
+      },
+    );
+  }
+
+  /**
+   * Stores direct messages that could not reach the peer in the mailbox, in order, and tells the
+   * senders of those it does not take with an `UNDELIVERED` error.
+   * @param {string[]} messages - The serialized direct messages
+   * @returns {Promise<void>}
+   * @private
+   */
+  async salvage(messages) {
+    const { id } = this.peer;
+    const parsed = messages.map((data) => JSON.parse(data));
+    const stored = this.mailbox ? await this.storeFor(id, parsed) : parsed.map(() => false);
+    parsed
+      .filter((message, index) => !stored[index])
+      .forEach(({ peer }) => {
+        const sender = this.peerRepository.get(peer);
+        if (sender?.ws) {
+          this.messageService.send(sender.ws, {
+            type: 'error',
+            code: ERROR_CODES.UNDELIVERED,
+            peers: [id],
+            message: 'Recipient disconnected before the message reached it',
+          });
+        }
+      });
+  }
+
+  /**
+   * Stores messages for a recipient, all at once so they keep their order.
+   * @param {string} recipientId - ID of the recipient peer
+   * @param {Object[]} messages - The messages to store, see {@link Mailbox#store}
+   * @returns {Promise<boolean[]>} Whether each message was stored
+   * @private
+   */
+  storeFor(recipientId, messages) {
+    return Promise.all(
+      messages.map((message) =>
+        this.mailbox.store(recipientId, message).catch((error) => {
+          console.error(`Failed to store message for peer ${recipientId}:`, error);
+          return false;
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Removes the peer from the repository and its topics and announces its departure, unless
+   * another connection has taken over its ID.
+   * @param {import('ws').WebSocket|BufferedSocket} ws - The socket the peer must still be registered with
+   * @returns {boolean} False if another connection had taken over the peer's ID
    * @private
    */
-  handleClose() {
+  leave(ws) {
+    if (this.peerRepository.get(this.peer.id)?.ws !== ws) {
+      return false;
+    }
+    const peer = this.peerRepository.getSerializable(this.peer.id);
+    this.hangUpAll();
     this.peerRepository.remove(this.peer.id);
+    // Leave the topics last, as they tell which peers to announce the departure to
+    this.announce('peer-left', peer);
+    this.roomRepository.leaveAll(this.peer.id);
+    return true;
   }
 
   /**
@@ -80,18 +1170,23 @@ export class PeerConnection {
    */
   setupEventListeners() {
     this.ws.on('message', (data) => {
-      try {
-        // Try to parse as JSON first
-        const message = JSON.parse(data.toString());
-        this.handleMessage(message);
-      } catch (error) {
-        // If JSON parsing fails, treat it as plain text
-        this.handleMessage(data.toString());
+      if (this.closing) {
+        return;
+      }
+      if (!this.rateLimiter.consume(this.remoteAddress ?? this, data.length)) {
+        this.throttle();
+        return;
       }
+      this.recordActivity();
+      this.handleMessage(data);
+    });
+
+    this.ws.on('pong', () => {
+      this.alive = true;
     });
 
-    this.ws.on('close', () => {
-      this.handleClose();
+    this.ws.on('close', (code) => {
+      this.handleClose(code);
     });
   }
 
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Ed25519 peer identities: key handling, challenge-response authentication
+ * and signatures over message content, plus validation of the X25519 keys peers advertise
+ * for end-to-end encryption.
+ * @module peer/peerIdentity
+ */
+
+import * as crypto from 'node:crypto';
+
+/**
+ * Prefix of the data signed to answer an authentication challenge, so a challenge signature
+ * can never be mistaken for a message signature and vice versa.
+ * @type {string}
+ */
+export const AUTH_CONTEXT = 'p2punk-auth:';
+
+/**
+ * Prefix of the data signed for message content.
+ * @type {string}
+ */
+export const MESSAGE_CONTEXT = 'p2punk-message:';
+
+/**
+ * Decodes a base64-encoded DER (SPKI) public key of the given type.
+ * @param {string} publicKey - The encoded public key
+ * @param {'ed25519'|'x25519'} type - The expected key type
+ * @returns {crypto.KeyObject} The public key
+ * @throws {TypeError} If the key cannot be decoded or is of another type
+ */
+const parseKey = (publicKey, type) => {
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+  } catch {
+    throw new TypeError('Public key must be a base64-encoded DER (SPKI) key');
+  }
+  if (key.asymmetricKeyType !== type) {
+    throw new TypeError(`Public key must be an ${type === 'ed25519' ? 'Ed25519' : 'X25519'} key`);
+  }
+  return key;
+};
+
+/**
+ * Decodes a base64-encoded DER (SPKI) Ed25519 public key.
+ * @param {string} publicKey - The encoded public key
+ * @returns {crypto.KeyObject} The public key
+ * @throws {TypeError} If the key cannot be decoded or is not an Ed25519 key
+ */
+export const parsePublicKey = (publicKey) => parseKey(publicKey, 'ed25519');
+
+/**
+ * Decodes a base64-encoded DER (SPKI) X25519 public key, as advertised by peers for end-to-end
+ * encryption.
+ * @param {string} encryptionKey - The encoded public key
+ * @returns {crypto.KeyObject} The public key
+ * @throws {TypeError} If the key cannot be decoded or is not an X25519 key
+ */
+export const parseEncryptionKey = (encryptionKey) => parseKey(encryptionKey, 'x25519');
+
+/**
+ * Derives a peer ID from a public key: the first 16 bytes of the SHA-256 digest of its DER
+ * encoding, hex-encoded like randomly generated peer IDs.
+ * @param {string} publicKey - Base64-encoded DER (SPKI) Ed25519 public key
+ * @returns {string} The peer ID
+ * @throws {TypeError} If the public key is invalid
+ */
+export const peerIdFromPublicKey = (publicKey) => {
+  const der = parsePublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest().subarray(0, 16).toString('hex');
+};
+
+/**
+ * Generates a new keypair for a peer.
+ * @returns {{publicKey: string, privateKey: string}} Base64-encoded DER public (SPKI) and private (PKCS#8) keys
+ */
+export const createKeyPair = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+  };
+};
+
+/**
+ * Generates a random authentication challenge.
+ * @returns {string} Base64-encoded nonce
+ */
+export const createChallenge = () => crypto.randomBytes(32).toString('base64');
+
+/**
+ * Serializes a JSON value with object keys sorted, so signer and verifier produce the same
+ * bytes whatever order the keys arrived in.
+ * @param {*} value - The value to serialize
+ * @returns {string} The canonical JSON
+ */
+export const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item ?? null)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Signs data with a private key.
+ * @param {string} privateKey - Base64-encoded DER (PKCS#8) Ed25519 private key
+ * @param {string} data - The data to sign
+ * @returns {string} Base64-encoded signature
+ */
+const sign = (privateKey, data) => {
+  const key = crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+  return crypto.sign(null, Buffer.from(data), key).toString('base64');
+};
+
+/**
+ * Verifies a signature, treating malformed keys and signatures as invalid.
+ * @param {string} publicKey - Base64-encoded DER (SPKI) Ed25519 public key
+ * @param {string} data - The signed data
+ * @param {string} signature - Base64-encoded signature
+ * @returns {boolean} True if the signature is valid
+ */
+const verify = (publicKey, data, signature) => {
+  try {
+    return crypto.verify(null, Buffer.from(data), parsePublicKey(publicKey), Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Answers an authentication challenge.
+ * @param {string} privateKey - Base64-encoded DER (PKCS#8) Ed25519 private key
+ * @param {string} nonce - The challenge nonce
+ * @returns {string} Base64-encoded signature
+ */
+export const signChallenge = (privateKey, nonce) => sign(privateKey, `${AUTH_CONTEXT}${nonce}`);
+
+/**
+ * Checks the answer to an authentication challenge.
+ * @param {string} publicKey - Base64-encoded DER (SPKI) Ed25519 public key
+ * @param {string} nonce - The challenge nonce
+ * @param {string} signature - Base64-encoded signature
+ * @returns {boolean} True if the signature proves ownership of the key
+ */
+export const verifyChallenge = (publicKey, nonce, signature) => verify(publicKey, `${AUTH_CONTEXT}${nonce}`, signature);
+
+/**
+ * Signs the content of a message.
+ * @param {string} privateKey - Base64-encoded DER (PKCS#8) Ed25519 private key
+ * @param {*} content - The message content
+ * @returns {string} Base64-encoded signature
+ */
+export const signContent = (privateKey, content) => sign(privateKey, `${MESSAGE_CONTEXT}${canonicalize(content)}`);
+
+/**
+ * Verifies the signature of a message's content.
+ * @param {string} publicKey - Base64-encoded DER (SPKI) Ed25519 public key of the sender
+ * @param {*} content - The message content
+ * @param {string} signature - Base64-encoded signature
+ * @returns {boolean} True if the sender signed the content
+ */
+export const verifyContent = (publicKey, content, signature) =>
+  verify(publicKey, `${MESSAGE_CONTEXT}${canonicalize(content)}`, signature);
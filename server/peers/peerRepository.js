@@ -1,35 +1,72 @@
 /**
- * @fileoverview Repository for managing peer data and operations.
+ * @fileoverview Abstract class for peer repository implementations.
  * Provides a centralized way to create, store, and retrieve peer information.
  * @module peer/peerRepository
  */
 
 import crypto from "node:crypto";
 
+/**
+ * Profile a peer advertises to the others, e.g. so that apps can find the peers supporting a feature.
+ * @typedef {Object} PeerProfile
+ * @property {string} [name] - Display name
+ * @property {string} [client] - Name and version of the client software, e.g. "chat/1.2.0"
+ * @property {string[]} [features] - Application features the peer supports
+ * @property {Object.<string, string|number|boolean>} [data] - Custom fields
+ */
+
+/**
+ * Filter matching the profiles of peers; peers must match every field given.
+ * @typedef {Object} PeerFilter
+ * @property {string} [name] - Text the display name contains, ignoring case
+ * @property {string} [client] - Prefix of the client, e.g. "chat/" for any version of the chat client
+ * @property {string[]} [features] - Features the peer must all support
+ * @property {Object.<string, string|number|boolean>} [data] - Values the custom fields must equal
+ */
+
 /**
  * Represents a peer in the P2P network.
  * @typedef {Object} Peer
  * @property {string} id - Unique identifier for the peer, generated as a hex string
  * @property {number} connectionCreated - Unix timestamp of when the peer connection was established
  * @property {number} lastActive - Unix timestamp of the peer's most recent activity
+ * @property {string} [publicKey] - Base64-encoded DER (SPKI) Ed25519 public key, for authenticated peers
+ *   whose ID is derived from it
+ * @property {string} [encryptionKey] - Base64-encoded DER (SPKI) X25519 public key other peers encrypt direct
+ *   messages to
+ * @property {string} [encryptionKeySignature] - Signature of `{ encryptionKey }` by the peer's Ed25519 key,
+ *   binding the encryption key to the peer's identity
+ * @property {string} [relay] - ID of the relay server the peer is connected to, for peers of another server of
+ *   the federation
+ * @property {PeerProfile} [profile] - Profile the peer advertised
  * @property {import('ws').WebSocket} [ws] - WebSocket connection instance for the peer (optional)
  */
 
 /**
- * Repository class for managing peer data and operations.
+ * Last known metadata of an authenticated peer, connected or not, with the topics it was subscribed
+ * to, which it joins again when it authenticates.
+ * @typedef {Omit<Peer, 'ws'> & {topics?: string[]}} KnownPeer
+ */
+
+/**
+ * Abstract class representing a repository of the peers known to the relay server.
  * Handles peer creation, storage, retrieval, and removal.
+ *
+ * Lookups are synchronous, since every message a peer sends reads the repository. Backends
+ * that persist peers keep them in memory as well and load them in {@link PeerRepository#open}.
+ * WebSocket connections belong to the running process and are never persisted, so a peer is only
+ * connected, and present to the others, while its connection is open. What a backend may keep
+ * across restarts is the metadata of authenticated peers and their topics, see
+ * {@link PeerRepository#getKnown}.
  */
 export class PeerRepository {
   /**
    * Creates a new PeerRepository instance.
    */
   constructor() {
-    /**
-     * Storage for all active peers, indexed by their unique IDs.
-     * @private
-     * @type {Object.<string, Peer>}
-     */
-    this.peers = {};
+    if (new.target === PeerRepository) {
+      throw new TypeError("Cannot instantiate PeerRepository directly");
+    }
   }
 
   /**
@@ -49,6 +86,13 @@ export class PeerRepository {
     };
   }
 
+  /**
+   * Loads the peers kept by the backend. Must complete before the repository is used.
+   * Backends with nothing to load need not override it.
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
   /**
    * Adds a peer to the repository.
    * If a peer with the same ID already exists, it will be overwritten.
@@ -56,9 +100,74 @@ export class PeerRepository {
    * @param {string} id - Unique identifier for the peer
    * @param {Peer} peer - Complete peer object to add to the repository
    * @returns {void}
+   * @throws {Error} If the operation is not implemented
    */
+  // eslint-disable-next-line no-unused-vars
   add(id, peer) {
-    this.peers[id] = { ...peer };
+    throw new Error(`${this.add.name} not implemented`);
+  }
+
+  /**
+   * Retrieves a single peer with its complete data, including the WebSocket instance.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Peer|undefined} A copy of the peer, or undefined if no such peer is connected
+   * @throws {Error} If the operation is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  get(id) {
+    throw new Error(`${this.get.name} not implemented`);
+  }
+
+  /**
+   * Checks whether a peer is in the repository.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {boolean} True if the peer is connected
+   * @throws {Error} If the operation is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  has(id) {
+    throw new Error(`${this.has.name} not implemented`);
+  }
+
+  /**
+   * Retrieves a single peer in a format safe for serialization.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Omit<Peer, 'ws'>|undefined} The peer without its WebSocket connection, or undefined if unknown
+   * @throws {Error} If the operation is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  getSerializable(id) {
+    throw new Error(`${this.getSerializable.name} not implemented`);
+  }
+
+  /**
+   * Records activity for a peer by setting its lastActive timestamp to now.
+   * If the peer doesn't exist, this operation has no effect.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {Omit<Peer, 'ws'>|undefined} The updated peer without its WebSocket connection, or undefined if unknown
+   * @throws {Error} If the operation is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  touch(id) {
+    throw new Error(`${this.touch.name} not implemented`);
+  }
+
+  /**
+   * Updates fields of a peer, e.g. keys it advertised after connecting.
+   * If the peer doesn't exist, this operation has no effect.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @param {Partial<Omit<Peer, 'id' | 'ws'>>} changes - The fields to update
+   * @returns {Omit<Peer, 'ws'>|undefined} The updated peer without its WebSocket connection, or undefined if unknown
+   * @throws {Error} If the operation is not implemented
+   */
+  // eslint-disable-next-line no-unused-vars
+  update(id, changes) {
+    throw new Error(`${this.update.name} not implemented`);
   }
 
   /**
@@ -67,32 +176,79 @@ export class PeerRepository {
    *
    * @param {string} id - Unique identifier of the peer to remove
    * @returns {void}
+   * @throws {Error} If the operation is not implemented
    */
+  // eslint-disable-next-line no-unused-vars
   remove(id) {
-    delete this.peers[id];
+    throw new Error(`${this.remove.name} not implemented`);
   }
 
   /**
    * Retrieves all peers with their complete data, including WebSocket instances.
-   * Returns a deep copy of the peers to prevent external modifications.
+   * Returns copies of the peers to prevent external modifications.
    *
    * @returns {Array<Peer>} Array of complete peer objects including WebSocket connections
+   * @throws {Error} If the operation is not implemented
    */
   getAll() {
-    return Object.values(this.peers).map((peer) => ({
-      ...peer,
-      // Don't deep clone the WebSocket instance
-      ws: peer.ws,
-    }));
+    throw new Error(`${this.getAll.name} not implemented`);
   }
 
   /**
    * Retrieves all peers in a format safe for serialization by removing WebSocket instances.
-   * Returns a deep copy of the peers without their WebSocket connections.
    *
    * @returns {Array<Omit<Peer, 'ws'>>} Array of peers without their WebSocket connections
+   * @throws {Error} If the operation is not implemented
    */
   getAllSerializable() {
-    return Object.values(this.peers).map(({ ws, ...rest }) => ({ ...rest }));
+    throw new Error(`${this.getAllSerializable.name} not implemented`);
+  }
+
+  /**
+   * Retrieves the last known metadata of an authenticated peer, whether it is connected or not.
+   * Backends that keep nothing across restarts need not override it.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @returns {KnownPeer|undefined} The peer's metadata, or undefined if the backend does not know it
+   */
+  // eslint-disable-next-line no-unused-vars
+  getKnown(id) {
+    return undefined;
+  }
+
+  /**
+   * Records the topics an authenticated peer is subscribed to, so it joins them again when it
+   * authenticates after a restart. Backends that keep nothing across restarts need not override it.
+   *
+   * @param {string} id - Unique identifier of the peer
+   * @param {string[]} topics - The peer's topics
+   * @returns {void}
+   */
+  // eslint-disable-next-line no-unused-vars
+  setTopics(id, topics) {}
+
+  /**
+   * Finds the peers whose profile matches a filter.
+   * Backends may override it to look peers up through an index; by default, every peer is checked.
+   *
+   * @param {PeerFilter} [filter={}] - The filter; every peer matches an empty filter
+   * @returns {Array<Omit<Peer, 'ws'>>} The matching peers without their WebSocket connections
+   */
+  find({ name, client, features = [], data = {} } = {}) {
+    const text = name?.toLowerCase();
+    return this.getAllSerializable().filter(
+      ({ profile = {} }) =>
+        (text === undefined || (profile.name ?? "").toLowerCase().includes(text)) &&
+        (client === undefined || (profile.client ?? "").startsWith(client)) &&
+        features.every((feature) => profile.features?.includes(feature)) &&
+        Object.entries(data).every(([key, value]) => profile.data?.[key] === value),
+    );
   }
+
+  /**
+   * Persists pending changes and releases the backend's resources.
+   * Backends with nothing to release need not override it.
+   * @returns {Promise<void>}
+   */
+  async close() {}
 }
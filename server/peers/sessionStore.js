@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Resumable sessions, letting a peer that lost its connection reconnect under the
+ * same ID within a grace period without the other peers noticing.
+ * @module peer/sessionStore
+ */
+
+import * as crypto from 'node:crypto';
+
+/**
+ * Checks whether a serialized message is a direct message to the peer.
+ * @param {string} data - The serialized message
+ * @returns {boolean} True for direct messages
+ */
+const isDirectMessage = (data) => {
+  try {
+    const { type, direct } = JSON.parse(data);
+    return type === 'message' && direct === true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Stand-in for the WebSocket of a peer whose connection was lost. It takes the socket's place in
+ * the peer repository so messages sent to the peer in the meantime are kept for when it resumes.
+ * Only the most recent messages are kept, except for direct messages, whose senders must be told
+ * if they are lost: other messages are dropped first, and a direct message that does not fit is
+ * handed to `onDrop`.
+ */
+export class BufferedSocket {
+  /**
+   * Creates a new buffered socket.
+   * @param {number} [maxMessages=100] - Maximum number of messages kept
+   * @param {function(string): void} [onDrop] - Called with each direct message that was dropped
+   */
+  constructor(maxMessages = 100, onDrop = () => {}) {
+    this.maxMessages = maxMessages;
+
+    /** @private */
+    this.onDrop = onDrop;
+
+    /**
+     * Messages waiting for the peer, oldest first.
+     * @private
+     * @type {{data: string, direct: boolean}[]}
+     */
+    this.entries = [];
+
+    /**
+     * Nothing is ever pending on the network, so the message service never queues for this socket.
+     * @type {number}
+     */
+    this.bufferedAmount = 0;
+  }
+
+  /**
+   * Serialized messages waiting for the peer, oldest first.
+   * @type {string[]}
+   */
+  get messages() {
+    return this.entries.map(({ data }) => data);
+  }
+
+  /**
+   * Serialized direct messages waiting for the peer, oldest first.
+   * @type {string[]}
+   */
+  get directMessages() {
+    return this.entries.filter(({ direct }) => direct).map(({ data }) => data);
+  }
+
+  /**
+   * Keeps a message. If the buffer is full, the oldest message that is not a direct message is
+   * dropped, or the new message if they all are.
+   * @param {string} data - The serialized message
+   * @param {function(Error=): void} [callback] - Called once the message is handled
+   * @returns {void}
+   */
+  send(data, callback) {
+    const direct = isDirectMessage(data);
+    if (this.entries.length >= this.maxMessages) {
+      const index = this.entries.findIndex((entry) => !entry.direct);
+      if (index === -1) {
+        if (direct) {
+          this.onDrop(data);
+        }
+        callback?.();
+        return;
+      }
+      this.entries.splice(index, 1);
+    }
+    this.entries.push({ data, direct });
+    callback?.();
+  }
+
+  /**
+   * Does nothing: there is no connection to close. The session ends when its grace period does.
+   * @returns {void}
+   */
+  terminate() {}
+}
+
+/**
+ * A session suspended until its peer reconnects.
+ * @typedef {Object} SuspendedSession
+ * @property {import('./peerRepository.js').Peer} peer - The peer, without its WebSocket
+ * @property {{version: number, capabilities: string[], greeted: boolean}} session - The negotiated protocol session
+ * @property {BufferedSocket} socket - The socket holding the messages sent to the peer meanwhile
+ */
+
+/**
+ * Issues resume tokens and keeps the sessions of disconnected peers until they resume or their
+ * grace period runs out. Tokens are single use: a resumed session is given a new one.
+ *
+ * A token may also be presented while its connection still looks open to the server, as a
+ * half-open connection only fails its next heartbeat. The old connection is then taken over:
+ * it is suspended right away so the new one can resume it.
+ */
+export class SessionStore {
+  /**
+   * Creates a new session store.
+   * @param {Object} [options] - Session configuration options
+   * @param {number} [options.gracePeriod=30000] - How long a disconnected peer may resume its session,
+   *   in milliseconds
+   * @param {number} [options.maxBufferedMessages=100] - Maximum number of messages kept for a disconnected peer
+   */
+  constructor(options = {}) {
+    this.gracePeriod = options.gracePeriod || 30000;
+    this.maxBufferedMessages = options.maxBufferedMessages || 100;
+
+    /**
+     * Takeover callbacks of the sessions whose connection is open, indexed by resume token.
+     * @private
+     * @type {Map<string, function(): void>}
+     */
+    this.active = new Map();
+
+    /**
+     * Suspended sessions, indexed by resume token.
+     * @private
+     * @type {Map<string, {session: SuspendedSession, timer: NodeJS.Timeout, expire: function(): void}>}
+     */
+    this.suspended = new Map();
+  }
+
+  /**
+   * Issues a resume token for an open connection.
+   * @param {function(): void} takeover - Closes the connection and suspends its session; called when
+   *   the token is presented while the connection is still open
+   * @returns {string} The token, URL-safe
+   */
+  issue(takeover) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.active.set(token, takeover);
+    return token;
+  }
+
+  /**
+   * Revokes the token of a connection that closed for good.
+   * @param {string} token - The resume token
+   * @returns {void}
+   */
+  release(token) {
+    this.active.delete(token);
+  }
+
+  /**
+   * Creates the socket that stands in for a peer's connection while its session is suspended.
+   * @param {function(string): void} [onDrop] - Called with each direct message the socket drops
+   * @returns {BufferedSocket} The socket
+   */
+  createSocket(onDrop) {
+    return new BufferedSocket(this.maxBufferedMessages, onDrop);
+  }
+
+  /**
+   * Keeps a session until it is resumed or its grace period runs out.
+   * @param {string} token - The session's resume token
+   * @param {SuspendedSession} session - The session
+   * @param {function(): void} expire - Ends the session for good; called when the grace period runs out
+   * @returns {void}
+   */
+  suspend(token, session, expire) {
+    this.active.delete(token);
+    const timer = setTimeout(() => {
+      this.suspended.delete(token);
+      expire();
+    }, this.gracePeriod);
+    timer.unref();
+    this.suspended.set(token, { session, timer, expire });
+  }
+
+  /**
+   * Takes a suspended session back, taking over its connection first if it is still open.
+   * @param {string} token - The session's resume token
+   * @returns {SuspendedSession|null} The session, or null if the token is unknown or expired
+   */
+  resume(token) {
+    this.active.get(token)?.();
+    const suspended = this.suspended.get(token);
+    if (!suspended) {
+      return null;
+    }
+    clearTimeout(suspended.timer);
+    this.suspended.delete(token);
+    return suspended.session;
+  }
+
+  /**
+   * Ends the suspended session of a peer right away, e.g. when it connects again without its token.
+   * @param {string} peerId - ID of the peer
+   * @returns {boolean} True if the peer had a suspended session
+   */
+  end(peerId) {
+    for (const [token, { session, timer, expire }] of this.suspended) {
+      if (session.peer.id === peerId) {
+        clearTimeout(timer);
+        this.suspended.delete(token);
+        expire();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Returns the number of suspended sessions.
+   * @returns {number} The number of sessions
+   */
+  get size() {
+    return this.suspended.size;
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Persistent history of the messages published to topics, paged by sequence number.
+ * @module rooms/roomHistory
+ */
+
+/**
+ * Prefix of the storage keys of history entries.
+ * @type {string}
+ */
+export const HISTORY_PREFIX = 'history:';
+
+/**
+ * A message published to a topic, as kept in its history.
+ * @typedef {Object} HistoryEntry
+ * @property {number} seq - Sequence number of the message in its topic, starting at 1
+ * @property {string} peer - ID of the publishing peer
+ * @property {*} content - The message content
+ * @property {string} [signature] - Signature of the content by the publisher
+ * @property {number} timestamp - When the message was published
+ */
+
+/**
+ * Returns the key prefix of a topic's entries. The topic is escaped so that no topic's prefix is
+ * the start of another's.
+ * @param {string} topic - Name of the topic
+ * @returns {string} The key prefix
+ */
+const topicPrefix = (topic) => `${HISTORY_PREFIX}${encodeURIComponent(topic)}:`;
+
+/**
+ * Returns the storage key of an entry; sequence numbers are zero-padded so keys sort in order.
+ * @param {string} topic - Name of the topic
+ * @param {number} seq - Sequence number of the entry
+ * @returns {string} The storage key
+ */
+const entryKey = (topic, seq) => `${topicPrefix(topic)}${String(seq).padStart(15, '0')}`;
+
+/**
+ * Keeps the last messages of each topic with monotonically increasing sequence numbers, so
+ * clients can fetch recent messages when they join and fill gaps from the last sequence number
+ * they saw when they reconnect.
+ */
+export class RoomHistory {
+  /**
+   * Creates a new room history.
+   * @param {Object} options - History configuration options
+   * @param {import('../../dht/storage/storage.js').Storage} options.storage - Storage for the entries, owned
+   *   by the caller
+   * @param {number} [options.maxMessagesPerTopic=1000] - Number of messages kept per topic; older ones are deleted
+   */
+  constructor(options) {
+    if (!options?.storage) {
+      throw new Error('storage is required for RoomHistory');
+    }
+
+    this.storage = options.storage;
+    this.maxMessagesPerTopic = options.maxMessagesPerTopic || 1000;
+
+    /**
+     * Last sequence number of each topic appended to since startup.
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.sequences = new Map();
+
+    /**
+     * Last pending append of each topic; appends to a topic run one at a time so sequence
+     * numbers follow the order of the calls.
+     * @private
+     * @type {Map<string, Promise<*>>}
+     */
+    this.appends = new Map();
+  }
+
+  /**
+   * Returns the last sequence number stored for a topic.
+   * @private
+   * @param {string} topic - Name of the topic
+   * @returns {Promise<number>} The sequence number, 0 if the topic has no history
+   */
+  async lastSequenceOf(topic) {
+    const prefix = topicPrefix(topic);
+    for await (const key of this.storage.iterateKeys({ prefix, reverse: true, limit: 1 })) {
+      return Number(key.slice(prefix.length));
+    }
+    return 0;
+  }
+
+  /**
+   * Appends a message to a topic's history, deleting the oldest message past the limit.
+   * @param {string} topic - Name of the topic
+   * @param {Object} message - The published message
+   * @param {string} message.peer - ID of the publishing peer
+   * @param {*} message.content - The message content
+   * @param {string} [message.signature] - Signature of the content by the publisher
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {Promise<HistoryEntry>} The entry, with its sequence number
+   */
+  append(topic, message, now = Date.now()) {
+    const previous = this.appends.get(topic) || Promise.resolve();
+    const appended = previous.then(() => this.write(topic, message, now));
+    const settled = appended.catch(() => {});
+    this.appends.set(topic, settled);
+    // Forget the topic once idle so the map does not grow with every topic ever used
+    settled.then(() => this.appends.get(topic) === settled && this.appends.delete(topic));
+    return appended;
+  }
+
+  /**
+   * Writes an entry with the next sequence number of its topic.
+   * @private
+   * @param {string} topic - Name of the topic
+   * @param {Object} message - The published message
+   * @param {number} now - The reference time
+   * @returns {Promise<HistoryEntry>} The entry
+   */
+  async write(topic, { peer, content, signature }, now) {
+    if (!this.sequences.has(topic)) {
+      // Pick up where the history left off before a restart
+      this.sequences.set(topic, await this.lastSequenceOf(topic));
+    }
+
+    const seq = this.sequences.get(topic) + 1;
+    const entry = { seq, peer, content, signature, timestamp: now };
+    const operations = [{ type: 'put', key: entryKey(topic, seq), value: entry }];
+    if (seq > this.maxMessagesPerTopic) {
+      operations.push({ type: 'delete', key: entryKey(topic, seq - this.maxMessagesPerTopic) });
+    }
+    await this.storage.batch(operations);
+    this.sequences.set(topic, seq);
+    return entry;
+  }
+
+  /**
+   * Returns a page of a topic's history, oldest message first.
+   * Without a cursor, the page holds the latest messages. With `before`, it holds the messages
+   * right before that sequence number, to scroll back; with `after`, the messages right after it,
+   * to catch up.
+   * @param {string} topic - Name of the topic
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.before] - Sequence number the messages must precede
+   * @param {number} [options.after] - Sequence number the messages must follow
+   * @param {number} [options.limit=50] - Maximum number of messages
+   * @returns {Promise<{messages: HistoryEntry[], hasMore: boolean}>} The messages, and whether more
+   *   are left in the direction of the page
+   */
+  async page(topic, { before, after, limit = 50 } = {}) {
+    // Read one more message than asked for to tell whether more are left
+    const range =
+      after !== undefined
+        ? { gt: entryKey(topic, after) }
+        : { lt: before !== undefined ? entryKey(topic, before) : undefined, reverse: true };
+
+    const messages = [];
+    for await (const [, entry] of this.storage.iterate({ prefix: topicPrefix(topic), limit: limit + 1, ...range })) {
+      messages.push(entry);
+    }
+    const hasMore = messages.length > limit;
+    messages.splice(limit);
+    return { messages: after !== undefined ? messages : messages.reverse(), hasMore };
+  }
+}
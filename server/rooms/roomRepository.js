@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Repository for tracking which peers are subscribed to which topics.
+ * @module rooms/roomRepository
+ */
+
+/**
+ * Repository class for managing topic (room) membership.
+ * Keeps a two-way index so both the members of a topic and the topics of a peer
+ * can be looked up without scanning every room.
+ */
+export class RoomRepository {
+  /**
+   * Creates a new RoomRepository instance.
+   */
+  constructor() {
+    /**
+     * Peer IDs subscribed to each topic.
+     * @private
+     * @type {Map<string, Set<string>>}
+     */
+    this.rooms = new Map();
+
+    /**
+     * Topics each peer is subscribed to.
+     * @private
+     * @type {Map<string, Set<string>>}
+     */
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Subscribes a peer to a topic, creating the topic if needed.
+   *
+   * @param {string} topic - Name of the topic
+   * @param {string} peerId - ID of the peer joining
+   * @returns {boolean} True if the peer was not already subscribed
+   */
+  join(topic, peerId) {
+    if (!this.rooms.has(topic)) {
+      this.rooms.set(topic, new Set());
+    }
+    if (!this.subscriptions.has(peerId)) {
+      this.subscriptions.set(peerId, new Set());
+    }
+
+    const members = this.rooms.get(topic);
+    if (members.has(peerId)) {
+      return false;
+    }
+    members.add(peerId);
+    this.subscriptions.get(peerId).add(topic);
+    return true;
+  }
+
+  /**
+   * Unsubscribes a peer from a topic. Empty topics are discarded.
+   *
+   * @param {string} topic - Name of the topic
+   * @param {string} peerId - ID of the peer leaving
+   * @returns {boolean} True if the peer was subscribed
+   */
+  leave(topic, peerId) {
+    const members = this.rooms.get(topic);
+    if (!members?.delete(peerId)) {
+      return false;
+    }
+    if (members.size === 0) {
+      this.rooms.delete(topic);
+    }
+
+    const topics = this.subscriptions.get(peerId);
+    topics.delete(topic);
+    if (topics.size === 0) {
+      this.subscriptions.delete(peerId);
+    }
+    return true;
+  }
+
+  /**
+   * Unsubscribes a peer from every topic, e.g. when it disconnects.
+   *
+   * @param {string} peerId - ID of the peer
+   * @returns {string[]} The topics the peer was subscribed to
+   */
+  leaveAll(peerId) {
+    const topics = this.getTopics(peerId);
+    topics.forEach((topic) => this.leave(topic, peerId));
+    return topics;
+  }
+
+  /**
+   * Checks whether a peer is subscribed to a topic.
+   *
+   * @param {string} topic - Name of the topic
+   * @param {string} peerId - ID of the peer
+   * @returns {boolean} True if the peer is subscribed
+   */
+  isMember(topic, peerId) {
+    return this.rooms.get(topic)?.has(peerId) ?? false;
+  }
+
+  /**
+   * Returns the IDs of all peers subscribed to a topic.
+   *
+   * @param {string} topic - Name of the topic
+   * @returns {string[]} Array of peer IDs
+   */
+  getMembers(topic) {
+    return [...(this.rooms.get(topic) ?? [])];
+  }
+
+  /**
+   * Returns all topics a peer is subscribed to.
+   *
+   * @param {string} peerId - ID of the peer
+   * @returns {string[]} Array of topic names
+   */
+  getTopics(peerId) {
+    return [...(this.subscriptions.get(peerId) ?? [])];
+  }
+
+  /**
+   * Returns the other peers subscribed to at least one of a peer's topics, which are the only
+   * peers it sees.
+   *
+   * @param {string} peerId - ID of the peer
+   * @returns {string[]} Array of peer IDs
+   */
+  getNeighbours(peerId) {
+    const neighbours = new Set();
+    this.subscriptions.get(peerId)?.forEach((topic) => this.rooms.get(topic).forEach((id) => neighbours.add(id)));
+    neighbours.delete(peerId);
+    return [...neighbours];
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Repository for tracking the WebRTC signaling sessions negotiated through the relay.
+ * @module signaling/signalingRepository
+ */
+
+/**
+ * A WebRTC session between two peers, as negotiated through the relay.
+ * @typedef {Object} SignalingSession
+ * @property {string} id - Session ID chosen by the peer that sent the first offer
+ * @property {string[]} peers - IDs of the two peers, the initiator first
+ * @property {string} offerer - ID of the peer that sent the latest offer
+ * @property {'offered'|'answered'} state - Whether the latest offer has been answered
+ * @property {boolean} accepted - Whether the responder answered an offer; until then, the session only counts
+ *   against the initiator's session limit
+ * @property {number} createdAt - When the first offer was sent
+ */
+
+/**
+ * Repository class for managing signaling sessions.
+ * The relay only forwards offers, answers and ICE candidates between the two peers of a session;
+ * knowing the sessions lets it refuse signals between peers that are not negotiating and tell a
+ * peer when the other side of its sessions disconnects.
+ */
+export class SignalingRepository {
+  /**
+   * Creates a new SignalingRepository instance.
+   * @param {Object} [options] - Signaling configuration options
+   * @param {number} [options.maxSessionsPerPeer=32] - Maximum number of sessions a peer may have opened or
+   *   accepted
+   */
+  constructor(options = {}) {
+    this.maxSessionsPerPeer = options.maxSessionsPerPeer || 32;
+
+    /**
+     * Sessions, indexed by ID.
+     * @private
+     * @type {Map<string, SignalingSession>}
+     */
+    this.sessions = new Map();
+
+    /**
+     * IDs of the sessions each peer takes part in.
+     * @private
+     * @type {Map<string, Set<string>>}
+     */
+    this.peerSessions = new Map();
+  }
+
+  /**
+   * Opens a session between two peers.
+   *
+   * @param {string} id - Session ID
+   * @param {string} initiator - ID of the peer sending the first offer
+   * @param {string} responder - ID of the peer receiving it
+   * @param {number} [now=Date.now()] - The reference time
+   * @returns {SignalingSession} The new session
+   */
+  open(id, initiator, responder, now = Date.now()) {
+    const session = {
+      id,
+      peers: [initiator, responder],
+      offerer: initiator,
+      state: 'offered',
+      accepted: false,
+      createdAt: now,
+    };
+    this.sessions.set(id, session);
+    [initiator, responder].forEach((peerId) => {
+      if (!this.peerSessions.has(peerId)) {
+        this.peerSessions.set(peerId, new Set());
+      }
+      this.peerSessions.get(peerId).add(id);
+    });
+    return session;
+  }
+
+  /**
+   * Returns a session.
+   *
+   * @param {string} id - Session ID
+   * @returns {SignalingSession|undefined} The session
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Checks whether a session connects two given peers, in either direction.
+   *
+   * @param {SignalingSession} session - The session
+   * @param {string} from - ID of one peer
+   * @param {string} to - ID of the other peer
+   * @returns {boolean} True if the session is between these peers
+   */
+  connects(session, from, to) {
+    return from !== to && session.peers.includes(from) && session.peers.includes(to);
+  }
+
+  /**
+   * Records a new offer in a session, e.g. to restart ICE.
+   *
+   * @param {string} id - Session ID
+   * @param {string} offerer - ID of the peer sending the offer
+   * @returns {void}
+   */
+  offer(id, offerer) {
+    Object.assign(this.sessions.get(id), { offerer, state: 'offered' });
+  }
+
+  /**
+   * Records the answer to the latest offer of a session.
+   *
+   * @param {string} id - Session ID
+   * @returns {void}
+   */
+  answer(id) {
+    Object.assign(this.sessions.get(id), { state: 'answered', accepted: true });
+  }
+
+  /**
+   * Records a signal another server relayed to a local peer. The sender's server has already
+   * checked it, so it is only applied to keep this server's view of the session in step.
+   *
+   * @param {string} type - Type of the signal; only offers, answers and hangups change a session
+   * @param {string} id - Session ID
+   * @param {string} from - ID of the peer that sent the signal
+   * @param {string} to - ID of the local peer it is addressed to
+   * @returns {void}
+   */
+  track(type, id, from, to) {
+    const session = this.sessions.get(id);
+    if (type === 'offer' && !session) {
+      this.open(id, from, to);
+      return;
+    }
+    if (!session || !this.connects(session, from, to)) {
+      return;
+    }
+    if (type === 'offer') {
+      this.offer(id, from);
+    } else if (type === 'answer') {
+      this.answer(id);
+    } else if (type === 'hangup') {
+      this.close(id);
+    }
+  }
+
+  /**
+   * Closes a session.
+   *
+   * @param {string} id - Session ID
+   * @returns {boolean} True if the session existed
+   */
+  close(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    this.sessions.delete(id);
+    session.peers.forEach((peerId) => {
+      const ids = this.peerSessions.get(peerId);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.peerSessions.delete(peerId);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Closes every session of a peer, e.g. when it disconnects.
+   *
+   * @param {string} peerId - ID of the peer
+   * @returns {SignalingSession[]} The closed sessions
+   */
+  closeAll(peerId) {
+    const sessions = this.getSessions(peerId);
+    sessions.forEach(({ id }) => this.close(id));
+    return sessions;
+  }
+
+  /**
+   * Returns the sessions a peer takes part in.
+   *
+   * @param {string} peerId - ID of the peer
+   * @returns {SignalingSession[]} The sessions
+   */
+  getSessions(peerId) {
+    return [...(this.peerSessions.get(peerId) ?? [])].map((id) => this.sessions.get(id));
+  }
+
+  /**
+   * Checks whether a peer may open or accept another session. Offers the peer has not answered do
+   * not count, so other peers cannot use up its sessions by sending offers.
+   *
+   * @param {string} peerId - ID of the peer
+   * @returns {boolean} True if the peer is below its session limit
+   */
+  hasRoomFor(peerId) {
+    const counted = this.getSessions(peerId).filter(({ peers, accepted }) => accepted || peers[0] === peerId);
+    return counted.length < this.maxSessionsPerPeer;
+  }
+}
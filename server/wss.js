@@ -1,5 +1,24 @@
 import { WebSocketServer } from 'ws';
 import { PeerConnection } from './peers/peerConnection.js';
+import { RoomRepository } from './rooms/roomRepository.js';
+import { RateLimiter } from './limits/rateLimiter.js';
+import { SignalingRepository } from './signaling/signalingRepository.js';
+
+/**
+ * Extracts the resume token from the `resume` query parameter of a connection request.
+ * @param {import('node:http').IncomingMessage} [request] - The upgrade request
+ * @returns {string|undefined} The token, or undefined if there is none or the URL cannot be parsed
+ */
+const resumeTokenOf = (request) => {
+  if (!request?.url) {
+    return undefined;
+  }
+  try {
+    return new URL(request.url, 'ws://localhost').searchParams.get('resume') || undefined;
+  } catch {
+    return undefined;
+  }
+};
 
 /**
  * P2P WebSocket server that manages peer connections and message handling.
@@ -10,8 +29,26 @@ export class P2PServer {
    * @param {number} port - The port number to listen on.
    * @param {import('./peers/peerRepository.js').PeerRepository} peerRepository - Repository for managing peer data.
    * @param {import('./messages/messageService.js').MessageService} messageService - Service for handling peer messages.
+   * @param {Object} [options] - Shared server state handed to every peer connection.
+   * @param {RoomRepository} [options.roomRepository] - Repository for topic membership.
+   * @param {RateLimiter} [options.rateLimiter] - Per-peer rate limits, penalties and IP bans.
+   * @param {number} [options.heartbeatInterval=30000] - Time between heartbeat pings in milliseconds, 0 to disable.
+   *   Connections that have not answered the previous ping are terminated.
+   * @param {number} [options.idleTimeout=0] - Time after which a peer that has sent no message is disconnected,
+   *   in milliseconds, 0 to disable. Checked on each heartbeat.
+   * @param {import('./messages/mailbox.js').Mailbox} [options.mailbox] - Store for direct messages to peers that
+   *   are not connected, delivered when they authenticate again.
+   * @param {import('./rooms/roomHistory.js').RoomHistory} [options.roomHistory] - History of the messages published
+   *   to topics, which peers can page through.
+   * @param {import('./peers/sessionStore.js').SessionStore} [options.sessions] - Resumable sessions. Clients resume
+   *   theirs by connecting with the token from their last `welcome` in the `resume` query parameter.
+   * @param {SignalingRepository} [options.signalingRepository] - WebRTC signaling sessions relayed between peers.
+   * @param {import('./federation/federation.js').Federation} [options.federation] - Links to other relay servers.
+   *   Linked servers connect to the federation endpoint; the configured links are made on initialization.
+   * @param {number} [options.mailboxExpiryInterval=3600000] - Time between deletions of expired stored messages
+   *   in milliseconds.
    */
-  constructor(port, peerRepository, messageService) {
+  constructor(port, peerRepository, messageService, options = {}) {
     /** @private */
     this.port = port;
     /** @private */
@@ -19,7 +56,33 @@ export class P2PServer {
     /** @private */
     this.messageService = messageService;
     /** @private */
+    this.options = {
+      roomRepository: new RoomRepository(),
+      rateLimiter: new RateLimiter(),
+      heartbeatInterval: 30000,
+      idleTimeout: 0,
+      mailbox: null,
+      roomHistory: null,
+      sessions: null,
+      signalingRepository: new SignalingRepository(),
+      federation: null,
+      mailboxExpiryInterval: 3600000,
+      ...options,
+    };
+    /** @private */
     this.wss = null;
+
+    /**
+     * Open peer connections.
+     * @private
+     * @type {Set<PeerConnection>}
+     */
+    this.connections = new Set();
+
+    /** @private */
+    this.heartbeatTimer = null;
+    /** @private */
+    this.mailboxTimer = null;
   }
 
   /**
@@ -29,12 +92,76 @@ export class P2PServer {
   initialize() {
     this.wss = new WebSocketServer({ port: this.port });
     this.setupConnectionHandler();
+    this.startHeartbeat();
+    this.startMailboxExpiry();
+    this.startFederation();
     return this.wss;
   }
 
+  /**
+   * Starts pinging connections periodically to reap dead and idle ones.
+   * The timer is stopped when the WebSocket server closes.
+   * @private
+   */
+  startHeartbeat() {
+    if (this.options.heartbeatInterval <= 0) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval);
+    this.heartbeatTimer.unref();
+    this.wss.on('close', () => clearInterval(this.heartbeatTimer));
+  }
+
+  /**
+   * Starts deleting expired stored messages periodically, if the server has a mailbox.
+   * The timer is stopped when the WebSocket server closes.
+   * @private
+   */
+  startMailboxExpiry() {
+    const { mailbox, mailboxExpiryInterval } = this.options;
+    if (!mailbox) {
+      return;
+    }
+
+    this.mailboxTimer = setInterval(() => {
+      mailbox.expire().catch((error) => console.error('Failed to expire stored messages:', error));
+    }, mailboxExpiryInterval);
+    this.mailboxTimer.unref();
+    this.wss.on('close', () => clearInterval(this.mailboxTimer));
+  }
+
+  /**
+   * Links to the other servers of the federation, if any. The links are closed when the WebSocket
+   * server closes.
+   * @private
+   */
+  startFederation() {
+    const { federation } = this.options;
+    if (!federation) {
+      return;
+    }
+
+    federation.start();
+    this.wss.on('close', () => federation.close());
+  }
+
+  /**
+   * Runs one heartbeat round over all open connections.
+   * Half-open connections never deliver a 'close' event, so without this they would stay
+   * in the peer repository forever.
+   * @returns {void}
+   */
+  heartbeat() {
+    const now = Date.now();
+    this.connections.forEach((connection) => connection.heartbeat(now, this.options.idleTimeout));
+  }
+
   /**
    * Sets up the connection handler for incoming WebSocket connections.
-   * Creates a new peer and establishes a peer connection for each incoming connection.
+   * Creates a new peer and establishes a peer connection for each incoming connection,
+   * refusing connections from banned IP addresses. Connections to the federation endpoint are
+   * links from other servers.
    * @private
    */
   setupConnectionHandler() {
@@ -42,8 +169,25 @@ export class P2PServer {
       throw new Error('WebSocketServer is not initialized');
     }
 
-    this.wss.on('connection', (ws) => {
-      new PeerConnection(ws, this.peerRepository, this.messageService);
+    this.wss.on('connection', (ws, request) => {
+      const remoteAddress = request?.socket?.remoteAddress;
+      if (remoteAddress && this.options.rateLimiter.isBanned(remoteAddress)) {
+        this.options.rateLimiter.recordRejectedConnection();
+        ws.close(1008, 'Banned');
+        return;
+      }
+      if (this.options.federation?.isLink(request)) {
+        this.options.federation.accept(ws);
+        return;
+      }
+
+      const connection = new PeerConnection(ws, this.peerRepository, this.messageService, {
+        ...this.options,
+        remoteAddress,
+        resumeToken: resumeTokenOf(request),
+      });
+      this.connections.add(connection);
+      ws.on('close', () => this.connections.delete(connection));
     });
   }
 }
@@ -0,0 +1,59 @@
+import { E2E_ALGORITHM, createEncryptionKeyPair, decrypt, encrypt } from '../../client/e2e.js';
+
+describe('e2e', () => {
+  let recipient;
+
+  beforeEach(() => {
+    recipient = createEncryptionKeyPair();
+  });
+
+  it('should round-trip content for the recipient', () => {
+    const content = { text: 'secret', n: [1, 2] };
+    const envelope = encrypt(recipient.publicKey, content, 'alice:bob');
+
+    expect(envelope.alg).toBe(E2E_ALGORITHM);
+    expect(JSON.stringify(envelope)).not.toContain('secret');
+    expect(decrypt(recipient, envelope, 'alice:bob')).toEqual(content);
+  });
+
+  it('should use a fresh ephemeral key and nonce per message', () => {
+    const a = encrypt(recipient.publicKey, 'hi');
+    const b = encrypt(recipient.publicKey, 'hi');
+
+    expect(a.ephemeralKey).not.toBe(b.ephemeralKey);
+    expect(a.ciphertext).not.toBe(b.ciphertext);
+  });
+
+  it('should not decrypt with another key', () => {
+    const envelope = encrypt(recipient.publicKey, 'hi');
+
+    expect(() => decrypt(createEncryptionKeyPair(), envelope)).toThrow();
+  });
+
+  it('should reject tampered envelopes', () => {
+    const envelope = encrypt(recipient.publicKey, 'hi');
+    const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+
+    expect(() => decrypt(recipient, { ...envelope, ciphertext: ciphertext.toString('base64') })).toThrow();
+  });
+
+  it('should reject mismatching associated data', () => {
+    const envelope = encrypt(recipient.publicKey, 'hi', 'alice:bob');
+
+    expect(() => decrypt(recipient, envelope, 'mallory:bob')).toThrow();
+  });
+
+  it('should reject truncated tags', () => {
+    const envelope = encrypt(recipient.publicKey, 'hi');
+    const tag = Buffer.from(envelope.tag, 'base64').subarray(0, 4).toString('base64');
+
+    expect(() => decrypt(recipient, { ...envelope, tag })).toThrow();
+  });
+
+  it('should reject unknown schemes', () => {
+    const envelope = encrypt(recipient.publicKey, 'hi');
+
+    expect(() => decrypt(recipient, { ...envelope, alg: 'rot13' })).toThrow('Unsupported encryption scheme: rot13');
+  });
+});
@@ -0,0 +1,405 @@
+import { jest } from '@jest/globals';
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { P2PClient } from '../../client/p2pClient.js';
+import { P2PServer } from '../../server/wss.js';
+import { MemoryPeerRepository } from '../../server/peers/memoryPeerRepository.js';
+import { MessageService } from '../../server/messages/messageService.js';
+import { createKeyPair, peerIdFromPublicKey } from '../../server/peers/peerIdentity.js';
+import { Mailbox } from '../../server/messages/mailbox.js';
+import { RoomHistory } from '../../server/rooms/roomHistory.js';
+import { SessionStore } from '../../server/peers/sessionStore.js';
+import { HybridStorage } from '../../dht/storage/hybridStorage.js';
+
+/**
+ * Resolves with the next emission of an event.
+ * @param {import('node:events').EventEmitter} emitter - The emitter
+ * @param {string} event - The event name
+ * @returns {Promise<*>} The first argument of the event
+ */
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, resolve));
+
+/**
+ * Resolves once a client knows about a peer.
+ * @param {P2PClient} client - The client
+ * @param {string} id - ID of the peer
+ * @returns {Promise<void>}
+ */
+const known = (client, id) =>
+  new Promise((resolve) => {
+    const check = () => client.peers.has(id) && resolve();
+    client.on('peer-joined', check);
+    check();
+  });
+
+describe('P2PClient', () => {
+  let wss;
+  let url;
+  let messageService;
+  let clients;
+
+  const connect = async (options = {}) => {
+    const client = new P2PClient({ url, ...options });
+    clients.push(client);
+    await client.connect();
+    return client;
+  };
+
+  // Subscribes clients to a common topic, so that they see each other
+  const meet = (...peers) =>
+    Promise.all(
+      peers.map((client) => {
+        const joined = next(client, 'joined');
+        client.join('lobby');
+        return joined;
+      }),
+    );
+
+  beforeEach(async () => {
+    messageService = new MessageService();
+    wss = new P2PServer(0, new MemoryPeerRepository(), messageService, { heartbeatInterval: 0 }).initialize();
+    await new Promise((resolve) => wss.once('listening', resolve));
+    url = `ws://127.0.0.1:${wss.address().port}`;
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await new Promise((resolve) => wss.close(resolve));
+  });
+
+  it('should complete the handshake anonymously', async () => {
+    const client = new P2PClient({ url });
+    clients.push(client);
+
+    const welcome = await client.connect();
+
+    expect(welcome).toMatchObject({ type: 'welcome', version: 1, authenticated: false });
+    expect(client.id).toBe(welcome.peer);
+  });
+
+  it('should authenticate with an identity', async () => {
+    const identity = createKeyPair();
+    const client = await connect({ identity });
+
+    expect(client.id).toBe(peerIdFromPublicKey(identity.publicKey));
+  });
+
+  it('should learn about other peers and their keys', async () => {
+    const alice = await connect({ identity: createKeyPair() });
+    await meet(alice);
+    const bob = await connect({ identity: createKeyPair() });
+
+    const joined = next(alice, 'peer-joined');
+    await meet(bob);
+
+    expect(await joined).toMatchObject({ id: bob.id, encryptionKey: bob.encryption.publicKey });
+    expect(bob.peers.get(alice.id)).toMatchObject({ encryptionKey: alice.encryption.publicKey });
+  });
+
+  it('should neither see nor reach the peers of other topics', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    const carol = await connect();
+    await meet(alice, carol);
+    bob.join('elsewhere');
+    await next(bob, 'joined');
+    const received = [];
+    alice.on('message', (message) => received.push(message));
+
+    const marker = next(alice, 'message');
+    bob.sendMessage('anyone?');
+    carol.sendMessage('hello lobby');
+    await marker;
+
+    expect(received.map(({ content }) => content)).toEqual(['hello lobby']);
+    expect([...alice.peers.keys()].sort()).toEqual([alice.id, carol.id].sort());
+  });
+
+  it('should exchange encrypted messages the server cannot read', async () => {
+    const alice = await connect({ identity: createKeyPair() });
+    const bob = await connect({ identity: createKeyPair() });
+    await meet(alice, bob);
+    await known(alice, bob.id);
+    const relayed = jest.spyOn(messageService, 'send');
+
+    const received = next(bob, 'message');
+    alice.sendEncrypted(bob.id, { text: 'for your eyes only' });
+
+    expect(await received).toEqual({
+      peer: alice.id,
+      content: { text: 'for your eyes only' },
+      topic: undefined,
+      direct: true,
+      encrypted: true,
+      verified: true,
+    });
+    const forwarded = relayed.mock.calls.map(([, message]) => JSON.stringify(message));
+    expect(forwarded.some((message) => message.includes('for your eyes only'))).toBe(false);
+  });
+
+  it('should encrypt to anonymous peers', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await meet(alice, bob);
+    await known(alice, bob.id);
+
+    const received = next(bob, 'message');
+    alice.sendEncrypted(bob.id, 'psst');
+
+    expect(await received).toMatchObject({ content: 'psst', encrypted: true, verified: false });
+  });
+
+  it('should refuse unsigned encryption keys of authenticated peers', async () => {
+    const alice = await connect();
+    const bob = await connect({ identity: createKeyPair() });
+    await meet(alice, bob);
+    await known(alice, bob.id);
+    alice.peers.set(bob.id, { ...alice.peers.get(bob.id), encryptionKeySignature: undefined });
+
+    expect(() => alice.sendEncrypted(bob.id, 'psst')).toThrow(`Encryption key of peer ${bob.id} is not signed`);
+  });
+
+  it('should refuse to encrypt to unknown peers', async () => {
+    const alice = await connect();
+
+    expect(() => alice.sendEncrypted('missing', 'psst')).toThrow('Peer missing has no encryption key');
+  });
+
+  it('should encrypt to and verify peers outside its topics once their keys are looked up', async () => {
+    const alice = await connect({ identity: createKeyPair() });
+    const bob = await connect({ identity: createKeyPair() });
+    expect(() => alice.sendEncrypted(bob.id, 'psst')).toThrow(`Peer ${bob.id} has no encryption key`);
+
+    expect(await alice.lookupKeys(bob.id)).toEqual({
+      publicKey: bob.identity.publicKey,
+      encryptionKey: bob.encryption.publicKey,
+      encryptionKeySignature: expect.any(String),
+    });
+    const received = next(bob, 'message');
+    alice.sendEncrypted(bob.id, 'psst');
+
+    expect(await received).toMatchObject({ peer: alice.id, content: 'psst', encrypted: true, verified: true });
+    expect(bob.peers.has(alice.id)).toBe(false);
+  });
+
+  it('should reject lookups of unknown peers without reporting a server error', async () => {
+    const alice = await connect();
+    const errors = [];
+    alice.on('server-error', (error) => errors.push(error));
+
+    await expect(alice.lookupKeys('missing')).rejects.toMatchObject({ code: 'UNKNOWN_PEER' });
+    expect(errors).toEqual([]);
+  });
+
+  it('should verify signed topic messages', async () => {
+    const alice = await connect({ identity: createKeyPair() });
+    const bob = await connect();
+    alice.join('chat');
+    bob.join('chat');
+    await Promise.all([next(alice, 'joined'), next(bob, 'joined')]);
+
+    const received = next(bob, 'message');
+    alice.publish('chat', 'hello');
+
+    expect(await received).toMatchObject({ peer: alice.id, topic: 'chat', content: 'hello', verified: true });
+  });
+
+  it('should surface server errors', async () => {
+    const alice = await connect();
+
+    const error = next(alice, 'server-error');
+    alice.publish('chat', 'hello');
+
+    expect(await error).toMatchObject({ code: 'NOT_SUBSCRIBED' });
+  });
+
+  it('should negotiate a WebRTC session through the relay', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await meet(alice, bob);
+    await known(alice, bob.id);
+
+    const offered = next(bob, 'offer');
+    const session = alice.offer(bob.id, 'v=0 offer');
+    expect(await offered).toMatchObject({ peer: alice.id, session, sdp: 'v=0 offer' });
+
+    const answered = next(alice, 'answer');
+    bob.answer(alice.id, session, 'v=0 answer');
+    expect(await answered).toMatchObject({ peer: bob.id, session, sdp: 'v=0 answer' });
+
+    const candidate = next(bob, 'ice-candidate');
+    alice.candidate(bob.id, session, { candidate: 'candidate:1 1 UDP 1 192.0.2.1 50000 typ host' });
+    expect((await candidate).candidate).toEqual({ candidate: 'candidate:1 1 UDP 1 192.0.2.1 50000 typ host' });
+
+    const hungUp = next(alice, 'hangup');
+    await bob.close();
+    expect(await hungUp).toMatchObject({ peer: bob.id, session });
+  });
+
+  it('should advertise its profile and find peers by feature', async () => {
+    const alice = await connect();
+    const bob = await connect({ profile: { name: 'Bob', client: 'chat/1.0.0', features: ['files'] } });
+    const carol = await connect({ profile: { name: 'Carol', features: ['voice'] } });
+    // Dave does not share a topic with Alice
+    await connect({ profile: { name: 'Dave', features: ['files'] } });
+    await meet(alice, bob, carol);
+
+    const found = next(alice, 'peers');
+    alice.findPeers({ features: ['files'] }, { id: 'f1' });
+    expect(await found).toMatchObject({ id: 'f1', peers: [{ id: bob.id, profile: { name: 'Bob' } }] });
+
+    const updated = new Promise((resolve) => {
+      alice.on('peer-updated', (peer) => peer.profile?.name === 'Robert' && resolve(peer));
+    });
+    const confirmed = next(bob, 'profile');
+    bob.setProfile({ name: 'Robert', client: null });
+    expect((await confirmed).profile).toEqual({ name: 'Robert', features: ['files'] });
+    expect((await updated).profile).toEqual({ name: 'Robert', features: ['files'] });
+    expect(bob.peers.get(bob.id).profile).toEqual({ name: 'Robert', features: ['files'] });
+  });
+
+  describe('session resumption', () => {
+    beforeEach(async () => {
+      await new Promise((resolve) => wss.close(resolve));
+      const sessions = new SessionStore();
+      wss = new P2PServer(0, new MemoryPeerRepository(), messageService, { heartbeatInterval: 0, sessions }).initialize();
+      await new Promise((resolve) => wss.once('listening', resolve));
+      url = `ws://127.0.0.1:${wss.address().port}`;
+    });
+
+    it('should keep its ID across a dropped connection', async () => {
+      const alice = await connect();
+      const bob = await connect();
+      await meet(alice, bob);
+      await known(bob, alice.id);
+      const left = jest.fn();
+      bob.on('peer-left', left);
+      const { id } = alice;
+
+      // Drop the connection without a close handshake, as a network failure would, and wait for the
+      // server to notice
+      const [lost] = wss.clients;
+      alice.ws.terminate();
+      await next(lost, 'close');
+      const ack = next(bob, 'ack');
+      bob.sendMessage('while you were away', { to: id });
+      expect(await ack).toMatchObject({ delivered: [], buffered: [id] });
+
+      const received = next(alice, 'message');
+      const welcome = await alice.connect();
+
+      expect(welcome).toMatchObject({ peer: id, resumed: true });
+      expect(await received).toMatchObject({ peer: bob.id, content: 'while you were away', direct: true });
+      expect(left).not.toHaveBeenCalled();
+    });
+
+    it('should start a new session when the old one is gone', async () => {
+      const alice = await connect();
+      const { id } = alice;
+      await alice.close();
+
+      const welcome = await alice.connect();
+
+      expect(welcome.resumed).toBeUndefined();
+      expect(alice.id).not.toBe(id);
+    });
+  });
+
+  describe('topic history', () => {
+    const TEST_DB_PATH = join(process.cwd(), 'test-db-client-history');
+    let storage;
+
+    beforeEach(async () => {
+      await new Promise((resolve) => wss.close(resolve));
+      storage = new HybridStorage({ dbPath: TEST_DB_PATH });
+      const roomHistory = new RoomHistory({ storage });
+      wss = new P2PServer(0, new MemoryPeerRepository(), messageService, { heartbeatInterval: 0, roomHistory }).initialize();
+      await new Promise((resolve) => wss.once('listening', resolve));
+      url = `ws://127.0.0.1:${wss.address().port}`;
+    });
+
+    afterEach(async () => {
+      await storage.close();
+      await rm(TEST_DB_PATH, { recursive: true, force: true });
+    });
+
+    it('should catch up on the messages published while it was away', async () => {
+      const alice = await connect();
+      alice.join('chat');
+      await next(alice, 'joined');
+      const echoes = [];
+      const published = new Promise((resolve) => {
+        alice.on('message', (message) => echoes.push(message) === 3 && resolve());
+      });
+      ['one', 'two', 'three'].forEach((content) => alice.publish('chat', content));
+      await published;
+      expect(echoes.map(({ seq }) => seq)).toEqual([1, 2, 3]);
+
+      const bob = await connect();
+      bob.join('chat');
+      await next(bob, 'joined');
+      const page = next(bob, 'history');
+      bob.history('chat', { after: 1 });
+
+      expect(await page).toMatchObject({ topic: 'chat', hasMore: false });
+      expect((await page).messages.map(({ seq, content }) => [seq, content])).toEqual([
+        [2, 'two'],
+        [3, 'three'],
+      ]);
+    });
+  });
+
+  describe('store and forward', () => {
+    const TEST_DB_PATH = join(process.cwd(), 'test-db-client-mailbox');
+    let storage;
+
+    beforeEach(async () => {
+      await new Promise((resolve) => wss.close(resolve));
+      storage = new HybridStorage({ dbPath: TEST_DB_PATH });
+      const mailbox = new Mailbox({ storage });
+      wss = new P2PServer(0, new MemoryPeerRepository(), messageService, { heartbeatInterval: 0, mailbox }).initialize();
+      await new Promise((resolve) => wss.once('listening', resolve));
+      url = `ws://127.0.0.1:${wss.address().port}`;
+    });
+
+    afterEach(async () => {
+      await storage.close();
+      await rm(TEST_DB_PATH, { recursive: true, force: true });
+    });
+
+    it('should receive the messages sent while it was offline', async () => {
+      const alice = await connect({ identity: createKeyPair() });
+      const identity = createKeyPair();
+      const bobId = peerIdFromPublicKey(identity.publicKey);
+      // Messages are only stored for peers that authenticated before
+      const first = await connect({ identity });
+      await meet(alice, first);
+      const left = new Promise((resolve) => alice.on('peer-left', ({ id }) => id === bobId && resolve()));
+      await first.close();
+      await left;
+
+      const acks = [];
+      const stored = new Promise((resolve) => alice.on('ack', (ack) => acks.push(ack) === 2 && resolve()));
+      alice.sendMessage('first', { to: bobId, id: 'm1' });
+      alice.sendMessage('second', { to: bobId, id: 'm2' });
+      await stored;
+      expect(acks).toEqual([
+        { type: 'ack', id: 'm1', delivered: [], stored: [bobId] },
+        { type: 'ack', id: 'm2', delivered: [], stored: [bobId] },
+      ]);
+
+      const bob = new P2PClient({ url, identity });
+      clients.push(bob);
+      const received = [];
+      bob.on('message', (message) => received.push(message));
+      const delivered = new Promise((resolve) => bob.on('message', () => received.length === 2 && resolve()));
+      await bob.connect();
+      await delivered;
+
+      expect(received.map(({ content }) => content)).toEqual(['first', 'second']);
+      // Bob shares no topic with Alice anymore, so her keys are looked up to check her signature
+      expect(received[0]).toMatchObject({ peer: alice.id, direct: true, verified: true, storedAt: expect.any(Number) });
+    });
+  });
+});
@@ -114,6 +114,110 @@ describe('HybridStorage', () => {
     });
   });
 
+  describe('getMany operation', () => {
+    it('should return values in the order of the keys', async () => {
+      await storage.put('key1', 'value1');
+      await storage.put('key2', { nested: true });
+      await storage.put('key3', 'value3'); // Evicts key1 from the cache
+
+      expect(await storage.getMany(['key3', 'missing', 'key1', 'key2'])).toEqual([
+        'value3',
+        undefined,
+        'value1',
+        { nested: true },
+      ]);
+    });
+
+    it('should handle an empty list', async () => {
+      expect(await storage.getMany([])).toEqual([]);
+    });
+  });
+
+  describe('batch operation', () => {
+    it('should apply puts and deletes in order', async () => {
+      await storage.put('key1', 'value1');
+
+      await storage.batch([
+        { type: 'put', key: 'key2', value: 'value2' },
+        { type: 'delete', key: 'key1' },
+        { type: 'put', key: 'key3', value: 'value3' },
+        { type: 'delete', key: 'key3' },
+      ]);
+
+      expect(await storage.keys()).toEqual(['key2']);
+      expect(storage.cache.has('key1')).toBe(false);
+      expect(await storage.get('key2')).toBe('value2');
+    });
+
+    it('should write nothing if an operation is invalid', async () => {
+      await expect(
+        storage.batch([
+          { type: 'put', key: 'key1', value: 'value1' },
+          // @ts-expect-error - Invalid operation
+          { type: 'rename', key: 'key1' },
+        ])
+      ).rejects.toThrow('Failed to apply batch: Unknown batch operation: rename');
+
+      expect(await storage.has('key1')).toBe(false);
+    });
+  });
+
+  describe('range iteration', () => {
+    const collect = async (iterator) => {
+      const items = [];
+      for await (const item of iterator) {
+        items.push(item);
+      }
+      return items;
+    };
+
+    beforeEach(async () => {
+      await storage.batch(
+        ['a:1', 'a:2', 'a:3', 'ab:1', 'b:1'].map((key) => ({ type: 'put', key, value: { key } }))
+      );
+    });
+
+    it('should iterate over all entries in key order', async () => {
+      const entries = await collect(storage.iterate());
+
+      expect(entries.map(([key]) => key)).toEqual(['a:1', 'a:2', 'a:3', 'ab:1', 'b:1']);
+      expect(entries[0]).toEqual(['a:1', { key: 'a:1' }]);
+    });
+
+    it('should only include keys starting with a prefix', async () => {
+      expect(await collect(storage.iterateKeys({ prefix: 'a:' }))).toEqual(['a:1', 'a:2', 'a:3']);
+      expect(await collect(storage.iterateKeys({ prefix: 'a' }))).toEqual(['a:1', 'a:2', 'a:3', 'ab:1']);
+      expect(await collect(storage.iterateKeys({ prefix: 'c' }))).toEqual([]);
+    });
+
+    it('should find keys under prefixes ending in the highest or surrogate code points', async () => {
+      const prefixes = ['x\u{10FFFF}', 'x\uD7FF', 'x\u{10FFFF}\u{10FFFF}', 'x\u{FFFF}', 'x\u{DBFF}\u{DC00}'];
+      await storage.batch(prefixes.map((prefix) => ({ type: 'put', key: `${prefix}:1`, value: prefix })));
+      await storage.put('x\uE000:1', 'after');
+
+      for (const prefix of prefixes) {
+        expect(await collect(storage.iterateKeys({ prefix }))).toEqual(
+          prefixes.filter((other) => other.startsWith(prefix)).map((other) => `${other}:1`).sort(),
+        );
+      }
+      expect(await collect(storage.iterate({ prefix: 'x\uD7FF' }))).toEqual([['x\uD7FF:1', 'x\uD7FF']]);
+    });
+
+    it('should honour bounds, limit and reverse', async () => {
+      expect(await collect(storage.iterateKeys({ gt: 'a:1', lte: 'ab:1' }))).toEqual(['a:2', 'a:3', 'ab:1']);
+      expect(await collect(storage.iterateKeys({ prefix: 'a:', gt: 'a:1' }))).toEqual(['a:2', 'a:3']);
+      expect(await collect(storage.iterateKeys({ prefix: 'a:', lt: 'a:3', reverse: true }))).toEqual(['a:2', 'a:1']);
+      expect(await collect(storage.iterateKeys({ prefix: 'a:', reverse: true, limit: 1 }))).toEqual(['a:3']);
+      expect((await collect(storage.iterate({ limit: 2 }))).map(([key]) => key)).toEqual(['a:1', 'a:2']);
+    });
+
+    it('should fail once closed', async () => {
+      await storage.close();
+
+      await expect(collect(storage.iterate())).rejects.toThrow('Failed to iterate over entries: Database is closed');
+    });
+  });
+
   describe('error handling', () => {
     it('should handle database errors gracefully', async () => {
       await storage.close(); // Close DB to force errors
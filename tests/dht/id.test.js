@@ -0,0 +1,122 @@
+import * as crypto from 'node:crypto';
+import {
+  ID_BITS,
+  ID_SPACE,
+  bitAt,
+  commonPrefixLength,
+  compare,
+  compareDistance,
+  distance,
+  fromBase32,
+  fromBuffer,
+  fromHex,
+  isId,
+  randomId,
+  randomIdInRange,
+  toBase32,
+  toBuffer,
+  toHex,
+} from '../../dht/utils/id.js';
+import { hash } from '../../dht/utils/hash.js';
+
+describe('id', () => {
+  describe('hash', () => {
+    it('should keep the full SHA-1 digest', () => {
+      const digest = crypto.createHash('sha1').update('p2punk').digest('hex');
+      expect(toHex(hash('p2punk'))).toBe(digest);
+    });
+
+    it('should be deterministic', () => {
+      expect(hash('key')).toBe(hash('key'));
+    });
+  });
+
+  describe('encoding', () => {
+    it('should round-trip through buffers', () => {
+      const id = randomId();
+      const buffer = toBuffer(id);
+
+      expect(buffer).toHaveLength(20);
+      expect(fromBuffer(buffer)).toBe(id);
+    });
+
+    it('should zero-pad hex strings', () => {
+      expect(toHex(1n)).toBe('0'.repeat(39) + '1');
+      expect(fromHex('0'.repeat(39) + '1')).toBe(1n);
+    });
+
+    it('should round-trip through base32', () => {
+      const id = randomId();
+      const encoded = toBase32(id);
+
+      expect(encoded).toHaveLength(32);
+      expect(fromBase32(encoded)).toBe(id);
+      expect(toBase32(0n)).toBe('a'.repeat(32));
+    });
+
+    it('should reject malformed input', () => {
+      expect(() => fromBuffer(Buffer.alloc(4))).toThrow(TypeError);
+      expect(() => fromHex('xyz')).toThrow(TypeError);
+      expect(() => fromBase32('!'.repeat(32))).toThrow(TypeError);
+      expect(() => toHex(-1n)).toThrow(TypeError);
+      expect(() => toHex(ID_SPACE)).toThrow(TypeError);
+    });
+  });
+
+  describe('isId', () => {
+    it('should accept bigints inside the ID space only', () => {
+      expect(isId(0n)).toBe(true);
+      expect(isId(ID_SPACE - 1n)).toBe(true);
+      expect(isId(ID_SPACE)).toBe(false);
+      expect(isId(1)).toBe(false);
+    });
+  });
+
+  describe('distance and ordering', () => {
+    it('should compute XOR distance', () => {
+      expect(distance(0b1100n, 0b1010n)).toBe(0b0110n);
+      expect(distance(42n, 42n)).toBe(0n);
+    });
+
+    it('should compare IDs', () => {
+      expect(compare(1n, 2n)).toBe(-1);
+      expect(compare(2n, 1n)).toBe(1);
+      expect(compare(2n, 2n)).toBe(0);
+    });
+
+    it('should compare IDs by distance to a target', () => {
+      expect(compareDistance(0b1000n, 0b1001n, 0b0000n)).toBe(-1);
+      expect(compareDistance(0b1000n, 0b0000n, 0b1001n)).toBe(1);
+    });
+  });
+
+  describe('bits', () => {
+    it('should compute the common prefix length', () => {
+      const top = 1n << BigInt(ID_BITS - 1);
+
+      expect(commonPrefixLength(5n, 5n)).toBe(ID_BITS);
+      expect(commonPrefixLength(0n, top)).toBe(0);
+      expect(commonPrefixLength(0n, 1n)).toBe(ID_BITS - 1);
+    });
+
+    it('should read bits from the most significant end', () => {
+      const top = 1n << BigInt(ID_BITS - 1);
+
+      expect(bitAt(top, 0)).toBe(1);
+      expect(bitAt(top, 1)).toBe(0);
+      expect(bitAt(1n, ID_BITS - 1)).toBe(1);
+      expect(() => bitAt(1n, ID_BITS)).toThrow(RangeError);
+    });
+  });
+
+  describe('random', () => {
+    it('should generate IDs inside a range', () => {
+      for (let i = 0; i < 20; i++) {
+        const id = randomIdInRange(100n, 200n);
+        expect(id).toBeGreaterThanOrEqual(100n);
+        expect(id).toBeLessThan(200n);
+      }
+      expect(isId(randomId())).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import {
+  IDENTITY_KEY,
+  createIdentity,
+  isValidIdentity,
+  loadIdentity,
+} from '../../dht/core/identity.js';
+import { HybridStorage } from '../../dht/storage/hybridStorage.js';
+import { hash } from '../../dht/utils/hash.js';
+import { toHex } from '../../dht/utils/id.js';
+
+describe('identity', () => {
+  let storage;
+  const TEST_DB_PATH = join(process.cwd(), 'test-db-identity');
+
+  beforeEach(() => {
+    storage = new HybridStorage({ dbPath: TEST_DB_PATH });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  describe('createIdentity', () => {
+    it('should derive the node ID from the public key', () => {
+      const identity = createIdentity();
+
+      expect(identity.nodeId).toBe(toHex(hash(Buffer.from(identity.publicKey, 'base64'))));
+      expect(isValidIdentity(identity)).toBe(true);
+    });
+
+    it('should generate distinct identities', () => {
+      expect(createIdentity().nodeId).not.toBe(createIdentity().nodeId);
+    });
+  });
+
+  describe('isValidIdentity', () => {
+    it('should reject identities whose ID does not match the key', () => {
+      const identity = createIdentity();
+
+      expect(isValidIdentity({ ...identity, nodeId: createIdentity().nodeId })).toBe(false);
+      expect(isValidIdentity({ ...identity, nodeId: 'nope' })).toBe(false);
+      expect(isValidIdentity(null)).toBe(false);
+    });
+  });
+
+  describe('loadIdentity', () => {
+    it('should generate and persist an identity on first use', async () => {
+      const identity = await loadIdentity(storage);
+
+      expect(await storage.get(IDENTITY_KEY)).toEqual(identity);
+    });
+
+    it('should return the persisted identity afterwards', async () => {
+      const first = await loadIdentity(storage);
+      const second = await loadIdentity(storage);
+
+      expect(second).toEqual(first);
+    });
+
+    it('should refuse a corrupt identity', async () => {
+      await storage.put(IDENTITY_KEY, { nodeId: 'broken' });
+
+      await expect(loadIdentity(storage)).rejects.toThrow('Stored node identity is corrupt');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { KBucket } from '../../dht/core/kBucket.js';
+
+describe('KBucket', () => {
+  let bucket;
+
+  const contact = (id) => ({ id: BigInt(id), host: '127.0.0.1', port: 4000 + id });
+
+  beforeEach(() => {
+    bucket = new KBucket(0n, 16n, 3);
+  });
+
+  describe('construction', () => {
+    it('should reject an empty range', () => {
+      expect(() => new KBucket(4n, 4n)).toThrow(RangeError);
+    });
+
+    it('should cover its half-open range', () => {
+      expect(bucket.covers(0n)).toBe(true);
+      expect(bucket.covers(15n)).toBe(true);
+      expect(bucket.covers(16n)).toBe(false);
+    });
+  });
+
+  describe('add', () => {
+    it('should add contacts until full', () => {
+      expect(bucket.add(contact(1))).toBeNull();
+      expect(bucket.add(contact(2))).toBeNull();
+      expect(bucket.add(contact(3))).toBeNull();
+
+      expect(bucket.size).toBe(3);
+      expect(bucket.isFull()).toBe(true);
+    });
+
+    it('should stamp contacts with lastSeen', () => {
+      bucket.add(contact(1));
+      expect(typeof bucket.get(1n).lastSeen).toBe('number');
+    });
+
+    it('should move a known contact to the tail', () => {
+      bucket.add(contact(1));
+      bucket.add(contact(2));
+      bucket.add(contact(1));
+
+      expect(bucket.toArray().map(({ id }) => id)).toEqual([2n, 1n]);
+    });
+
+    it('should keep contact fields when refreshing', () => {
+      bucket.add(contact(1));
+      bucket.add({ id: 1n });
+
+      expect(bucket.get(1n).port).toBe(4001);
+    });
+
+    it('should return the least recently seen contact when full', () => {
+      [1, 2, 3].forEach((id) => bucket.add(contact(id)));
+
+      const head = bucket.add(contact(4));
+
+      expect(head.id).toBe(1n);
+      expect(bucket.has(4n)).toBe(false);
+      expect(bucket.replacements.map(({ id }) => id)).toEqual([4n]);
+    });
+
+    it('should bound the replacement cache at k entries', () => {
+      [1, 2, 3, 4, 5, 6, 7].forEach((id) => bucket.add(contact(id)));
+
+      expect(bucket.replacements.map(({ id }) => id)).toEqual([5n, 6n, 7n]);
+    });
+  });
+
+  describe('remove', () => {
+    it('should promote the most recent replacement', () => {
+      [1, 2, 3, 4, 5].forEach((id) => bucket.add(contact(id)));
+
+      expect(bucket.remove(1n)).toBe(true);
+
+      expect(bucket.toArray().map(({ id }) => id)).toEqual([2n, 3n, 5n]);
+      expect(bucket.replacements.map(({ id }) => id)).toEqual([4n]);
+    });
+
+    it('should drop a parked replacement', () => {
+      [1, 2, 3, 4].forEach((id) => bucket.add(contact(id)));
+
+      expect(bucket.remove(4n)).toBe(true);
+      expect(bucket.replacements).toEqual([]);
+    });
+
+    it('should return false for unknown contacts', () => {
+      expect(bucket.remove(9n)).toBe(false);
+    });
+  });
+
+  describe('markStale', () => {
+    it('should tolerate failures up to the threshold', () => {
+      [1, 2].forEach((id) => bucket.add(contact(id)));
+
+      expect(bucket.markStale(2n, 2)).toBe(false);
+      expect(bucket.toArray().map(({ id }) => id)).toEqual([2n, 1n]);
+      expect(bucket.get(2n).failures).toBe(1);
+
+      expect(bucket.markStale(2n, 2)).toBe(true);
+      expect(bucket.has(2n)).toBe(false);
+    });
+
+    it('should evict immediately when a replacement is waiting', () => {
+      [1, 2, 3, 4].forEach((id) => bucket.add(contact(id)));
+
+      expect(bucket.markStale(2n)).toBe(true);
+      expect(bucket.has(4n)).toBe(true);
+    });
+
+    it('should reset failures when a contact is seen again', () => {
+      bucket.add(contact(1));
+      bucket.markStale(1n);
+      bucket.add(contact(1));
+
+      expect(bucket.get(1n).failures).toBe(0);
+    });
+  });
+
+  describe('split', () => {
+    it('should distribute contacts between both halves', () => {
+      [1, 9, 12].forEach((id) => bucket.add(contact(id)));
+      bucket.add(contact(3));
+
+      const [lower, upper] = bucket.split();
+
+      expect(lower.min).toBe(0n);
+      expect(lower.max).toBe(8n);
+      expect(upper.min).toBe(8n);
+      expect(upper.max).toBe(16n);
+      expect(lower.toArray().map(({ id }) => id)).toEqual([1n]);
+      expect(upper.toArray().map(({ id }) => id)).toEqual([9n, 12n]);
+      expect(lower.replacements.map(({ id }) => id)).toEqual([3n]);
+    });
+  });
+});
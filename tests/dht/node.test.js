@@ -1,38 +1,549 @@
 // import { jest } from '@jest/globals';
 
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
 import { DHTNode } from '../../dht/core/node';
+import { parseAddress } from '../../dht/network/rpc.js';
+import { createRecord, recordKey } from '../../dht/core/record.js';
+import { HybridStorage } from '../../dht/storage/hybridStorage.js';
+import { hash } from '../../dht/utils/hash.js';
+import { ID_SPACE, isId, randomId, toHex } from '../../dht/utils/id.js';
+
+const TEST_DB_PATH = join(process.cwd(), 'test-db-node');
+
+const createStorage = (name) => new HybridStorage({ dbPath: join(TEST_DB_PATH, name) });
+
+const closeStorage = async (storages) => {
+  await Promise.all(storages.map((storage) => storage.close()));
+  await rm(TEST_DB_PATH, { recursive: true, force: true });
+};
 
 describe('DHTNode', () => {
   it('should create a node with a random ID', async () => {
     const node = new DHTNode();
 
     expect(node.nodeId).toBeDefined();
-    expect(typeof node.nodeId).toBe('number');
+    expect(typeof node.nodeId).toBe('bigint');
   });
 
-  it('should generate a deterministic nodeId length', () => {
+  it('should generate a nodeId within the 160-bit ID space', () => {
     const node = new DHTNode();
-    const maxNodeId = BigInt('0x' + 'f'.repeat(40)); // Max 160-bit integer
 
-    expect(node.nodeId).toBeGreaterThan(0);
-    expect(BigInt(node.nodeId)).toBeLessThanOrEqual(maxNodeId); // Ensure it's within 160-bit range
+    expect(isId(node.nodeId)).toBe(true);
+    expect(node.nodeId).toBeLessThan(ID_SPACE);
+  });
+
+  it('should generate distinct node IDs without precision loss', () => {
+    const nodes = Array.from({ length: 50 }, () => new DHTNode());
+    const lowBits = new Set(nodes.map((node) => node.nodeId & 0xffffffffn));
+
+    // Lossy double-based IDs have all-zero low bits; full digests almost never collide there
+    expect(lowBits.size).toBeGreaterThan(1);
   });
 
   it('should place node IDs in a circular orientation', () => {
     const numNodes = 5;
-    const maxNodeId = BigInt('0x' + 'f'.repeat(40)); // Max 160-bit value
     const nodes = Array.from({ length: numNodes }, () => new DHTNode());
 
     // Extract nodeIds and sort them
-    const sortedNodeIds = nodes.map((node) => BigInt(node.nodeId)).sort((a, b) => (a < b ? -1 : 1));
+    const sortedNodeIds = nodes.map((node) => node.nodeId).sort((a, b) => (a < b ? -1 : 1));
 
     // Assert circularity
     for (let i = 0; i < numNodes; i++) {
       const currentNode = sortedNodeIds[i];
       const nextNode = sortedNodeIds[(i + 1) % numNodes]; // Circular next
-      const distance = (nextNode - currentNode + maxNodeId + 1n) % (maxNodeId + 1n);
+      const distance = (nextNode - currentNode + ID_SPACE) % ID_SPACE;
 
       expect(distance).toBeGreaterThan(0n); // Ensure no overlaps
     }
   });
+
+  it('should key its routing table by its own ID', () => {
+    const node = new DHTNode();
+
+    expect(node.routingTable.localId).toBe(node.nodeId);
+  });
+
+  describe('RPC', () => {
+    let alice;
+    let bob;
+    let storage;
+
+    beforeEach(async () => {
+      storage = createStorage('bob');
+      alice = await new DHTNode({ timeout: 200 }).listen();
+      bob = await new DHTNode({ timeout: 200, storage }).listen();
+    });
+
+    afterEach(async () => {
+      await Promise.all([alice.close(), bob.close()]);
+      await closeStorage([storage]);
+    });
+
+    it('should learn about each other through PING', async () => {
+      const sender = await alice.ping(bob.contact);
+
+      expect(sender.id).toBe(bob.nodeId);
+      expect(alice.routingTable.has(bob.nodeId)).toBe(true);
+      expect(bob.routingTable.has(alice.nodeId)).toBe(true);
+    });
+
+    it('should store values on a remote node', async () => {
+      const key = randomId();
+
+      const record = createRecord({ hello: 'world' }, alice.nodeId, 1000);
+
+      await alice.store(bob.contact, key, record);
+
+      expect(await storage.get(recordKey(key))).toEqual({
+        ...record,
+        storedAt: expect.any(Number),
+      });
+    });
+
+    it('should refuse STORE without local storage', async () => {
+      const record = createRecord('value', bob.nodeId, 1000);
+
+      await expect(bob.store(alice.contact, randomId(), record)).rejects.toThrow(
+        'Storage is not configured'
+      );
+    });
+
+    it('should refuse malformed and expired records', async () => {
+      const expired = { ...createRecord('value', alice.nodeId, 1000), expiresAt: Date.now() - 1 };
+
+      await expect(alice.store(bob.contact, randomId(), { value: 1 })).rejects.toThrow(
+        'Record must have a value'
+      );
+      await expect(alice.store(bob.contact, randomId(), expired)).rejects.toThrow(
+        'Record has expired'
+      );
+    });
+
+    it('should return closest contacts for FIND_NODE without the requester', async () => {
+      const carol = await new DHTNode().listen();
+      try {
+        await carol.ping(bob.contact);
+
+        const contacts = await alice.findNode(bob.contact, alice.nodeId);
+
+        expect(contacts.map(({ id }) => id)).toEqual([carol.nodeId]);
+        expect(contacts[0].port).toBe(carol.contact.port);
+      } finally {
+        await carol.close();
+      }
+    });
+
+    it('should return a stored value for FIND_VALUE', async () => {
+      const key = randomId();
+      await alice.store(bob.contact, key, createRecord('value', alice.nodeId, 1000));
+
+      const result = await alice.findValue(bob.contact, key);
+
+      expect(result.value).toBe('value');
+      expect(result.record.publisher).toBe(toHex(alice.nodeId));
+    });
+
+    it('should not return expired values for FIND_VALUE', async () => {
+      const key = randomId();
+      await storage.put(recordKey(key), { ...createRecord('v', alice.nodeId, 0), expiresAt: 0 });
+
+      expect(await alice.findValue(bob.contact, key)).toEqual({ contacts: [] });
+    });
+
+    it('should return contacts for FIND_VALUE when the value is missing', async () => {
+      const result = await alice.findValue(bob.contact, randomId());
+
+      expect(result).toEqual({ contacts: [] });
+    });
+
+    it('should evict an unresponsive contact when its bucket is full', async () => {
+      const node = new DHTNode({ k: 1, timeout: 100 });
+      const dead = { id: node.nodeId ^ (1n << 159n), host: '127.0.0.1', port: 1 };
+      const live = { id: dead.id ^ 1n, host: '127.0.0.1', port: 2 };
+      node.routingTable.add(dead);
+
+      try {
+        await node.addContact(live);
+
+        expect(node.routingTable.has(dead.id)).toBe(false);
+        expect(node.routingTable.has(live.id)).toBe(true);
+      } finally {
+        await node.close();
+      }
+    });
+  });
+});
+
+describe('DHTNode lookup', () => {
+  let nodes;
+
+  beforeEach(async () => {
+    nodes = await Promise.all(
+      Array.from({ length: 10 }, () => new DHTNode({ timeout: 200 }).listen())
+    );
+    // Chain the nodes so each one initially knows only its predecessor
+    for (let i = 1; i < nodes.length; i++) {
+      await nodes[i].ping(nodes[i - 1].contact);
+    }
+  });
+
+  afterEach(async () => {
+    await Promise.all(nodes.map((node) => node.close()));
+  });
+
+  it('should find the closest nodes to a target across the whole chain', async () => {
+    const target = randomId();
+    const [first] = nodes;
+
+    const { contacts, stats } = await first.lookup(target);
+
+    const expected = nodes
+      .filter((node) => node !== first)
+      .map((node) => node.nodeId)
+      .sort((a, b) => ((a ^ target) < (b ^ target) ? -1 : 1));
+    expect(contacts.map(({ id }) => id)).toEqual(expected);
+    expect(stats.queried).toBe(nodes.length - 1);
+    expect(stats.failed).toBe(0);
+    expect(stats.hops).toBeGreaterThan(1);
+  });
+
+  it('should return at most k contacts', async () => {
+    const node = new DHTNode({ k: 3 });
+    try {
+      await node.listen();
+      await node.ping(nodes[0].contact);
+
+      const { contacts } = await node.lookup(randomId());
+
+      expect(contacts).toHaveLength(3);
+    } finally {
+      await node.close();
+    }
+  });
+
+  it('should populate the routing table with responders', async () => {
+    const first = nodes[0];
+
+    await first.lookup(first.nodeId);
+
+    expect(first.routingTable.size).toBeGreaterThan(1);
+  });
+
+  it('should count unresponsive contacts and mark them stale', async () => {
+    const node = nodes[nodes.length - 1];
+    const dead = { id: randomId(), host: '127.0.0.1', port: 1 };
+    node.routingTable.add(dead);
+
+    const { contacts, stats } = await node.lookup(dead.id);
+
+    expect(stats.failed).toBe(1);
+    expect(contacts.map(({ id }) => id)).not.toContain(dead.id);
+    expect(node.routingTable.get(dead.id)?.failures ?? 0).not.toBe(0);
+  });
+
+  it('should resolve with no contacts when the routing table is empty', async () => {
+    const lonely = new DHTNode();
+
+    const { contacts, stats } = await lonely.lookup(randomId());
+
+    expect(contacts).toEqual([]);
+    expect(stats).toMatchObject({ hops: 0, queried: 0, failed: 0 });
+  });
+});
+
+describe('DHTNode put and get', () => {
+  let nodes;
+  let storages;
+
+  beforeEach(async () => {
+    storages = Array.from({ length: 6 }, (_, i) => createStorage(`node-${i}`));
+    nodes = await Promise.all(
+      storages.map((storage) => new DHTNode({ k: 3, timeout: 200, storage }).listen())
+    );
+    for (let i = 1; i < nodes.length; i++) {
+      await nodes[i].ping(nodes[i - 1].contact);
+    }
+  });
+
+  afterEach(async () => {
+    await Promise.all(nodes.map((node) => node.close()));
+    await closeStorage(storages);
+  });
+
+  it('should replicate a value to the k closest nodes', async () => {
+    const id = hash('greeting');
+
+    const replicas = await nodes[0].put('greeting', { text: 'hello' });
+
+    const holders = [];
+    for (const [i, storage] of storages.entries()) {
+      if (await storage.has(recordKey(id))) {
+        holders.push(nodes[i].nodeId);
+      }
+    }
+    const expected = nodes
+      .map((node) => node.nodeId)
+      .sort((a, b) => ((a ^ id) < (b ^ id) ? -1 : 1))
+      .slice(0, 3);
+    expect(replicas).toBe(3);
+    expect(holders.sort()).toEqual(expected.sort());
+  });
+
+  it('should retrieve a value from another node', async () => {
+    await nodes[0].put('greeting', 'hello');
+
+    await expect(nodes[nodes.length - 1].get('greeting')).resolves.toBe('hello');
+  });
+
+  it('should reject unknown keys', async () => {
+    await expect(nodes[2].get('missing')).rejects.toThrow('Key not found: missing');
+  });
+
+  it('should store locally when the node is alone', async () => {
+    const storage = createStorage('lonely');
+    const lonely = new DHTNode({ storage });
+    storages.push(storage);
+
+    await expect(lonely.put('key', 'value')).resolves.toBe(1);
+    await expect(lonely.get('key')).resolves.toBe('value');
+  });
+
+  it('should fail when no node can store the value', async () => {
+    const lonely = new DHTNode();
+
+    await expect(lonely.put('key', 'value')).rejects.toThrow('Failed to store value');
+  });
+});
+
+describe('DHTNode record maintenance', () => {
+  let nodes;
+  let storages;
+
+  beforeEach(async () => {
+    storages = Array.from({ length: 3 }, (_, i) => createStorage(`maintenance-${i}`));
+    nodes = await Promise.all(
+      storages.map((storage) => new DHTNode({ k: 2, timeout: 200, storage, recordTtl: 1000 }).listen())
+    );
+    await nodes[1].ping(nodes[0].contact);
+  });
+
+  afterEach(async () => {
+    await Promise.all(nodes.map((node) => node.close()));
+    await closeStorage(storages);
+  });
+
+  it('should store records with publication metadata', async () => {
+    const before = Date.now();
+    await nodes[0].put('key', 'value');
+
+    const record = await storages[0].get(recordKey(hash('key')));
+
+    expect(record.value).toBe('value');
+    expect(record.publisher).toBe(toHex(nodes[0].nodeId));
+    expect(record.storedAt).toBeGreaterThanOrEqual(before);
+    expect(record.expiresAt).toBeGreaterThanOrEqual(before + 1000);
+  });
+
+  it('should honour a per-record TTL', async () => {
+    const before = Date.now();
+    await nodes[0].put('key', 'value', { ttl: 50 });
+
+    const record = await storages[0].get(recordKey(hash('key')));
+
+    expect(record.expiresAt).toBeLessThan(before + 1000);
+  });
+
+  it('should delete expired records from storage', async () => {
+    await nodes[0].put('short', 'value', { ttl: 1 });
+    await nodes[0].put('long', 'value');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(await nodes[0].expire()).toBe(1);
+    expect(await storages[0].has(recordKey(hash('short')))).toBe(false);
+    expect(await storages[0].has(recordKey(hash('long')))).toBe(true);
+    await expect(nodes[0].get('short')).rejects.toThrow('Key not found');
+  });
+
+  it('should leave non-record keys alone', async () => {
+    await storages[0].put('other', 'data');
+
+    expect(await nodes[0].expire()).toBe(0);
+    expect(await nodes[0].republish()).toBe(0);
+    expect(await storages[0].get('other')).toBe('data');
+  });
+
+  it('should republish records to nodes that joined later', async () => {
+    await nodes[0].put('key', 'value');
+    expect(await storages[2].has(recordKey(hash('key')))).toBe(false);
+
+    await nodes[2].ping(nodes[0].contact);
+    await nodes[2].ping(nodes[1].contact);
+    const republished = await nodes[0].republish();
+
+    expect(republished).toBe(1);
+    const holders = await Promise.all(storages.map((s) => s.has(recordKey(hash('key')))));
+    expect(holders.filter(Boolean).length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should extend the expiry of records it published', async () => {
+    await nodes[0].put('key', 'value', { ttl: 100 });
+    const before = await storages[0].get(recordKey(hash('key')));
+
+    await nodes[0].republish();
+
+    const after = await storages[0].get(recordKey(hash('key')));
+    expect(after.expiresAt).toBeGreaterThan(before.expiresAt);
+  });
+
+  it('should keep the expiry of records published by other nodes', async () => {
+    const id = hash('key');
+    const record = createRecord('value', nodes[1].nodeId, 100);
+    await nodes[1].store(nodes[0].contact, id, record);
+
+    await nodes[0].republish();
+
+    expect((await storages[0].get(recordKey(id))).expiresAt).toBe(record.expiresAt);
+  });
+});
+
+describe('DHTNode join', () => {
+  let seed;
+  let nodes;
+
+  beforeEach(async () => {
+    seed = await new DHTNode({ timeout: 200 }).listen();
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all([seed, ...nodes].map((node) => node.close()));
+  });
+
+  it('should let nodes find each other from a single seed', async () => {
+    const address = `127.0.0.1:${seed.contact.port}`;
+    for (let i = 0; i < 8; i++) {
+      const node = await new DHTNode({ timeout: 200 }).listen();
+      nodes.push(node);
+      await node.join([address]);
+    }
+
+    // The first node to join only knew the seed; the self-lookups of later nodes announced them
+    expect(nodes[0].routingTable.size).toBe(nodes.length);
+    for (const node of nodes) {
+      const { contacts } = await node.lookup(randomId());
+      expect(contacts).toHaveLength(nodes.length);
+    }
+  });
+
+  it('should accept address objects as seeds', async () => {
+    const node = await new DHTNode().listen();
+    nodes.push(node);
+
+    await expect(node.join([{ host: '127.0.0.1', port: seed.contact.port }])).resolves.toBe(1);
+    expect(node.routingTable.has(seed.nodeId)).toBe(true);
+  });
+
+  it('should fail when no seed responds', async () => {
+    const node = await new DHTNode({ timeout: 100 }).listen();
+    nodes.push(node);
+
+    await expect(node.join(['127.0.0.1:1'])).rejects.toThrow('no seed responded');
+  });
+
+  it('should reject malformed seed addresses', async () => {
+    const node = new DHTNode();
+    nodes.push(node);
+
+    await expect(node.join(['nope'])).rejects.toThrow('Invalid address: nope');
+    expect(() => parseAddress('nope')).toThrow('Invalid address: nope');
+    expect(parseAddress('example.com:4000')).toEqual({ host: 'example.com', port: 4000 });
+  });
+
+  it('should not ping any seed when one of them is malformed', async () => {
+    const node = new DHTNode();
+    nodes.push(node);
+    const pinged = [];
+    node.ping = async (contact) => pinged.push(contact);
+
+    await expect(node.join([seed.contact, 'nope'])).rejects.toThrow('Invalid address: nope');
+    expect(pinged).toEqual([]);
+  });
+
+  it('should refresh only buckets without recent traffic', async () => {
+    const node = await new DHTNode({ timeout: 200 }).listen();
+    nodes.push(node);
+    await node.join([`127.0.0.1:${seed.contact.port}`]);
+
+    expect(await node.refresh()).toBe(0);
+
+    node.routingTable.buckets[0].lastUpdated = 0;
+    expect(await node.refresh()).toBe(1);
+    expect(node.routingTable.buckets[0].lastUpdated).toBeGreaterThan(0);
+  });
+});
+
+describe('DHTNode persistence', () => {
+  let storages;
+
+  beforeEach(() => {
+    storages = [];
+  });
+
+  afterEach(async () => {
+    await closeStorage(storages);
+  });
+
+  const reopen = async (storage, name) => {
+    await storage.close();
+    const reopened = createStorage(name);
+    storages.push(reopened);
+    return reopened;
+  };
+
+  it('should require storage', async () => {
+    await expect(DHTNode.create({})).rejects.toThrow('storage is required');
+  });
+
+  it('should keep its node ID across restarts', async () => {
+    const storage = createStorage('persistent');
+    storages.push(storage);
+
+    const first = await DHTNode.create({ storage });
+    await first.close();
+    const second = await DHTNode.create({ storage: await reopen(storage, 'persistent') });
+
+    expect(second.nodeId).toBe(first.nodeId);
+    expect(second.identity.publicKey).toBe(first.identity.publicKey);
+  });
+
+  it('should restore its routing table and rejoin through it', async () => {
+    const storage = createStorage('rejoin');
+    storages.push(storage);
+    const seed = await new DHTNode({ timeout: 200 }).listen();
+
+    try {
+      const node = await (await DHTNode.create({ storage })).listen();
+      await node.join([seed.contact]);
+      await node.close();
+
+      const restarted = await DHTNode.create({ storage: await reopen(storage, 'rejoin') });
+      expect(restarted.routingTable.has(seed.nodeId)).toBe(true);
+
+      await restarted.listen();
+      await expect(restarted.join(restarted.routingTable.toArray())).resolves.toBe(1);
+      await restarted.close();
+    } finally {
+      await seed.close();
+    }
+  });
+
+  it('should start with an empty routing table without a snapshot', async () => {
+    const storage = createStorage('fresh');
+    storages.push(storage);
+
+    const node = await DHTNode.create({ storage });
+
+    expect(await node.restoreContacts()).toBe(0);
+  });
 });
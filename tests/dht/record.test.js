@@ -0,0 +1,32 @@
+import { createRecord, isExpired, recordKey, validateRecord } from '../../dht/core/record.js';
+import { toHex } from '../../dht/utils/id.js';
+
+describe('record', () => {
+  it('should build storage keys from key IDs', () => {
+    expect(recordKey(1n)).toBe(`record:${toHex(1n)}`);
+  });
+
+  it('should create records with publication metadata', () => {
+    const before = Date.now();
+    const record = createRecord({ a: 1 }, 42n, 1000);
+
+    expect(record.value).toEqual({ a: 1 });
+    expect(record.publisher).toBe(toHex(42n));
+    expect(record.storedAt).toBeGreaterThanOrEqual(before);
+    expect(record.expiresAt).toBe(record.storedAt + 1000);
+  });
+
+  it('should detect expired records', () => {
+    const record = createRecord('v', 1n, 1000);
+
+    expect(isExpired(record)).toBe(false);
+    expect(isExpired(record, record.expiresAt)).toBe(true);
+  });
+
+  it('should validate records received from other nodes', () => {
+    expect(() => validateRecord(createRecord(null, 1n, 1000))).not.toThrow();
+    expect(() => validateRecord(null)).toThrow(TypeError);
+    expect(() => validateRecord({ value: 1, publisher: 'x' })).toThrow(TypeError);
+    expect(() => validateRecord({ publisher: 'x', expiresAt: 1 })).toThrow(TypeError);
+  });
+});
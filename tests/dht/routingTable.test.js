@@ -0,0 +1,86 @@
+import { RoutingTable } from '../../dht/core/routingTable.js';
+import { ID_SPACE } from '../../dht/utils/id.js';
+
+describe('RoutingTable', () => {
+  const contact = (id) => ({ id, host: '127.0.0.1', port: 4000 });
+
+  it('should require a bigint local ID', () => {
+    expect(() => new RoutingTable(1)).toThrow(TypeError);
+  });
+
+  it('should start with one bucket covering the whole ID space', () => {
+    const table = new RoutingTable(0n);
+
+    expect(table.buckets).toHaveLength(1);
+    expect(table.buckets[0].min).toBe(0n);
+    expect(table.buckets[0].max).toBe(ID_SPACE);
+  });
+
+  it('should ignore the local node', () => {
+    const table = new RoutingTable(5n);
+
+    expect(table.add(contact(5n))).toBeNull();
+    expect(table.size).toBe(0);
+  });
+
+  it('should split the bucket containing the local node when full', () => {
+    const table = new RoutingTable(0n, { k: 2 });
+    const high = ID_SPACE - 1n;
+
+    table.add(contact(high));
+    table.add(contact(high - 1n));
+    table.add(contact(1n));
+
+    expect(table.buckets.length).toBeGreaterThan(1);
+    expect(table.size).toBe(3);
+    expect(table.has(1n)).toBe(true);
+  });
+
+  it('should not split buckets far from the local node', () => {
+    const table = new RoutingTable(0n, { k: 2 });
+    const high = ID_SPACE - 1n;
+
+    table.add(contact(1n));
+    table.add(contact(high));
+    table.add(contact(high - 1n));
+    const head = table.add(contact(high - 2n));
+
+    expect(head.id).toBe(high);
+    expect(table.has(high - 2n)).toBe(false);
+  });
+
+  it('should promote a replacement when a stale contact is removed', () => {
+    const table = new RoutingTable(0n, { k: 2 });
+    const high = ID_SPACE - 1n;
+
+    table.add(contact(1n));
+    table.add(contact(high));
+    table.add(contact(high - 1n));
+    table.add(contact(high - 2n));
+
+    expect(table.remove(high)).toBe(true);
+    expect(table.has(high - 2n)).toBe(true);
+  });
+
+  it('should return the closest contacts by XOR distance', () => {
+    const table = new RoutingTable(0n);
+    [0b0001n, 0b0110n, 0b1000n, 0b1011n, 0b1111n].forEach((id) => table.add(contact(id)));
+
+    const closest = table.closest(0b1010n, 3);
+
+    expect(closest.map(({ id }) => id)).toEqual([0b1011n, 0b1000n, 0b1111n]);
+  });
+
+  it('should keep many contacts near the local node', () => {
+    const table = new RoutingTable(0n, { k: 4 });
+    for (let i = 1n; i <= 64n; i++) {
+      table.add(contact(i));
+    }
+
+    // Every contact below 2^3 shares a long prefix with the local node and must be retained
+    for (let i = 1n; i < 8n; i++) {
+      expect(table.has(i)).toBe(true);
+    }
+    expect(table.get(1n).port).toBe(4000);
+  });
+});
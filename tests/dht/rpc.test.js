@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import { RPC, RPC_TYPES, decodeContact, encodeContact } from '../../dht/network/rpc.js';
+import { randomId } from '../../dht/utils/id.js';
+
+describe('RPC', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new RPC({ nodeId: randomId() });
+    client = new RPC({ nodeId: randomId(), timeout: 100 });
+    await Promise.all([server.listen(), client.listen()]);
+  });
+
+  afterEach(async () => {
+    await Promise.all([server.close(), client.close()]);
+  });
+
+  it('should require a node ID', () => {
+    expect(() => new RPC({})).toThrow('nodeId is required for RPC');
+  });
+
+  it('should listen on a random free port', () => {
+    expect(server.port).toBeGreaterThan(0);
+    expect(server.port).not.toBe(client.port);
+  });
+
+  it('should round-trip contacts through the wire encoding', () => {
+    const contact = { id: randomId(), host: '127.0.0.1', port: 4000 };
+    expect(decodeContact(encodeContact(contact))).toEqual(contact);
+    expect(() => decodeContact({ id: 'zz', host: 'h', port: 1 })).toThrow(TypeError);
+  });
+
+  it('should match responses to requests', async () => {
+    server.handle(RPC_TYPES.PING, (payload) => ({ echo: payload.n }));
+
+    const responses = await Promise.all(
+      [1, 2, 3].map((n) => client.request(server.contact, RPC_TYPES.PING, { n }))
+    );
+
+    expect(responses.map(({ payload }) => payload.echo)).toEqual([1, 2, 3]);
+    expect(responses[0].sender.id).toBe(server.nodeId);
+  });
+
+  it('should reuse one connection per remote node', async () => {
+    server.handle(RPC_TYPES.PING, () => ({}));
+
+    await client.request(server.contact, RPC_TYPES.PING);
+    await client.request(server.contact, RPC_TYPES.PING);
+
+    expect(client.sockets.size).toBe(1);
+    expect(server.server.clients.size).toBe(1);
+  });
+
+  it('should emit the sender contact on both sides', async () => {
+    const serverContacts = jest.fn();
+    const clientContacts = jest.fn();
+    server.on('contact', serverContacts);
+    client.on('contact', clientContacts);
+    server.handle(RPC_TYPES.PING, () => ({}));
+
+    await client.request(server.contact, RPC_TYPES.PING);
+
+    expect(serverContacts).toHaveBeenCalledWith(client.contact);
+    expect(clientContacts).toHaveBeenCalledWith(server.contact);
+  });
+
+  it('should pass the sender to handlers', async () => {
+    const handler = jest.fn(() => ({}));
+    server.handle(RPC_TYPES.STORE, handler);
+
+    await client.request(server.contact, RPC_TYPES.STORE, { key: 'k' });
+
+    expect(handler).toHaveBeenCalledWith({ key: 'k' }, client.contact);
+  });
+
+  it('should reject with a remote error for unknown types', async () => {
+    await expect(client.request(server.contact, 'NOPE')).rejects.toMatchObject({
+      code: 'RPC_REMOTE_ERROR',
+      message: 'Unknown RPC type: NOPE',
+    });
+  });
+
+  it('should reject with a remote error when the handler throws', async () => {
+    server.handle(RPC_TYPES.STORE, () => {
+      throw new Error('disk full');
+    });
+
+    await expect(client.request(server.contact, RPC_TYPES.STORE)).rejects.toThrow('disk full');
+  });
+
+  it('should time out requests that get no response', async () => {
+    server.handle(RPC_TYPES.PING, () => new Promise(() => {}));
+
+    await expect(client.request(server.contact, RPC_TYPES.PING)).rejects.toMatchObject({
+      code: 'RPC_TIMEOUT',
+    });
+    expect(client.pending.size).toBe(0);
+  });
+
+  it('should forget requests that cannot be sent', async () => {
+    await expect(client.request(server.contact, RPC_TYPES.STORE, { value: 1n })).rejects.toThrow(TypeError);
+    expect(client.pending.size).toBe(0);
+  });
+
+  it('should fail to reach a node that is not listening', async () => {
+    const address = server.contact;
+    await server.close();
+
+    await expect(client.request(address, RPC_TYPES.PING)).rejects.toThrow();
+    expect(client.sockets.size).toBe(0);
+  });
+
+  it('should reject pending requests when closed', async () => {
+    server.handle(RPC_TYPES.PING, () => new Promise(() => {}));
+
+    const request = client.request(server.contact, RPC_TYPES.PING);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await client.close();
+
+    await expect(request).rejects.toThrow('RPC closed');
+  });
+});
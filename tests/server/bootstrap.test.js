@@ -20,7 +20,7 @@ await jest.unstable_mockModule('ws', () => ({
 
 // Import modules after setting up the mock
 const { P2PServer } = await import('../../server/wss.js');
-const { PeerRepository } = await import('../../server/peers/peerRepository.js');
+const { MemoryPeerRepository } = await import('../../server/peers/memoryPeerRepository.js');
 const { MessageService } = await import('../../server/messages/messageService.js');
 
 describe('Bootstrap Server', () => {
@@ -32,7 +32,7 @@ describe('Bootstrap Server', () => {
     // Clear all mocks before each test
     jest.clearAllMocks();
 
-    peerRepository = new PeerRepository();
+    peerRepository = new MemoryPeerRepository();
     messageService = new MessageService();
     server = new P2PServer(3000, peerRepository, messageService);
   });
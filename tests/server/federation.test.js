@@ -0,0 +1,332 @@
+import { jest } from '@jest/globals';
+import { WebSocket } from 'ws';
+import { P2PClient } from '../../client/p2pClient.js';
+import { P2PServer } from '../../server/wss.js';
+import { Federation, FEDERATION_PATH } from '../../server/federation/federation.js';
+import { MemoryPeerRepository } from '../../server/peers/memoryPeerRepository.js';
+import { MessageService } from '../../server/messages/messageService.js';
+import { RoomRepository } from '../../server/rooms/roomRepository.js';
+import { SignalingRepository } from '../../server/signaling/signalingRepository.js';
+
+const SECRET = 'federation-test-secret';
+
+/**
+ * Resolves with the next emission of an event.
+ * @param {import('node:events').EventEmitter} emitter - The emitter
+ * @param {string} event - The event name
+ * @returns {Promise<*>} The first argument of the event
+ */
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, resolve));
+
+/**
+ * Resolves once a client knows about a peer.
+ * @param {P2PClient} client - The client
+ * @param {string} id - ID of the peer
+ * @returns {Promise<void>}
+ */
+const known = (client, id) =>
+  new Promise((resolve) => {
+    const check = () => client.peers.has(id) && resolve();
+    client.on('peer-joined', check);
+    check();
+  });
+
+describe('Federation', () => {
+  let relays;
+  let clients;
+  let consoleSpy;
+
+  // Starts a relay server linked to the given relays
+  const startRelay = async (links = [], options = {}) => {
+    const peerRepository = new MemoryPeerRepository();
+    const messageService = new MessageService();
+    const roomRepository = new RoomRepository();
+    const signalingRepository = new SignalingRepository();
+    const federation = new Federation({
+      secret: SECRET,
+      peerRepository,
+      messageService,
+      roomRepository,
+      signalingRepository,
+      links: links.map(({ url }) => url),
+      reconnectInterval: 50,
+      ...options,
+    });
+    const wss = new P2PServer(0, peerRepository, messageService, {
+      heartbeatInterval: 0,
+      roomRepository,
+      signalingRepository,
+      federation,
+    }).initialize();
+    await new Promise((resolve) => wss.once('listening', resolve));
+    const relay = { wss, federation, url: `ws://127.0.0.1:${wss.address().port}` };
+    relays.push(relay);
+    return relay;
+  };
+
+  const connect = async ({ url }) => {
+    const client = new P2PClient({ url });
+    clients.push(client);
+    await client.connect();
+    return client;
+  };
+
+  // Subscribes clients to a common topic, so that they see each other
+  const meet = (...peers) =>
+    Promise.all(
+      peers.map((client) => {
+        const joined = next(client, 'joined');
+        client.join('lobby');
+        return joined;
+      }),
+    );
+
+  beforeEach(() => {
+    consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    relays = [];
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await Promise.all(relays.map(({ wss }) => new Promise((resolve) => wss.close(resolve))));
+    consoleSpy.mockRestore();
+  });
+
+  it('should require a secret', () => {
+    expect(() => new Federation({})).toThrow('secret is required for Federation');
+  });
+
+  it('should not take requests with an unparseable URL for links', () => {
+    const federation = new Federation({ secret: SECRET });
+
+    expect(federation.isLink({ url: '//[' })).toBe(false);
+    expect(federation.isLink({ url: FEDERATION_PATH })).toBe(true);
+  });
+
+  it('should show peers of linked relays with the relay they are on', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    await meet(alice, bob);
+
+    await Promise.all([known(alice, bob.id), known(bob, alice.id)]);
+
+    expect(alice.peers.get(bob.id).relay).toBe(west.federation.serverId);
+    expect(bob.peers.get(alice.id).relay).toBe(east.federation.serverId);
+    expect(alice.peers.has(alice.id)).toBe(true);
+    expect(alice.peers.get(alice.id).relay).toBeUndefined();
+  });
+
+  it('should list the peers of a relay that links later', async () => {
+    const east = await startRelay();
+    const alice = await connect(east);
+    await meet(alice);
+    const west = await startRelay([east]);
+    const bob = await connect(west);
+    await meet(bob);
+
+    await known(bob, alice.id);
+  });
+
+  it('should only show remote peers once they share a topic', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    const carol = await connect(west);
+    alice.join('chat');
+    await next(alice, 'joined');
+    await meet(bob, carol);
+    await known(bob, carol.id);
+    expect(alice.peers.has(bob.id)).toBe(false);
+
+    bob.join('chat');
+    await known(alice, bob.id);
+    expect(alice.peers.has(carol.id)).toBe(false);
+
+    const left = next(alice, 'peer-left');
+    bob.leave('chat');
+    expect(await left).toMatchObject({ id: bob.id });
+  });
+
+  it('should route direct messages to the relay holding the recipient', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    await meet(alice, bob);
+    await known(alice, bob.id);
+
+    const received = next(bob, 'message');
+    const ack = next(alice, 'ack');
+    alice.sendMessage('across the federation', { to: bob.id, id: 'm1' });
+
+    expect(await received).toMatchObject({ peer: alice.id, content: 'across the federation', direct: true });
+    expect(await ack).toMatchObject({ id: 'm1', delivered: [bob.id] });
+  });
+
+  it('should relay topic messages to the subscribers of every relay', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    const carol = await connect(west);
+    alice.join('chat');
+    bob.join('chat');
+    await Promise.all([next(alice, 'joined'), next(bob, 'joined')]);
+    await known(alice, bob.id);
+    const missed = jest.fn();
+    carol.on('message', missed);
+
+    const received = next(bob, 'message');
+    alice.publish('chat', 'hello west');
+
+    expect(await received).toMatchObject({ peer: alice.id, topic: 'chat', content: 'hello west' });
+    expect(missed).not.toHaveBeenCalled();
+  });
+
+  it('should deliver each topic message once when links form a loop', async () => {
+    const a = await startRelay();
+    const b = await startRelay([a]);
+    const c = await startRelay([a, b]);
+    const alice = await connect(a);
+    const bob = await connect(b);
+    const carol = await connect(c);
+    const subscribers = [alice, bob, carol];
+    subscribers.forEach((client) => client.join('chat'));
+    await Promise.all(subscribers.map((client) => next(client, 'joined')));
+    await Promise.all([known(alice, carol.id), known(bob, carol.id)]);
+
+    const received = new Map(subscribers.map((client) => [client, []]));
+    const done = Promise.all(
+      subscribers.map(
+        (client) =>
+          new Promise((resolve) => {
+            client.on('message', ({ content }) => {
+              received.get(client).push(content);
+              if (content === 'marker') {
+                resolve();
+              }
+            });
+          }),
+      ),
+    );
+    const relayed = next(bob, 'message');
+    alice.publish('chat', 'once');
+    // Copies of the first message that went around the loop would reach C before this one
+    await relayed;
+    bob.publish('chat', 'marker');
+    await done;
+
+    subscribers.forEach((client) => expect(received.get(client)).toEqual(['once', 'marker']));
+  });
+
+  it('should not forward frames past the hop limit', async () => {
+    const a = await startRelay([], { maxHops: 1 });
+    const b = await startRelay([a], { maxHops: 1 });
+    const c = await startRelay([b], { maxHops: 1 });
+    const bob = await connect(b);
+    const carol = await connect(c);
+    await meet(bob, carol);
+    await known(carol, bob.id);
+
+    const alice = await connect(a);
+    await meet(alice);
+    await known(bob, alice.id);
+    // Frames on the link from B to C arrive in order
+    const dave = await connect(b);
+    await meet(dave);
+    await known(carol, dave.id);
+
+    expect(carol.peers.has(alice.id)).toBe(false);
+  });
+
+  it('should forget the peers of a relay whose link goes down', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    await meet(alice, bob);
+    await known(alice, bob.id);
+
+    const left = next(alice, 'peer-left');
+    west.federation.close();
+
+    expect(await left).toMatchObject({ id: bob.id });
+    expect(alice.peers.has(bob.id)).toBe(false);
+  });
+
+  it('should tell linked relays when a peer leaves', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    await meet(alice, bob);
+    await known(alice, bob.id);
+
+    const left = next(alice, 'peer-left');
+    await bob.close();
+
+    expect(await left).toMatchObject({ id: bob.id });
+  });
+
+  it('should relay signaling between peers of different relays', async () => {
+    const east = await startRelay();
+    const west = await startRelay([east]);
+    const alice = await connect(east);
+    const bob = await connect(west);
+    await meet(alice, bob);
+    await known(alice, bob.id);
+
+    const offered = next(bob, 'offer');
+    const session = alice.offer(bob.id, 'v=0 offer');
+    expect(await offered).toMatchObject({ peer: alice.id, session });
+
+    const answered = next(alice, 'answer');
+    bob.answer(alice.id, session, 'v=0 answer');
+    expect(await answered).toMatchObject({ peer: bob.id, session, sdp: 'v=0 answer' });
+
+    const hungUp = next(bob, 'hangup');
+    await alice.close();
+    expect(await hungUp).toMatchObject({ peer: alice.id, session });
+  });
+
+  it('should drop malformed frames from linked relays', async () => {
+    const east = await startRelay();
+    const alice = await connect(east);
+    alice.join('chat');
+    await next(alice, 'joined');
+    const ws = new WebSocket(new URL(FEDERATION_PATH, east.url));
+    await next(ws, 'open');
+    ws.send(JSON.stringify({ type: 'hello', server: 'west', secret: SECRET }));
+    await next(ws, 'message');
+    const received = jest.fn();
+    alice.on('message', received);
+
+    const frame = (fields) => ws.send(JSON.stringify({ id: Math.random().toString(36), hops: 0, ...fields }));
+    frame({ type: 'publish', topic: 'chat', message: null });
+    frame({ type: 'publish', topic: 42, message: { peer: 'mallory', content: 'no topic' } });
+    frame({ type: 'deliver', to: alice.id, data: { type: 'message' } });
+    const delivered = next(alice, 'message');
+    frame({ type: 'publish', topic: 'chat', message: { peer: 'mallory', content: 'valid' } });
+
+    expect(await delivered).toMatchObject({ peer: 'mallory', topic: 'chat', content: 'valid' });
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(consoleSpy).toHaveBeenCalledWith('Invalid publish frame from server west');
+    expect(consoleSpy).toHaveBeenCalledWith('Invalid deliver frame from server west');
+    ws.close();
+  });
+
+  it('should refuse links presenting another secret', async () => {
+    const east = await startRelay();
+    const ws = new WebSocket(new URL(FEDERATION_PATH, east.url));
+    await next(ws, 'open');
+
+    const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+    ws.send(JSON.stringify({ type: 'hello', server: 'intruder', secret: 'guess' }));
+
+    expect(await closed).toBe(1008);
+  });
+});
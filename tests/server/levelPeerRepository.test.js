@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { LevelPeerRepository } from '../../server/peers/levelPeerRepository.js';
+import { PeerConnection } from '../../server/peers/peerConnection.js';
+import { MessageService } from '../../server/messages/messageService.js';
+import { createKeyPair, peerIdFromPublicKey, signChallenge } from '../../server/peers/peerIdentity.js';
+import { describePeerRepository } from './peerRepositoryContract.js';
+
+const TEST_DB_PATH = join(process.cwd(), 'test-db-peers');
+
+const open = async () => {
+  const repository = new LevelPeerRepository({ dbPath: TEST_DB_PATH });
+  await repository.open();
+  return repository;
+};
+
+describe('LevelPeerRepository', () => {
+  describePeerRepository({
+    create: open,
+    destroy: async (repository) => {
+      await repository.close();
+      await rm(TEST_DB_PATH, { recursive: true, force: true });
+    },
+  });
+
+  it('should require dbPath in constructor', () => {
+    expect(() => new LevelPeerRepository({})).toThrow('dbPath is required for LevelPeerRepository');
+  });
+
+  describe('persistence', () => {
+    let repository;
+
+    // Adds an authenticated peer, whose metadata is persisted
+    const addAuthenticated = (fields = {}) => {
+      const peer = { ...repository.createPeer(), publicKey: 'public-key', ...fields };
+      repository.add(peer.id, { ...peer, ws: { send: jest.fn() } });
+      return peer;
+    };
+
+    // Connects a client authenticating with the keys
+    const connect = (keys) => {
+      const handlers = {};
+      const ws = { on: (event, fn) => (handlers[event] = fn), send: jest.fn(), close: jest.fn(), terminate: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      new PeerConnection(ws, repository, new MessageService());
+      const send = (message) => handlers.message(Buffer.from(JSON.stringify(message)));
+      const received = () => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+      send({ type: 'hello', version: 1, publicKey: keys.publicKey });
+      send({ type: 'auth', signature: signChallenge(keys.privateKey, received().at(-1).nonce) });
+      return { send, received };
+    };
+
+    beforeEach(async () => {
+      repository = await open();
+    });
+
+    afterEach(async () => {
+      await repository.close();
+      await rm(TEST_DB_PATH, { recursive: true, force: true });
+    });
+
+    it('should keep the metadata of authenticated peers apart from the connected peers', async () => {
+      const alice = addAuthenticated();
+      const bob = addAuthenticated();
+      repository.update(alice.id, { encryptionKey: 'key' });
+      repository.remove(bob.id);
+
+      await repository.close();
+      repository = await open();
+
+      expect(repository.getAll()).toEqual([]);
+      expect(repository.has(alice.id)).toBe(false);
+      expect(repository.get(alice.id)).toBeUndefined();
+      expect(repository.getKnown(alice.id)).toEqual({ ...alice, encryptionKey: 'key' });
+      expect(repository.getKnown(bob.id)).toEqual(bob);
+    });
+
+    it('should not persist anonymous peers', async () => {
+      const peer = repository.createPeer();
+      repository.add(peer.id, { ...peer, ws: { send: jest.fn() } });
+
+      await repository.close();
+      repository = await open();
+
+      expect(repository.getKnown(peer.id)).toBeUndefined();
+    });
+
+    it('should persist activity at most once per interval', async () => {
+      await repository.close();
+      repository = new LevelPeerRepository({ dbPath: TEST_DB_PATH, persistInterval: 60000 });
+      await repository.open();
+      const put = jest.spyOn(repository.db, 'put');
+      const peer = addAuthenticated({ lastActive: 0 });
+
+      repository.touch(peer.id);
+      const { lastActive } = repository.touch(peer.id);
+      repository.touch(peer.id);
+      await repository.flush();
+
+      // Once when added, once for the first activity
+      expect(put).toHaveBeenCalledTimes(2);
+
+      repository.remove(peer.id);
+      await repository.close();
+      repository = await open();
+
+      expect(repository.getKnown(peer.id).lastActive).toBeGreaterThanOrEqual(lastActive);
+    });
+
+    it('should let an authenticated peer connect again after a restart', async () => {
+      const keys = createKeyPair();
+
+      // The server stops without the peer leaving
+      connect(keys);
+      await repository.close();
+      repository = await open();
+      const { received } = connect(keys);
+
+      expect(received().at(-1)).toMatchObject({ type: 'welcome', peer: peerIdFromPublicKey(keys.publicKey) });
+      expect(received()[0].peers).toHaveLength(1);
+    });
+
+    it('should persist the topics of authenticated peers', async () => {
+      const peer = addAuthenticated();
+      const anonymous = repository.createPeer();
+      repository.add(anonymous.id, { ...anonymous, ws: { send: jest.fn() } });
+      repository.setTopics(peer.id, ['chat', 'news']);
+      repository.setTopics(anonymous.id, ['chat']);
+      repository.update(peer.id, { encryptionKey: 'key' });
+
+      await repository.close();
+      repository = await open();
+
+      expect(repository.getKnown(peer.id)).toEqual({ ...peer, encryptionKey: 'key', topics: ['chat', 'news'] });
+      expect(repository.getKnown(anonymous.id)).toBeUndefined();
+    });
+
+    it('should join the topics of a peer again when it authenticates after a restart', async () => {
+      const keys = createKeyPair();
+      const first = connect(keys);
+      first.send({ type: 'join', topic: 'chat' });
+      first.send({ type: 'join', topic: 'news' });
+      first.send({ type: 'leave', topic: 'news' });
+
+      await repository.close();
+      repository = await open();
+      const { received } = connect(keys);
+
+      expect(received().filter(({ type }) => type === 'joined')).toEqual([
+        { type: 'joined', topic: 'chat', members: [peerIdFromPublicKey(keys.publicKey)] },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Mailbox, MAILBOX_PREFIX } from '../../server/messages/mailbox.js';
+import { HybridStorage } from '../../dht/storage/hybridStorage.js';
+
+describe('Mailbox', () => {
+  const TEST_DB_PATH = join(process.cwd(), 'test-db-mailbox');
+  let storage;
+  let mailbox;
+
+  const message = (content) => ({ peer: 'sender', content });
+
+  beforeEach(async () => {
+    storage = new HybridStorage({ dbPath: TEST_DB_PATH });
+    mailbox = new Mailbox({ storage, retention: 1000, maxMessagesPerPeer: 3, maxMessagesPerSender: 5 });
+    await Promise.all(['bob', 'bob:x', 'carol', 'dave'].map((id) => mailbox.register(id)));
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should require a storage', () => {
+    expect(() => new Mailbox()).toThrow('storage is required for Mailbox');
+  });
+
+  it('should list a recipient\'s messages in the order they were stored', async () => {
+    await Promise.all([mailbox.store('bob', message(1), 10), mailbox.store('bob', message(2), 5)]);
+    await mailbox.store('bob', message(3), 5);
+    await mailbox.store('carol', message(4), 5);
+
+    const messages = await mailbox.list('bob', 5);
+
+    // Storage time comes first, then the order of the calls
+    expect(messages.map(({ content }) => content)).toEqual([2, 3, 1]);
+    expect(messages[0]).toMatchObject({ peer: 'sender', storedAt: 5, expiresAt: 1005 });
+  });
+
+  it('should list the messages whose store is still pending', async () => {
+    mailbox.store('bob', message(1), 0);
+
+    expect((await mailbox.list('bob', 0)).map(({ content }) => content)).toEqual([1]);
+  });
+
+  it('should keep the fields needed to relay the message', async () => {
+    await mailbox.store('bob', { peer: 'alice', content: { alg: 'x' }, signature: 'sig', encrypted: true }, 0);
+
+    const [stored] = await mailbox.list('bob', 0);
+
+    expect(stored).toMatchObject({ peer: 'alice', content: { alg: 'x' }, signature: 'sig', encrypted: true });
+    expect(stored.key.startsWith(`${MAILBOX_PREFIX}bob:`)).toBe(true);
+  });
+
+  it('should keep the messages of recipients whose IDs share a prefix apart', async () => {
+    await mailbox.store('bob', message(1), 0);
+    await mailbox.store('bob:x', message(2), 0);
+
+    expect((await mailbox.list('bob', 0)).map(({ content }) => content)).toEqual([1]);
+  });
+
+  it('should refuse messages once a recipient\'s mailbox is full', async () => {
+    for (const content of [1, 2, 3]) {
+      expect(await mailbox.store('bob', message(content), 0)).toBe(true);
+    }
+
+    expect(await mailbox.store('bob', message(4), 0)).toBe(false);
+    expect(await mailbox.store('carol', message(5), 0)).toBe(true);
+    expect(await mailbox.list('bob', 0)).toHaveLength(3);
+  });
+
+  it('should not overfill a mailbox with concurrent stores', async () => {
+    const results = await Promise.all([1, 2, 3, 4, 5].map((content) => mailbox.store('bob', message(content), 0)));
+
+    expect(results).toEqual([true, true, true, false, false]);
+    expect((await mailbox.list('bob', 0)).map(({ content }) => content)).toEqual([1, 2, 3]);
+  });
+
+  it('should only store messages for registered recipients', async () => {
+    expect(await mailbox.store('random', message(1), 0)).toBe(false);
+    expect(await mailbox.list('random', 0)).toEqual([]);
+
+    await mailbox.register('random');
+    expect(await mailbox.store('random', message(2), 0)).toBe(true);
+  });
+
+  it('should refuse messages once a sender has too many waiting', async () => {
+    const stores = ['bob', 'bob', 'carol', 'carol', 'dave', 'dave'].map((recipient, content) =>
+      mailbox.store(recipient, message(content), 0),
+    );
+
+    expect(await Promise.all(stores)).toEqual([true, true, true, true, true, false]);
+    expect(await mailbox.store('dave', { peer: 'other', content: 'hi' }, 0)).toBe(true);
+
+    await mailbox.delete(await mailbox.list('bob', 0));
+    expect(await mailbox.store('dave', message(7), 0)).toBe(true);
+  });
+
+  it('should free a sender\'s quota when its messages expire', async () => {
+    await Promise.all(['bob', 'carol', 'dave', 'bob', 'carol'].map((recipient) => mailbox.store(recipient, message(1), 0)));
+
+    await mailbox.expire(1000);
+
+    expect(await mailbox.store('dave', message(2), 1000)).toBe(true);
+  });
+
+  it('should delete delivered messages', async () => {
+    await mailbox.store('bob', message(1), 0);
+    await mailbox.store('bob', message(2), 0);
+
+    const [first] = await mailbox.list('bob', 0);
+    await mailbox.delete([first]);
+
+    expect((await mailbox.list('bob', 0)).map(({ content }) => content)).toEqual([2]);
+  });
+
+  it('should not list expired messages', async () => {
+    await mailbox.store('bob', message(1), 0);
+    await mailbox.store('bob', message(2), 500);
+
+    expect((await mailbox.list('bob', 1000)).map(({ content }) => content)).toEqual([2]);
+  });
+
+  it('should delete expired messages only', async () => {
+    await mailbox.store('bob', message(1), 0);
+    await mailbox.store('carol', message(2), 0);
+    await mailbox.store('carol', message(3), 500);
+    await storage.put('unrelated', { expiresAt: 0 });
+
+    expect(await mailbox.expire(1000)).toBe(2);
+    expect(await mailbox.list('bob', 1000)).toEqual([]);
+    expect(await mailbox.list('carol', 1000)).toHaveLength(1);
+    expect(await storage.has('unrelated')).toBe(true);
+  });
+});
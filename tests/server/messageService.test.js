@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals';
-import { MessageService } from '../../server/messages/messageService.js';
+import { MessageService, SLOW_PEER_POLICIES } from '../../server/messages/messageService.js';
 
 describe('MessageService', () => {
   let messageService;
@@ -29,7 +29,7 @@ describe('MessageService', () => {
       };
 
       messageService.send(mockWs, message);
-      expect(mockWs.send).toHaveBeenCalledWith(JSON.stringify(message));
+      expect(mockWs.send).toHaveBeenCalledWith(JSON.stringify(message), expect.any(Function));
     });
 
     it('should handle complex objects in message content', () => {
@@ -40,7 +40,7 @@ describe('MessageService', () => {
       };
 
       messageService.send(mockWs, message);
-      expect(mockWs.send).toHaveBeenCalledWith(JSON.stringify(message));
+      expect(mockWs.send).toHaveBeenCalledWith(JSON.stringify(message), expect.any(Function));
     });
 
     it('should handle send failures gracefully', () => {
@@ -57,6 +57,25 @@ describe('MessageService', () => {
     });
   });
 
+  describe('closing connections', () => {
+    it('should skip connections that are closing or closed', () => {
+      const closing = { send: jest.fn(), readyState: 2 };
+      const closed = { send: jest.fn(), readyState: 3 };
+      const open = { send: jest.fn(), readyState: 1 };
+
+      messageService.broadcast(
+        [closing, closed, open].map((ws, index) => ({ id: `peer${index}`, ws })),
+        { type: 'peer-left', peer: { id: 'gone' } },
+      );
+
+      expect(closing.send).not.toHaveBeenCalled();
+      expect(closed.send).not.toHaveBeenCalled();
+      expect(open.send).toHaveBeenCalledTimes(1);
+      expect(consoleSpy).not.toHaveBeenCalled();
+      expect(messageService.getMetrics()).toMatchObject({ sent: 1, dropped: 2, failed: 0 });
+    });
+  });
+
   describe('broadcast', () => {
     it('should send message to all peers', () => {
       const peers = [
@@ -75,7 +94,7 @@ describe('MessageService', () => {
       const messageString = JSON.stringify(message);
 
       peers.forEach((peer) => {
-        expect(peer.ws.send).toHaveBeenCalledWith(messageString);
+        expect(peer.ws.send).toHaveBeenCalledWith(messageString, expect.any(Function));
       });
     });
 
@@ -140,4 +159,146 @@ describe('MessageService', () => {
       stringifySpy.mockRestore();
     });
   });
+
+  describe('backpressure', () => {
+    let ws;
+
+    // A socket whose buffer only drains when its pending send callbacks are run
+    const createSlowWs = () => {
+      const slow = { bufferedAmount: 0, callbacks: [], terminate: jest.fn() };
+      slow.send = jest.fn((data, callback) => {
+        slow.bufferedAmount += Buffer.byteLength(data);
+        slow.callbacks.push(() => {
+          slow.bufferedAmount -= Buffer.byteLength(data);
+          callback();
+        });
+      });
+      slow.drain = () => {
+        while (slow.callbacks.length > 0) {
+          slow.callbacks.shift()();
+        }
+      };
+      return slow;
+    };
+    const sentContents = (socket) => socket.send.mock.calls.map(([data]) => JSON.parse(data).content);
+
+    beforeEach(() => {
+      ws = createSlowWs();
+    });
+
+    it('should queue messages once the socket buffer reaches the high-water mark', () => {
+      messageService = new MessageService({ highWaterMark: 100 });
+
+      [1, 2, 3].forEach((content) => messageService.send(ws, { type: 'message', content: 'x'.repeat(40) + content }));
+
+      expect(ws.send).toHaveBeenCalledTimes(2);
+      expect(messageService.getQueuedBytes(ws)).toBeGreaterThan(0);
+      expect(messageService.getMetrics()).toMatchObject({ sent: 2, queued: 1 });
+    });
+
+    it('should flush queued messages in order as the socket drains', () => {
+      messageService = new MessageService({ highWaterMark: 50 });
+
+      [1, 2, 3, 4].forEach((content) => messageService.send(ws, { type: 'message', content }));
+      ws.bufferedAmount += 100;
+      [5, 6].forEach((content) => messageService.send(ws, { type: 'message', content }));
+      ws.bufferedAmount -= 100;
+      ws.drain();
+
+      expect(sentContents(ws)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(messageService.getQueuedBytes(ws)).toBe(0);
+    });
+
+    it('should keep sending to new messages in order while a queue is pending', () => {
+      messageService = new MessageService({ highWaterMark: 10 });
+
+      messageService.send(ws, { type: 'message', content: 1 });
+      messageService.send(ws, { type: 'message', content: 2 });
+      ws.bufferedAmount = 0;
+      messageService.send(ws, { type: 'message', content: 3 });
+      ws.drain();
+
+      expect(sentContents(ws)).toEqual([1, 2, 3]);
+    });
+
+    it('should drop the oldest queued messages when the queue is full', () => {
+      messageService = new MessageService({ highWaterMark: 1, maxQueueBytes: 160 });
+      const message = (content) => ({ type: 'message', content: `${content}`.padEnd(20) });
+
+      [1, 2, 3, 4, 5, 6].forEach((content) => messageService.send(ws, message(content)));
+      ws.drain();
+
+      expect(sentContents(ws).map((content) => content.trim())).toEqual(['1', '4', '5', '6']);
+      expect(messageService.getMetrics().dropped).toBe(2);
+    });
+
+    it('should drop new messages when configured to', () => {
+      messageService = new MessageService({
+        highWaterMark: 1,
+        maxQueueBytes: 160,
+        slowPeerPolicy: SLOW_PEER_POLICIES.DROP_NEW,
+      });
+      const message = (content) => ({ type: 'message', content: `${content}`.padEnd(20) });
+
+      [1, 2, 3, 4, 5, 6].forEach((content) => messageService.send(ws, message(content)));
+      ws.drain();
+
+      expect(sentContents(ws).map((content) => content.trim())).toEqual(['1', '2', '3', '4']);
+      expect(messageService.getMetrics().dropped).toBe(2);
+    });
+
+    it('should disconnect slow peers when configured to', () => {
+      messageService = new MessageService({
+        highWaterMark: 1,
+        maxQueueBytes: 100,
+        slowPeerPolicy: SLOW_PEER_POLICIES.DISCONNECT,
+      });
+
+      Array.from({ length: 6 }).forEach(() => messageService.send(ws, { type: 'message', content: 'x'.repeat(30) }));
+
+      expect(ws.terminate).toHaveBeenCalledTimes(1);
+      expect(messageService.getMetrics()).toMatchObject({ disconnected: 1, sent: 1 });
+      expect(messageService.getQueuedBytes(ws)).toBe(0);
+    });
+
+    it('should only hold back slow peers during a broadcast', () => {
+      messageService = new MessageService({ highWaterMark: 10 });
+      const fast = { id: 'fast', ws: { send: jest.fn((data, callback) => callback()) } };
+      const slow = { id: 'slow', ws };
+
+      [1, 2, 3].forEach((content) => messageService.broadcast([fast, slow], { type: 'message', content }));
+
+      expect(sentContents(fast.ws)).toEqual([1, 2, 3]);
+      expect(sentContents(ws)).toEqual([1]);
+    });
+
+    it('should hand over queued messages', () => {
+      messageService = new MessageService({ highWaterMark: 1 });
+
+      [1, 2, 3].forEach((content) => messageService.send(ws, { type: 'message', content }));
+
+      expect(messageService.takeQueued(ws).map((data) => JSON.parse(data).content)).toEqual([2, 3]);
+      expect(messageService.getQueuedBytes(ws)).toBe(0);
+      expect(messageService.takeQueued(ws)).toEqual([]);
+    });
+
+    it('should count failures reported by send callbacks', () => {
+      const failing = { send: jest.fn((data, callback) => callback(new Error('Socket closed'))) };
+
+      messageService.send(failing, { type: 'message', content: 'hi' });
+
+      expect(messageService.getMetrics().failed).toBe(1);
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to send message:', expect.any(Error));
+    });
+
+    it('should count peers without a connection as failures', () => {
+      messageService.broadcast([{ id: 'gone' }], { type: 'message', content: 'hi' });
+
+      expect(messageService.getMetrics().failed).toBe(1);
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => new MessageService({ slowPeerPolicy: 'shrug' })).toThrow('Unknown slow peer policy: shrug');
+    });
+  });
 });
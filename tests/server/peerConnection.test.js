@@ -4,6 +4,8 @@ const mockWebSocket = {
   on: jest.fn(),
   send: jest.fn(),
   close: jest.fn(),
+  ping: jest.fn(),
+  terminate: jest.fn(),
 };
 
 // Mock the WebSocket module
@@ -12,15 +14,25 @@ await jest.unstable_mockModule('ws', () => ({
 }));
 
 const { PeerConnection } = await import('../../server/peers/peerConnection.js');
-const { PeerRepository } = await import('../../server/peers/peerRepository.js');
+const { MemoryPeerRepository } = await import('../../server/peers/memoryPeerRepository.js');
 const { MessageService } = await import('../../server/messages/messageService.js');
+const { RoomRepository } = await import('../../server/rooms/roomRepository.js');
+const { createKeyPair, peerIdFromPublicKey, signChallenge, signContent, verifyContent } = await import(
+  '../../server/peers/peerIdentity.js'
+);
+const { createEncryptionKeyPair } = await import('../../client/e2e.js');
+const { RateLimiter } = await import('../../server/limits/rateLimiter.js');
+const { SessionStore } = await import('../../server/peers/sessionStore.js');
+const { SignalingRepository } = await import('../../server/signaling/signalingRepository.js');
 
 describe('PeerConnection', () => {
   let peerConnection;
   let peerRepository;
   let messageService;
+  let roomRepository;
   let mockMessageHandler;
   let mockCloseHandler;
+  let mockPongHandler;
   let consoleSpy;
 
   beforeEach(() => {
@@ -31,23 +43,29 @@ describe('PeerConnection', () => {
     jest.clearAllMocks();
 
     // Create fresh instances
-    peerRepository = new PeerRepository();
+    peerRepository = new MemoryPeerRepository();
     messageService = new MessageService();
+    roomRepository = new RoomRepository();
 
     // Capture the message and close handlers
     mockWebSocket.on.mockImplementation((event, handler) => {
       if (event === 'message') mockMessageHandler = handler;
       if (event === 'close') mockCloseHandler = handler;
+      if (event === 'pong') mockPongHandler = handler;
     });
 
     // @ts-expect-error - Mocking WebSocket
-    peerConnection = new PeerConnection(mockWebSocket, peerRepository, messageService);
+    peerConnection = new PeerConnection(mockWebSocket, peerRepository, messageService, { roomRepository });
   });
 
   afterEach(() => {
     consoleSpy.mockRestore();
   });
 
+  // Subscribes peers to a common topic, so that they see each other
+  const share = (...connections) =>
+    connections.forEach((connection) => roomRepository.join('lobby', connection.getPeer().id));
+
   describe('initialization', () => {
     it('should create a new peer and add it to repository', () => {
       const peer = peerConnection.getPeer();
@@ -87,9 +105,11 @@ describe('PeerConnection', () => {
   });
 
   describe('message handling', () => {
-    it('should handle JSON messages', () => {
-      const jsonMessage = { data: 'test message' };
-      const messageBuffer = Buffer.from(JSON.stringify(jsonMessage));
+    const lastSent = () => JSON.parse(mockWebSocket.send.mock.calls.at(-1)[0]);
+
+    it('should broadcast chat messages', () => {
+      const content = { data: 'test message' };
+      const messageBuffer = Buffer.from(JSON.stringify({ type: 'message', content }));
 
       // Simulate receiving a message
       mockMessageHandler(messageBuffer);
@@ -100,36 +120,75 @@ describe('PeerConnection', () => {
       const broadcastMessage = JSON.parse(mockWebSocket.send.mock.calls[1][0]);
       expect(broadcastMessage.type).toBe('message');
       expect(broadcastMessage.peer).toBe(peerConnection.getPeer().id);
-      expect(broadcastMessage.content).toEqual(jsonMessage);
+      expect(broadcastMessage.content).toEqual(content);
     });
 
-    it('should handle plain text messages', () => {
-      const textMessage = 'Hello, world!';
-      const messageBuffer = Buffer.from(textMessage);
+    it('should reject plain text messages', () => {
+      mockMessageHandler(Buffer.from('Hello, world!'));
 
-      // Simulate receiving a message
-      mockMessageHandler(messageBuffer);
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'MALFORMED_MESSAGE' });
+    });
 
-      // Verify broadcast was called with correct format
-      expect(mockWebSocket.send).toHaveBeenCalled();
+    it('should reject malformed JSON', () => {
+      // Should not throw
+      mockMessageHandler(Buffer.from('{ bad json'));
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'MALFORMED_MESSAGE' });
+    });
+
+    it('should reject JSON that is not an object', () => {
+      mockMessageHandler(Buffer.from('[1, 2]'));
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'MALFORMED_MESSAGE' });
+
+      mockMessageHandler(Buffer.from('"text"'));
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'MALFORMED_MESSAGE' });
+    });
+
+    it('should reject unknown message types without relaying them', () => {
+      const other = { on: jest.fn(), send: jest.fn() };
       // @ts-expect-error - Mocking WebSocket
-      const broadcastMessage = JSON.parse(mockWebSocket.send.mock.calls[1][0]);
-      expect(broadcastMessage.type).toBe('message');
-      expect(broadcastMessage.peer).toBe(peerConnection.getPeer().id);
-      expect(broadcastMessage.content).toBe(textMessage);
+      share(peerConnection, new PeerConnection(other, peerRepository, messageService, { roomRepository }));
+      other.send.mockClear();
+
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'all-peers', peers: [], id: 'x1' })));
+      mockMessageHandler(Buffer.from(JSON.stringify({ content: 'untyped' })));
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'toString' })));
+
+      // @ts-expect-error - Mocking WebSocket
+      const replies = mockWebSocket.send.mock.calls.slice(-3).map(([data]) => JSON.parse(data));
+      expect(replies.map(({ code }) => code)).toEqual(['UNKNOWN_TYPE', 'UNKNOWN_TYPE', 'UNKNOWN_TYPE']);
+      expect(replies[0].id).toBe('x1');
+      expect(other.send).not.toHaveBeenCalled();
     });
 
-    it('should handle malformed JSON gracefully', () => {
-      const malformedJson = '{ bad json';
-      const messageBuffer = Buffer.from(malformedJson);
+    it('should reject messages that fail validation', () => {
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', id: 'm1' })));
+      expect(lastSent()).toEqual({
+        type: 'error',
+        code: 'INVALID_MESSAGE',
+        id: 'm1',
+        message: '"content" is required',
+      });
 
-      // Should not throw
-      mockMessageHandler(messageBuffer);
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', content: 'hi', id: 7 })));
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'INVALID_MESSAGE' });
+    });
 
-      // Should treat it as plain text
+    it('should reject messages larger than the size limit', () => {
+      const ws = { on: jest.fn(), send: jest.fn() };
+      let handler;
+      ws.on.mockImplementation((event, fn) => {
+        if (event === 'message') handler = fn;
+      });
       // @ts-expect-error - Mocking WebSocket
-      const broadcastMessage = JSON.parse(mockWebSocket.send.mock.calls[1][0]);
-      expect(broadcastMessage.content).toBe(malformedJson);
+      new PeerConnection(ws, peerRepository, messageService, { maxMessageSize: 64 });
+      ws.send.mockClear();
+
+      handler(Buffer.from(JSON.stringify({ type: 'message', content: 'x'.repeat(64) })));
+
+      expect(ws.send).toHaveBeenCalledTimes(1);
+      // @ts-expect-error - Mocking WebSocket
+      expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({ type: 'error', code: 'MESSAGE_TOO_LARGE' });
     });
 
     it('should handle broadcast failures gracefully', () => {
@@ -137,14 +196,1473 @@ describe('PeerConnection', () => {
         throw new Error('Send failed');
       });
 
-      const message = 'test message';
-      const messageBuffer = Buffer.from(message);
+      const messageBuffer = Buffer.from(JSON.stringify({ type: 'message', content: 'test message' }));
 
       // Should not throw
       expect(() => mockMessageHandler(messageBuffer)).not.toThrow();
 
       // Should log error
-      expect(consoleSpy).toHaveBeenCalledWith('Failed to send message:', expect.any(Error));
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `Failed to send message to peer ${peerConnection.getPeer().id}:`,
+        expect.any(Error)
+      );
+    });
+  });
+
+  describe('handshake', () => {
+    const send = (message) => mockMessageHandler(Buffer.from(JSON.stringify(message)));
+    const lastSent = () => JSON.parse(mockWebSocket.send.mock.calls.at(-1)[0]);
+
+    it('should welcome peers speaking a supported version', () => {
+      send({ type: 'hello', version: 1, capabilities: ['topics', 'teleport'] });
+
+      expect(lastSent()).toEqual({
+        type: 'welcome',
+        version: 1,
+        peer: peerConnection.getPeer().id,
+        authenticated: false,
+        capabilities: ['direct', 'topics', 'presence', 'auth', 'e2e', 'signaling', 'profiles'],
+      });
+    });
+
+    it('should reject unsupported versions', () => {
+      send({ type: 'hello', version: 99 });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'UNSUPPORTED_VERSION', versions: [1] });
+
+      send({ type: 'hello', version: 1 });
+      expect(lastSent().type).toBe('welcome');
+    });
+
+    it('should reject a second handshake', () => {
+      send({ type: 'hello', version: 1 });
+      send({ type: 'hello', version: 1 });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'HANDSHAKE_COMPLETED' });
+    });
+
+    it('should validate the hello message', () => {
+      send({ type: 'hello', version: '1' });
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'INVALID_MESSAGE' });
+
+      send({ type: 'hello', version: 1, capabilities: 'topics' });
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'INVALID_MESSAGE' });
+    });
+
+    it('should accept messages from peers that skip the handshake', () => {
+      send({ type: 'message', content: 'hi' });
+
+      expect(lastSent()).toMatchObject({ type: 'message', content: 'hi' });
+    });
+  });
+
+  describe('authentication', () => {
+    let keys;
+    let other;
+
+    const send = (message) => mockMessageHandler(Buffer.from(JSON.stringify(message)));
+    const lastSent = () => JSON.parse(mockWebSocket.send.mock.calls.at(-1)[0]);
+    const authenticate = () => {
+      send({ type: 'hello', version: 1, publicKey: keys.publicKey });
+      send({ type: 'auth', signature: signChallenge(keys.privateKey, lastSent().nonce) });
+    };
+
+    beforeEach(() => {
+      keys = createKeyPair();
+      other = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      share(peerConnection, new PeerConnection(other, peerRepository, messageService, { roomRepository }));
+      other.send.mockClear();
+    });
+
+    it('should challenge peers presenting a public key', () => {
+      send({ type: 'hello', version: 1, publicKey: keys.publicKey });
+
+      expect(lastSent()).toEqual({ type: 'challenge', nonce: expect.any(String) });
+    });
+
+    it('should give authenticated peers the ID derived from their key', () => {
+      const previousId = peerConnection.getPeer().id;
+      authenticate();
+
+      const id = peerIdFromPublicKey(keys.publicKey);
+      expect(lastSent()).toMatchObject({ type: 'welcome', peer: id, authenticated: true });
+      expect(peerConnection.getPeer().id).toBe(id);
+      expect(peerRepository.has(previousId)).toBe(false);
+      expect(peerRepository.getSerializable(id).publicKey).toBe(keys.publicKey);
+    });
+
+    it('should announce the change of ID to other peers', () => {
+      const previousId = peerConnection.getPeer().id;
+      authenticate();
+
+      // @ts-expect-error - Mocking WebSocket
+      const events = other.send.mock.calls.map(([data]) => JSON.parse(data));
+      expect(events).toEqual([
+        { type: 'peer-left', peer: expect.objectContaining({ id: previousId }) },
+        {
+          type: 'peer-joined',
+          peer: expect.objectContaining({ id: peerIdFromPublicKey(keys.publicKey), publicKey: keys.publicKey }),
+        },
+      ]);
+    });
+
+    it('should keep topic subscriptions across the change of ID', () => {
+      const roomRepository = new RoomRepository();
+      const ws = { on: jest.fn(), send: jest.fn() };
+      let handler;
+      ws.on.mockImplementation((event, fn) => {
+        if (event === 'message') handler = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      const sendAs = (message) => handler(Buffer.from(JSON.stringify(message)));
+
+      sendAs({ type: 'join', topic: 'chat' });
+      sendAs({ type: 'hello', version: 1, publicKey: keys.publicKey });
+      // @ts-expect-error - Mocking WebSocket
+      const { nonce } = JSON.parse(ws.send.mock.calls.at(-1)[0]);
+      sendAs({ type: 'auth', signature: signChallenge(keys.privateKey, nonce) });
+
+      expect(roomRepository.getMembers('chat')).toEqual([connection.getPeer().id]);
+    });
+
+    it('should reject a wrong challenge signature', () => {
+      const previousId = peerConnection.getPeer().id;
+      send({ type: 'hello', version: 1, publicKey: keys.publicKey });
+      send({ type: 'auth', signature: signChallenge(createKeyPair().privateKey, lastSent().nonce) });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'AUTH_FAILED' });
+      expect(peerConnection.getPeer().id).toBe(previousId);
+
+      // The challenge is single use
+      send({ type: 'auth', signature: 'AAAA' });
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'NO_CHALLENGE' });
+    });
+
+    it('should reject invalid public keys', () => {
+      send({ type: 'hello', version: 1, publicKey: 'not a key' });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'INVALID_PUBLIC_KEY' });
+    });
+
+    it('should refuse a key already authenticated on another connection', () => {
+      authenticate();
+
+      const ws = { on: jest.fn(), send: jest.fn() };
+      let handler;
+      ws.on.mockImplementation((event, fn) => {
+        if (event === 'message') handler = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      new PeerConnection(ws, peerRepository, messageService);
+      handler(Buffer.from(JSON.stringify({ type: 'hello', version: 1, publicKey: keys.publicKey })));
+      // @ts-expect-error - Mocking WebSocket
+      const { nonce } = JSON.parse(ws.send.mock.calls.at(-1)[0]);
+      handler(Buffer.from(JSON.stringify({ type: 'auth', signature: signChallenge(keys.privateKey, nonce) })));
+
+      // @ts-expect-error - Mocking WebSocket
+      expect(JSON.parse(ws.send.mock.calls.at(-1)[0])).toMatchObject({ type: 'error', code: 'IDENTITY_IN_USE' });
+    });
+
+    it('should relay signed messages that recipients can verify', () => {
+      authenticate();
+      other.send.mockClear();
+      const content = { text: 'hi', at: 1 };
+
+      send({ type: 'message', content, signature: signContent(keys.privateKey, content) });
+
+      // @ts-expect-error - Mocking WebSocket
+      const relayed = JSON.parse(other.send.mock.calls[0][0]);
+      const sender = peerRepository.getSerializable(relayed.peer);
+      expect(verifyContent(sender.publicKey, relayed.content, relayed.signature)).toBe(true);
+    });
+
+    it('should reject messages with an invalid signature', () => {
+      authenticate();
+      other.send.mockClear();
+
+      send({ type: 'message', content: 'hi', signature: signContent(keys.privateKey, 'bye'), id: 's1' });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'INVALID_SIGNATURE', id: 's1' });
+      expect(other.send).not.toHaveBeenCalled();
+    });
+
+    it('should reject signatures from unauthenticated peers', () => {
+      send({ type: 'message', content: 'hi', signature: signContent(keys.privateKey, 'hi') });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'NOT_AUTHENTICATED' });
+      expect(other.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('encryption keys', () => {
+    let other;
+
+    const send = (message) => mockMessageHandler(Buffer.from(JSON.stringify(message)));
+    const lastSent = () => JSON.parse(mockWebSocket.send.mock.calls.at(-1)[0]);
+
+    beforeEach(() => {
+      other = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      share(peerConnection, new PeerConnection(other, peerRepository, messageService, { roomRepository }));
+      other.send.mockClear();
+    });
+
+    it('should advertise the encryption key of anonymous peers', () => {
+      const { publicKey } = createEncryptionKeyPair();
+      send({ type: 'hello', version: 1, encryptionKey: publicKey });
+
+      // @ts-expect-error - Mocking WebSocket
+      expect(JSON.parse(other.send.mock.calls[0][0])).toEqual({
+        type: 'peer-updated',
+        peer: expect.objectContaining({ id: peerConnection.getPeer().id, encryptionKey: publicKey }),
+      });
+      expect(lastSent().type).toBe('welcome');
+    });
+
+    it('should advertise the signed encryption key of authenticated peers', () => {
+      const keys = createKeyPair();
+      const { publicKey } = createEncryptionKeyPair();
+      const encryptionKeySignature = signContent(keys.privateKey, { encryptionKey: publicKey });
+
+      send({ type: 'hello', version: 1, publicKey: keys.publicKey, encryptionKey: publicKey, encryptionKeySignature });
+      send({ type: 'auth', signature: signChallenge(keys.privateKey, lastSent().nonce) });
+
+      expect(peerRepository.getSerializable(peerConnection.getPeer().id)).toMatchObject({
+        publicKey: keys.publicKey,
+        encryptionKey: publicKey,
+        encryptionKeySignature,
+      });
+    });
+
+    it('should reject keys that are not X25519 keys', () => {
+      send({ type: 'hello', version: 1, encryptionKey: createKeyPair().publicKey });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'INVALID_ENCRYPTION_KEY' });
+      expect(other.send).not.toHaveBeenCalled();
+    });
+
+    it('should relay encrypted envelopes untouched', () => {
+      const envelope = { alg: 'x', ephemeralKey: 'a', nonce: 'b', ciphertext: 'c', tag: 'd' };
+      send({ type: 'message', to: peerRepository.getAll()[1].id, encrypted: true, content: envelope });
+
+      // @ts-expect-error - Mocking WebSocket
+      expect(JSON.parse(other.send.mock.calls[0][0])).toEqual({
+        type: 'message',
+        peer: peerConnection.getPeer().id,
+        direct: true,
+        encrypted: true,
+        content: envelope,
+      });
+    });
+
+    it('should give out the keys of a peer outside its topics, and nothing else', () => {
+      const ws = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      const stranger = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      const keys = createKeyPair();
+      const { publicKey } = createEncryptionKeyPair();
+      const encryptionKeySignature = signContent(keys.privateKey, { encryptionKey: publicKey });
+      const handle = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+      handle(
+        Buffer.from(
+          JSON.stringify({
+            type: 'hello',
+            version: 1,
+            publicKey: keys.publicKey,
+            encryptionKey: publicKey,
+            encryptionKeySignature,
+            profile: { name: 'Stranger' },
+          }),
+        ),
+      );
+      handle(
+        Buffer.from(
+          JSON.stringify({
+            type: 'auth',
+            signature: signChallenge(keys.privateKey, JSON.parse(ws.send.mock.calls.at(-1)[0]).nonce),
+          }),
+        ),
+      );
+
+      send({ type: 'keys', peer: stranger.getPeer().id, id: 'k1' });
+
+      expect(lastSent()).toEqual({
+        type: 'keys',
+        id: 'k1',
+        peer: stranger.getPeer().id,
+        publicKey: keys.publicKey,
+        encryptionKey: publicKey,
+        encryptionKeySignature,
+      });
+    });
+
+    it('should give out the keys of authenticated peers that are offline', () => {
+      const keys = createKeyPair();
+      const id = peerIdFromPublicKey(keys.publicKey);
+      jest
+        .spyOn(peerRepository, 'getKnown')
+        .mockImplementation((peer) => (peer === id ? { id, publicKey: keys.publicKey, topics: ['chat'] } : undefined));
+
+      send({ type: 'keys', peer: id });
+
+      expect(lastSent()).toEqual({ type: 'keys', peer: id, publicKey: keys.publicKey });
+    });
+
+    it('should report peers whose keys are unknown', () => {
+      send({ type: 'keys', peer: 'missing', id: 'k2' });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'UNKNOWN_PEER', id: 'k2', peers: ['missing'] });
+    });
+  });
+
+  describe('direct messaging', () => {
+    let recipient;
+    let recipientWs;
+
+    const createWs = () => ({ on: jest.fn(), send: jest.fn(), close: jest.fn() });
+    const sentTo = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+    beforeEach(() => {
+      recipientWs = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      recipient = new PeerConnection(recipientWs, peerRepository, messageService);
+      mockWebSocket.send.mockClear();
+      recipientWs.send.mockClear();
+    });
+
+    it('should deliver a message only to the addressed peer', () => {
+      const bystanderWs = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      new PeerConnection(bystanderWs, peerRepository, messageService);
+      bystanderWs.send.mockClear();
+      recipientWs.send.mockClear();
+
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to: recipient.getPeer().id, content: 'psst' })));
+
+      expect(sentTo(recipientWs)).toEqual([
+        { type: 'message', peer: peerConnection.getPeer().id, direct: true, content: 'psst' },
+      ]);
+      expect(bystanderWs.send).not.toHaveBeenCalled();
+    });
+
+    it('should acknowledge delivery to the sender', () => {
+      const to = recipient.getPeer().id;
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to, content: 'hi', id: 'm1' })));
+
+      expect(sentTo(mockWebSocket)).toEqual([{ type: 'ack', id: 'm1', delivered: [to] }]);
+    });
+
+    it('should deliver to a list of peers once each', () => {
+      const otherWs = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const other = new PeerConnection(otherWs, peerRepository, messageService);
+      otherWs.send.mockClear();
+      recipientWs.send.mockClear();
+      mockWebSocket.send.mockClear();
+      const to = [recipient.getPeer().id, other.getPeer().id, recipient.getPeer().id];
+
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to, content: 'hi' })));
+
+      expect(recipientWs.send).toHaveBeenCalledTimes(1);
+      expect(otherWs.send).toHaveBeenCalledTimes(1);
+      expect(sentTo(mockWebSocket)[0].delivered).toEqual([recipient.getPeer().id, other.getPeer().id]);
+    });
+
+    it('should reply with an error for unknown recipients', () => {
+      const to = [recipient.getPeer().id, 'missing'];
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to, content: 'hi', id: 'm2' })));
+
+      const replies = sentTo(mockWebSocket);
+      expect(replies).toContainEqual({ type: 'ack', id: 'm2', delivered: [recipient.getPeer().id] });
+      expect(replies).toContainEqual(
+        expect.objectContaining({ type: 'error', code: 'UNKNOWN_PEER', id: 'm2', peers: ['missing'] })
+      );
+    });
+
+    it('should not acknowledge when nobody received the message', () => {
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to: 'missing', content: 'hi' })));
+
+      expect(sentTo(mockWebSocket).map(({ type }) => type)).toEqual(['error']);
+    });
+
+    it('should reject malformed recipients', () => {
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to: [], content: 'hi' })));
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'message', to: 42, content: 'hi' })));
+
+      expect(sentTo(mockWebSocket).map(({ code }) => code)).toEqual([
+        'INVALID_RECIPIENT',
+        'INVALID_RECIPIENT',
+      ]);
+      expect(recipientWs.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('store and forward', () => {
+    let mailbox;
+    let sender;
+    let senderWs;
+
+    const createWs = () => ({ on: jest.fn(), send: jest.fn(), close: jest.fn() });
+    const sentTo = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+    const stored = (content) => ({ key: `mailbox:${content}`, peer: 'alice', content, storedAt: 1, expiresAt: 2 });
+
+    beforeEach(() => {
+      mailbox = {
+        register: jest.fn().mockResolvedValue(),
+        store: jest.fn().mockResolvedValue(true),
+        list: jest.fn().mockResolvedValue([]),
+        delete: jest.fn().mockResolvedValue(),
+      };
+      senderWs = createWs();
+      senderWs.on.mockImplementation((event, handler) => {
+        if (event === 'message') senderWs.handler = handler;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      sender = new PeerConnection(senderWs, peerRepository, messageService, { mailbox });
+      senderWs.send.mockClear();
+    });
+
+    const sendFrom = (ws, message) => ws.handler(Buffer.from(JSON.stringify(message)));
+
+    it('should store messages to peers that are not connected', async () => {
+      sendFrom(senderWs, { type: 'message', to: 'offline', content: 'later', id: 'm1' });
+      await flush();
+
+      expect(mailbox.store).toHaveBeenCalledWith(
+        'offline',
+        expect.objectContaining({ peer: sender.getPeer().id, content: 'later' }),
+      );
+      expect(sentTo(senderWs)).toEqual([{ type: 'ack', id: 'm1', delivered: [], stored: ['offline'] }]);
+    });
+
+    it('should report recipients whose mailbox is full', async () => {
+      mailbox.store.mockResolvedValueOnce(false);
+
+      sendFrom(senderWs, { type: 'message', to: 'full', content: 'later', id: 'm2' });
+      await flush();
+
+      expect(sentTo(senderWs)).toEqual([
+        expect.objectContaining({ type: 'error', code: 'UNKNOWN_PEER', id: 'm2', peers: ['full'] }),
+      ]);
+    });
+
+    it('should report recipients the message could not be stored for', async () => {
+      mailbox.store.mockRejectedValueOnce(new Error('Database is closed'));
+
+      sendFrom(senderWs, { type: 'message', to: 'offline', content: 'later' });
+      await flush();
+
+      expect(sentTo(senderWs).map(({ code }) => code)).toEqual(['UNKNOWN_PEER']);
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to store message for peer offline:', expect.any(Error));
+    });
+
+    it('should deliver stored messages in order once the recipient authenticates', async () => {
+      const keys = createKeyPair();
+      const recipientWs = createWs();
+      recipientWs.on.mockImplementation((event, handler) => {
+        if (event === 'message') recipientWs.handler = handler;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      new PeerConnection(recipientWs, peerRepository, messageService, { mailbox });
+      mailbox.list.mockResolvedValueOnce([stored('first'), stored('second')]);
+
+      sendFrom(recipientWs, { type: 'hello', version: 1, publicKey: keys.publicKey });
+      const { nonce } = sentTo(recipientWs).at(-1);
+      sendFrom(recipientWs, { type: 'auth', signature: signChallenge(keys.privateKey, nonce) });
+      await flush();
+
+      expect(mailbox.register).toHaveBeenCalledWith(peerIdFromPublicKey(keys.publicKey));
+      expect(mailbox.list).toHaveBeenCalledWith(peerIdFromPublicKey(keys.publicKey));
+      const messages = sentTo(recipientWs).filter(({ type }) => type === 'message');
+      expect(messages).toEqual([
+        { type: 'message', peer: 'alice', direct: true, content: 'first', storedAt: 1 },
+        { type: 'message', peer: 'alice', direct: true, content: 'second', storedAt: 1 },
+      ]);
+      expect(mailbox.delete).toHaveBeenCalledWith([stored('first'), stored('second')]);
+    });
+
+    it('should keep stored messages if the recipient leaves before they are delivered', async () => {
+      const keys = createKeyPair();
+      const recipientWs = createWs();
+      recipientWs.on.mockImplementation((event, handler) => {
+        if (event === 'message') recipientWs.handler = handler;
+        if (event === 'close') recipientWs.close = handler;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      new PeerConnection(recipientWs, peerRepository, messageService, { mailbox });
+      mailbox.list.mockResolvedValueOnce([stored('first')]);
+
+      sendFrom(recipientWs, { type: 'hello', version: 1, publicKey: keys.publicKey });
+      const { nonce } = sentTo(recipientWs).at(-1);
+      sendFrom(recipientWs, { type: 'auth', signature: signChallenge(keys.privateKey, nonce) });
+      recipientWs.close();
+      await flush();
+
+      expect(sentTo(recipientWs).filter(({ type }) => type === 'message')).toEqual([]);
+      expect(mailbox.delete).not.toHaveBeenCalled();
+    });
+
+    it('should not look up stored messages for anonymous peers', async () => {
+      sendFrom(senderWs, { type: 'hello', version: 1 });
+      await flush();
+
+      expect(mailbox.register).not.toHaveBeenCalled();
+      expect(mailbox.list).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('topics', () => {
+    let roomRepository;
+    let connections;
+
+    const createWs = () => ({ on: jest.fn(), send: jest.fn(), close: jest.fn() });
+    const lastSent = (ws) => JSON.parse(ws.send.mock.calls.at(-1)[0]);
+
+    // Connects a peer sharing the room repository and returns its websocket and message handler
+    const connect = () => {
+      const ws = createWs();
+      let handler;
+      ws.on.mockImplementation((event, fn) => {
+        if (event === 'message') handler = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      const send = (message) => handler(Buffer.from(JSON.stringify(message)));
+      return { ws, connection, send };
+    };
+
+    beforeEach(() => {
+      roomRepository = new RoomRepository();
+      connections = [connect(), connect(), connect()];
+      connections.forEach(({ ws }) => ws.send.mockClear());
+    });
+
+    it('should confirm joining with the member list', () => {
+      const [alice, bob] = connections;
+      alice.send({ type: 'join', topic: 'chat' });
+      bob.send({ type: 'join', topic: 'chat' });
+
+      expect(lastSent(bob.ws)).toEqual({
+        type: 'joined',
+        topic: 'chat',
+        members: [alice.connection.getPeer().id, bob.connection.getPeer().id],
+      });
+    });
+
+    it('should publish only to subscribers of the topic', () => {
+      const [alice, bob, carol] = connections;
+      alice.send({ type: 'join', topic: 'chat' });
+      bob.send({ type: 'join', topic: 'chat' });
+      carol.send({ type: 'join', topic: 'other' });
+      connections.forEach(({ ws }) => ws.send.mockClear());
+
+      alice.send({ type: 'publish', topic: 'chat', content: 'hello' });
+
+      const expected = {
+        type: 'message',
+        peer: alice.connection.getPeer().id,
+        topic: 'chat',
+        content: 'hello',
+      };
+      expect(lastSent(alice.ws)).toEqual(expected);
+      expect(lastSent(bob.ws)).toEqual(expected);
+      expect(carol.ws.send).not.toHaveBeenCalled();
+    });
+
+    it('should stop delivering after leaving', () => {
+      const [alice, bob] = connections;
+      alice.send({ type: 'join', topic: 'chat' });
+      bob.send({ type: 'join', topic: 'chat' });
+      bob.send({ type: 'leave', topic: 'chat' });
+      expect(lastSent(bob.ws)).toEqual({ type: 'left', topic: 'chat' });
+      bob.ws.send.mockClear();
+
+      alice.send({ type: 'publish', topic: 'chat', content: 'hello' });
+
+      expect(bob.ws.send).not.toHaveBeenCalled();
+    });
+
+    it('should refuse publishing to a topic the peer has not joined', () => {
+      const [alice, bob] = connections;
+      bob.send({ type: 'join', topic: 'chat' });
+      bob.ws.send.mockClear();
+
+      alice.send({ type: 'publish', topic: 'chat', content: 'hello' });
+
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'NOT_SUBSCRIBED' });
+      expect(bob.ws.send).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid topic names', () => {
+      const [alice] = connections;
+
+      alice.send({ type: 'join', topic: '' });
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'INVALID_TOPIC' });
+
+      alice.send({ type: 'join', topic: 'x'.repeat(129) });
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'INVALID_TOPIC' });
+      expect(roomRepository.getTopics(alice.connection.getPeer().id)).toEqual([]);
+    });
+
+    it('should leave all topics on disconnect', () => {
+      const ws = createWs();
+      const handlers = {};
+      ws.on.mockImplementation((event, fn) => {
+        handlers[event] = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      handlers.message(Buffer.from(JSON.stringify({ type: 'join', topic: 'chat' })));
+
+      handlers.close();
+
+      expect(roomRepository.getTopics(connection.getPeer().id)).toEqual([]);
+    });
+  });
+
+  describe('topic history', () => {
+    let roomHistory;
+    let alice;
+    let bob;
+
+    const createWs = () => ({ on: jest.fn(), send: jest.fn(), close: jest.fn() });
+    const sentTo = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    const connect = (options) => {
+      const ws = createWs();
+      let handler;
+      ws.on.mockImplementation((event, fn) => {
+        if (event === 'message') handler = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, options);
+      const send = (message) => handler(Buffer.from(JSON.stringify(message)));
+      return { ws, connection, send };
+    };
+
+    beforeEach(() => {
+      const roomRepository = new RoomRepository();
+      roomHistory = {
+        append: jest.fn().mockResolvedValue({ seq: 7 }),
+        page: jest.fn().mockResolvedValue({
+          messages: [{ seq: 6, peer: 'carol', content: 'old', timestamp: 1 }],
+          hasMore: true,
+        }),
+      };
+      alice = connect({ roomRepository, roomHistory });
+      bob = connect({ roomRepository, roomHistory });
+      alice.send({ type: 'join', topic: 'chat' });
+      bob.send({ type: 'join', topic: 'chat' });
+      alice.ws.send.mockClear();
+      bob.ws.send.mockClear();
+    });
+
+    it('should advertise history only when the server keeps it', () => {
+      alice.send({ type: 'hello', version: 1 });
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'hello', version: 1 })));
+
+      expect(sentTo(alice.ws).at(-1).capabilities).toContain('history');
+      expect(JSON.parse(mockWebSocket.send.mock.calls.at(-1)[0]).capabilities).not.toContain('history');
+    });
+
+    it('should record published messages and relay them with their sequence number', async () => {
+      alice.send({ type: 'publish', topic: 'chat', content: 'hello' });
+      await flush();
+
+      expect(roomHistory.append).toHaveBeenCalledWith('chat', {
+        peer: alice.connection.getPeer().id,
+        content: 'hello',
+        signature: undefined,
+      });
+      expect(sentTo(bob.ws)).toEqual([
+        { type: 'message', peer: alice.connection.getPeer().id, topic: 'chat', seq: 7, content: 'hello' },
+      ]);
+    });
+
+    it('should still relay messages that cannot be recorded', async () => {
+      roomHistory.append.mockRejectedValueOnce(new Error('Database is closed'));
+
+      alice.send({ type: 'publish', topic: 'chat', content: 'hello' });
+      await flush();
+
+      expect(sentTo(bob.ws)).toEqual([expect.not.objectContaining({ seq: expect.anything() })]);
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to record message to topic chat:', expect.any(Error));
+    });
+
+    it('should reply with a page of history', async () => {
+      alice.send({ type: 'history', topic: 'chat', after: 5, limit: 10, id: 'h1' });
+      await flush();
+
+      expect(roomHistory.page).toHaveBeenCalledWith('chat', { before: undefined, after: 5, limit: 10 });
+      expect(sentTo(alice.ws)).toEqual([
+        {
+          type: 'history',
+          id: 'h1',
+          topic: 'chat',
+          messages: [{ seq: 6, peer: 'carol', content: 'old', timestamp: 1 }],
+          hasMore: true,
+        },
+      ]);
+    });
+
+    it('should refuse history of topics the peer has not joined', async () => {
+      alice.send({ type: 'history', topic: 'secret', id: 'h2' });
+      await flush();
+
+      expect(roomHistory.page).not.toHaveBeenCalled();
+      expect(sentTo(alice.ws)).toEqual([expect.objectContaining({ code: 'NOT_SUBSCRIBED', id: 'h2', topic: 'secret' })]);
+    });
+
+    it('should tell peers when the server keeps no history', () => {
+      const carol = connect({});
+      carol.ws.send.mockClear();
+
+      carol.send({ type: 'history', topic: 'chat' });
+
+      expect(sentTo(carol.ws).map(({ code }) => code)).toEqual(['HISTORY_UNAVAILABLE']);
+    });
+  });
+
+  describe('session resumption', () => {
+    let sessions;
+    let roomRepository;
+    let alice;
+    let bob;
+
+    const sentTo = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+    // Connects a peer sharing the session store, optionally resuming a session
+    const connect = (resumeToken, options = {}) => {
+      const ws = { on: jest.fn(), send: jest.fn(), close: jest.fn(), terminate: jest.fn(), handlers: {} };
+      ws.on.mockImplementation((event, fn) => {
+        ws.handlers[event] = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, {
+        roomRepository,
+        sessions,
+        resumeToken,
+        ...options,
+      });
+      const send = (message) => ws.handlers.message(Buffer.from(JSON.stringify(message)));
+      return { ws, connection, send };
+    };
+    const welcomeOf = ({ ws }) => sentTo(ws).find(({ type }) => type === 'welcome');
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      sessions = new SessionStore({ gracePeriod: 1000 });
+      roomRepository = new RoomRepository();
+      alice = connect();
+      bob = connect();
+      alice.send({ type: 'hello', version: 1 });
+      alice.send({ type: 'join', topic: 'chat' });
+      bob.ws.send.mockClear();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should issue a resume token in the welcome', () => {
+      expect(welcomeOf(alice)).toMatchObject({
+        resumeToken: expect.any(String),
+        capabilities: expect.arrayContaining(['resume']),
+      });
+    });
+
+    it('should restore the peer ID and subscriptions without the others noticing', () => {
+      const { id } = alice.connection.getPeer();
+      alice.ws.handlers.close(1006);
+
+      const resumed = connect(welcomeOf(alice).resumeToken);
+
+      expect(welcomeOf(resumed)).toMatchObject({ peer: id, resumed: true, resumeToken: expect.any(String) });
+      expect(welcomeOf(resumed).resumeToken).not.toBe(welcomeOf(alice).resumeToken);
+      expect(roomRepository.getMembers('chat')).toEqual([id]);
+      expect(sentTo(bob.ws).map(({ type }) => type)).not.toContain('peer-left');
+      expect(sentTo(bob.ws).map(({ type }) => type)).not.toContain('peer-joined');
+    });
+
+    it('should deliver the messages sent while the peer was away', () => {
+      const { id } = alice.connection.getPeer();
+      alice.ws.handlers.close(1006);
+      bob.send({ type: 'message', to: id, content: 'are you there?' });
+      bob.send({ type: 'join', topic: 'chat' });
+      bob.send({ type: 'publish', topic: 'chat', content: 'anyone?' });
+
+      const resumed = connect(welcomeOf(alice).resumeToken);
+
+      const messages = sentTo(resumed.ws).filter(({ type }) => type === 'message');
+      expect(messages.map(({ content }) => content)).toEqual(['are you there?', 'anyone?']);
+      expect(sentTo(bob.ws)).toContainEqual(expect.objectContaining({ type: 'ack', delivered: [], buffered: [id] }));
+    });
+
+    it('should move direct messages to the mailbox once the grace period runs out', async () => {
+      const mailbox = { register: jest.fn(), store: jest.fn().mockResolvedValue(true) };
+      const carol = connect(undefined, { mailbox });
+      carol.send({ type: 'hello', version: 1 });
+      const { id } = carol.connection.getPeer();
+      carol.ws.handlers.close(1006);
+      bob.send({ type: 'message', to: id, content: 'are you there?' });
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mailbox.store).toHaveBeenCalledWith(
+        id,
+        expect.objectContaining({ peer: bob.connection.getPeer().id, content: 'are you there?' }),
+      );
+      expect(sentTo(bob.ws).map(({ code }) => code)).not.toContain('UNDELIVERED');
+    });
+
+    it('should tell senders when a direct message never reached the peer', async () => {
+      const { id } = alice.connection.getPeer();
+      alice.ws.handlers.close(1006);
+      bob.send({ type: 'message', to: id, content: 'are you there?' });
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(sentTo(bob.ws)).toContainEqual(expect.objectContaining({ type: 'error', code: 'UNDELIVERED', peers: [id] }));
+    });
+
+    it('should tell senders of direct messages that do not fit in the buffer', () => {
+      sessions = new SessionStore({ gracePeriod: 1000, maxBufferedMessages: 1 });
+      const carol = connect();
+      carol.send({ type: 'hello', version: 1 });
+      const { id } = carol.connection.getPeer();
+      carol.ws.handlers.close(1006);
+
+      bob.send({ type: 'message', to: id, content: 'first' });
+      bob.send({ type: 'message', to: id, content: 'second' });
+
+      const errors = sentTo(bob.ws).filter(({ type }) => type === 'error');
+      expect(errors).toEqual([expect.objectContaining({ code: 'UNDELIVERED', peers: [id] })]);
+      const resumed = connect(welcomeOf(carol).resumeToken);
+      expect(sentTo(resumed.ws).filter(({ type }) => type === 'message')).toEqual([
+        expect.objectContaining({ content: 'first' }),
+      ]);
+    });
+
+    it('should hand over messages still queued for the lost connection', () => {
+      alice.ws.bufferedAmount = Infinity;
+      bob.send({ type: 'message', to: alice.connection.getPeer().id, content: 'stuck' });
+      alice.ws.handlers.close(1006);
+
+      const resumed = connect(welcomeOf(alice).resumeToken);
+
+      expect(sentTo(resumed.ws).filter(({ type }) => type === 'message')).toEqual([
+        expect.objectContaining({ content: 'stuck' }),
+      ]);
+    });
+
+    it('should announce the departure once the grace period runs out', () => {
+      const { id } = alice.connection.getPeer();
+      bob.send({ type: 'join', topic: 'chat' });
+      alice.ws.handlers.close(1006);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(peerRepository.has(id)).toBe(false);
+      expect(roomRepository.getMembers('chat')).toEqual([bob.connection.getPeer().id]);
+      expect(sentTo(bob.ws)).toContainEqual({ type: 'peer-left', peer: expect.objectContaining({ id }) });
+    });
+
+    it('should remove peers that close their connection on purpose right away', () => {
+      const { id } = alice.connection.getPeer();
+      alice.ws.handlers.close(1000);
+
+      expect(peerRepository.has(id)).toBe(false);
+      const again = connect(welcomeOf(alice).resumeToken);
+      expect(sentTo(again.ws).map(({ code }) => code)).toContain('RESUME_FAILED');
+    });
+
+    it('should take over a connection that has not noticed it was lost', () => {
+      const { id } = alice.connection.getPeer();
+
+      const resumed = connect(welcomeOf(alice).resumeToken);
+
+      expect(alice.ws.terminate).toHaveBeenCalled();
+      expect(welcomeOf(resumed)).toMatchObject({ peer: id, resumed: true });
+      expect(peerRepository.get(id).ws).toBe(resumed.ws);
+
+      // The old socket closing eventually must not remove the resumed peer
+      alice.ws.handlers.close(1006);
+      jest.advanceTimersByTime(1000);
+      expect(peerRepository.get(id).ws).toBe(resumed.ws);
+    });
+
+    it('should ask for a new handshake when the session has expired', () => {
+      const expired = connect('unknown-token');
+
+      expect(sentTo(expired.ws).map(({ type }) => type)).toEqual(['all-peers', 'error']);
+      expect(sentTo(expired.ws).at(-1)).toMatchObject({ type: 'error', code: 'RESUME_FAILED' });
+      expect(peerRepository.has(expired.connection.getPeer().id)).toBe(true);
+    });
+
+    it('should let an authenticated peer back in without its token', () => {
+      const keys = createKeyPair();
+      const authenticate = (peer) => {
+        peer.send({ type: 'hello', version: 1, publicKey: keys.publicKey });
+        peer.send({ type: 'auth', signature: signChallenge(keys.privateKey, sentTo(peer.ws).at(-1).nonce) });
+      };
+      const carol = connect();
+      authenticate(carol);
+      carol.ws.handlers.close(1006);
+
+      const again = connect();
+      authenticate(again);
+
+      expect(sentTo(again.ws).at(-1)).toMatchObject({ type: 'welcome', peer: peerIdFromPublicKey(keys.publicKey) });
+      expect(sessions.size).toBe(0);
+    });
+  });
+
+  describe('presence', () => {
+    const createWs = () => {
+      const ws = { on: jest.fn(), send: jest.fn(), close: jest.fn(), handlers: {} };
+      ws.on.mockImplementation((event, fn) => {
+        ws.handlers[event] = fn;
+      });
+      return ws;
+    };
+    const sentTo = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+    const join = (ws, topic) => ws.handlers.message(Buffer.from(JSON.stringify({ type: 'join', topic })));
+
+    it('should only list the peer itself to a new peer without topics', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const newcomer = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+
+      expect(sentTo(ws)).toEqual([
+        { type: 'all-peers', peers: [peerRepository.getSerializable(newcomer.getPeer().id)] },
+      ]);
+      expect(sentTo(mockWebSocket).map(({ type }) => type)).not.toContain('peer-joined');
+    });
+
+    it('should introduce peers to each other once they share a topic', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const newcomer = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'join', topic: 'chat' })));
+      mockWebSocket.send.mockClear();
+
+      join(ws, 'chat');
+      join(ws, 'other');
+
+      expect(sentTo(mockWebSocket)).toEqual([
+        { type: 'peer-joined', peer: expect.objectContaining({ id: newcomer.getPeer().id }) },
+      ]);
+      expect(sentTo(ws).slice(1)).toEqual([
+        { type: 'peer-joined', peer: expect.objectContaining({ id: peerConnection.getPeer().id }) },
+        expect.objectContaining({ type: 'joined', topic: 'chat' }),
+        expect.objectContaining({ type: 'joined', topic: 'other' }),
+      ]);
+    });
+
+    it('should tell peers that no longer share a topic that they left each other', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const leaver = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      const leave = (topic) => ws.handlers.message(Buffer.from(JSON.stringify({ type: 'leave', topic })));
+      ['a', 'b'].forEach((topic) => {
+        mockMessageHandler(Buffer.from(JSON.stringify({ type: 'join', topic })));
+        join(ws, topic);
+      });
+      mockWebSocket.send.mockClear();
+      ws.send.mockClear();
+
+      leave('a');
+      expect(sentTo(mockWebSocket)).toEqual([]);
+
+      leave('b');
+      expect(sentTo(mockWebSocket)).toEqual([
+        { type: 'peer-left', peer: expect.objectContaining({ id: leaver.getPeer().id }) },
+      ]);
+      expect(sentTo(ws).map(({ type }) => type)).toEqual(['left', 'peer-left', 'left']);
+    });
+
+    it('should keep peers without a common topic from seeing or reaching each other', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      const send = (message) => ws.handlers.message(Buffer.from(JSON.stringify(message)));
+      mockMessageHandler(Buffer.from(JSON.stringify({ type: 'join', topic: 'app-a' })));
+      mockWebSocket.send.mockClear();
+
+      join(ws, 'app-b');
+      send({ type: 'hello', version: 1, profile: { name: 'Mallory' } });
+      send({ type: 'message', content: 'hello everyone' });
+      ws.handlers.close();
+
+      expect(sentTo(mockWebSocket)).toEqual([]);
+    });
+
+    it('should announce departures to the remaining peers', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const leaver = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      share(peerConnection, leaver);
+      mockWebSocket.send.mockClear();
+
+      ws.handlers.close();
+
+      expect(sentTo(mockWebSocket)).toEqual([
+        { type: 'peer-left', peer: expect.objectContaining({ id: leaver.getPeer().id }) },
+      ]);
+    });
+
+    it('should update lastActive on every message', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const peer = new PeerConnection(ws, peerRepository, messageService);
+      const id = peer.getPeer().id;
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(peer.getPeer().lastActive + 1000);
+
+      try {
+        ws.handlers.message(Buffer.from(JSON.stringify({ type: 'message', content: 'hello' })));
+      } finally {
+        nowSpy.mockRestore();
+      }
+
+      expect(peerRepository.getSerializable(id).lastActive).toBe(peer.getPeer().lastActive);
+      expect(peer.getPeer().lastActive).toBeGreaterThan(peer.getPeer().connectionCreated);
+    });
+
+    it('should announce activity at most once per presence interval', () => {
+      const ws = createWs();
+      // @ts-expect-error - Mocking WebSocket
+      const peer = new PeerConnection(ws, peerRepository, messageService, { roomRepository, presenceInterval: 5000 });
+      share(peerConnection, peer);
+      const start = peer.getPeer().connectionCreated;
+      const nowSpy = jest.spyOn(Date, 'now');
+      mockWebSocket.send.mockClear();
+
+      try {
+        [1000, 6000, 7000, 12000].forEach((offset) => {
+          nowSpy.mockReturnValue(start + offset);
+          ws.handlers.message(Buffer.from(JSON.stringify({ type: 'message', to: 'nobody', content: 'hi' })));
+        });
+      } finally {
+        nowSpy.mockRestore();
+      }
+
+      const updates = sentTo(mockWebSocket).filter(({ type }) => type === 'peer-updated');
+      expect(updates.map(({ peer: { lastActive } }) => lastActive - start)).toEqual([6000, 12000]);
+    });
+  });
+
+  describe('rate limiting', () => {
+    let ws;
+    let handlers;
+    let other;
+    let otherConnection;
+
+    const connect = (limits, rateLimiter = new RateLimiter({ messagesPerSecond: 1, messageBurst: 2, ...limits })) => {
+      ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+      handlers = {};
+      ws.on.mockImplementation((event, fn) => {
+        handlers[event] = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, {
+        roomRepository,
+        rateLimiter,
+        remoteAddress: '10.0.0.1',
+      });
+      share(connection, otherConnection);
+      ws.send.mockClear();
+      other.send.mockClear();
+      return { connection, rateLimiter };
+    };
+    const flood = (count) => {
+      for (let i = 0; i < count; i++) {
+        handlers.message(Buffer.from(JSON.stringify({ type: 'message', content: i })));
+      }
+    };
+    const codes = () => ws.send.mock.calls.map(([data]) => JSON.parse(data)).map(({ code }) => code);
+
+    beforeEach(() => {
+      other = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      otherConnection = new PeerConnection(other, peerRepository, messageService, { roomRepository });
+    });
+
+    it('should drop messages over the limit without telling the peer', () => {
+      const { rateLimiter } = connect({ penalty: 'drop' });
+
+      flood(5);
+
+      expect(other.send).toHaveBeenCalledTimes(2);
+      expect(codes().filter(Boolean)).toEqual([]);
+      expect(rateLimiter.getMetrics()).toMatchObject({ allowedMessages: 2, throttledMessages: 3 });
+    });
+
+    it('should warn the peer about dropped messages', () => {
+      connect({ penalty: 'warn' });
+
+      flood(3);
+
+      expect(other.send).toHaveBeenCalledTimes(2);
+      expect(codes().filter(Boolean)).toEqual(['RATE_LIMITED']);
+      expect(ws.close).not.toHaveBeenCalled();
+    });
+
+    it('should disconnect peers over the limit and ignore their later messages', () => {
+      const { rateLimiter } = connect({ penalty: 'disconnect' });
+
+      flood(5);
+
+      expect(ws.close).toHaveBeenCalledTimes(1);
+      expect(ws.close).toHaveBeenCalledWith(1008, 'Rate limit exceeded');
+      expect(rateLimiter.getMetrics()).toMatchObject({ disconnects: 1, throttledMessages: 1 });
+      expect(rateLimiter.isBanned('10.0.0.1')).toBe(false);
+    });
+
+    it('should not reset the limits of a peer that reconnects', () => {
+      const { rateLimiter } = connect({ penalty: 'warn' });
+      flood(2);
+      handlers.close(1000);
+
+      connect({}, rateLimiter);
+      flood(1);
+
+      expect(other.send).not.toHaveBeenCalled();
+      expect(codes().filter(Boolean)).toEqual(['RATE_LIMITED']);
+    });
+
+    it('should ban the address of peers over the limit', () => {
+      const { rateLimiter } = connect({ penalty: 'ban' });
+
+      flood(3);
+
+      expect(ws.close).toHaveBeenCalled();
+      expect(rateLimiter.isBanned('10.0.0.1')).toBe(true);
+    });
+
+    it('should not count throttled messages as activity', () => {
+      const { connection } = connect({ penalty: 'drop' });
+      const start = connection.getPeer().connectionCreated;
+      const nowSpy = jest.spyOn(Date, 'now');
+
+      try {
+        nowSpy.mockReturnValue(start + 10);
+        flood(2);
+        nowSpy.mockReturnValue(start + 100);
+        flood(1);
+      } finally {
+        nowSpy.mockRestore();
+      }
+
+      expect(connection.getPeer().lastActive).toBe(start + 10);
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should ping a live connection', () => {
+      expect(peerConnection.heartbeat()).toBe(true);
+      expect(mockWebSocket.ping).toHaveBeenCalledTimes(1);
+      expect(mockWebSocket.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should keep connections that answer pings', () => {
+      peerConnection.heartbeat();
+      mockPongHandler();
+
+      expect(peerConnection.heartbeat()).toBe(true);
+      expect(mockWebSocket.ping).toHaveBeenCalledTimes(2);
+    });
+
+    it('should terminate and remove connections that miss a ping', () => {
+      const other = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      share(peerConnection, new PeerConnection(other, peerRepository, messageService, { roomRepository }));
+      other.send.mockClear();
+
+      peerConnection.heartbeat();
+      expect(peerConnection.heartbeat()).toBe(false);
+
+      expect(mockWebSocket.terminate).toHaveBeenCalled();
+      expect(peerRepository.has(peerConnection.getPeer().id)).toBe(false);
+      // @ts-expect-error - Mocking WebSocket
+      expect(JSON.parse(other.send.mock.calls[0][0])).toEqual({
+        type: 'peer-left',
+        peer: expect.objectContaining({ id: peerConnection.getPeer().id }),
+      });
+    });
+
+    it('should terminate idle connections', () => {
+      const { lastActive } = peerConnection.getPeer();
+
+      expect(peerConnection.heartbeat(lastActive + 999, 1000)).toBe(true);
+      mockPongHandler();
+      expect(peerConnection.heartbeat(lastActive + 1000, 1000)).toBe(false);
+
+      expect(mockWebSocket.terminate).toHaveBeenCalled();
+      expect(peerRepository.getAll()).toHaveLength(0);
+    });
+
+    it('should not announce a terminated peer twice when the socket closes', () => {
+      const other = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      share(peerConnection, new PeerConnection(other, peerRepository, messageService, { roomRepository }));
+      other.send.mockClear();
+
+      peerConnection.heartbeat();
+      peerConnection.heartbeat();
+      mockCloseHandler();
+
+      expect(other.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('signaling', () => {
+    const OFFER_SDP = 'v=0\r\no=- 4611731400430051336 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n';
+    const ANSWER_SDP = 'v=0\r\no=- 1186498340916253470 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n';
+    const CANDIDATE = { candidate: 'candidate:1 1 UDP 2122252543 192.0.2.1 50000 typ host', sdpMid: '0' };
+
+    let signalingRepository;
+    let alice;
+    let bob;
+    let carol;
+
+    const lastSent = (ws) => JSON.parse(ws.send.mock.calls.at(-1)[0]);
+
+    // Connects a peer sharing the signaling repository and returns its id, websocket and message sender
+    const connect = () => {
+      const ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+      const handlers = {};
+      ws.on.mockImplementation((event, fn) => {
+        handlers[event] = fn;
+      });
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, { signalingRepository });
+      const send = (message) => handlers.message(Buffer.from(JSON.stringify(message)));
+      return { id: connection.getPeer().id, ws, send, close: () => handlers.close(1000) };
+    };
+
+    beforeEach(() => {
+      signalingRepository = new SignalingRepository({ maxSessionsPerPeer: 2 });
+      [alice, bob, carol] = [connect(), connect(), connect()];
+      [alice, bob, carol].forEach(({ ws }) => ws.send.mockClear());
+    });
+
+    it('should relay an offer, its answer and candidates to the addressed peer only', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+      expect(lastSent(bob.ws)).toEqual({ type: 'offer', peer: alice.id, session: 's1', sdp: OFFER_SDP });
+
+      bob.send({ type: 'answer', to: alice.id, session: 's1', sdp: ANSWER_SDP });
+      expect(lastSent(alice.ws)).toEqual({ type: 'answer', peer: bob.id, session: 's1', sdp: ANSWER_SDP });
+
+      alice.send({ type: 'ice-candidate', to: bob.id, session: 's1', candidate: CANDIDATE });
+      bob.send({ type: 'ice-candidate', to: alice.id, session: 's1', candidate: null });
+      expect(lastSent(bob.ws)).toEqual({ type: 'ice-candidate', peer: alice.id, session: 's1', candidate: CANDIDATE });
+      expect(lastSent(alice.ws)).toEqual({ type: 'ice-candidate', peer: bob.id, session: 's1', candidate: null });
+
+      expect(carol.ws.send).not.toHaveBeenCalled();
+      expect(alice.ws.send).toHaveBeenCalledTimes(2);
+      expect(bob.ws.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse signals to peers that are not connected', () => {
+      alice.send({ type: 'offer', to: 'gone', session: 's1', sdp: OFFER_SDP });
+
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'UNKNOWN_PEER', session: 's1', peers: ['gone'] });
+      expect(signalingRepository.get('s1')).toBeUndefined();
+    });
+
+    it('should refuse signals to the sender itself', () => {
+      alice.send({ type: 'offer', to: alice.id, session: 's1', sdp: OFFER_SDP });
+
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'INVALID_RECIPIENT', session: 's1' });
+    });
+
+    it('should refuse answers without a pending offer from the peer', () => {
+      bob.send({ type: 'answer', to: alice.id, session: 's1', sdp: ANSWER_SDP });
+      expect(lastSent(bob.ws)).toMatchObject({ type: 'error', code: 'UNKNOWN_SESSION', session: 's1' });
+
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+      alice.send({ type: 'answer', to: bob.id, session: 's1', sdp: ANSWER_SDP });
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'UNKNOWN_SESSION' });
+      expect(lastSent(bob.ws)).toMatchObject({ type: 'offer', peer: alice.id });
+    });
+
+    it('should refuse candidates outside a session between the two peers', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+
+      carol.send({ type: 'ice-candidate', to: bob.id, session: 's1', candidate: CANDIDATE });
+
+      expect(lastSent(carol.ws)).toMatchObject({ type: 'error', code: 'UNKNOWN_SESSION', session: 's1' });
+      expect(bob.ws.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse offers reusing the session ID of other peers', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+
+      carol.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+
+      expect(lastSent(carol.ws)).toMatchObject({ type: 'error', code: 'SESSION_IN_USE', session: 's1' });
+    });
+
+    it('should let either peer renegotiate a session', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+      bob.send({ type: 'answer', to: alice.id, session: 's1', sdp: ANSWER_SDP });
+
+      bob.send({ type: 'offer', to: alice.id, session: 's1', sdp: OFFER_SDP });
+      alice.send({ type: 'answer', to: bob.id, session: 's1', sdp: ANSWER_SDP });
+
+      expect(lastSent(bob.ws)).toEqual({ type: 'answer', peer: alice.id, session: 's1', sdp: ANSWER_SDP });
+    });
+
+    it('should limit the sessions each peer opens or accepts', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+      alice.send({ type: 'offer', to: carol.id, session: 's2', sdp: OFFER_SDP });
+      alice.send({ type: 'offer', to: carol.id, session: 's3', sdp: OFFER_SDP });
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'TOO_MANY_SESSIONS', session: 's3' });
+
+      carol.send({ type: 'offer', to: alice.id, session: 's4', sdp: OFFER_SDP });
+      alice.send({ type: 'answer', to: carol.id, session: 's4', sdp: ANSWER_SDP });
+      expect(lastSent(alice.ws)).toMatchObject({ type: 'error', code: 'TOO_MANY_SESSIONS', session: 's4' });
+    });
+
+    it('should not let unanswered offers use up the sessions of their recipient', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+      alice.send({ type: 'offer', to: bob.id, session: 's2', sdp: OFFER_SDP });
+
+      carol.send({ type: 'offer', to: bob.id, session: 's3', sdp: OFFER_SDP });
+      bob.send({ type: 'answer', to: carol.id, session: 's3', sdp: ANSWER_SDP });
+
+      expect(lastSent(carol.ws)).toEqual({ type: 'answer', peer: bob.id, session: 's3', sdp: ANSWER_SDP });
+    });
+
+    it('should close a session on hangup', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+
+      bob.send({ type: 'hangup', to: alice.id, session: 's1' });
+      expect(lastSent(alice.ws)).toEqual({ type: 'hangup', peer: bob.id, session: 's1' });
+      expect(signalingRepository.get('s1')).toBeUndefined();
+
+      // Hanging up a session that is already closed is a no-op
+      alice.send({ type: 'hangup', to: bob.id, session: 's1' });
+      expect(alice.ws.send).toHaveBeenCalledTimes(1);
+      expect(bob.ws.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hang up the sessions of a peer that disconnects', () => {
+      alice.send({ type: 'offer', to: bob.id, session: 's1', sdp: OFFER_SDP });
+      carol.send({ type: 'offer', to: alice.id, session: 's2', sdp: OFFER_SDP });
+
+      alice.close();
+
+      expect(bob.ws.send.mock.calls.map(([data]) => JSON.parse(data))).toContainEqual({
+        type: 'hangup',
+        peer: alice.id,
+        session: 's1',
+      });
+      expect(carol.ws.send.mock.calls.map(([data]) => JSON.parse(data))).toContainEqual({
+        type: 'hangup',
+        peer: alice.id,
+        session: 's2',
+      });
+      expect(signalingRepository.getSessions(bob.id)).toEqual([]);
+    });
+  });
+
+  describe('profiles', () => {
+    let bob;
+    let carol;
+
+    const send = (message) => mockMessageHandler(Buffer.from(JSON.stringify(message)));
+    const lastSent = () => JSON.parse(mockWebSocket.send.mock.calls.at(-1)[0]);
+
+    // Connects another peer with a profile and returns its id and websocket
+    const connect = (profile) => {
+      const ws = { on: jest.fn(), send: jest.fn() };
+      // @ts-expect-error - Mocking WebSocket
+      const connection = new PeerConnection(ws, peerRepository, messageService, { roomRepository });
+      share(peerConnection, connection);
+      ws.on.mock.calls.find(([event]) => event === 'message')[1](
+        Buffer.from(JSON.stringify({ type: 'hello', version: 1, profile })),
+      );
+      return { id: connection.getPeer().id, ws };
+    };
+
+    beforeEach(() => {
+      bob = connect({ name: 'Bob', client: 'chat/1.2.0', features: ['files', 'voice'], data: { team: 'blue' } });
+      carol = connect({ name: 'Carol', client: 'board/0.1.0', features: ['files'], data: { team: 'red' } });
+      [mockWebSocket, bob.ws, carol.ws].forEach((ws) => ws.send.mockClear());
+    });
+
+    it('should advertise the profile sent in the handshake', () => {
+      send({ type: 'hello', version: 1, profile: { name: 'Alice', client: null } });
+
+      expect(JSON.parse(bob.ws.send.mock.calls[0][0])).toEqual({
+        type: 'peer-updated',
+        peer: expect.objectContaining({ id: peerConnection.getPeer().id, profile: { name: 'Alice' } }),
+      });
+      expect(peerRepository.getAllSerializable().map(({ profile }) => profile?.name)).toContain('Alice');
+    });
+
+    it('should keep the profile of authenticated peers', () => {
+      const keys = createKeyPair();
+      send({ type: 'hello', version: 1, publicKey: keys.publicKey, profile: { name: 'Alice' } });
+      send({ type: 'auth', signature: signChallenge(keys.privateKey, lastSent().nonce) });
+
+      expect(peerRepository.getSerializable(peerIdFromPublicKey(keys.publicKey)).profile).toEqual({ name: 'Alice' });
+    });
+
+    it('should update the profile, keeping the fields left out and removing those set to null', () => {
+      send({ type: 'hello', version: 1, profile: { name: 'Alice', client: 'chat/1.0.0', features: ['files'] } });
+      send({ type: 'profile', id: 'p1', profile: { name: 'Alice L.', features: null, data: { team: 'blue' } } });
+
+      const profile = { name: 'Alice L.', client: 'chat/1.0.0', data: { team: 'blue' } };
+      expect(lastSent()).toEqual({ type: 'profile', id: 'p1', profile });
+      expect(peerRepository.getSerializable(peerConnection.getPeer().id).profile).toEqual(profile);
+      expect(JSON.parse(bob.ws.send.mock.calls.at(-1)[0])).toEqual({
+        type: 'peer-updated',
+        peer: expect.objectContaining({ id: peerConnection.getPeer().id, profile }),
+      });
+    });
+
+    it('should reject updates that make the profile too large', () => {
+      // Each update is under the limit on its own
+      const data = Object.fromEntries(Array.from({ length: 32 }, (_, i) => [`key${i}`, 'x'.repeat(64)]));
+      const features = Array.from({ length: 20 }, (_, i) => `${i}`.padEnd(100, 'x'));
+      send({ type: 'profile', profile: { data } });
+      send({ type: 'profile', id: 'p2', profile: { features } });
+
+      expect(lastSent()).toMatchObject({ type: 'error', code: 'PROFILE_TOO_LARGE', id: 'p2' });
+      expect(peerRepository.getSerializable(peerConnection.getPeer().id).profile).toEqual({ data });
+    });
+
+    it('should find the other peers matching a filter', () => {
+      send({ type: 'hello', version: 1, profile: { name: 'Alice', features: ['files', 'voice'] } });
+      const found = (filter, limit) => {
+        send({ type: 'find-peers', id: 'f1', filter, limit });
+        expect(lastSent()).toMatchObject({ type: 'peers', id: 'f1' });
+        return lastSent().peers.map(({ id }) => id);
+      };
+
+      expect(found()).toEqual([bob.id, carol.id]);
+      expect(found({ features: ['files', 'voice'] })).toEqual([bob.id]);
+      expect(found({ name: 'caro' })).toEqual([carol.id]);
+      expect(found({ client: 'chat/' })).toEqual([bob.id]);
+      expect(found({ features: ['files'], data: { team: 'red' } })).toEqual([carol.id]);
+      expect(found({ features: ['video'] })).toEqual([]);
+      expect(found({}, 1)).toHaveLength(1);
+      expect(lastSent().peers[0]).not.toHaveProperty('ws');
+    });
+
+    it('should not find peers without a common topic', () => {
+      roomRepository.leave('lobby', carol.id);
+
+      send({ type: 'find-peers', filter: { features: ['files'] } });
+
+      expect(lastSent().peers.map(({ id }) => id)).toEqual([bob.id]);
     });
   });
 
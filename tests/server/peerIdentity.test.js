@@ -0,0 +1,82 @@
+import {
+  canonicalize,
+  createChallenge,
+  createKeyPair,
+  parsePublicKey,
+  peerIdFromPublicKey,
+  signChallenge,
+  signContent,
+  verifyChallenge,
+  verifyContent,
+} from '../../server/peers/peerIdentity.js';
+
+describe('peerIdentity', () => {
+  let keys;
+
+  beforeEach(() => {
+    keys = createKeyPair();
+  });
+
+  describe('peerIdFromPublicKey', () => {
+    it('should derive a stable 32 character hex ID', () => {
+      const id = peerIdFromPublicKey(keys.publicKey);
+
+      expect(id).toMatch(/^[0-9a-f]{32}$/);
+      expect(peerIdFromPublicKey(keys.publicKey)).toBe(id);
+      expect(peerIdFromPublicKey(createKeyPair().publicKey)).not.toBe(id);
+    });
+
+    it('should reject malformed keys', () => {
+      expect(() => peerIdFromPublicKey('nope')).toThrow(TypeError);
+    });
+  });
+
+  describe('parsePublicKey', () => {
+    it('should only accept Ed25519 keys', async () => {
+      const { generateKeyPairSync } = await import('node:crypto');
+      const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const der = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+      expect(() => parsePublicKey(der)).toThrow('Public key must be an Ed25519 key');
+      expect(parsePublicKey(keys.publicKey).asymmetricKeyType).toBe('ed25519');
+    });
+  });
+
+  describe('challenges', () => {
+    it('should verify the owner of the key', () => {
+      const nonce = createChallenge();
+
+      expect(verifyChallenge(keys.publicKey, nonce, signChallenge(keys.privateKey, nonce))).toBe(true);
+      expect(verifyChallenge(keys.publicKey, createChallenge(), signChallenge(keys.privateKey, nonce))).toBe(false);
+      expect(verifyChallenge(createKeyPair().publicKey, nonce, signChallenge(keys.privateKey, nonce))).toBe(false);
+    });
+
+    it('should not accept a content signature as a challenge answer', () => {
+      const nonce = createChallenge();
+
+      expect(verifyChallenge(keys.publicKey, nonce, signContent(keys.privateKey, nonce))).toBe(false);
+    });
+  });
+
+  describe('content signatures', () => {
+    it('should verify regardless of key order', () => {
+      const signature = signContent(keys.privateKey, { b: 1, a: [1, { d: 2, c: 3 }] });
+
+      expect(verifyContent(keys.publicKey, { a: [1, { c: 3, d: 2 }], b: 1 }, signature)).toBe(true);
+      expect(verifyContent(keys.publicKey, { a: [1, { c: 3, d: 2 }], b: 2 }, signature)).toBe(false);
+    });
+
+    it('should treat malformed signatures as invalid', () => {
+      expect(verifyContent(keys.publicKey, 'hi', '***')).toBe(false);
+      expect(verifyContent('nope', 'hi', signContent(keys.privateKey, 'hi'))).toBe(false);
+    });
+  });
+
+  describe('canonicalize', () => {
+    it('should sort keys and drop undefined values like JSON', () => {
+      expect(canonicalize({ b: 1, a: { z: null, y: undefined }, 1: 'x' })).toBe('{"1":"x","a":{"z":null},"b":1}');
+      expect(canonicalize([undefined, 'a'])).toBe('[null,"a"]');
+      expect(canonicalize('text')).toBe('"text"');
+    });
+  });
+});
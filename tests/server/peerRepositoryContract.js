@@ -0,0 +1,297 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Defines the tests every PeerRepository backend must pass.
+ * @param {Object} backend - The backend under test
+ * @param {() => Promise<import('../../server/peers/peerRepository.js').PeerRepository>} backend.create - Creates
+ *   an empty, opened repository
+ * @param {(repository: import('../../server/peers/peerRepository.js').PeerRepository) => Promise<void>}
+ *   [backend.destroy] - Closes a repository and deletes what it stored
+ * @returns {void}
+ */
+export const describePeerRepository = ({ create, destroy = (repository) => repository.close() }) => {
+  describe('PeerRepository contract', () => {
+    let peerRepository;
+    let mockWebSocket;
+
+    beforeEach(async () => {
+      peerRepository = await create();
+      mockWebSocket = {
+        send: jest.fn(),
+        on: jest.fn(),
+      };
+    });
+
+    afterEach(async () => {
+      await destroy(peerRepository);
+    });
+
+    describe('createPeer', () => {
+      it('should create peer with required properties', () => {
+        const peer = peerRepository.createPeer();
+
+        expect(peer).toHaveProperty('id');
+        expect(peer).toHaveProperty('connectionCreated');
+        expect(peer).toHaveProperty('lastActive');
+        expect(peer.id).toHaveLength(32); // 16 bytes in hex = 32 characters
+      });
+
+      it('should create unique peers', () => {
+        const peers = Array.from({ length: 10 }, () => peerRepository.createPeer());
+        const uniqueIds = new Set(peers.map((p) => p.id));
+        expect(uniqueIds.size).toBe(10);
+      });
+
+      it('should set timestamps as numbers', () => {
+        const peer = peerRepository.createPeer();
+        expect(typeof peer.connectionCreated).toBe('number');
+        expect(typeof peer.lastActive).toBe('number');
+      });
+
+      it('should set recent timestamps', () => {
+        const now = Date.now();
+        const peer = peerRepository.createPeer();
+
+        expect(peer.connectionCreated).toBeLessThanOrEqual(now + 1000);
+        expect(peer.connectionCreated).toBeGreaterThan(now - 1000);
+        expect(peer.lastActive).toBeLessThanOrEqual(now + 1000);
+        expect(peer.lastActive).toBeGreaterThan(now - 1000);
+      });
+    });
+
+    describe('add', () => {
+      it('should add peer to repository', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const storedPeers = peerRepository.getAll();
+        expect(storedPeers).toHaveLength(1);
+        expect(storedPeers[0].id).toBe(peer.id);
+      });
+
+      it('should update existing peer', () => {
+        const peer = peerRepository.createPeer();
+        const initialWs = { send: jest.fn() };
+        const updatedWs = { send: jest.fn() };
+
+        // Add initial peer
+        peerRepository.add(peer.id, { ...peer, ws: initialWs });
+
+        // Update peer with new websocket
+        peerRepository.add(peer.id, { ...peer, ws: updatedWs });
+
+        const storedPeers = peerRepository.getAll();
+        expect(storedPeers).toHaveLength(1);
+        expect(storedPeers[0].ws).toBe(updatedWs);
+      });
+
+      it('should handle multiple peers', () => {
+        const peers = Array.from({ length: 5 }, () => {
+          const peer = peerRepository.createPeer();
+          return { ...peer, ws: mockWebSocket };
+        });
+
+        peers.forEach((peer) => peerRepository.add(peer.id, peer));
+        expect(peerRepository.getAll()).toHaveLength(5);
+      });
+    });
+
+    describe('get', () => {
+      it('should return a single peer with its websocket', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const stored = peerRepository.get(peer.id);
+        expect(stored.id).toBe(peer.id);
+        expect(stored.ws).toBe(mockWebSocket);
+      });
+
+      it('should return undefined for unknown peers', () => {
+        expect(peerRepository.get('non-existent-id')).toBeUndefined();
+        expect(peerRepository.get('toString')).toBeUndefined();
+      });
+
+      it('should return a copy of the peer', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        peerRepository.get(peer.id).newProperty = 'test';
+        expect(peerRepository.get(peer.id)).not.toHaveProperty('newProperty');
+      });
+    });
+
+    describe('getSerializable', () => {
+      it('should return a single peer without websocket', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        expect(peerRepository.getSerializable(peer.id)).toEqual(peer);
+      });
+
+      it('should return undefined for unknown peers', () => {
+        expect(peerRepository.getSerializable('non-existent-id')).toBeUndefined();
+      });
+    });
+
+    describe('touch', () => {
+      it('should update lastActive', () => {
+        const peer = { ...peerRepository.createPeer(), lastActive: 0 };
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const touched = peerRepository.touch(peer.id);
+
+        expect(touched.lastActive).toBeGreaterThan(0);
+        expect(touched).not.toHaveProperty('ws');
+        expect(peerRepository.getSerializable(peer.id).lastActive).toBe(touched.lastActive);
+      });
+
+      it('should ignore unknown peers', () => {
+        expect(peerRepository.touch('non-existent-id')).toBeUndefined();
+      });
+    });
+
+    describe('update', () => {
+      it('should merge fields into the peer', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const updated = peerRepository.update(peer.id, { encryptionKey: 'key', id: 'other' });
+
+        expect(updated).toEqual({ ...peer, encryptionKey: 'key' });
+        expect(peerRepository.get(peer.id).ws).toBe(mockWebSocket);
+      });
+
+      it('should ignore unknown peers', () => {
+        expect(peerRepository.update('non-existent-id', { encryptionKey: 'key' })).toBeUndefined();
+        expect(peerRepository.getAll()).toHaveLength(0);
+      });
+    });
+
+    describe('has', () => {
+      it('should report whether a peer is connected', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        expect(peerRepository.has(peer.id)).toBe(true);
+        expect(peerRepository.has('non-existent-id')).toBe(false);
+        expect(peerRepository.has('toString')).toBe(false);
+      });
+    });
+
+    describe('remove', () => {
+      it('should remove peer from repository', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        expect(peerRepository.getAll()).toHaveLength(1);
+
+        peerRepository.remove(peer.id);
+        expect(peerRepository.getAll()).toHaveLength(0);
+      });
+
+      it('should handle removing non-existent peer', () => {
+        expect(() => peerRepository.remove('non-existent-id')).not.toThrow();
+      });
+
+      it('should only remove specified peer', () => {
+        const peer1 = peerRepository.createPeer();
+        const peer2 = peerRepository.createPeer();
+
+        peerRepository.add(peer1.id, { ...peer1, ws: mockWebSocket });
+        peerRepository.add(peer2.id, { ...peer2, ws: mockWebSocket });
+
+        peerRepository.remove(peer1.id);
+
+        const remainingPeers = peerRepository.getAll();
+        expect(remainingPeers).toHaveLength(1);
+        expect(remainingPeers[0].id).toBe(peer2.id);
+      });
+    });
+
+    describe('getAllSerializable', () => {
+      it('should return peers without websocket', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const serializedPeers = peerRepository.getAllSerializable();
+        expect(serializedPeers).toHaveLength(1);
+        expect(serializedPeers[0]).not.toHaveProperty('ws');
+        expect(serializedPeers[0].id).toBe(peer.id);
+      });
+
+      it('should handle empty repository', () => {
+        const serializedPeers = peerRepository.getAllSerializable();
+        expect(serializedPeers).toEqual([]);
+      });
+
+      it('should maintain peer data except websocket', () => {
+        const peer = peerRepository.createPeer();
+        const extraData = {
+          name: 'test peer',
+          data: { foo: 'bar' },
+        };
+
+        peerRepository.add(peer.id, { ...peer, ...extraData, ws: mockWebSocket });
+
+        const serializedPeers = peerRepository.getAllSerializable();
+        expect(serializedPeers[0]).toEqual(expect.objectContaining(extraData));
+      });
+    });
+
+    describe('getAll', () => {
+      it('should return all peers with websocket', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const allPeers = peerRepository.getAll();
+        expect(allPeers).toHaveLength(1);
+        expect(allPeers[0].ws).toBe(mockWebSocket);
+        expect(allPeers[0].id).toBe(peer.id);
+      });
+
+      it('should handle empty repository', () => {
+        const allPeers = peerRepository.getAll();
+        expect(allPeers).toEqual([]);
+      });
+
+      it('should return deep copy of peers', () => {
+        const peer = peerRepository.createPeer();
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+
+        const allPeers = peerRepository.getAll();
+        allPeers[0].newProperty = 'test';
+
+        // Original peer should not be modified
+        expect(peerRepository.getAll()[0]).not.toHaveProperty('newProperty');
+      });
+    });
+
+    describe('find', () => {
+      const addPeer = (profile) => {
+        const peer = { ...peerRepository.createPeer(), profile };
+        peerRepository.add(peer.id, { ...peer, ws: mockWebSocket });
+        return peer.id;
+      };
+
+      it('should return the peers matching every field of the filter', () => {
+        const bob = addPeer({ name: 'Bob', client: 'chat/1.2.0', features: ['files', 'voice'], data: { team: 'blue' } });
+        const carol = addPeer({ name: 'Carol', client: 'board/0.1.0', features: ['files'], data: { team: 'red' } });
+        const dave = addPeer(undefined);
+
+        const ids = (filter) => peerRepository.find(filter).map(({ id }) => id);
+        expect(ids()).toEqual([bob, carol, dave]);
+        expect(ids({ name: 'CAR' })).toEqual([carol]);
+        expect(ids({ client: 'chat/' })).toEqual([bob]);
+        expect(ids({ features: ['files'] })).toEqual([bob, carol]);
+        expect(ids({ features: ['files'], data: { team: 'blue' } })).toEqual([bob]);
+        expect(ids({ data: { team: 'green' } })).toEqual([]);
+      });
+
+      it('should return peers without websocket', () => {
+        addPeer({ name: 'Bob' });
+
+        expect(peerRepository.find({ name: 'Bob' })[0]).not.toHaveProperty('ws');
+      });
+    });
+  });
+};
@@ -11,7 +11,7 @@ await jest.unstable_mockModule('ws', () => ({
   WebSocket: jest.fn(() => mockWebSocket),
 }));
 
-const { PeerRepository } = await import('../../server/peers/peerRepository.js');
+const { MemoryPeerRepository } = await import('../../server/peers/memoryPeerRepository.js');
 const { PeerConnection } = await import('../../server/peers/peerConnection.js');
 const { MessageService } = await import('../../server/messages/messageService.js');
 
@@ -22,7 +22,7 @@ describe('Peer Management', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
-    peerRepository = new PeerRepository();
+    peerRepository = new MemoryPeerRepository();
     messageService = new MessageService();
     // @ts-expect-error - Mocking WebSocket
     peerConnection = new PeerConnection(mockWebSocket, peerRepository, messageService);
@@ -0,0 +1,235 @@
+import {
+  ERROR_CODES,
+  MAX_FEATURES,
+  MAX_FIND_RESULTS,
+  MAX_HISTORY_PAGE,
+  MAX_PROFILE_FIELD_LENGTH,
+  MAX_PROFILE_SIZE,
+  MAX_RECIPIENTS,
+  MAX_SESSION_ID_LENGTH,
+  MESSAGE_TYPES,
+  isSupportedVersion,
+  parseMessage,
+} from '../../server/messages/protocol.js';
+
+const parse = (message, maxSize) => parseMessage(Buffer.from(JSON.stringify(message)), maxSize);
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+describe('protocol', () => {
+  describe('parseMessage', () => {
+    it('should return valid messages', () => {
+      expect(parse({ type: 'message', content: 'hi' })).toEqual({ type: 'message', content: 'hi' });
+      expect(parse({ type: 'join', topic: 'chat' })).toEqual({ type: 'join', topic: 'chat' });
+      expect(parseMessage('{"type":"hello","version":1}')).toEqual({ type: 'hello', version: 1 });
+    });
+
+    it('should know every client message type', () => {
+      expect(MESSAGE_TYPES).toEqual([
+        'hello',
+        'auth',
+        'message',
+        'join',
+        'leave',
+        'publish',
+        'history',
+        'offer',
+        'answer',
+        'ice-candidate',
+        'hangup',
+        'profile',
+        'find-peers',
+        'keys',
+      ]);
+    });
+
+    it('should reject messages over the size limit', () => {
+      expect(codeOf(() => parse({ type: 'message', content: 'x'.repeat(100) }, 50))).toBe(
+        ERROR_CODES.MESSAGE_TOO_LARGE
+      );
+    });
+
+    it('should measure the size in bytes', () => {
+      const message = JSON.stringify({ type: 'message', content: 'é'.repeat(20) });
+      expect(codeOf(() => parseMessage(message, message.length))).toBe(ERROR_CODES.MESSAGE_TOO_LARGE);
+    });
+
+    it('should reject anything but JSON objects', () => {
+      ['nope', '{', 'null', '42', '[]'].forEach((data) => {
+        expect(codeOf(() => parseMessage(data))).toBe(ERROR_CODES.MALFORMED_MESSAGE);
+      });
+    });
+
+    it('should reject unknown types', () => {
+      expect(codeOf(() => parse({ content: 'hi' }))).toBe(ERROR_CODES.UNKNOWN_TYPE);
+      expect(codeOf(() => parse({ type: 'welcome' }))).toBe(ERROR_CODES.UNKNOWN_TYPE);
+      expect(codeOf(() => parse({ type: '__proto__' }))).toBe(ERROR_CODES.UNKNOWN_TYPE);
+    });
+
+    it('should validate recipients', () => {
+      const to = Array.from({ length: MAX_RECIPIENTS + 1 }, (_, i) => `peer-${i}`);
+      expect(codeOf(() => parse({ type: 'message', content: 'hi', to }))).toBe(ERROR_CODES.INVALID_RECIPIENT);
+      expect(codeOf(() => parse({ type: 'message', content: 'hi', to: ['a', null] }))).toBe(
+        ERROR_CODES.INVALID_RECIPIENT
+      );
+    });
+
+    it('should attach the topic and client reference to validation errors', () => {
+      try {
+        parse({ type: 'publish', topic: '', content: 'hi', id: 'r1' });
+        throw new Error('Expected a protocol error');
+      } catch (error) {
+        expect(error.code).toBe(ERROR_CODES.INVALID_TOPIC);
+        expect(error.details).toEqual({ id: 'r1', topic: '' });
+      }
+    });
+
+    it('should validate authentication fields', () => {
+      expect(codeOf(() => parse({ type: 'hello', version: 1, publicKey: 42 }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'auth' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'message', content: 'hi', signature: {} }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    it('should validate encrypted messages', () => {
+      const envelope = { alg: 'x', ephemeralKey: 'a', nonce: 'b', ciphertext: 'c', tag: 'd' };
+
+      expect(parse({ type: 'message', to: 'bob', encrypted: true, content: envelope }).content).toEqual(envelope);
+      expect(codeOf(() => parse({ type: 'message', encrypted: true, content: envelope }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(codeOf(() => parse({ type: 'message', to: ['bob'], encrypted: true, content: envelope }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(codeOf(() => parse({ type: 'message', to: 'bob', encrypted: true, content: 'plain' }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    it('should only accept an encryption key signature along with the key', () => {
+      expect(codeOf(() => parse({ type: 'hello', version: 1, encryptionKeySignature: 'sig' }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    it('should require content for publish', () => {
+      expect(codeOf(() => parse({ type: 'publish', topic: 'chat' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+    });
+
+    it('should validate history requests', () => {
+      expect(parse({ type: 'history', topic: 'chat', after: 0, limit: 10 })).toEqual({
+        type: 'history',
+        topic: 'chat',
+        after: 0,
+        limit: 10,
+      });
+      expect(codeOf(() => parse({ type: 'history' }))).toBe(ERROR_CODES.INVALID_TOPIC);
+      expect(codeOf(() => parse({ type: 'history', topic: 'chat', before: -1 }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'history', topic: 'chat', after: '3' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'history', topic: 'chat', before: 5, after: 1 }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(codeOf(() => parse({ type: 'history', topic: 'chat', limit: 0 }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'history', topic: 'chat', limit: MAX_HISTORY_PAGE + 1 }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    it('should validate signaling messages', () => {
+      expect(parse({ type: 'offer', to: 'bob', session: 's1', sdp: 'v=0' })).toEqual({
+        type: 'offer',
+        to: 'bob',
+        session: 's1',
+        sdp: 'v=0',
+      });
+      expect(parse({ type: 'ice-candidate', to: 'bob', session: 's1', candidate: null }).candidate).toBeNull();
+      expect(parse({ type: 'hangup', to: 'bob', session: 's1' }).type).toBe('hangup');
+
+      expect(codeOf(() => parse({ type: 'offer', to: ['bob'], session: 's1', sdp: 'v=0' }))).toBe(
+        ERROR_CODES.INVALID_RECIPIENT
+      );
+      expect(codeOf(() => parse({ type: 'answer', to: 'bob', sdp: 'v=0' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(
+        codeOf(() => parse({ type: 'answer', to: 'bob', session: 'x'.repeat(MAX_SESSION_ID_LENGTH + 1), sdp: 'v=0' }))
+      ).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'offer', to: 'bob', session: 's1', sdp: {} }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(codeOf(() => parse({ type: 'ice-candidate', to: 'bob', session: 's1', candidate: 'x' }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+  });
+
+  describe('profiles', () => {
+    it('should validate profiles', () => {
+      const profile = { name: 'Alice', client: 'chat/1.2.0', features: ['files'], data: { team: 'blue', level: 3 } };
+      expect(parse({ type: 'profile', profile }).profile).toEqual(profile);
+      expect(parse({ type: 'hello', version: 1, profile }).profile).toEqual(profile);
+      expect(parse({ type: 'profile', profile: { name: null, features: null } }).profile.name).toBeNull();
+
+      expect(codeOf(() => parse({ type: 'profile' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'profile', profile: { avatar: 'x' } }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'hello', version: 1, profile: ['Alice'] }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(
+        codeOf(() => parse({ type: 'profile', profile: { name: 'x'.repeat(MAX_PROFILE_FIELD_LENGTH + 1) } }))
+      ).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'profile', profile: { client: 2 } }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'profile', profile: { features: [''] } }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(
+        codeOf(() =>
+          parse({ type: 'profile', profile: { features: Array.from({ length: MAX_FEATURES + 1 }, (_, i) => `f${i}`) } })
+        )
+      ).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'profile', profile: { data: { nested: {} } } }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    it('should limit the size of profiles', () => {
+      const data = Object.fromEntries(Array.from({ length: 64 }, (_, i) => [`key${i}`, 'x'.repeat(64)]));
+      expect(JSON.stringify({ data }).length).toBeGreaterThan(MAX_PROFILE_SIZE);
+
+      expect(codeOf(() => parse({ type: 'profile', profile: { data } }))).toBe(ERROR_CODES.PROFILE_TOO_LARGE);
+    });
+
+    it('should validate find-peers requests', () => {
+      expect(parse({ type: 'find-peers' })).toEqual({ type: 'find-peers' });
+      expect(parse({ type: 'find-peers', filter: { features: ['files'], data: { team: 'blue' } }, limit: 5 })).toEqual({
+        type: 'find-peers',
+        filter: { features: ['files'], data: { team: 'blue' } },
+        limit: 5,
+      });
+
+      expect(codeOf(() => parse({ type: 'find-peers', filter: 'files' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'find-peers', filter: { features: 'files' } }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(codeOf(() => parse({ type: 'find-peers', filter: { name: 1 } }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'find-peers', limit: MAX_FIND_RESULTS + 1 }))).toBe(
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    it('should validate keys requests', () => {
+      expect(parse({ type: 'keys', peer: 'abc', id: 'k1' })).toEqual({ type: 'keys', peer: 'abc', id: 'k1' });
+
+      expect(codeOf(() => parse({ type: 'keys' }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+      expect(codeOf(() => parse({ type: 'keys', peer: 1 }))).toBe(ERROR_CODES.INVALID_MESSAGE);
+    });
+  });
+
+  describe('isSupportedVersion', () => {
+    it('should accept the current version only', () => {
+      expect(isSupportedVersion(1)).toBe(true);
+      expect(isSupportedVersion(2)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { PENALTIES, RateLimiter } from '../../server/limits/rateLimiter.js';
+
+describe('RateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new RateLimiter({ messagesPerSecond: 2, messageBurst: 2, bytesPerSecond: 100, byteBurst: 100 });
+  });
+
+  it('should default to warning and derive bursts from the rates', () => {
+    const defaults = new RateLimiter({ messagesPerSecond: 5 });
+
+    expect(defaults.penalty).toBe(PENALTIES.WARN);
+    expect(defaults.messageBurst).toBe(10);
+    expect(defaults.byteBurst).toBe(4 * defaults.bytesPerSecond);
+  });
+
+  it('should reject unknown penalties', () => {
+    expect(() => new RateLimiter({ penalty: 'spank' })).toThrow('Unknown rate limit penalty: spank');
+  });
+
+  it('should limit messages per connection', () => {
+    const a = {};
+    const b = {};
+
+    expect([1, 2, 3].map(() => limiter.consume(a, 1, 0))).toEqual([true, true, false]);
+    expect(limiter.consume(b, 1, 0)).toBe(true);
+    expect(limiter.consume(a, 1, 500)).toBe(true);
+  });
+
+  it('should keep the limits of an address across its connections', () => {
+    expect([1, 2].map(() => limiter.consume('10.0.0.1', 1, 0))).toEqual([true, true]);
+
+    // A new connection from the same address
+    expect(limiter.consume('10.0.0.1', 1, 0)).toBe(false);
+    expect(limiter.consume('10.0.0.2', 1, 0)).toBe(true);
+  });
+
+  it('should forget the buckets of addresses that stopped sending', () => {
+    limiter.consume('10.0.0.1', 1, 0);
+    limiter.consume('10.0.0.2', 1, 0);
+    limiter.consume('10.0.0.2', 1, 60000 - 1);
+
+    limiter.consume('10.0.0.3', 1, 60000);
+
+    expect([...limiter.addressBuckets.keys()]).toEqual(['10.0.0.2', '10.0.0.3']);
+  });
+
+  it('should limit bytes per connection', () => {
+    const connection = {};
+
+    expect(limiter.consume(connection, 80, 0)).toBe(true);
+    expect(limiter.consume(connection, 30, 0)).toBe(false);
+    expect(limiter.consume(connection, 20, 0)).toBe(true);
+  });
+
+  it('should not spend message tokens on messages throttled for their size', () => {
+    const connection = {};
+
+    expect(limiter.consume(connection, 500, 0)).toBe(false);
+    expect(limiter.consume(connection, 1, 0)).toBe(true);
+    expect(limiter.consume(connection, 1, 0)).toBe(true);
+  });
+
+  it('should count allowed and throttled traffic', () => {
+    const connection = {};
+    [10, 10, 10].forEach((size) => limiter.consume(connection, size, 0));
+
+    expect(limiter.getMetrics()).toMatchObject({ allowedMessages: 2, throttledMessages: 1, throttledBytes: 10 });
+  });
+
+  it('should ban addresses for a while', () => {
+    limiter = new RateLimiter({ banDuration: 1000 });
+    limiter.ban('10.0.0.1', 0);
+
+    expect(limiter.isBanned('10.0.0.1', 999)).toBe(true);
+    expect(limiter.isBanned('10.0.0.2', 999)).toBe(false);
+    expect(limiter.isBanned('10.0.0.1', 1000)).toBe(false);
+    expect(limiter.getMetrics().bans).toBe(1);
+  });
+});
@@ -0,0 +1,99 @@
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { RoomHistory } from '../../server/rooms/roomHistory.js';
+import { HybridStorage } from '../../dht/storage/hybridStorage.js';
+
+describe('RoomHistory', () => {
+  const TEST_DB_PATH = join(process.cwd(), 'test-db-history');
+  let storage;
+  let history;
+
+  const message = (content) => ({ peer: 'alice', content });
+  const appendAll = (topic, contents) => Promise.all(contents.map((content) => history.append(topic, message(content))));
+  const contentsOf = ({ messages }) => messages.map(({ content }) => content);
+
+  beforeEach(() => {
+    storage = new HybridStorage({ dbPath: TEST_DB_PATH });
+    history = new RoomHistory({ storage, maxMessagesPerTopic: 5 });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should require a storage', () => {
+    expect(() => new RoomHistory()).toThrow('storage is required for RoomHistory');
+  });
+
+  it('should number messages in the order they were appended', async () => {
+    const entries = await appendAll('chat', ['a', 'b', 'c']);
+
+    expect(entries.map(({ seq }) => seq)).toEqual([1, 2, 3]);
+    expect(entries[0]).toMatchObject({ seq: 1, peer: 'alice', content: 'a', timestamp: expect.any(Number) });
+  });
+
+  it('should number each topic separately', async () => {
+    await appendAll('chat', ['a', 'b']);
+    const entry = await history.append('chat:dev', message('c'));
+
+    expect(entry.seq).toBe(1);
+    expect(contentsOf(await history.page('chat'))).toEqual(['a', 'b']);
+  });
+
+  it('should continue the sequence after a restart', async () => {
+    await appendAll('chat', ['a', 'b']);
+
+    const restarted = new RoomHistory({ storage });
+
+    expect((await restarted.append('chat', message('c'))).seq).toBe(3);
+  });
+
+  it('should keep only the latest messages of a topic', async () => {
+    await appendAll('chat', [1, 2, 3, 4, 5, 6, 7]);
+
+    const page = await history.page('chat');
+
+    expect(page.messages.map(({ seq }) => seq)).toEqual([3, 4, 5, 6, 7]);
+    expect(page.hasMore).toBe(false);
+  });
+
+  describe('page', () => {
+    beforeEach(async () => {
+      history = new RoomHistory({ storage });
+      await appendAll('chat', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    });
+
+    it('should return the latest messages without a cursor', async () => {
+      const page = await history.page('chat', { limit: 3 });
+
+      expect(contentsOf(page)).toEqual([8, 9, 10]);
+      expect(page.hasMore).toBe(true);
+    });
+
+    it('should scroll back from a cursor', async () => {
+      const page = await history.page('chat', { before: 8, limit: 3 });
+      expect(contentsOf(page)).toEqual([5, 6, 7]);
+      expect(page.hasMore).toBe(true);
+
+      const first = await history.page('chat', { before: 3, limit: 3 });
+      expect(contentsOf(first)).toEqual([1, 2]);
+      expect(first.hasMore).toBe(false);
+    });
+
+    it('should catch up from the last sequence number seen', async () => {
+      const page = await history.page('chat', { after: 4, limit: 3 });
+
+      expect(contentsOf(page)).toEqual([5, 6, 7]);
+      expect(page.hasMore).toBe(true);
+
+      const last = await history.page('chat', { after: 7, limit: 3 });
+      expect(contentsOf(last)).toEqual([8, 9, 10]);
+      expect(last.hasMore).toBe(false);
+    });
+
+    it('should return an empty page for unknown topics', async () => {
+      expect(await history.page('empty')).toEqual({ messages: [], hasMore: false });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { RoomRepository } from '../../server/rooms/roomRepository.js';
+
+describe('RoomRepository', () => {
+  let roomRepository;
+
+  beforeEach(() => {
+    roomRepository = new RoomRepository();
+  });
+
+  describe('join', () => {
+    it('should add the peer to the topic', () => {
+      expect(roomRepository.join('chat', 'peer1')).toBe(true);
+
+      expect(roomRepository.getMembers('chat')).toEqual(['peer1']);
+      expect(roomRepository.getTopics('peer1')).toEqual(['chat']);
+      expect(roomRepository.isMember('chat', 'peer1')).toBe(true);
+    });
+
+    it('should report repeated joins', () => {
+      roomRepository.join('chat', 'peer1');
+
+      expect(roomRepository.join('chat', 'peer1')).toBe(false);
+      expect(roomRepository.getMembers('chat')).toEqual(['peer1']);
+    });
+
+    it('should keep topics isolated', () => {
+      roomRepository.join('app-a', 'peer1');
+      roomRepository.join('app-b', 'peer2');
+
+      expect(roomRepository.getMembers('app-a')).toEqual(['peer1']);
+      expect(roomRepository.getMembers('app-b')).toEqual(['peer2']);
+    });
+  });
+
+  describe('leave', () => {
+    it('should remove the peer from the topic', () => {
+      roomRepository.join('chat', 'peer1');
+      roomRepository.join('chat', 'peer2');
+
+      expect(roomRepository.leave('chat', 'peer1')).toBe(true);
+      expect(roomRepository.getMembers('chat')).toEqual(['peer2']);
+      expect(roomRepository.getTopics('peer1')).toEqual([]);
+    });
+
+    it('should discard empty topics', () => {
+      roomRepository.join('chat', 'peer1');
+      roomRepository.leave('chat', 'peer1');
+
+      expect(roomRepository.rooms.has('chat')).toBe(false);
+      expect(roomRepository.subscriptions.has('peer1')).toBe(false);
+    });
+
+    it('should handle leaving a topic the peer never joined', () => {
+      expect(roomRepository.leave('chat', 'peer1')).toBe(false);
+    });
+  });
+
+  describe('leaveAll', () => {
+    it('should remove the peer from every topic', () => {
+      roomRepository.join('a', 'peer1');
+      roomRepository.join('b', 'peer1');
+      roomRepository.join('b', 'peer2');
+
+      expect(roomRepository.leaveAll('peer1').sort()).toEqual(['a', 'b']);
+      expect(roomRepository.getMembers('a')).toEqual([]);
+      expect(roomRepository.getMembers('b')).toEqual(['peer2']);
+    });
+
+    it('should handle peers without topics', () => {
+      expect(roomRepository.leaveAll('peer1')).toEqual([]);
+    });
+  });
+
+  describe('getNeighbours', () => {
+    it('should list the other peers sharing a topic, once each', () => {
+      roomRepository.join('a', 'peer1');
+      roomRepository.join('b', 'peer1');
+      roomRepository.join('a', 'peer2');
+      roomRepository.join('b', 'peer2');
+      roomRepository.join('b', 'peer3');
+      roomRepository.join('c', 'peer4');
+
+      expect(roomRepository.getNeighbours('peer1').sort()).toEqual(['peer2', 'peer3']);
+      expect(roomRepository.getNeighbours('peer4')).toEqual([]);
+    });
+
+    it('should handle peers without topics', () => {
+      expect(roomRepository.getNeighbours('peer1')).toEqual([]);
+    });
+  });
+});
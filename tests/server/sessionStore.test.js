@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { BufferedSocket, SessionStore } from '../../server/peers/sessionStore.js';
+
+describe('SessionStore', () => {
+  let sessions;
+  const session = (id = 'peer') => ({ peer: { id }, session: { version: 1 }, socket: new BufferedSocket() });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sessions = new SessionStore({ gracePeriod: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should issue distinct URL-safe tokens', () => {
+    const first = sessions.issue(() => {});
+    const second = sessions.issue(() => {});
+
+    expect(first).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(first).not.toBe(second);
+  });
+
+  it('should resume a suspended session once', () => {
+    const token = sessions.issue(() => {});
+    const suspended = session();
+    sessions.suspend(token, suspended, jest.fn());
+
+    expect(sessions.resume(token)).toBe(suspended);
+    expect(sessions.resume(token)).toBeNull();
+    expect(sessions.size).toBe(0);
+  });
+
+  it('should expire sessions after the grace period', () => {
+    const expire = jest.fn();
+    const token = sessions.issue(() => {});
+    sessions.suspend(token, session(), expire);
+
+    jest.advanceTimersByTime(999);
+    expect(expire).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(expire).toHaveBeenCalledTimes(1);
+    expect(sessions.resume(token)).toBeNull();
+  });
+
+  it('should not expire resumed sessions', () => {
+    const expire = jest.fn();
+    const token = sessions.issue(() => {});
+    sessions.suspend(token, session(), expire);
+
+    sessions.resume(token);
+    jest.advanceTimersByTime(1000);
+
+    expect(expire).not.toHaveBeenCalled();
+  });
+
+  it('should take over a connection that still looks open', () => {
+    const suspended = session();
+    const token = sessions.issue(() => sessions.suspend(token, suspended, jest.fn()));
+
+    expect(sessions.resume(token)).toBe(suspended);
+  });
+
+  it('should not resume released tokens', () => {
+    const takeover = jest.fn();
+    const token = sessions.issue(takeover);
+
+    sessions.release(token);
+
+    expect(sessions.resume(token)).toBeNull();
+    expect(takeover).not.toHaveBeenCalled();
+  });
+
+  it('should end the suspended session of a peer right away', () => {
+    const expire = jest.fn();
+    sessions.suspend(sessions.issue(() => {}), session('alice'), expire);
+
+    expect(sessions.end('bob')).toBe(false);
+    expect(sessions.end('alice')).toBe(true);
+    expect(expire).toHaveBeenCalledTimes(1);
+    expect(sessions.size).toBe(0);
+  });
+});
+
+describe('BufferedSocket', () => {
+  it('should keep the most recent messages', () => {
+    const socket = new BufferedSocket(2);
+    const callback = jest.fn();
+
+    ['a', 'b', 'c'].forEach((data) => socket.send(data, callback));
+
+    expect(socket.messages).toEqual(['b', 'c']);
+    expect(callback).toHaveBeenCalledTimes(3);
+  });
+
+  it('should drop other messages before direct messages', () => {
+    const onDrop = jest.fn();
+    const socket = new BufferedSocket(2, onDrop);
+    const direct = (content) => JSON.stringify({ type: 'message', peer: 'bob', direct: true, content });
+
+    [direct(1), 'presence', direct(2), direct(3), 'topic'].forEach((data) => socket.send(data));
+
+    expect(socket.messages).toEqual([direct(1), direct(2)]);
+    expect(socket.directMessages).toEqual([direct(1), direct(2)]);
+    expect(onDrop).toHaveBeenCalledTimes(1);
+    expect(onDrop).toHaveBeenCalledWith(direct(3));
+  });
+});
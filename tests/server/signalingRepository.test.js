@@ -0,0 +1,99 @@
+import { SignalingRepository } from '../../server/signaling/signalingRepository.js';
+
+describe('SignalingRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new SignalingRepository({ maxSessionsPerPeer: 2 });
+  });
+
+  it('should open sessions offered by the initiator', () => {
+    const session = repository.open('s1', 'alice', 'bob', 1000);
+
+    expect(session).toEqual({
+      id: 's1',
+      peers: ['alice', 'bob'],
+      offerer: 'alice',
+      state: 'offered',
+      accepted: false,
+      createdAt: 1000,
+    });
+    expect(repository.get('s1')).toBe(session);
+    expect(repository.getSessions('bob')).toEqual([session]);
+  });
+
+  it('should tell whether a session connects two peers', () => {
+    const session = repository.open('s1', 'alice', 'bob');
+
+    expect(repository.connects(session, 'alice', 'bob')).toBe(true);
+    expect(repository.connects(session, 'bob', 'alice')).toBe(true);
+    expect(repository.connects(session, 'carol', 'bob')).toBe(false);
+    expect(repository.connects(session, 'alice', 'alice')).toBe(false);
+  });
+
+  it('should track offers and answers', () => {
+    repository.open('s1', 'alice', 'bob');
+
+    repository.answer('s1');
+    expect(repository.get('s1')).toMatchObject({ offerer: 'alice', state: 'answered' });
+
+    repository.offer('s1', 'bob');
+    expect(repository.get('s1')).toMatchObject({ offerer: 'bob', state: 'offered' });
+  });
+
+  it('should track signals relayed by other servers', () => {
+    repository.track('offer', 's1', 'alice', 'bob');
+    expect(repository.get('s1')).toMatchObject({ peers: ['alice', 'bob'], offerer: 'alice', state: 'offered' });
+
+    repository.track('answer', 's1', 'carol', 'alice');
+    expect(repository.get('s1').state).toBe('offered');
+
+    repository.track('answer', 's1', 'bob', 'alice');
+    expect(repository.get('s1').state).toBe('answered');
+
+    repository.track('hangup', 's1', 'alice', 'bob');
+    expect(repository.get('s1')).toBeUndefined();
+  });
+
+  it('should close sessions', () => {
+    repository.open('s1', 'alice', 'bob');
+
+    expect(repository.close('s1')).toBe(true);
+    expect(repository.close('s1')).toBe(false);
+    expect(repository.get('s1')).toBeUndefined();
+    expect(repository.getSessions('alice')).toEqual([]);
+  });
+
+  it('should close every session of a peer', () => {
+    repository.open('s1', 'alice', 'bob');
+    repository.open('s2', 'carol', 'alice');
+    repository.open('s3', 'bob', 'carol');
+
+    const closed = repository.closeAll('alice');
+
+    expect(closed.map(({ id }) => id)).toEqual(['s1', 's2']);
+    expect(repository.getSessions('bob').map(({ id }) => id)).toEqual(['s3']);
+    expect(repository.closeAll('alice')).toEqual([]);
+  });
+
+  it('should limit the sessions of each peer', () => {
+    repository.open('s1', 'alice', 'bob');
+    expect(repository.hasRoomFor('alice')).toBe(true);
+
+    repository.open('s2', 'alice', 'carol');
+    expect(repository.hasRoomFor('alice')).toBe(false);
+    expect(repository.hasRoomFor('bob')).toBe(true);
+
+    repository.close('s1');
+    expect(repository.hasRoomFor('alice')).toBe(true);
+  });
+
+  it('should only count unanswered offers against their initiator', () => {
+    ['alice', 'carol', 'dave'].forEach((peer, index) => repository.open(`s${index}`, peer, 'bob'));
+    expect(repository.hasRoomFor('bob')).toBe(true);
+
+    repository.answer('s0');
+    repository.answer('s1');
+    expect(repository.hasRoomFor('bob')).toBe(false);
+  });
+});
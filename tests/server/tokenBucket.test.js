@@ -0,0 +1,46 @@
+import { TokenBucket } from '../../server/limits/tokenBucket.js';
+
+describe('TokenBucket', () => {
+  it('should start full and allow a burst up to its capacity', () => {
+    const bucket = new TokenBucket(3, 1, 0);
+
+    expect([1, 2, 3, 4].map(() => bucket.take(1, 0))).toEqual([true, true, true, false]);
+  });
+
+  it('should refill at its rate', () => {
+    const bucket = new TokenBucket(2, 4, 0);
+    bucket.take(2, 0);
+
+    expect(bucket.take(1, 100)).toBe(false);
+    expect(bucket.take(1, 250)).toBe(true);
+    expect(bucket.available(250)).toBe(0);
+  });
+
+  it('should not refill above its capacity', () => {
+    const bucket = new TokenBucket(5, 10, 0);
+
+    expect(bucket.available(60000)).toBe(5);
+  });
+
+  it('should take several tokens at once', () => {
+    const bucket = new TokenBucket(100, 10, 0);
+
+    expect(bucket.take(60, 0)).toBe(true);
+    expect(bucket.take(60, 0)).toBe(false);
+    expect(bucket.canTake(40, 0)).toBe(true);
+    expect(bucket.available(0)).toBe(40);
+  });
+
+  it('should ignore clocks going backwards', () => {
+    const bucket = new TokenBucket(1, 1, 1000);
+    bucket.take(1, 1000);
+
+    expect(bucket.take(1, 0)).toBe(false);
+    expect(bucket.take(1, 2000)).toBe(true);
+  });
+
+  it('should reject invalid parameters', () => {
+    expect(() => new TokenBucket(0, 1)).toThrow(RangeError);
+    expect(() => new TokenBucket(1, -1)).toThrow(RangeError);
+  });
+});
@@ -15,8 +15,9 @@ await jest.unstable_mockModule('ws', () => ({
 }));
 
 const { P2PServer } = await import('../../server/wss.js');
-const { PeerRepository } = await import('../../server/peers/peerRepository.js');
+const { MemoryPeerRepository } = await import('../../server/peers/memoryPeerRepository.js');
 const { MessageService } = await import('../../server/messages/messageService.js');
+const { RateLimiter } = await import('../../server/limits/rateLimiter.js');
 
 describe('WebSocketServer', () => {
   let server;
@@ -32,7 +33,7 @@ describe('WebSocketServer', () => {
     consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 
     // Create fresh instances
-    peerRepository = new PeerRepository();
+    peerRepository = new MemoryPeerRepository();
     messageService = new MessageService();
     server = new P2PServer(3000, peerRepository, messageService);
 
@@ -103,6 +104,35 @@ describe('WebSocketServer', () => {
       });
     });
 
+    it('should share topic membership between connections', () => {
+      server.initialize();
+
+      const clients = Array.from({ length: 2 }, () => {
+        const client = { on: jest.fn(), send: jest.fn() };
+        client.on.mockImplementation((event, handler) => {
+          if (event === 'message') client.receive = handler;
+        });
+        mockConnectionHandler(client);
+        return client;
+      });
+
+      clients[0].receive(Buffer.from(JSON.stringify({ type: 'join', topic: 'chat' })));
+      clients[1].receive(Buffer.from(JSON.stringify({ type: 'join', topic: 'chat' })));
+
+      // @ts-expect-error - Mocking WebSocket
+      const joined = JSON.parse(clients[1].send.mock.calls.at(-1)[0]);
+      expect(joined.members).toHaveLength(2);
+    });
+
+    it('should accept connections whose URL cannot be parsed', () => {
+      server.initialize();
+
+      const mockWs = { on: jest.fn(), send: jest.fn() };
+
+      expect(() => mockConnectionHandler(mockWs, { url: '//[', socket: {} })).not.toThrow();
+      expect(peerRepository.getAll()).toHaveLength(1);
+    });
+
     it('should handle client disconnection', () => {
       server.initialize();
 
@@ -128,6 +158,117 @@ describe('WebSocketServer', () => {
     });
   });
 
+  describe('heartbeat', () => {
+    const connect = () => {
+      const client = { on: jest.fn(), send: jest.fn(), ping: jest.fn(), terminate: jest.fn(), handlers: {} };
+      client.on.mockImplementation((event, handler) => {
+        client.handlers[event] = client.handlers[event] || [];
+        client.handlers[event].push(handler);
+      });
+      mockConnectionHandler(client);
+      return client;
+    };
+    const emit = (client, event, ...args) => client.handlers[event]?.forEach((handler) => handler(...args));
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should ping connections on every interval', () => {
+      server = new P2PServer(3000, peerRepository, messageService, { heartbeatInterval: 1000 });
+      server.initialize();
+      const client = connect();
+
+      jest.advanceTimersByTime(1000);
+      emit(client, 'pong');
+      jest.advanceTimersByTime(1000);
+
+      expect(client.ping).toHaveBeenCalledTimes(2);
+      expect(client.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should reap connections that stop answering', () => {
+      server = new P2PServer(3000, peerRepository, messageService, { heartbeatInterval: 1000 });
+      server.initialize();
+      const dead = connect();
+      const live = connect();
+
+      jest.advanceTimersByTime(1000);
+      emit(live, 'pong');
+      jest.advanceTimersByTime(1000);
+
+      expect(dead.terminate).toHaveBeenCalled();
+      expect(live.terminate).not.toHaveBeenCalled();
+      expect(peerRepository.getAll()).toHaveLength(1);
+    });
+
+    it('should reap idle connections', () => {
+      server = new P2PServer(3000, peerRepository, messageService, { heartbeatInterval: 1000, idleTimeout: 2500 });
+      server.initialize();
+      const idle = connect();
+      const chatty = connect();
+
+      [1000, 2000, 3000].forEach(() => {
+        emit(chatty, 'message', Buffer.from(JSON.stringify({ type: 'message', content: 'still here' })));
+        jest.advanceTimersByTime(1000);
+        emit(idle, 'pong');
+        emit(chatty, 'pong');
+      });
+
+      expect(idle.terminate).toHaveBeenCalled();
+      expect(chatty.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should stop pinging once the server closes', () => {
+      const handlers = {};
+      mockOn.mockImplementation((event, handler) => {
+        handlers[event] = handler;
+      });
+      server = new P2PServer(3000, peerRepository, messageService, { heartbeatInterval: 1000 });
+      server.initialize();
+      mockConnectionHandler = handlers.connection;
+      const client = connect();
+
+      handlers.close();
+      jest.advanceTimersByTime(5000);
+
+      expect(client.ping).not.toHaveBeenCalled();
+    });
+
+    it('should not ping when heartbeats are disabled', () => {
+      server = new P2PServer(3000, peerRepository, messageService, { heartbeatInterval: 0 });
+      server.initialize();
+      const client = connect();
+
+      jest.advanceTimersByTime(60000);
+
+      expect(client.ping).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bans', () => {
+    it('should refuse connections from banned addresses', () => {
+      const rateLimiter = new RateLimiter();
+      rateLimiter.ban('10.0.0.1');
+      server = new P2PServer(3000, peerRepository, messageService, { rateLimiter });
+      server.initialize();
+
+      const banned = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+      const allowed = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+      mockConnectionHandler(banned, { socket: { remoteAddress: '10.0.0.1' } });
+      mockConnectionHandler(allowed, { socket: { remoteAddress: '10.0.0.2' } });
+
+      expect(banned.close).toHaveBeenCalledWith(1008, 'Banned');
+      expect(allowed.close).not.toHaveBeenCalled();
+      expect(peerRepository.getAll()).toHaveLength(1);
+      expect(rateLimiter.getMetrics().rejectedConnections).toBe(1);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle connection errors gracefully', () => {
       server.initialize();